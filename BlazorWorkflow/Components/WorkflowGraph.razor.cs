@@ -6,6 +6,7 @@ using BlazorWorkflow.Helpers;
 using BlazorWorkflow.Models;
 using BlazorWorkflow.Models.DTOs;
 using BlazorWorkflow.Models.NodeV2;
+using BlazorWorkflow.Services;
 using Microsoft.AspNetCore.Components;
 using Microsoft.JSInterop;
 
@@ -21,6 +22,12 @@ public class DrawflowEventArgs : EventArgs
     public T? GetPayload<T>() => JsonSerializer.Deserialize<T>(PayloadJson);
 }
 
+/// <summary>Edge or centre line that <see cref="WorkflowGraph.AlignNodesAsync"/> lines nodes up on.</summary>
+public enum NodeAlignment { Left, Center, Right, Top, Middle, Bottom }
+
+/// <summary>Axis along which <see cref="WorkflowGraph.DistributeNodesAsync"/> spaces nodes evenly.</summary>
+public enum DistributeAxis { Horizontal, Vertical }
+
 public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
 {
     private DotNetObjectReference<WorkflowGraph>? _selfRef;
@@ -28,6 +35,10 @@ public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
 
     [Inject] public IJSRuntime JS { get; set; } = default!;
 
+    [Inject] public KeyboardShortcutOptions ShortcutOptions { get; set; } = default!;
+
+    [Inject] public CanvasFeatureOptions CanvasFeatures { get; set; } = default!;
+
     /// <summary>DOM element id for this editor host.</summary>
     [Parameter] public string? Id { get; set; }
 
@@ -43,12 +54,18 @@ public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
     /// <summary>Called after the JS editor is created.</summary>
     [Parameter] public EventCallback OnReady { get; set; }
 
+    /// <summary>Fires when the set of selected nodes changes (click, Ctrl+click, Shift+drag marquee).</summary>
+    [Parameter] public EventCallback<IReadOnlyList<string>> OnSelectionChanged { get; set; }
+
     [Parameter] public Graph Graph { get; set; } = new();
     protected string ElementId => Id ?? $"df_{GetHashCode():x}";
 
     public double PosX { get; set; }
     public double PosY { get; set; }
 
+    /// <summary>Drawflow ids of the currently selected nodes.</summary>
+    public IReadOnlyList<string> SelectedNodeIds { get; private set; } = Array.Empty<string>();
+
     // Undo/Redo system - snapshot-based
     private readonly List<GraphSnapshot> _undoStack = new();
     private readonly List<GraphSnapshot> _redoStack = new();
@@ -72,8 +89,7 @@ public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
         {
             _selfRef ??= DotNetObjectReference.Create(this);
 
-            var opts = Options ?? [];
-            _created = await JS.InvokeAsync<bool>("DrawflowBlazor.create", ElementId, _selfRef, opts).ConfigureAwait(false);
+            _created = await JS.InvokeAsync<bool>("DrawflowBlazor.create", ElementId, _selfRef, CreateOptions()).ConfigureAwait(false);
             if (_created)
             {
                 await OnReady.InvokeAsync().ConfigureAwait(false);
@@ -88,7 +104,7 @@ public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
             await CallAsync<object>("clear").ConfigureAwait(false);
 
             // Import nodes to drawflow
-            var json = DrawflowExporter.ExportToDrawflowJson(Graph.Nodes.Select(x => x.Value));
+            var json = DrawflowExporter.ExportToDrawflowJson(Graph);
             await CallAsync("import", json).ConfigureAwait(false);
             await JS.InvokeVoidAsync("nextFrame").ConfigureAwait(false);
 
@@ -113,8 +129,31 @@ public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
             await OnAsync("connectionRemoved").ConfigureAwait(false);
             await OnAsync("nodeRemoved").ConfigureAwait(false);
 
-            // Setup keyboard listener for undo/redo
-            await JS.InvokeVoidAsync("setupUndoRedoKeyboard", _selfRef, ElementId).ConfigureAwait(false);
+            // Setup undo/redo and the "?" cheat sheet through the shortcut registry, with the host's bindings
+            await JS.InvokeVoidAsync("BlazorWorkflowShortcuts.configure", ShortcutOptions.Bindings).ConfigureAwait(false);
+            await JS.InvokeVoidAsync("DrawflowBlazor.enableShortcuts", ElementId).ConfigureAwait(false);
+
+            // Host themes and default, then this canvas's own theme if it has one
+            _themeParameter = Theme;
+            if (ThemeOptions.Enabled)
+            {
+                var themes = await ThemesAsync().ConfigureAwait(false);
+                await themes.InvokeVoidAsync("configure", new { defaultTheme = ThemeOptions.Default, themes = ThemeOptions.Themes }).ConfigureAwait(false);
+                _canvasTheme = await themes.InvokeAsync<IJSObjectReference>("createCanvasTheme", ElementId, Theme).ConfigureAwait(false);
+            }
+
+            // Setup Ctrl+C / Ctrl+X / Ctrl+V / Ctrl+D for node selections
+            await JS.InvokeVoidAsync("DrawflowBlazor.enableClipboard", ElementId).ConfigureAwait(false);
+
+            // Setup Shift+drag marquee, Ctrl+click toggling and group move
+            await JS.InvokeVoidAsync("DrawflowBlazor.enableSelection", ElementId).ConfigureAwait(false);
+
+            // Setup the right-click menu, including items registered before the editor existed
+            await JS.InvokeVoidAsync("DrawflowBlazor.enableContextMenu", ElementId).ConfigureAwait(false);
+            await SyncContextMenuItemsAsync().ConfigureAwait(false);
+
+            // Accept nodes dragged in from the add-node picker
+            await JS.InvokeVoidAsync("DrawflowBlazor.enableNodeDrop", ElementId).ConfigureAwait(false);
 
             // Take initial snapshot after graph is fully loaded
             // This gives us a baseline state to return to
@@ -131,9 +170,33 @@ public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
             // Attach event handlers to all nodes for status updates
             // This is CRITICAL for UI feedback (pulsing animations, error states, etc.)
             AttachNodeEventHandlers();
+
+            // Join the other people editing this workflow, when it is shared
+            await StartCollaborationAsync().ConfigureAwait(false);
+
+            // Journal the canvas, and offer back changes that never reached the saved copy
+            await StartAutosaveAsync().ConfigureAwait(false);
         }
     }
 
+    // The host's Options, plus the optional features this app turned on; keys set in Options win
+    private Dictionary<string, object> CreateOptions()
+    {
+        var opts = Options is null ? new Dictionary<string, object>() : new Dictionary<string, object>(Options);
+        opts.TryAdd("features", new
+        {
+            accessibility = CanvasFeatures.Accessibility,
+            search = CanvasFeatures.Search,
+            modules = CanvasFeatures.Modules,
+            virtualization = CanvasFeatures.Virtualization
+        });
+        if (CanvasFeatures.Virtualization)
+            opts.TryAdd("virtualize", true);
+        if (CanvasFeatures.Minimap)
+            opts.TryAdd("minimap", true);
+        return opts;
+    }
+
     [JSInvokable]
     public async Task OnUndoRequested()
     {
@@ -182,6 +245,46 @@ public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
                     case "translate":
                         await HandleCanvasTranslate(payloadJson).ConfigureAwait(false);
                         break;
+
+                    case "nodesPasted":
+                        await HandleNodesPasted(payloadJson).ConfigureAwait(false);
+                        break;
+
+                    case "nodesRemoved":
+                        await HandleNodesRemoved(payloadJson).ConfigureAwait(false);
+                        break;
+
+                    case "nodesMoved":
+                        await HandleNodesMoved(payloadJson).ConfigureAwait(false);
+                        break;
+
+                    case "selectionChanged":
+                        await HandleSelectionChanged(payloadJson).ConfigureAwait(false);
+                        break;
+
+                    case "breakpointToggled":
+                        HandleBreakpointToggled(payloadJson);
+                        break;
+
+                    case "nodesDisabledToggled":
+                        HandleNodesDisabledToggled(payloadJson);
+                        break;
+
+                    case "connectionSpliced":
+                        HandleConnectionSpliced(payloadJson);
+                        break;
+
+                    case "framesChanged":
+                        HandleFramesChanged(payloadJson);
+                        break;
+
+                    case "notesChanged":
+                        HandleNotesChanged(payloadJson);
+                        break;
+
+                    case "moduleChanged":
+                        await HandleModuleChanged(payloadJson).ConfigureAwait(false);
+                        break;
                 }
             }
             catch (Exception ex)
@@ -257,6 +360,198 @@ public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
         }
     }
 
+    private Task HandleNodesMoved(string payloadJson)
+    {
+        // Parse: [{"nodes":[{"id":"3","pos_x":120,"pos_y":80}]}] - group drag recorded as one undo step
+        var payload = JsonSerializer.Deserialize<JsonElement>(payloadJson, jsonSerializerOptions);
+
+        if (payload.ValueKind != JsonValueKind.Array || payload.GetArrayLength() < 1)
+            return Task.CompletedTask;
+
+        var moves = ReadNodeMoves(payload[0]);
+        if (moves.Count == 0)
+            return Task.CompletedTask;
+
+        // Graph still holds the pre-drag positions, so this snapshot restores the whole group
+        TakeSnapshot();
+
+        foreach (var (node, x, y) in moves)
+        {
+            node.PosX = x;
+            node.PosY = y;
+        }
+
+        return Task.CompletedTask;
+    }
+
+    // Reads {"nodes":[{"id":"3","pos_x":120,"pos_y":80}]}, skipping nodes the Graph doesn't know
+    private List<(Node Node, double X, double Y)> ReadNodeMoves(JsonElement payload)
+    {
+        var moves = new List<(Node Node, double X, double Y)>();
+
+        if (!payload.TryGetProperty("nodes", out var nodesProp) || nodesProp.ValueKind != JsonValueKind.Array)
+            return moves;
+
+        foreach (var moved in nodesProp.EnumerateArray())
+        {
+            if (moved.TryGetProperty("id", out var idProp) &&
+                Graph.Nodes.TryGetValue(idProp.ToString(), out var node) &&
+                moved.TryGetProperty("pos_x", out var posXProp) &&
+                moved.TryGetProperty("pos_y", out var posYProp))
+            {
+                moves.Add((node, posXProp.GetDouble(), posYProp.GetDouble()));
+            }
+        }
+
+        return moves;
+    }
+
+    // The module a framesChanged / notesChanged payload describes; its list replaces only that module's entries
+    private static string ReadModule(JsonElement payload)
+        => payload.TryGetProperty("module", out var moduleProp) && moduleProp.ValueKind == JsonValueKind.String
+            ? moduleProp.GetString()!
+            : SubWorkflowHelpers.HomeModule;
+
+    private void HandleFramesChanged(string payloadJson)
+    {
+        // Parse: [{"module":"Home","frames":[{"id":"frame-1","title":"Group",...,"nodes":["3"]}],"nodes":[{"id":"3","pos_x":120,"pos_y":80}]}]
+        // "nodes" are moved by the same gesture: a frame drag, or a node dragged into or out of a frame
+        var payload = JsonSerializer.Deserialize<JsonElement>(payloadJson, jsonSerializerOptions);
+
+        if (payload.ValueKind != JsonValueKind.Array || payload.GetArrayLength() < 1)
+            return;
+
+        if (!payload[0].TryGetProperty("frames", out var framesProp) || framesProp.ValueKind != JsonValueKind.Array)
+            return;
+
+        var module = ReadModule(payload[0]);
+        var frames = framesProp.Deserialize<List<NodeFrame>>() ?? [];
+        frames.ForEach(f => f.Module = module);
+        var moves = ReadNodeMoves(payload[0]);
+
+        // Graph still holds the previous frames and pre-drag positions
+        TakeSnapshot();
+
+        foreach (var (node, x, y) in moves)
+        {
+            node.PosX = x;
+            node.PosY = y;
+        }
+
+        Graph.Frames = [.. Graph.Frames.Where(f => f.Module != module), .. frames];
+    }
+
+    private void HandleNotesChanged(string payloadJson)
+    {
+        // Parse: [{"module":"Home","notes":[{"id":"note-1","text":"**Why** this retries","color":"#fff3b0",...,"node":"3"}]}]
+        var payload = JsonSerializer.Deserialize<JsonElement>(payloadJson, jsonSerializerOptions);
+
+        if (payload.ValueKind != JsonValueKind.Array || payload.GetArrayLength() < 1)
+            return;
+
+        if (!payload[0].TryGetProperty("notes", out var notesProp) || notesProp.ValueKind != JsonValueKind.Array)
+            return;
+
+        var module = ReadModule(payload[0]);
+        var notes = notesProp.Deserialize<List<CanvasNote>>() ?? [];
+        notes.ForEach(n => n.Module = module);
+
+        // Graph still holds the previous notes
+        TakeSnapshot();
+
+        Graph.Notes = [.. Graph.Notes.Where(n => n.Module != module), .. notes];
+    }
+
+    private async Task HandleModuleChanged(string payloadJson)
+    {
+        // Parse: ["Sub-workflow"] - the module now shown, raised once it has been drawn
+        var payload = JsonSerializer.Deserialize<JsonElement>(payloadJson, jsonSerializerOptions);
+
+        if (payload.ValueKind != JsonValueKind.Array || payload.GetArrayLength() == 0)
+            return;
+
+        CurrentModule = payload[0].GetString() ?? SubWorkflowHelpers.HomeModule;
+
+        // The switch redraws every node, so nothing is selected any more
+        SelectedNodeIds = Array.Empty<string>();
+        await PublishPresenceAsync().ConfigureAwait(false);
+
+        // Output nodes added, removed or renamed inside a sub-workflow change its node's ports
+        var before = GraphSnapshot.Create(Graph, PosX, PosY);
+        if (SubWorkflowHelpers.SyncPorts(Graph))
+        {
+            PushSnapshot(before);
+            await ReloadEditorAsync().ConfigureAwait(false);
+        }
+    }
+
+    private async Task HandleSelectionChanged(string payloadJson)
+    {
+        // Parse: [{"ids":["3","4"]}]
+        var payload = JsonSerializer.Deserialize<JsonElement>(payloadJson, jsonSerializerOptions);
+
+        if (payload.ValueKind != JsonValueKind.Array || payload.GetArrayLength() < 1)
+            return;
+
+        if (!payload[0].TryGetProperty("ids", out var idsProp) || idsProp.ValueKind != JsonValueKind.Array)
+            return;
+
+        SelectedNodeIds = idsProp.EnumerateArray().Select(x => x.ToString()).ToArray();
+        await PublishPresenceAsync().ConfigureAwait(false);
+
+        if (OnSelectionChanged.HasDelegate)
+        {
+            await InvokeAsync(() => OnSelectionChanged.InvokeAsync(SelectedNodeIds)).ConfigureAwait(false);
+        }
+    }
+
+    private void HandleBreakpointToggled(string payloadJson)
+    {
+        // Parse: [{"id":"3","enabled":true}]
+        var payload = JsonSerializer.Deserialize<JsonElement>(payloadJson, jsonSerializerOptions);
+
+        if (payload.ValueKind != JsonValueKind.Array || payload.GetArrayLength() < 1)
+            return;
+
+        var id = payload[0].GetProperty("id").GetString();
+        var enabled = payload[0].TryGetProperty("enabled", out var enabledProp) && enabledProp.ValueKind == JsonValueKind.True;
+
+        // Persisted with the node; the event is forwarded to OnEvent below so the workflow is saved
+        if (id != null && Graph.Nodes.TryGetValue(id, out var node))
+        {
+            node.HasBreakpoint = enabled;
+        }
+    }
+
+    private void HandleNodesDisabledToggled(string payloadJson)
+    {
+        // Parse: [{"ids":["3","4"],"disabled":true}]
+        var payload = JsonSerializer.Deserialize<JsonElement>(payloadJson, jsonSerializerOptions);
+
+        if (payload.ValueKind != JsonValueKind.Array || payload.GetArrayLength() < 1)
+            return;
+
+        if (!payload[0].TryGetProperty("ids", out var idsProp) || idsProp.ValueKind != JsonValueKind.Array)
+            return;
+
+        var disabled = payload[0].TryGetProperty("disabled", out var disabledProp) && disabledProp.ValueKind == JsonValueKind.True;
+        var nodes = idsProp.EnumerateArray()
+            .Select(x => Graph.Nodes.TryGetValue(x.ToString(), out var node) ? node : null)
+            .OfType<Node>()
+            .ToList();
+
+        if (nodes.Count == 0)
+            return;
+
+        // Disabling changes what the workflow does, so unlike breakpoints it is undoable
+        TakeSnapshot();
+
+        foreach (var node in nodes)
+        {
+            node.IsDisabled = disabled;
+        }
+    }
+
     private Task HandleConnectionCreated(string payloadJson)
     {
         // Parse: [{"output_id":"1","input_id":"2","output_class":"output_1","input_class":"input_1"}]
@@ -290,28 +585,7 @@ public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
             // Take snapshot BEFORE making the change so we can undo back to this state
             TakeSnapshot();
 
-            // Determine output port name from output_class (e.g., "output_1" -> first port)
-            var outputPortName = "default";
-            if (sourceNode.DeclaredOutputPorts is { Count: > 0 } ports)
-            {
-                // Extract port index from "output_1", "output_2", etc.
-                var underscoreIndex = outputClass.LastIndexOf('_');
-                if (underscoreIndex >= 0 &&
-                    int.TryParse(outputClass.Substring(underscoreIndex + 1), out var portIndex) &&
-                    portIndex > 0 && portIndex <= ports.Count)
-                {
-                    outputPortName = ports[portIndex - 1];
-                }
-            }
-
-            // Add connection
-            sourceNode.AddOutputConnection(outputPortName, targetNode);
-
-            // Add to InputNodes if not already there
-            if (!targetNode.InputNodes.Contains(sourceNode))
-            {
-                targetNode.InputNodes.Add(sourceNode);
-            }
+            ConnectNodes(sourceNode, GetOutputPortName(sourceNode, outputClass), targetNode);
 
             // Auto-populate target node input with source node result if available
             if (sourceNode.Result != null)
@@ -370,51 +644,110 @@ public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
             // Take snapshot BEFORE making the change so we can undo back to this state
             TakeSnapshot();
 
-            // Determine output port name from output_class (e.g., "output_1" -> first port)
-            var outputPortName = "default";
-            if (sourceNode.DeclaredOutputPorts is { Count: > 0 } ports)
-            {
-                var underscoreIndex = outputClass.LastIndexOf('_');
-                if (underscoreIndex >= 0 &&
-                    int.TryParse(outputClass.Substring(underscoreIndex + 1), out var portIndex) &&
-                    portIndex > 0 && portIndex <= ports.Count)
-                {
-                    outputPortName = ports[portIndex - 1];
-                }
-            }
+            DisconnectNodes(sourceNode, GetOutputPortName(sourceNode, outputClass), targetNode);
+        }
 
-            // Remove connection from OutputPorts
-            if (sourceNode.OutputPorts.TryGetValue(outputPortName, out var targets))
-            {
-                targets.Remove(targetNode);
-                if (targets.Count == 0)
-                {
-                    sourceNode.OutputPorts.Remove(outputPortName);
-                }
-            }
+        return Task.CompletedTask;
+    }
+
+    private static void ConnectNodes(Node sourceNode, string outputPortName, Node targetNode)
+    {
+        sourceNode.AddOutputConnection(outputPortName, targetNode);
 
-            // Remove from OutputNodes
-            sourceNode.OutputNodes.Remove(targetNode);
+        // Add to InputNodes if not already there
+        if (!targetNode.InputNodes.Contains(sourceNode))
+        {
+            targetNode.InputNodes.Add(sourceNode);
+        }
+    }
 
-            // Check if targetNode still has other connections from sourceNode
-            bool hasOtherConnections = false;
-            foreach (var portTargets in sourceNode.OutputPorts.Values)
+    private static void DisconnectNodes(Node sourceNode, string outputPortName, Node targetNode)
+    {
+        // Remove connection from OutputPorts
+        if (sourceNode.OutputPorts.TryGetValue(outputPortName, out var targets))
+        {
+            targets.Remove(targetNode);
+            if (targets.Count == 0)
             {
-                if (portTargets.Contains(targetNode))
-                {
-                    hasOtherConnections = true;
-                    break;
-                }
+                sourceNode.OutputPorts.Remove(outputPortName);
             }
+        }
+
+        // Remove from OutputNodes
+        sourceNode.OutputNodes.Remove(targetNode);
+
+        // Remove from InputNodes only if no other connections from sourceNode to targetNode remain
+        if (!sourceNode.OutputPorts.Values.Any(portTargets => portTargets.Contains(targetNode)))
+        {
+            targetNode.InputNodes.Remove(sourceNode);
+        }
+    }
+
+    private void HandleConnectionSpliced(string payloadJson)
+    {
+        // Parse: [{"id":"5","removed":{...},"created":[{...},{...}],"pos_x":320,"pos_y":140}]
+        // A node dropped onto a connection, recorded as one undo step including the move
+        var payload = JsonSerializer.Deserialize<DfConnectionSplicedEventPayload[]>(payloadJson);
+        var splice = payload?.FirstOrDefault();
+
+        if (splice is null || !Graph.Nodes.TryGetValue(splice.Id, out var node))
+            return;
+
+        // Take snapshot BEFORE making the change; the Graph still holds the node's pre-drag position
+        TakeSnapshot();
+
+        if (splice.PosX is { } x && splice.PosY is { } y)
+        {
+            node.PosX = x;
+            node.PosY = y;
+        }
+
+        ApplyConnectionSplice(splice);
+    }
+
+    /// <summary>
+    /// Re-route <paramref name="connection"/> through <paramref name="node"/> on the canvas and in the Graph.
+    /// Does not take a snapshot; callers record the surrounding edit as one undo step.
+    /// Returns false when the node has no free input/output or its types don't fit the connection.
+    /// </summary>
+    protected async Task<bool> SpliceConnectionAsync(DfConnectionCreatedEventPayload connection, Node node)
+    {
+        if (string.IsNullOrEmpty(node.DrawflowNodeId))
+            return false;
+
+        var splice = await JS.InvokeAsync<DfConnectionSplicedEventPayload?>("DrawflowBlazor.spliceConnection", ElementId, connection, node.DrawflowNodeId).ConfigureAwait(false);
+        if (splice is null || !ApplyConnectionSplice(splice))
+            return false;
+
+        // The canvas raised no event for this splice, so nothing captured it
+        var removed = splice.Removed;
+        await PublishConnectionAsync(CollaborationOperation.ConnectionRemoved, removed.OutputId, removed.OutputClass, removed.InputId, removed.InputClass).ConfigureAwait(false);
+        foreach (var created in splice.Created)
+        {
+            await PublishConnectionAsync(CollaborationOperation.ConnectionAdded, created.OutputId, created.OutputClass, created.InputId, created.InputClass).ConfigureAwait(false);
+        }
+        return true;
+    }
 
-            // Remove from InputNodes only if no other connections exist
-            if (!hasOtherConnections)
+    private bool ApplyConnectionSplice(DfConnectionSplicedEventPayload splice)
+    {
+        var removed = splice.Removed;
+        if (!Graph.Nodes.TryGetValue(removed.OutputId, out var sourceNode) ||
+            !Graph.Nodes.TryGetValue(removed.InputId, out var targetNode))
+            return false;
+
+        DisconnectNodes(sourceNode, GetOutputPortName(sourceNode, removed.OutputClass), targetNode);
+
+        foreach (var created in splice.Created)
+        {
+            if (Graph.Nodes.TryGetValue(created.OutputId, out var from) &&
+                Graph.Nodes.TryGetValue(created.InputId, out var to))
             {
-                targetNode.InputNodes.Remove(sourceNode);
+                ConnectNodes(from, GetOutputPortName(from, created.OutputClass), to);
             }
         }
 
-        return Task.CompletedTask;
+        return true;
     }
 
     private Task HandleNodeRemoved(string payloadJson)
@@ -427,87 +760,260 @@ public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
 
         var nodeId = payload[0].ToString();
 
-        if (Graph.Nodes.TryGetValue(nodeId, out var removedNode))
+        if (Graph.Nodes.ContainsKey(nodeId))
         {
             // Take snapshot BEFORE removing the node
             TakeSnapshot();
 
-            // Remove all connections to/from this node
-            foreach (var otherNode in Graph.Nodes.Values)
-            {
-                if (otherNode != removedNode)
-                {
-                    // Remove from input connections
-                    otherNode.InputNodes.Remove(removedNode);
-
-                    // Remove from output connections
-                    otherNode.OutputNodes.Remove(removedNode);
-
-                    // Remove from OutputPorts
-                    foreach (var portTargets in otherNode.OutputPorts.Values)
-                    {
-                        portTargets.Remove(removedNode);
-                    }
-                }
-            }
-
-            // Remove the node from the graph
-            Graph.Nodes.TryRemove(nodeId, out _);
+            RemoveNodeFromGraph(nodeId);
         }
 
         return Task.CompletedTask;
     }
 
-    /// <summary>Subscribe to an event name (e.g., "nodeCreated").</summary>
-    public async Task OnAsync(string eventName)
-        => await JS.InvokeVoidAsync("DrawflowBlazor.on", ElementId, eventName).ConfigureAwait(false);
-
-    /// <summary>Unsubscribe from an event name.</summary>
-    public async Task OffAsync(string eventName)
-        => await JS.InvokeVoidAsync("DrawflowBlazor.off", ElementId, eventName).ConfigureAwait(false);
+    private Task HandleNodesRemoved(string payloadJson)
+    {
+        // Parse: [{"ids":["3","4"]}] - composite removal (e.g. cut) recorded as one undo step
+        var payload = JsonSerializer.Deserialize<JsonElement>(payloadJson, jsonSerializerOptions);
 
-    /// <summary>Call any Drawflow method dynamically (best-coverage path).</summary>
-    public async Task<T?> CallAsync<T>(string methodName, params object[] args)
-        => await JS.InvokeAsync<T?>("DrawflowBlazor.call", ElementId, methodName, args).ConfigureAwait(false);
+        if (payload.ValueKind != JsonValueKind.Array || payload.GetArrayLength() < 1)
+            return Task.CompletedTask;
 
-    public async Task<object?> CallAsync(string methodName, params object[] args)
-        => await JS.InvokeAsync<object?>("DrawflowBlazor.call", ElementId, methodName, args).ConfigureAwait(false);
+        if (!payload[0].TryGetProperty("ids", out var idsProp) || idsProp.ValueKind != JsonValueKind.Array)
+            return Task.CompletedTask;
 
-    public BlazorWorkflow.Flow.DrawflowEditorInterop? Editor { get; set; }
-    ValueTask CallVoidAsync(string method, params object?[] args)
-    => JS.InvokeVoidAsync("DrawflowBlazor.call", ElementId, method, args);
+        var nodeIds = idsProp.EnumerateArray()
+            .Select(x => x.ToString())
+            .Where(Graph.Nodes.ContainsKey)
+            .ToList();
 
-    /// <summary>Get an arbitrary property on the editor.</summary>
-    public async Task<T?> GetAsync<T>(string propName)
-        => await JS.InvokeAsync<T?>("DrawflowBlazor.get", ElementId, propName).ConfigureAwait(false);
+        if (nodeIds.Count == 0)
+            return Task.CompletedTask;
 
-    /// <summary>Set an arbitrary property on the editor.</summary>
-    public async Task SetAsync(string propName, object? value)
-        => await JS.InvokeVoidAsync("DrawflowBlazor.set", ElementId, propName, value).ConfigureAwait(false);
-    public Graph GenerateGraphV2(DrawflowGraph graph)
-    {
-        var concurrentNodeDict = new ConcurrentDictionary<string, Node>();
+        // Take snapshot BEFORE removing any of the nodes
+        TakeSnapshot();
 
-        // Ensure every node in the page gets materialized
-        foreach (var (id, dfNode) in graph.Page.Data)
+        foreach (var nodeId in nodeIds)
         {
-            _ = GenerateNodeV2(graph, dfNode, concurrentNodeDict);
+            RemoveNodeFromGraph(nodeId);
         }
 
-        return new Graph
-        {
-            Nodes = concurrentNodeDict
-        };
+        return Task.CompletedTask;
     }
 
-    public Node GenerateNodeV2(
-    DrawflowGraph graph,
-    DrawflowNode dfNode,
-    ConcurrentDictionary<string, Node>? createdNodes = null)
+    private void RemoveNodeFromGraph(string nodeId)
     {
-        createdNodes ??= [];
+        if (!Graph.Nodes.TryGetValue(nodeId, out var removedNode))
+            return;
 
-        var nodeKey = dfNode.Id.ToString();
+        // A sub-workflow's body goes with it, unless a pasted copy of the node still runs it; the canvas removes its module
+        if (removedNode.IsSubWorkflowNode &&
+            !Graph.Nodes.Values.Any(n => n != removedNode && n.IsSubWorkflowNode && n.SubWorkflowModule == removedNode.SubWorkflowModule))
+        {
+            foreach (var bodyNodeId in SubWorkflowHelpers.GetBodyNodeIds(Graph, removedNode))
+            {
+                RemoveNodeFromGraph(bodyNodeId);
+            }
+
+            Graph.Frames.RemoveAll(f => f.Module == removedNode.SubWorkflowModule);
+            Graph.Notes.RemoveAll(n => n.Module == removedNode.SubWorkflowModule);
+        }
+
+        // Remove all connections to/from this node
+        foreach (var otherNode in Graph.Nodes.Values)
+        {
+            if (otherNode != removedNode)
+            {
+                // Remove from input connections
+                otherNode.InputNodes.Remove(removedNode);
+
+                // Remove from output connections
+                otherNode.OutputNodes.Remove(removedNode);
+
+                // Remove from OutputPorts
+                foreach (var portTargets in otherNode.OutputPorts.Values)
+                {
+                    portTargets.Remove(removedNode);
+                }
+            }
+        }
+
+        foreach (var frame in Graph.Frames)
+        {
+            frame.NodeIds.Remove(nodeId);
+        }
+
+        // Notes outlive the node they were pinned to
+        foreach (var note in Graph.Notes.Where(n => n.PinnedNodeId == nodeId))
+        {
+            note.PinnedNodeId = null;
+        }
+
+        // Remove the node from the graph
+        Graph.Nodes.TryRemove(nodeId, out _);
+    }
+
+    private async Task HandleNodesPasted(string payloadJson)
+    {
+        // Parse: [{"nodes":[{"sourceId":"3","id":"7","pos_x":120,"pos_y":80,"node":"{...}"}],
+        //          "connections":[{"output_id":"7","input_id":"8","output_class":"output_1","input_class":"input_1"}]}]
+        var payload = JsonSerializer.Deserialize<JsonElement>(payloadJson, jsonSerializerOptions);
+
+        if (payload.ValueKind != JsonValueKind.Array || payload.GetArrayLength() < 1)
+            return;
+
+        var paste = payload[0];
+        if (!paste.TryGetProperty("nodes", out var nodesProp) || nodesProp.ValueKind != JsonValueKind.Array)
+            return;
+
+        // One snapshot for the whole paste so a single undo removes every pasted node
+        TakeSnapshot();
+
+        // Drawn on the canvas but not restorable into the Graph; removed again below so the two stay in step
+        List<string> unrestored = [];
+
+        foreach (var pasted in nodesProp.EnumerateArray())
+        {
+            if (!pasted.TryGetProperty("id", out var idProp))
+                continue;
+
+            Node? node = null;
+            if (pasted.TryGetProperty("node", out var nodeProp) && nodeProp.ValueKind == JsonValueKind.String)
+            {
+                try
+                {
+                    node = JsonSerializer.Deserialize<Node>(nodeProp.GetString()!, jsonSerializerOptions);
+                }
+                catch (Exception ex)
+                {
+                    System.Diagnostics.Debug.WriteLine($"[Clipboard] Failed to restore pasted node: {ex.Message}");
+                }
+            }
+
+            if (node is null)
+            {
+                unrestored.Add(idProp.ToString());
+                continue;
+            }
+
+            // A paste is a new node, not a reference to the copied one; the canvas gave it a fresh key
+            node.Id = pasted.TryGetProperty("key", out var keyProp) && keyProp.GetString() is { Length: > 0 } key
+                ? key
+                : Guid.NewGuid().ToString();
+            node.DrawflowNodeId = idProp.ToString();
+            node.Module = CurrentModule;
+            if (pasted.TryGetProperty("pos_x", out var posXProp))
+                node.PosX = posXProp.GetDouble();
+            if (pasted.TryGetProperty("pos_y", out var posYProp))
+                node.PosY = posYProp.GetDouble();
+
+            Graph.Nodes[node.DrawflowNodeId] = node;
+            await PublishNodeAddedAsync(node).ConfigureAwait(false);
+        }
+
+        if (paste.TryGetProperty("connections", out var connectionsProp) && connectionsProp.ValueKind == JsonValueKind.Array)
+        {
+            foreach (var connection in connectionsProp.EnumerateArray())
+            {
+                var outputId = connection.GetProperty("output_id").ToString();
+                var inputId = connection.GetProperty("input_id").ToString();
+                var outputClass = connection.GetProperty("output_class").GetString() ?? "output_1";
+                var inputClass = connection.GetProperty("input_class").GetString() ?? "input_1";
+
+                if (Graph.Nodes.TryGetValue(outputId, out var sourceNode) &&
+                    Graph.Nodes.TryGetValue(inputId, out var targetNode))
+                {
+                    sourceNode.AddOutputConnection(GetOutputPortName(sourceNode, outputClass), targetNode);
+                    if (!targetNode.InputNodes.Contains(sourceNode))
+                    {
+                        targetNode.InputNodes.Add(sourceNode);
+                    }
+
+                    await PublishConnectionAsync(CollaborationOperation.ConnectionAdded, outputId, outputClass, inputId, inputClass).ConfigureAwait(false);
+                }
+            }
+        }
+
+        // Their connections go with them; neither is in the Graph, so the removal events change nothing there
+        foreach (var drawflowNodeId in unrestored)
+        {
+            await CallVoidAsync("removeNodeId", $"node-{drawflowNodeId}").ConfigureAwait(false);
+        }
+
+        OnAttachNodeEventHandlers?.Invoke();
+    }
+
+    /// <summary>
+    /// Map a Drawflow output class ("output_1", "output_2", ...) to the node's declared port name.
+    /// </summary>
+    private static string GetOutputPortName(Node node, string outputClass)
+    {
+        if (node.DeclaredOutputPorts is { Count: > 0 } ports)
+        {
+            var underscoreIndex = outputClass.LastIndexOf('_');
+            if (underscoreIndex >= 0 &&
+                int.TryParse(outputClass[(underscoreIndex + 1)..], out var portIndex) &&
+                portIndex > 0 && portIndex <= ports.Count)
+            {
+                return ports[portIndex - 1];
+            }
+        }
+
+        return "default";
+    }
+
+    /// <summary>Subscribe to an event name (e.g., "nodeCreated").</summary>
+    public async Task OnAsync(string eventName)
+        => await JS.InvokeVoidAsync("DrawflowBlazor.on", ElementId, eventName).ConfigureAwait(false);
+
+    /// <summary>Unsubscribe from an event name.</summary>
+    public async Task OffAsync(string eventName)
+        => await JS.InvokeVoidAsync("DrawflowBlazor.off", ElementId, eventName).ConfigureAwait(false);
+
+    /// <summary>Call any Drawflow method dynamically (best-coverage path).</summary>
+    public async Task<T?> CallAsync<T>(string methodName, params object[] args)
+        => await JS.InvokeAsync<T?>("DrawflowBlazor.call", ElementId, methodName, args).ConfigureAwait(false);
+
+    public async Task<object?> CallAsync(string methodName, params object[] args)
+        => await JS.InvokeAsync<object?>("DrawflowBlazor.call", ElementId, methodName, args).ConfigureAwait(false);
+
+    public BlazorWorkflow.Flow.DrawflowEditorInterop? Editor { get; set; }
+    ValueTask CallVoidAsync(string method, params object?[] args)
+    => JS.InvokeVoidAsync("DrawflowBlazor.call", ElementId, method, args);
+
+    /// <summary>Get an arbitrary property on the editor.</summary>
+    public async Task<T?> GetAsync<T>(string propName)
+        => await JS.InvokeAsync<T?>("DrawflowBlazor.get", ElementId, propName).ConfigureAwait(false);
+
+    /// <summary>Set an arbitrary property on the editor.</summary>
+    public async Task SetAsync(string propName, object? value)
+        => await JS.InvokeVoidAsync("DrawflowBlazor.set", ElementId, propName, value).ConfigureAwait(false);
+    public Graph GenerateGraphV2(DrawflowGraph graph)
+    {
+        var concurrentNodeDict = new ConcurrentDictionary<string, Node>();
+
+        // Ensure every node in every module gets materialized
+        foreach (var (id, dfNode) in graph.Nodes)
+        {
+            _ = GenerateNodeV2(graph, dfNode, concurrentNodeDict);
+        }
+
+        return new Graph
+        {
+            Nodes = concurrentNodeDict,
+            Frames = graph.Document.Pages.Values.SelectMany(p => p.Frames).ToList(),
+            Notes = graph.Document.Pages.Values.SelectMany(p => p.Notes).ToList()
+        };
+    }
+
+    public Node GenerateNodeV2(
+    DrawflowGraph graph,
+    DrawflowNode dfNode,
+    ConcurrentDictionary<string, Node>? createdNodes = null)
+    {
+        createdNodes ??= [];
+
+        var nodeKey = dfNode.Id.ToString();
 
         // Already created? just return it
         if (createdNodes.TryGetValue(nodeKey, out var existing))
@@ -542,6 +1048,7 @@ public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
         internalNode.DrawflowNodeId = nodeKey;
         internalNode.PosX = dfNode.PosX;
         internalNode.PosY = dfNode.PosY;
+        internalNode.Module = graph.GetModule(nodeKey);
 
         // Put it in the map *before* recursing to handle cycles
         createdNodes[nodeKey] = internalNode;
@@ -695,6 +1202,15 @@ public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
         }
     }
 
+    private void PushSnapshot(GraphSnapshot snapshot)
+    {
+        lock (_snapshotLock)
+        {
+            _undoStack.Add(snapshot);
+            _redoStack.Clear();
+        }
+    }
+
     /// <summary>
     /// Take a snapshot using the JS editor's export (authoritative for positions/connections).
     /// </summary>
@@ -720,7 +1236,7 @@ public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
 
             // Sync C# node positions from editor before creating snapshot data
             var parsed = DrawflowGraph.Parse(this, editorJson);
-            foreach (var (id, dfNode) in parsed.Page.Data)
+            foreach (var (id, dfNode) in parsed.Nodes)
             {
                 if (Graph.Nodes.TryGetValue(id, out var node))
                 {
@@ -845,7 +1361,7 @@ public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
 
             // Sync C# positions from editor
             var parsed = DrawflowGraph.Parse(this, editorJson);
-            foreach (var (id, dfNode) in parsed.Page.Data)
+            foreach (var (id, dfNode) in parsed.Nodes)
             {
                 if (Graph.Nodes.TryGetValue(id, out var node))
                 {
@@ -908,6 +1424,9 @@ public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
         // Import the Drawflow JSON from the snapshot
         await Editor.ImportAsync(snapshot.DrawflowJson).ConfigureAwait(false);
 
+        // The module on screen may not exist in the snapshot, in which case the canvas went back to Home
+        CurrentModule = await JS.InvokeAsync<string>("DrawflowBlazor.currentModule", ElementId).ConfigureAwait(false);
+
         // Wait for DOM to settle after import
         await JS.InvokeVoidAsync("nextFrame").ConfigureAwait(false);
 
@@ -921,11 +1440,56 @@ public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
         {
             Graph.Nodes[kvp.Key] = kvp.Value;
         }
+        Graph.Frames = newGraph.Frames;
+        Graph.Notes = newGraph.Notes;
 
         // Restore canvas position
         PosX = snapshot.CanvasPosX;
         PosY = snapshot.CanvasPosY;
 
+        // The import replaced every node element, so nothing is selected any more
+        SelectedNodeIds = Array.Empty<string>();
+
+        await LabelNodesAsync().ConfigureAwait(false);
+
+        // Reattach event handlers to all nodes
+        OnAttachNodeEventHandlers?.Invoke();
+    }
+
+    /// <summary>
+    /// Re-import the graph into the editor after a change made to the model rather than on the canvas.
+    /// Events raised by the re-import are not applied to the graph.
+    /// </summary>
+    private async Task ReloadEditorAsync()
+    {
+        if (Editor == null)
+        {
+            return;
+        }
+
+        var wasSuppressed = _suppressEvents;
+        _suppressEvents = true;
+        try
+        {
+            await Editor.ClearAsync().ConfigureAwait(false);
+            await JS.InvokeVoidAsync("nextFrame").ConfigureAwait(false);
+
+            await Editor.ImportAsync(DrawflowExporter.ExportToDrawflowJson(Graph)).ConfigureAwait(false);
+            await JS.InvokeVoidAsync("nextFrame").ConfigureAwait(false);
+
+            SelectedNodeIds = Array.Empty<string>();
+            await LabelNodesAsync().ConfigureAwait(false);
+            OnAttachNodeEventHandlers?.Invoke();
+        }
+        finally
+        {
+            _suppressEvents = wasSuppressed;
+        }
+    }
+
+    // Port labels and title widths are not part of the Drawflow JSON, so every import re-applies them
+    private async Task LabelNodesAsync()
+    {
         // Re-apply port labels for nodes with multiple outputs
         foreach (var node in Graph.Nodes.Select(x => x.Value))
         {
@@ -941,9 +1505,6 @@ public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
 
         // Update connection positions
         await JS.InvokeVoidAsync("DrawflowBlazor.updateConnectionNodes", Id).ConfigureAwait(false);
-
-        // Reattach event handlers to all nodes
-        OnAttachNodeEventHandlers?.Invoke();
     }
 
     /// <summary>
@@ -962,24 +1523,931 @@ public partial class WorkflowGraph : ComponentBase, IAsyncDisposable
         _preMovementSnapshot = null;
     }
 
-    /// <summary>Destroy the editor instance.</summary>
-    public async ValueTask DisposeAsync()
+    // ==========================================
+    // CLIPBOARD (copy / cut / paste / duplicate)
+    // ==========================================
+
+    /// <summary>
+    /// Copy nodes (default: the current selection) to the clipboard.
+    /// Returns the clipboard JSON, which also pastes into other open workflows.
+    /// </summary>
+    public async Task<string?> CopyNodesAsync(IEnumerable<string>? nodeIds = null)
+        => await JS.InvokeAsync<string?>("DrawflowBlazor.copyNodes", ElementId, nodeIds?.ToArray()).ConfigureAwait(false);
+
+    /// <summary>Copy nodes (default: the current selection) to the clipboard and remove them as one undo step.</summary>
+    public async Task<string?> CutNodesAsync(IEnumerable<string>? nodeIds = null)
+        => await JS.InvokeAsync<string?>("DrawflowBlazor.cutNodes", ElementId, nodeIds?.ToArray()).ConfigureAwait(false);
+
+    /// <summary>
+    /// Paste clipboard JSON (default: the last copy) at the cursor, or at canvas position (x, y) when given.
+    /// Returns the Drawflow ids of the pasted nodes.
+    /// </summary>
+    public async Task<string[]?> PasteNodesAsync(string? clipboardJson = null, double? x = null, double? y = null)
+        => await JS.InvokeAsync<string[]?>("DrawflowBlazor.pasteNodes", ElementId, clipboardJson, x, y).ConfigureAwait(false);
+
+    /// <summary>Duplicate nodes (default: the current selection) next to the originals without touching the clipboard.</summary>
+    public async Task<string[]?> DuplicateNodesAsync(IEnumerable<string>? nodeIds = null)
+        => await JS.InvokeAsync<string[]?>("DrawflowBlazor.duplicateNodes", ElementId, nodeIds?.ToArray()).ConfigureAwait(false);
+
+    /// <summary>
+    /// Serialized node definitions for the clipboard payload, keyed by Drawflow node id.
+    /// </summary>
+    [JSInvokable]
+    public Dictionary<string, string> GetNodeClipboardData(string[] nodeIds)
     {
-        try
+        var result = new Dictionary<string, string>();
+        foreach (var nodeId in nodeIds)
         {
-            // Dispose snapshot timer
-            _snapshotTimer?.Dispose();
-
-            if (JS is not null && _created)
+            if (Graph.Nodes.TryGetValue(nodeId, out var node))
             {
-                 await JS.InvokeVoidAsync("DrawflowBlazor.destroy", ElementId).ConfigureAwait(false);
-                 await JS.InvokeVoidAsync("removeUndoRedoKeyboard", ElementId).ConfigureAwait(false);
+                result[nodeId] = DrawflowExporter.SerializeNode(node);
             }
         }
-        catch { /* ignore */ }
-        finally
+
+        return result;
+    }
+
+    // ==========================================
+    // SELECTION
+    // ==========================================
+
+    /// <summary>Select the given nodes, replacing the current selection.</summary>
+    public async Task SelectNodesAsync(IEnumerable<string> nodeIds)
+        => await JS.InvokeAsync<string[]>("DrawflowBlazor.selectNodes", ElementId, nodeIds.ToArray()).ConfigureAwait(false);
+
+    /// <summary>Clear the node selection.</summary>
+    public async Task ClearSelectionAsync()
+        => await JS.InvokeAsync<string[]>("DrawflowBlazor.clearSelection", ElementId).ConfigureAwait(false);
+
+    // ==========================================
+    // LAYOUT
+    // ==========================================
+
+    /// <summary>
+    /// Arrange nodes in left-to-right layers following their connections (default: the whole module,
+    /// otherwise only <paramref name="nodeIds"/>). The nodes animate into place and the move is one undo step.
+    /// </summary>
+    public async Task AutoLayoutAsync(IEnumerable<string>? nodeIds = null)
+        => await JS.InvokeVoidAsync("DrawflowBlazor.autoLayout", ElementId, nodeIds?.ToArray()).ConfigureAwait(false);
+
+    /// <summary>
+    /// Zoom and pan so every node (or only <paramref name="nodeIds"/>) is visible. Never zooms in past 100%.
+    /// </summary>
+    public async Task FitToViewAsync(IEnumerable<string>? nodeIds = null)
+        => await JS.InvokeAsync<bool>("DrawflowBlazor.fitToView", ElementId, nodeIds?.ToArray()).ConfigureAwait(false);
+
+    /// <summary>
+    /// Align nodes (default: the Ctrl+click selection) on a shared edge or centre line, as one undo step.
+    /// </summary>
+    public async Task AlignNodesAsync(NodeAlignment alignment, IEnumerable<string>? nodeIds = null)
+        => await JS.InvokeAsync<string[]>("DrawflowBlazor.alignNodes", ElementId, alignment.ToString().ToLowerInvariant(), nodeIds?.ToArray()).ConfigureAwait(false);
+
+    /// <summary>
+    /// Space nodes (default: the selection, at least three) evenly between the outermost two, as one undo step.
+    /// </summary>
+    public async Task DistributeNodesAsync(DistributeAxis axis, IEnumerable<string>? nodeIds = null)
+        => await JS.InvokeAsync<string[]>("DrawflowBlazor.distributeNodes", ElementId, axis.ToString().ToLowerInvariant(), nodeIds?.ToArray()).ConfigureAwait(false);
+
+    /// <summary>
+    /// Set the snap grid size in canvas pixels (0 disables). Can also be set up front with <c>Options["grid"]</c>.
+    /// </summary>
+    public async Task SetGridAsync(int size)
+        => await JS.InvokeAsync<int>("DrawflowBlazor.setGrid", ElementId, size).ConfigureAwait(false);
+
+    /// <summary>Turn alignment guides during node drags on or off (on by default; <c>Options["guides"] = false</c> disables).</summary>
+    public async Task SetAlignmentGuidesAsync(bool enabled)
+        => await JS.InvokeAsync<bool>("DrawflowBlazor.setGuides", ElementId, enabled).ConfigureAwait(false);
+
+    /// <summary>
+    /// Switch how connections are drawn: "bezier" (default), "orthogonal" (routes around nodes) or "straight",
+    /// or any style added in JS via <c>DrawflowBlazor.registerRouting</c>. Can also be set with <c>Options["routing"]</c>.
+    /// </summary>
+    public async Task SetConnectionRoutingAsync(string routing)
+        => await JS.InvokeAsync<string>("DrawflowBlazor.setRouting", ElementId, routing).ConfigureAwait(false);
+
+    /// <summary>
+    /// Turn connection type checking on or off (on by default; <c>Options["typeCheck"] = false</c> disables).
+    /// When on, dragged connections highlight compatible inputs and drops on incompatible ones are rejected.
+    /// </summary>
+    public async Task SetTypeCheckingAsync(bool enabled)
+        => await JS.InvokeAsync<bool>("DrawflowBlazor.setTypeChecking", ElementId, enabled).ConfigureAwait(false);
+
+    /// <summary>
+    /// Replace the port types the canvas checks a node's connections against, e.g. while its input mappings are
+    /// edited. Returns false when the node is no longer on the canvas.
+    /// </summary>
+    public async Task<bool> SetPortTypesAsync(string drawflowNodeId, NodePortTypes portTypes)
+        => await JS.InvokeAsync<bool>("DrawflowBlazor.setPortTypes", ElementId, drawflowNodeId, portTypes).ConfigureAwait(false);
+
+    // ==========================================
+    // IMAGE EXPORT
+    // ==========================================
+
+    /// <summary>
+    /// Render the current module as a standalone SVG document (styles and theme variables inlined).
+    /// Pass <paramref name="background"/> = "transparent" to omit the canvas background.
+    /// </summary>
+    public async Task<string> ExportSvgAsync(string? background = null)
+        => await JS.InvokeAsync<string>("DrawflowBlazor.exportSvg", ElementId, new { background }).ConfigureAwait(false);
+
+    /// <summary>Render the current module as a PNG image at the given pixel scale.</summary>
+    public async Task<byte[]> ExportPngAsync(double scale = 2, string? background = null)
+    {
+        var dataUrl = await JS.InvokeAsync<string>("DrawflowBlazor.exportPng", ElementId, new { scale, background }).ConfigureAwait(false);
+        var commaIndex = dataUrl.IndexOf(',');
+        return Convert.FromBase64String(commaIndex >= 0 ? dataUrl[(commaIndex + 1)..] : dataUrl);
+    }
+
+    // ==========================================
+    // CONTEXT MENU
+    // ==========================================
+
+    // Items the canvas menu provides itself; custom items may not reuse these ids
+    private static readonly HashSet<string> BuiltInContextMenuItemIds =
+        ["edit", "duplicate", "delete", "disable", "copyId", "groupInFrame", "addNote", "collapseToSubWorkflow", "deleteConnection", "insertNode", "addNode", "addFrame", "fitToView"];
+
+    private readonly List<ContextMenuItem> _contextMenuItems = new();
+
+    // Handles the built-in items that need the component UI (edit, addNode, insertNode); set from .razor file
+    protected Func<string, ContextMenuContext, Task>? OnBuiltInContextMenuItem { get; set; }
+
+    /// <summary>Custom entries shown below the built-in ones in the canvas context menu.</summary>
+    public IReadOnlyList<ContextMenuItem> ContextMenuItems => _contextMenuItems;
+
+    /// <summary>
+    /// Add an entry to the right-click menu of nodes, connections or the empty canvas (see <see cref="ContextMenuItem.Target"/>).
+    /// Selecting it calls <see cref="ContextMenuItem.OnSelected"/> with where the menu was opened.
+    /// An item with the same id is replaced.
+    /// </summary>
+    public async Task AddContextMenuItemAsync(ContextMenuItem item)
+    {
+        if (BuiltInContextMenuItemIds.Contains(item.Id))
+            throw new ArgumentException($"'{item.Id}' is a built-in context menu item id.", nameof(item));
+
+        _contextMenuItems.RemoveAll(x => x.Id == item.Id);
+        _contextMenuItems.Add(item);
+        await SyncContextMenuItemsAsync().ConfigureAwait(false);
+    }
+
+    /// <summary>Remove a custom context menu entry. Returns false when no entry has that id.</summary>
+    public async Task<bool> RemoveContextMenuItemAsync(string id)
+    {
+        if (_contextMenuItems.RemoveAll(x => x.Id == id) == 0)
+            return false;
+
+        await SyncContextMenuItemsAsync().ConfigureAwait(false);
+        return true;
+    }
+
+    private async Task SyncContextMenuItemsAsync()
+    {
+        // Items added before the editor exists are sent once it has been created
+        if (!_created)
+            return;
+
+        await JS.InvokeAsync<int>("DrawflowBlazor.setContextMenuItems", ElementId, _contextMenuItems).ConfigureAwait(false);
+    }
+
+    [JSInvokable]
+    public async Task OnContextMenuItem(string itemId, ContextMenuContext context)
+    {
+        if (BuiltInContextMenuItemIds.Contains(itemId))
         {
-            _selfRef?.Dispose();
-        }
+            if (OnBuiltInContextMenuItem != null)
+            {
+                await InvokeAsync(() => OnBuiltInContextMenuItem(itemId, context)).ConfigureAwait(false);
+            }
+            return;
+        }
+
+        var item = _contextMenuItems.FirstOrDefault(x => x.Id == itemId);
+        if (item?.OnSelected != null)
+        {
+            await InvokeAsync(() => item.OnSelected(context)).ConfigureAwait(false);
+        }
+    }
+
+    // ==========================================
+    // GROUP FRAMES
+    // ==========================================
+
+    /// <summary>
+    /// Add a titled, colored frame around <paramref name="nodeIds"/> (default: the selection; an empty frame in the
+    /// middle of the view when nothing is selected). Returns the new frame's id. The change is one undo step.
+    /// </summary>
+    public async Task<string> AddFrameAsync(string? title = null, string? color = null, IEnumerable<string>? nodeIds = null)
+        => await JS.InvokeAsync<string>("DrawflowBlazor.addFrame", ElementId, new { title, color, nodeIds = nodeIds?.ToArray() }).ConfigureAwait(false);
+
+    /// <summary>Remove a frame; its nodes stay where they are. Returns false when no frame has that id.</summary>
+    public async Task<bool> RemoveFrameAsync(string frameId)
+        => await JS.InvokeAsync<bool>("DrawflowBlazor.removeFrame", ElementId, frameId).ConfigureAwait(false);
+
+    /// <summary>
+    /// Rename, recolor, collapse or expand a frame; null arguments are left unchanged.
+    /// Returns false when no frame has that id.
+    /// </summary>
+    public async Task<bool> UpdateFrameAsync(string frameId, string? title = null, string? color = null, bool? collapsed = null)
+        => await JS.InvokeAsync<bool>("DrawflowBlazor.updateFrame", ElementId, frameId, new { title, color, collapsed }).ConfigureAwait(false);
+
+    // ==========================================
+    // NOTES
+    // ==========================================
+
+    /// <summary>
+    /// Add a markdown note with its top-left corner at canvas position (<paramref name="x"/>, <paramref name="y"/>)
+    /// (default: centred in the view), or next to <paramref name="pinnedNodeId"/> so it moves with that node.
+    /// Returns the new note's id. The change is one undo step.
+    /// </summary>
+    public async Task<string> AddNoteAsync(string text = "", double? x = null, double? y = null, string? color = null, string? pinnedNodeId = null)
+        => await JS.InvokeAsync<string>("DrawflowBlazor.addNote", ElementId, new { text, x, y, color, node = pinnedNodeId }).ConfigureAwait(false);
+
+    /// <summary>Remove a note. Returns false when no note has that id.</summary>
+    public async Task<bool> RemoveNoteAsync(string noteId)
+        => await JS.InvokeAsync<bool>("DrawflowBlazor.removeNote", ElementId, noteId).ConfigureAwait(false);
+
+    /// <summary>Change a note's markdown or color; null arguments are left unchanged. Returns false when no note has that id.</summary>
+    public async Task<bool> UpdateNoteAsync(string noteId, string? text = null, string? color = null)
+        => await JS.InvokeAsync<bool>("DrawflowBlazor.updateNote", ElementId, noteId, new { text, color }).ConfigureAwait(false);
+
+    // ==========================================
+    // MODULES (SUB-WORKFLOWS)
+    // ==========================================
+
+    /// <summary>The Drawflow module on the canvas: <c>"Home"</c>, or the body of the sub-workflow drilled into.</summary>
+    public string CurrentModule { get; private set; } = SubWorkflowHelpers.HomeModule;
+
+    /// <summary>
+    /// Show another module, for example one from <see cref="SubWorkflowHelpers.GetModules"/>.
+    /// Each module keeps its own pan and zoom. Returns false when the module does not exist.
+    /// </summary>
+    public async Task<bool> OpenModuleAsync(string module)
+        => await JS.InvokeAsync<bool>("DrawflowBlazor.openModule", ElementId, module).ConfigureAwait(false);
+
+    /// <summary>Drill into a sub-workflow node's body, as double-clicking it does. Returns false for other nodes.</summary>
+    public async Task<bool> OpenSubWorkflowAsync(string nodeId)
+        => await JS.InvokeAsync<bool>("DrawflowBlazor.openSubWorkflow", ElementId, nodeId).ConfigureAwait(false);
+
+    /// <summary>
+    /// Move nodes (default: the selection) into a new module behind a sub-workflow node, keeping the workflow's
+    /// behaviour: connections crossing the selection's edge now go through an input node and output nodes inside,
+    /// and a port on the sub-workflow node per output node. Start nodes are left out.
+    /// Returns the sub-workflow node's id. The change is one undo step.
+    /// </summary>
+    /// <exception cref="ArgumentException">No node other than Start was given, or the nodes are in different modules.</exception>
+    public async Task<string> CollapseToSubWorkflowAsync(IEnumerable<string>? nodeIds = null, string? name = null)
+    {
+        var ids = (nodeIds ?? SelectedNodeIds).ToList();
+
+        // Editor positions, so the sub-workflow node lands where the selection is now
+        var before = await CreateSnapshotFromEditorAsync().ConfigureAwait(false)
+                     ?? GraphSnapshot.Create(Graph, PosX, PosY);
+
+        var parent = SubWorkflowHelpers.CollapseToSubWorkflow(Graph, ids, name);
+        PushSnapshot(before);
+
+        await ReloadEditorAsync().ConfigureAwait(false);
+        await TriggerSaveAsync().ConfigureAwait(false);
+
+        return parent.DrawflowNodeId;
+    }
+
+    // ==========================================
+    // SEARCH
+    // ==========================================
+
+    /// <summary>
+    /// Open the canvas search (also opened with Ctrl+F) with <paramref name="query"/>, highlight every matching node
+    /// and zoom to the first. Titles, type ids, port labels and parameter values are matched against the graph data,
+    /// so nodes inside collapsed frames are found too. Returns the matching node ids in canvas order.
+    /// </summary>
+    public async Task<IReadOnlyList<string>> SearchNodesAsync(string query)
+        => await JS.InvokeAsync<List<string>>("DrawflowBlazor.searchNodes", ElementId, query).ConfigureAwait(false);
+
+    /// <summary>Close the canvas search and clear its highlights. Returns false when it was not open.</summary>
+    public async Task<bool> CloseSearchAsync()
+        => await JS.InvokeAsync<bool>("DrawflowBlazor.closeSearch", ElementId).ConfigureAwait(false);
+
+    // ==========================================
+    // KEYBOARD SHORTCUTS
+    // ==========================================
+
+    /// <summary>Every shortcut action with the keys it is bound to right now.</summary>
+    public async Task<IReadOnlyList<KeyboardShortcut>> GetShortcutsAsync()
+        => await JS.InvokeAsync<List<KeyboardShortcut>>("BlazorWorkflowShortcuts.getBindings").ConfigureAwait(false);
+
+    /// <summary>
+    /// Rebind <paramref name="action"/> for the current user; the binding is kept in the browser's localStorage.
+    /// Pass null to go back to the default, or an empty list to unbind it. Returns the keys now in effect.
+    /// </summary>
+    public async Task<IReadOnlyList<string>> SetShortcutAsync(string action, IEnumerable<string>? keys)
+        => await JS.InvokeAsync<List<string>>("BlazorWorkflowShortcuts.setUserBinding", action, keys?.ToArray()).ConfigureAwait(false);
+
+    /// <summary>Drop every binding the user set, going back to the host's and built-in defaults.</summary>
+    public async Task ResetShortcutsAsync()
+        => await JS.InvokeVoidAsync("BlazorWorkflowShortcuts.resetUserBindings").ConfigureAwait(false);
+
+    /// <summary>Open the overlay listing the active bindings (also opened with "?" on the canvas).</summary>
+    public async Task ShowShortcutsAsync()
+        => await JS.InvokeVoidAsync("BlazorWorkflowShortcuts.toggleCheatSheet", true).ConfigureAwait(false);
+
+    // ==========================================
+    // THEMES
+    // ==========================================
+
+    [Inject] public WorkflowThemeOptions ThemeOptions { get; set; } = default!;
+
+    /// <summary>
+    /// This canvas's own theme: a <see cref="WorkflowThemes"/> name, a host or imported theme, or "system".
+    /// If null, the canvas follows the default theme.
+    /// </summary>
+    [Parameter] public string? Theme { get; set; }
+
+    private string? _themeParameter;
+    private IJSObjectReference? _themes;
+    private IJSObjectReference? _canvasTheme;
+
+    // The registry is shared with the rest of the page, so it is there even while this canvas isn't themed
+    private async Task<IJSObjectReference> ThemesAsync()
+        => _themes ??= await JsModules.ImportAsync(JS, JsModules.Themes).ConfigureAwait(false);
+
+    private async Task<T> InvokeThemesAsync<T>(string identifier, params object?[] args)
+    {
+        var themes = await ThemesAsync().ConfigureAwait(false);
+        return await themes.InvokeAsync<T>(identifier, args).ConfigureAwait(false);
+    }
+
+    protected override async Task OnParametersSetAsync()
+    {
+        // Only a changed parameter is applied, so a theme set through SetThemeAsync survives re-renders
+        if (_created && ThemeOptions.Enabled && Theme != _themeParameter)
+        {
+            _themeParameter = Theme;
+            await SetThemeAsync(Theme).ConfigureAwait(false);
+        }
+    }
+
+    /// <summary>
+    /// Give this canvas its own theme, or null to follow the default. Returns the theme now shown, or null while
+    /// <see cref="WorkflowThemeOptions.Enabled"/> is off.
+    /// </summary>
+    public async Task<string?> SetThemeAsync(string? theme)
+        => _canvasTheme is null ? null : await _canvasTheme.InvokeAsync<string?>("set", theme).ConfigureAwait(false);
+
+    /// <summary>
+    /// Set the current user's default theme, used by every canvas without its own; it is kept in the browser's localStorage.
+    /// Pass null to go back to <see cref="WorkflowThemeOptions.Default"/>. Returns the theme now shown by default.
+    /// </summary>
+    public async Task<string?> SetDefaultThemeAsync(string? theme)
+        => await InvokeThemesAsync<string?>("setDefault", theme).ConfigureAwait(false);
+
+    /// <summary>Built-in, host and imported themes, with every token filled in.</summary>
+    public async Task<IReadOnlyList<WorkflowTheme>> GetThemesAsync()
+        => await InvokeThemesAsync<List<WorkflowTheme>>("getThemes").ConfigureAwait(false);
+
+    /// <summary>
+    /// Add a theme from JSON, as written by <see cref="ExportThemeAsync"/>, and keep it in the browser's localStorage.
+    /// Returns its name. Throws a <see cref="JSException"/> when the JSON is not a valid theme.
+    /// </summary>
+    public async Task<string> ImportThemeAsync(string json)
+        => await InvokeThemesAsync<string>("importTheme", json).ConfigureAwait(false);
+
+    /// <summary>A theme as JSON, with every token filled in, ready to be edited and imported again.</summary>
+    public async Task<string> ExportThemeAsync(string name)
+        => await InvokeThemesAsync<string>("exportTheme", name).ConfigureAwait(false);
+
+    /// <summary>Remove an imported theme. Returns false for built-in and host themes.</summary>
+    public async Task<bool> RemoveThemeAsync(string name)
+        => await InvokeThemesAsync<bool>("removeTheme", name).ConfigureAwait(false);
+
+    // ==========================================
+    // VIRTUALIZATION
+    // ==========================================
+
+    /// <summary>
+    /// Turn viewport virtualization on or off for large workflows: nodes and connections more than
+    /// <paramref name="margin"/> screen pixels outside the view are taken out of the DOM and put back as the view
+    /// reaches them. Run status updates for those nodes are kept and shown when they come back.
+    /// Only canvases with <see cref="CanvasFeatureOptions.Virtualization"/> on (or <c>Options["virtualize"]</c> set, with
+    /// margin in an object) can be virtualized; elsewhere this returns false.
+    /// </summary>
+    public async Task<bool> SetVirtualizationAsync(bool enabled, int? margin = null)
+        => await JS.InvokeAsync<bool>("DrawflowBlazor.setVirtualization", ElementId, enabled, new { margin }).ConfigureAwait(false);
+
+    // ==========================================
+    // COLLABORATION
+    // ==========================================
+
+    [Inject] public CollaborationOptions CollaborationOptions { get; set; } = default!;
+    [Inject] public IServiceProvider ServiceProvider { get; set; } = default!;
+    [Inject] public NavigationManager Navigation { get; set; } = default!;
+
+    /// <summary>
+    /// Id shared by everyone editing the same workflow. When set and <see cref="CollaborationOptions.Enabled"/> is on,
+    /// node adds, moves and removals, connection changes and param edits are exchanged with the others live, and
+    /// their cursors and selections are shown. <see cref="Graph"/> must be this canvas's own copy of the workflow.
+    /// </summary>
+    [Parameter] public string? CollaborationId { get; set; }
+
+    /// <summary>Name shown to the other collaborators beside this user's cursor.</summary>
+    [Parameter] public string? CollaboratorName { get; set; }
+
+    // Remote edits to nodes whose add hasn't arrived yet
+    private const int MaxDeferredOperations = 500;
+    private readonly List<CollaborationOperation> _deferredOperations = new();
+    private ICollaborationTransport? _collaborationTransport;
+    private CollaborationSession? _collaboration;
+    private IJSObjectReference? _collaborationModule;
+    private IJSObjectReference? _collaborationCanvas;
+    private double? _cursorX;
+    private double? _cursorY;
+
+    /// <summary>The collaboration session this canvas is part of, or null when it is not shared.</summary>
+    public CollaborationSession? Collaboration => _collaboration;
+
+    private async Task StartCollaborationAsync()
+    {
+        if (!CollaborationOptions.Enabled || string.IsNullOrEmpty(CollaborationId) || _collaboration is not null)
+            return;
+
+        // Relative to the app's base URI, like the rest of the app's URLs
+        _collaborationTransport = CollaborationOptions.TransportFactory?.Invoke(ServiceProvider)
+            ?? new SignalRCollaborationTransport(Navigation.ToAbsoluteUri(CollaborationOptions.HubPath.TrimStart('/')));
+
+        // The canvas side is ready before the first remote edit can arrive
+        _collaborationModule = await JsModules.ImportAsync(JS, JsModules.Collaboration).ConfigureAwait(false);
+        _collaborationCanvas = await _collaborationModule.InvokeAsync<IJSObjectReference>("createCollaboration", ElementId, _selfRef).ConfigureAwait(false);
+
+        var session = new CollaborationSession(_collaborationTransport, CollaborationId, CollaboratorName);
+        session.OperationReceived += operation => InvokeAsync(() => ApplyRemoteOperationAsync(operation));
+        session.CollaboratorChanged += _ => InvokeAsync(RenderCollaboratorsAsync);
+        session.CollaboratorLeft += _ => InvokeAsync(RenderCollaboratorsAsync);
+
+        try
+        {
+            await session.StartAsync().ConfigureAwait(false);
+        }
+        catch (Exception ex)
+        {
+            // The canvas still works on its own
+            System.Diagnostics.Debug.WriteLine($"[Collaboration] Failed to join {CollaborationId}: {ex.Message}");
+            await session.DisposeAsync().ConfigureAwait(false);
+            await _collaborationTransport.DisposeAsync().ConfigureAwait(false);
+            _collaborationTransport = null;
+            await JsModules.DisposeInstanceAsync(_collaborationCanvas).ConfigureAwait(false);
+            _collaborationCanvas = null;
+            return;
+        }
+
+        _collaboration = session;
+    }
+
+    /// <summary>Edits made on this canvas, captured by collaboration.js with nodes named by their <see cref="Node.Id"/>.</summary>
+    [JSInvokable]
+    public async Task OnCollaborationOperations(CollaborationOperation[] operations)
+    {
+        foreach (var operation in operations)
+        {
+            await PublishCollaborationAsync(operation).ConfigureAwait(false);
+        }
+    }
+
+    /// <summary>The pointer moved over the canvas (canvas coordinates), or left it (null).</summary>
+    [JSInvokable]
+    public async Task OnCollaborationCursor(double? x, double? y)
+    {
+        _cursorX = x;
+        _cursorY = y;
+        await PublishPresenceAsync().ConfigureAwait(false);
+    }
+
+    private async Task PublishCollaborationAsync(CollaborationOperation operation)
+    {
+        if (_collaboration is null)
+            return;
+
+        try
+        {
+            await _collaboration.PublishAsync(operation).ConfigureAwait(false);
+        }
+        catch (Exception ex)
+        {
+            System.Diagnostics.Debug.WriteLine($"[Collaboration] Failed to send {operation.Kind}: {ex.Message}");
+        }
+    }
+
+    private async Task PublishPresenceAsync()
+    {
+        if (_collaboration is null)
+            return;
+
+        var selection = SelectedNodeIds
+            .Select(id => Graph.Nodes.TryGetValue(id, out var node) ? node.Id : null)
+            .OfType<string>();
+
+        try
+        {
+            await _collaboration.UpdatePresenceAsync(_cursorX, _cursorY, selection, CurrentModule).ConfigureAwait(false);
+        }
+        catch (Exception ex)
+        {
+            System.Diagnostics.Debug.WriteLine($"[Collaboration] Failed to send presence: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Tell the other collaborators about a node created on this canvas. The interop layer captures every other
+    /// edit itself, but only .NET holds node definitions.
+    /// </summary>
+    protected Task PublishNodeAddedAsync(Node node)
+        => PublishCollaborationAsync(new CollaborationOperation
+        {
+            Kind = CollaborationOperation.NodeAdded,
+            Node = node.Id,
+            X = node.PosX,
+            Y = node.PosY,
+            Module = node.Module,
+            Definition = DrawflowExporter.SerializeNode(node)
+        });
+
+    // Connections made without a canvas event (paste, a splice from .NET) are published here
+    private Task PublishConnectionAsync(string kind, string outputId, string outputClass, string inputId, string inputClass)
+    {
+        if (!Graph.Nodes.TryGetValue(outputId, out var source) || !Graph.Nodes.TryGetValue(inputId, out var target))
+            return Task.CompletedTask;
+
+        return PublishCollaborationAsync(new CollaborationOperation
+        {
+            Kind = kind,
+            Connection = new CollaborationConnection
+            {
+                Output = source.Id,
+                OutputClass = outputClass,
+                Input = target.Id,
+                InputClass = inputClass
+            }
+        });
+    }
+
+    private Node? FindNodeByKey(string? key)
+        => key is null ? null : Graph.Nodes.Values.FirstOrDefault(n => n.Id == key);
+
+    // Runs on the renderer's sync context, one remote edit at a time
+    private async Task ApplyRemoteOperationAsync(CollaborationOperation operation)
+    {
+        try
+        {
+            if (!await TryApplyRemoteOperationAsync(operation).ConfigureAwait(false))
+            {
+                if (_deferredOperations.Count >= MaxDeferredOperations)
+                    _deferredOperations.RemoveAt(0);
+                _deferredOperations.Add(operation);
+                return;
+            }
+
+            if (operation.Kind == CollaborationOperation.NodeAdded && _deferredOperations.Count > 0)
+            {
+                var deferred = _deferredOperations.ToList();
+                _deferredOperations.Clear();
+                foreach (var waiting in deferred)
+                {
+                    await ApplyRemoteOperationAsync(waiting).ConfigureAwait(false);
+                }
+            }
+        }
+        catch (Exception ex)
+        {
+            System.Diagnostics.Debug.WriteLine($"[Collaboration] Failed to apply {operation.Kind}: {ex.Message}");
+        }
+    }
+
+    // Updates the Graph directly, without snapshots: other people's edits are not this user's to undo.
+    // False when the operation names a node this canvas doesn't have yet.
+    private async Task<bool> TryApplyRemoteOperationAsync(CollaborationOperation operation)
+    {
+        switch (operation.Kind)
+        {
+            case CollaborationOperation.NodeAdded:
+                await AddRemoteNodeAsync(operation).ConfigureAwait(false);
+                return true;
+
+            case CollaborationOperation.NodeRemoved:
+                // A node never added here can't come later: its add now loses to the removal
+                if (FindNodeByKey(operation.Node) is { } removed)
+                {
+                    RemoveNodeFromGraph(removed.DrawflowNodeId);
+                    await ApplyOnCanvasAsync(new { kind = operation.Kind, id = removed.DrawflowNodeId }).ConfigureAwait(false);
+                }
+                return true;
+
+            case CollaborationOperation.NodeMoved:
+                if (FindNodeByKey(operation.Node) is not { } moved)
+                    return false;
+
+                moved.PosX = operation.X ?? moved.PosX;
+                moved.PosY = operation.Y ?? moved.PosY;
+                await ApplyOnCanvasAsync(new { kind = operation.Kind, id = moved.DrawflowNodeId, x = moved.PosX, y = moved.PosY }).ConfigureAwait(false);
+                return true;
+
+            case CollaborationOperation.ParamChanged:
+                // Bound params live in the node's Drawflow data only, as they do for local edits
+                if (FindNodeByKey(operation.Node) is not { } edited)
+                    return false;
+
+                await ApplyOnCanvasAsync(new { kind = operation.Kind, id = edited.DrawflowNodeId, path = operation.Path, value = operation.Value }).ConfigureAwait(false);
+                return true;
+
+            case CollaborationOperation.ConnectionAdded:
+            case CollaborationOperation.ConnectionRemoved:
+                if (operation.Connection is not { } connection)
+                    return true;
+                if (FindNodeByKey(connection.Output) is not { } source || FindNodeByKey(connection.Input) is not { } target)
+                    return false;
+
+                var portName = GetOutputPortName(source, connection.OutputClass);
+                if (operation.Kind == CollaborationOperation.ConnectionAdded)
+                    ConnectNodes(source, portName, target);
+                else
+                    DisconnectNodes(source, portName, target);
+
+                await ApplyOnCanvasAsync(new
+                {
+                    kind = operation.Kind,
+                    output_id = source.DrawflowNodeId,
+                    input_id = target.DrawflowNodeId,
+                    output_class = connection.OutputClass,
+                    input_class = connection.InputClass
+                }).ConfigureAwait(false);
+                return true;
+
+            default:
+                return true;
+        }
+    }
+
+    private async Task AddRemoteNodeAsync(CollaborationOperation operation)
+    {
+        if (operation.Node is null || operation.Definition is null || FindNodeByKey(operation.Node) is not null)
+            return;
+
+        Node? node;
+        try
+        {
+            node = JsonSerializer.Deserialize<Node>(operation.Definition, jsonSerializerOptions);
+        }
+        catch (Exception ex)
+        {
+            System.Diagnostics.Debug.WriteLine($"[Collaboration] Failed to restore added node: {ex.Message}");
+            return;
+        }
+
+        if (node is null)
+            return;
+
+        node.Id = operation.Node;
+        node.Module = operation.Module ?? SubWorkflowHelpers.HomeModule;
+        node.PosX = operation.X ?? node.PosX;
+        node.PosY = operation.Y ?? node.PosY;
+        node.DrawflowNodeId = string.Empty;
+
+        // Drawn from the same export as a loaded workflow, so it looks the same
+        var drawflow = DrawflowExporter.ExportToDrawflowJson([node]);
+        var ids = await ApplyOnCanvasAsync(new { kind = operation.Kind, module = node.Module, drawflow }).ConfigureAwait(false);
+        if (ids.FirstOrDefault() is not { Length: > 0 } drawflowNodeId)
+            return;
+
+        node.DrawflowNodeId = drawflowNodeId;
+        Graph.Nodes[drawflowNodeId] = node;
+        OnAttachNodeEventHandlers?.Invoke();
+    }
+
+    // The Graph already holds the edit, so a canvas that couldn't take it is redrawn from the Graph rather than
+    // left behind the other collaborators. Returns the id each added node got.
+    private async Task<string?[]> ApplyOnCanvasAsync(object operation)
+    {
+        if (_collaborationCanvas is null)
+            return Array.Empty<string?>();
+
+        var applied = await _collaborationCanvas.InvokeAsync<RemoteOperationsResult>("apply", new[] { operation }).ConfigureAwait(false);
+        if (applied.Errors.Length > 0)
+        {
+            System.Diagnostics.Debug.WriteLine($"[Collaboration] Redrawing the canvas after {string.Join("; ", applied.Errors)}");
+            await ReloadEditorAsync().ConfigureAwait(false);
+        }
+        return applied.Ids;
+    }
+
+    private sealed class RemoteOperationsResult
+    {
+        public string?[] Ids { get; set; } = Array.Empty<string?>();
+        public string[] Errors { get; set; } = Array.Empty<string>();
+    }
+
+    private async Task RenderCollaboratorsAsync()
+    {
+        if (_collaboration is null || _collaborationCanvas is null)
+            return;
+
+        var drawflowIds = new Dictionary<string, string>(StringComparer.Ordinal);
+        foreach (var node in Graph.Nodes.Values)
+        {
+            drawflowIds.TryAdd(node.Id, node.DrawflowNodeId);
+        }
+
+        var collaborators = _collaboration.Collaborators.Select(p => new
+        {
+            clientId = p.ClientId,
+            name = p.Name,
+            color = p.Color,
+            x = p.X,
+            y = p.Y,
+            module = p.Module,
+            selection = p.Selection.Select(key => drawflowIds.GetValueOrDefault(key)).OfType<string>().ToList()
+        }).ToList();
+
+        try
+        {
+            await _collaborationCanvas.InvokeVoidAsync("setCollaborators", collaborators).ConfigureAwait(false);
+        }
+        catch (Exception ex)
+        {
+            System.Diagnostics.Debug.WriteLine($"[Collaboration] Failed to show collaborators: {ex.Message}");
+        }
+    }
+
+    // ==========================================
+    // AUTOSAVE
+    // ==========================================
+
+    [Inject] public AutosaveOptions AutosaveOptions { get; set; } = default!;
+
+    /// <summary>
+    /// Key of this workflow's autosave journal, usually its id. When set and <see cref="AutosaveOptions.Enabled"/> is on,
+    /// the canvas is copied to the browser's IndexedDB shortly after each change. The host calls
+    /// <see cref="ClearAutosaveAsync"/> once the workflow is saved. Not used while the canvas is shared with collaborators.
+    /// </summary>
+    [Parameter] public string? AutosaveKey { get; set; }
+
+    /// <summary>When the workflow in <see cref="Graph"/> was saved. A newer journal that differs from it is offered back.</summary>
+    [Parameter] public DateTime? LastSavedAt { get; set; }
+
+    /// <summary>The journal offered back to the user, or null when there is none or it was restored or discarded.</summary>
+    public AutosaveRecovery? AutosaveRecovery { get; private set; }
+
+    private IJSObjectReference? _journalModule;
+    private IJSObjectReference? _journal;
+
+    private async Task StartAutosaveAsync()
+    {
+        if (!AutosaveOptions.Enabled || string.IsNullOrEmpty(AutosaveKey) || _collaboration is not null || !_created)
+            return;
+
+        var since = LastSavedAt is { } saved ? new DateTimeOffset(saved.ToUniversalTime()).ToUnixTimeMilliseconds() : 0;
+        try
+        {
+            _journalModule = await JsModules.ImportAsync(JS, JsModules.Journal).ConfigureAwait(false);
+            _journal = await _journalModule.InvokeAsync<IJSObjectReference>("createJournal", ElementId, AutosaveKey, new
+            {
+                delay = AutosaveOptions.DelayMs,
+                maxEntries = AutosaveOptions.MaxEntries,
+                maxBytes = AutosaveOptions.MaxBytes
+            }).ConfigureAwait(false);
+            AutosaveRecovery = await _journal.InvokeAsync<AutosaveRecovery?>("recover", since).ConfigureAwait(false);
+        }
+        catch (Exception ex)
+        {
+            System.Diagnostics.Debug.WriteLine($"[Autosave] Failed to start the journal: {ex.Message}");
+            return;
+        }
+
+        if (AutosaveRecovery is not null)
+        {
+            await InvokeAsync(StateHasChanged);
+        }
+    }
+
+    /// <summary>
+    /// Replace the canvas with the journal offered in <see cref="AutosaveRecovery"/>, restoring its zoom and position too.
+    /// The replaced canvas goes on the undo stack, and the restored one is saved. Returns false when there was nothing to restore.
+    /// </summary>
+    public async Task<bool> RestoreAutosaveAsync()
+    {
+        if (_journal is null)
+            return false;
+
+        var entry = await _journal.InvokeAsync<AutosaveEntry?>("take").ConfigureAwait(false);
+        AutosaveRecovery = null;
+        await InvokeAsync(StateHasChanged);
+        if (entry is null)
+            return false;
+
+        _isPerformingUndoRedo = true;
+        _suppressEvents = true;
+        try
+        {
+            var currentSnapshot = await CreateSnapshotFromEditorAsync().ConfigureAwait(false)
+                                  ?? GraphSnapshot.Create(Graph, PosX, PosY);
+
+            await RestoreSnapshotAsync(GraphSnapshot.CreateFromEditorJson(entry.Drawflow, entry.X, entry.Y)).ConfigureAwait(false);
+            await _journal.InvokeAsync<bool>("setView", new { entry.Module, entry.Zoom, entry.X, entry.Y }).ConfigureAwait(false);
+
+            // The restore can be undone like any other edit
+            PushSnapshot(currentSnapshot);
+
+            await TriggerSaveAsync().ConfigureAwait(false);
+            return true;
+        }
+        catch (Exception ex)
+        {
+            System.Diagnostics.Debug.WriteLine($"[Autosave] Restore error: {ex.Message}");
+            return false;
+        }
+        finally
+        {
+            _suppressEvents = false;
+            _isPerformingUndoRedo = false;
+            _preMovementSnapshot = null;
+        }
+    }
+
+    /// <summary>Delete the journal offered in <see cref="AutosaveRecovery"/> and keep the canvas as it is.</summary>
+    public async Task DiscardAutosaveAsync()
+    {
+        AutosaveRecovery = null;
+        await InvokeAsync(StateHasChanged);
+        if (_journal is null)
+            return;
+
+        try
+        {
+            await _journal.InvokeAsync<bool>("discard").ConfigureAwait(false);
+        }
+        catch (Exception ex)
+        {
+            System.Diagnostics.Debug.WriteLine($"[Autosave] Discard error: {ex.Message}");
+        }
+    }
+
+    /// <summary>
+    /// Delete the journal written so far; call it after the workflow was saved. A journal still offered in
+    /// <see cref="AutosaveRecovery"/> is kept until the user restores or discards it.
+    /// </summary>
+    public async Task ClearAutosaveAsync()
+    {
+        if (_journal is null)
+            return;
+
+        try
+        {
+            await _journal.InvokeAsync<bool>("clear").ConfigureAwait(false);
+        }
+        catch (Exception ex)
+        {
+            System.Diagnostics.Debug.WriteLine($"[Autosave] Clear error: {ex.Message}");
+        }
+    }
+
+    // ==========================================
+    // MINIMAP
+    // ==========================================
+
+    /// <summary>
+    /// Show or hide the minimap overlay. It can also be enabled up front with
+    /// <c>Options["minimap"] = true</c> (or an object with width/height/padding).
+    /// </summary>
+    public async Task<bool> SetMinimapAsync(bool visible)
+        => await JS.InvokeAsync<bool>("DrawflowBlazor.setMinimap", ElementId, visible).ConfigureAwait(false);
+
+    /// <summary>Destroy the editor instance.</summary>
+    public async ValueTask DisposeAsync()
+    {
+        try
+        {
+            // Dispose snapshot timer
+            _snapshotTimer?.Dispose();
+
+            if (_collaboration is not null)
+                await _collaboration.DisposeAsync().ConfigureAwait(false);
+            if (_collaborationTransport is not null)
+                await _collaborationTransport.DisposeAsync().ConfigureAwait(false);
+            await JsModules.DisposeInstanceAsync(_collaborationCanvas).ConfigureAwait(false);
+            await JsModules.DisposeInstanceAsync(_canvasTheme).ConfigureAwait(false);
+            // Writes what the journal still holds, so it goes before the editor
+            await JsModules.DisposeInstanceAsync(_journal).ConfigureAwait(false);
+
+            if (JS is not null && _created)
+            {
+                 await JS.InvokeVoidAsync("DrawflowBlazor.destroy", ElementId).ConfigureAwait(false);
+            }
+        }
+        catch { /* ignore */ }
+        finally
+        {
+            _selfRef?.Dispose();
+        }
+
+        await JsModules.ReleaseAsync(_domUtils).ConfigureAwait(false);
+        await JsModules.ReleaseAsync(_collaborationModule).ConfigureAwait(false);
+        await JsModules.ReleaseAsync(_themes).ConfigureAwait(false);
+        await JsModules.ReleaseAsync(_journalModule).ConfigureAwait(false);
     }
 }
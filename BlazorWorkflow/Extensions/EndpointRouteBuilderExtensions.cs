@@ -0,0 +1,30 @@
+using BlazorWorkflow.Models;
+using BlazorWorkflow.Services;
+using Microsoft.AspNetCore.Builder;
+using Microsoft.AspNetCore.Routing;
+
+namespace BlazorWorkflow.Extensions
+{
+    /// <summary>
+    /// Extension methods for IEndpointRouteBuilder to map BlazorExecutionFlow endpoints.
+    /// </summary>
+    public static class EndpointRouteBuilderExtensions
+    {
+        /// <summary>
+        /// Maps the SignalR hub that collaborating canvases connect to.
+        /// Needed when <see cref="CollaborationOptions.Enabled"/> is set and no custom transport is configured.
+        /// Only authenticated users may connect, so the app needs authentication and <c>app.UseAuthorization()</c>;
+        /// set <see cref="CollaborationOptions.JoinPolicy"/> to decide who may edit which workflow. Chain
+        /// <c>.AllowAnonymous()</c> onto the result to open the hub to everyone, for example in a local demo.
+        /// </summary>
+        /// <param name="endpoints">The endpoint route builder</param>
+        /// <param name="pattern">Route of the hub; must match <see cref="CollaborationOptions.HubPath"/></param>
+        /// <returns>The hub's endpoint convention builder, for <c>.AllowAnonymous()</c> and other conventions</returns>
+        public static HubEndpointConventionBuilder MapWorkflowCollaboration(
+            this IEndpointRouteBuilder endpoints,
+            string pattern = CollaborationOptions.DefaultHubPath)
+        {
+            return endpoints.MapHub<WorkflowCollaborationHub>(pattern).RequireAuthorization();
+        }
+    }
+}
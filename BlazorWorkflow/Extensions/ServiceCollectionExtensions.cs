@@ -1,3 +1,4 @@
+using BlazorWorkflow.Models;
 using BlazorWorkflow.Repositories;
 using BlazorWorkflow.Services;
 using Microsoft.Extensions.DependencyInjection;
@@ -27,6 +28,25 @@ namespace BlazorWorkflow.Extensions
             services.AddSingleton<IUserPromptService, UserPromptService>();
             services.AddSingleton<UserPromptService>(sp => (UserPromptService)sp.GetRequiredService<IUserPromptService>());
 
+            // Default key bindings handed to the editor's shortcut registry
+            services.AddSingleton(options.KeyboardShortcuts);
+
+            // Host themes and the default theme for the editor's theme registry
+            services.AddSingleton(options.Themes);
+
+            // Which optional canvas features are registered
+            services.AddSingleton(options.Canvas);
+
+            // Autosave journal kept in the browser while workflows are edited
+            services.AddSingleton(options.Autosave);
+
+            // Collaboration: the hub is only needed when canvases talk through SignalR
+            services.AddSingleton(options.Collaboration);
+            if (options.Collaboration.Enabled && options.Collaboration.TransportFactory == null)
+            {
+                services.AddSignalR();
+            }
+
             // Register WorkflowRepository and WorkflowService
             if (options.WorkflowRepositoryFactory != null)
             {
@@ -94,6 +114,11 @@ namespace BlazorWorkflow.Extensions
             services.AddSingleton<IWorkflowRepository, TWorkflowRepository>();
             services.AddSingleton<IWorkflowService, TWorkflowService>();
             services.AddSingleton<IEnvironmentVariablesService, TEnvironmentService>();
+            services.AddSingleton(new KeyboardShortcutOptions());
+            services.AddSingleton(new CollaborationOptions());
+            services.AddSingleton(new WorkflowThemeOptions());
+            services.AddSingleton(new AutosaveOptions());
+            services.AddSingleton(new CanvasFeatureOptions());
 
             return services;
         }
@@ -159,5 +184,35 @@ namespace BlazorWorkflow.Extensions
         /// If null, no default environments will be created.
         /// </summary>
         public Dictionary<string, Dictionary<string, string>>? DefaultEnvironments { get; set; }
+
+        /// <summary>
+        /// Key bindings that replace the built-in defaults, by action name (e.g. "canvas.redo" = ["Mod+Shift+Z"]).
+        /// Users can still rebind actions for themselves; their choices are kept in the browser.
+        /// </summary>
+        public KeyboardShortcutOptions KeyboardShortcuts { get; set; } = new();
+
+        /// <summary>
+        /// Real-time collaboration on the canvas. Off by default; when enabled with the default SignalR transport,
+        /// map the hub with <c>app.MapWorkflowCollaboration()</c>.
+        /// </summary>
+        public CollaborationOptions Collaboration { get; set; } = new();
+
+        /// <summary>
+        /// Extra themes and the default theme of the canvas (e.g. Default = "system" to follow the OS).
+        /// Users can import their own themes and pick a default for themselves; both are kept in the browser.
+        /// </summary>
+        public WorkflowThemeOptions Themes { get; set; } = new();
+
+        /// <summary>
+        /// Autosave of the canvas to the browser's IndexedDB, offered back when a workflow is reopened after its
+        /// changes were not saved (a crashed tab or a dropped connection). On by default.
+        /// </summary>
+        public AutosaveOptions Autosave { get; set; } = new();
+
+        /// <summary>
+        /// Optional canvas features: accessibility, search and sub-workflow modules are on by default,
+        /// virtualization and the minimap are off.
+        /// </summary>
+        public CanvasFeatureOptions Canvas { get; set; } = new();
     }
 }
@@ -55,6 +55,32 @@ namespace BlazorWorkflow.Flow.BaseNodes
             return ctx.ExecutePortAsync(port);
         }
 
+        // ==========================================
+        // SUB-WORKFLOWS
+        // ==========================================
+
+        /// <summary>
+        /// Runs the nodes collapsed into its own module. The method itself does nothing: the node hands its input to the
+        /// module's <see cref="SubWorkflowInput"/> nodes and, once the body has run, fires the port of every
+        /// <see cref="SubWorkflowOutput"/> node it reached. Created by collapsing a selection, not from the node picker.
+        /// </summary>
+        [BlazorFlowNodeMethod(NodeType.Function, "Workflow")]
+        [NodeFlowPorts]
+        public static void SubWorkflow() { }
+
+        /// <summary>
+        /// Where a sub-workflow's body starts: outputs whatever reached the sub-workflow node.
+        /// </summary>
+        [BlazorFlowNodeMethod(NodeType.Function, "Workflow")]
+        public static void SubWorkflowInput() { }
+
+        /// <summary>
+        /// Ends a branch of a sub-workflow's body. Its title names the port on the sub-workflow node that fires
+        /// with this node's input as output.
+        /// </summary>
+        [BlazorFlowNodeMethod(NodeType.Function, "Workflow")]
+        public static void SubWorkflowOutput() { }
+
         // ==========================================
         // LOOPS
         // ==========================================
@@ -79,6 +79,10 @@ public sealed partial class DrawflowEditorInterop
     public ValueTask MoveNodeAsync(int nodeId, int x, int y)
         => _callVoid("updateNodePosition", new object?[] { nodeId, x, y });
 
+    /// <summary>Move several nodes in one pass; connections are rerouted once per moved node.</summary>
+    public ValueTask MoveNodesAsync(IEnumerable<(string NodeId, double X, double Y)> positions)
+        => _callVoid("updateNodePositions", new object?[] { positions.Select(p => new { id = p.NodeId, x = p.X, y = p.Y }).ToArray() });
+
     public ValueTask<DfNode?> GetNodeAsync(int nodeId)
         => CallAsync<DfNode?>("getNodeFromId", nodeId);
 
@@ -1,4 +1,5 @@
-﻿using System.Text.Json;
+﻿using System.Net;
+using System.Text.Json;
 using System.Text.Json.Nodes;
 using System.Text.Json.Serialization;
 using System.Text.Json.Serialization.Metadata;
@@ -37,20 +38,56 @@ namespace BlazorWorkflow.Helpers
             }
         }
 
-        public static string ExportToDrawflowJson(IEnumerable<Node> nodes)
+        /// <summary>
+        /// Serialize a single node definition (no execution state) in the format stored under a Drawflow node's data.node.
+        /// </summary>
+        public static string SerializeNode(Node node)
+            => JsonSerializer.Serialize(node, NodeSerializationOptions);
+
+        /// <summary>
+        /// The node's mapped parameter values (parameter name to expression), stored in its Drawflow data as <c>params</c>
+        /// so the canvas search can match them without a round trip.
+        /// </summary>
+        public static Dictionary<string, string> GetParams(Node node)
         {
-            var nodeList = nodes.ToList();
+            var result = new Dictionary<string, string>(StringComparer.Ordinal);
+            foreach (var mapping in node.NodeInputToMethodInputMap)
+            {
+                if (!string.IsNullOrEmpty(mapping.To) && !string.IsNullOrEmpty(mapping.From))
+                {
+                    result[mapping.To] = mapping.From;
+                }
+            }
+            return result;
+        }
 
-            // Group nodes by Section => Drawflow "modules" (here: single "Home")
-            var modules = new Dictionary<string, DrawflowModule>(StringComparer.Ordinal);
-            const string moduleName = "Home";
+        public static string ExportToDrawflowJson(Graph graph)
+            => ExportToDrawflowJson(graph.Nodes.Select(x => x.Value), graph.Frames, graph.Notes);
 
-            if (!modules.TryGetValue(moduleName, out var module))
+        public static string ExportToDrawflowJson(IEnumerable<Node> nodes, IEnumerable<NodeFrame>? frames = null, IEnumerable<CanvasNote>? notes = null)
+        {
+            var nodeList = nodes.ToList();
+
+            // Group nodes by Module => Drawflow "modules". Home always exists, and so does every
+            // sub-workflow's module, even while its body is empty.
+            var modules = new Dictionary<string, DrawflowModule>(StringComparer.Ordinal)
+            {
+                [SubWorkflowHelpers.HomeModule] = new DrawflowModule()
+            };
+            DrawflowModule GetModule(string? name)
             {
-                module = new DrawflowModule();
-                modules[moduleName] = module;
+                name = string.IsNullOrEmpty(name) ? SubWorkflowHelpers.HomeModule : name;
+                if (!modules.TryGetValue(name, out var module))
+                {
+                    module = new DrawflowModule();
+                    modules[name] = module;
+                }
+                return module;
             }
 
+            // Node ids are unique across modules, so connections resolve through one lookup
+            var dtos = new Dictionary<string, (DrawflowModule Module, DrawflowNodeDto Dto)>(StringComparer.Ordinal);
+
             // First pass: create node entries with correct number of ports
             foreach (var node in nodeList)
             {
@@ -63,7 +100,8 @@ namespace BlazorWorkflow.Helpers
                 var idValue = int.TryParse(nodeKey, out var numericId) ? numericId : 0;
 
                 // How many outputs? If we have declared ports, match that; else default to 1.
-                var outputCount = (node.DeclaredOutputPorts is { Count: > 0 })
+                // A sub-workflow node has exactly one port per output node, so it may have none.
+                var outputCount = (node.DeclaredOutputPorts is { Count: > 0 } || node.IsSubWorkflowNode)
                     ? node.DeclaredOutputPorts.Count
                     : 1;
 
@@ -80,17 +118,35 @@ namespace BlazorWorkflow.Helpers
                 };
 
                 // Serialize the node to JSON and store in data
-                var nodeJson = JsonSerializer.Serialize(node, NodeSerializationOptions);
+                var nodeJson = SerializeNode(node);
                 var dataObj = new JsonObject
                 {
-                    ["node"] = nodeJson
+                    ["node"] = nodeJson,
+                    ["key"] = node.Id,
+                    // Lets the canvas type-check new connections without a round trip
+                    ["portTypes"] = JsonSerializer.SerializeToNode(PortTypeHelpers.GetPortTypes(node), NodeSerializationOptions),
+                    ["params"] = JsonSerializer.SerializeToNode(GetParams(node))
                 };
+                if (node.HasBreakpoint)
+                {
+                    dataObj["breakpoint"] = true;
+                }
+                if (node.IsDisabled)
+                {
+                    dataObj["disabled"] = true;
+                }
+                if (node.IsSubWorkflowNode && node.SubWorkflowModule is { } subModule)
+                {
+                    // The canvas opens this module when the node is double-clicked
+                    dataObj["subworkflow"] = subModule;
+                    GetModule(subModule);
+                }
 
                 var dto = new DrawflowNodeDto
                 {
                     id = idValue,
                     name = node.BackingMethod.Name,
-                    @class = "",
+                    @class = node.IsSubWorkflowNode ? "bw-subworkflow" : "",
                     html = BuildHtml(node),
                     typenode = false,
                     pos_x = node.PosX,
@@ -100,7 +156,9 @@ namespace BlazorWorkflow.Helpers
                     data = dataObj
                 };
 
+                var module = GetModule(node.Module);
                 module.data[nodeKey] = dto;
+                dtos[nodeKey] = (module, dto);
             }
 
             // Helper: get or create an input port id on a destination node
@@ -121,7 +179,7 @@ namespace BlazorWorkflow.Helpers
                     ? node.Id
                     : node.DrawflowNodeId;
 
-                var srcDto = module.data[srcKey];
+                var (module, srcDto) = dtos[srcKey];
 
                 // Preferred: use OutputPorts (portName -> targets)
                 if (node.OutputPorts.Count > 0)
@@ -154,6 +212,7 @@ namespace BlazorWorkflow.Helpers
                                 ? dest.Id
                                 : dest.DrawflowNodeId;
 
+                            // Drawflow cannot draw a connection between modules
                             if (!module.data.TryGetValue(destKey, out var destDto))
                                 continue;
 
@@ -216,6 +275,17 @@ namespace BlazorWorkflow.Helpers
                 }
             }
 
+            // Frames and notes ride along in the module object; Drawflow keeps unknown keys through import/export
+            foreach (var group in (frames ?? []).GroupBy(f => f.Module))
+            {
+                GetModule(group.Key).frames = group.ToList();
+            }
+
+            foreach (var group in (notes ?? []).GroupBy(n => n.Module))
+            {
+                GetModule(group.Key).notes = group.ToList();
+            }
+
             var root = new DrawflowRoot { drawflow = modules };
 
             var options = new JsonSerializerOptions
@@ -229,7 +299,8 @@ namespace BlazorWorkflow.Helpers
 
         private static string BuildHtml(Node node)
         {
-            var displayName = node.Name;
+            // Drawflow writes this into innerHTML; a NameOverride can come from an import or another collaborator
+            var displayName = WebUtility.HtmlEncode(node.Name);
             return $"""
                     <div class='bw-node-type-id-container'>
                         <h5 class='bw-node-type-id'>
@@ -237,7 +308,7 @@ namespace BlazorWorkflow.Helpers
                         </h5>
                     </div>
                     <div class='bw-title-container'>
-                        <div class='bw-title' style='text-align: center;'>{node.Name}</div>
+                        <div class='bw-title' style='text-align: center;'>{displayName}</div>
                     </div>
                     <div class='bw-main-content' style='min-width:200px'>
                     </div>
@@ -253,6 +324,8 @@ namespace BlazorWorkflow.Helpers
     public class DrawflowModule
     {
         public Dictionary<string, DrawflowNodeDto> data { get; set; } = new();
+        public List<NodeFrame>? frames { get; set; }
+        public List<CanvasNote>? notes { get; set; }
     }
 
     public class DrawflowNodeDto
@@ -1,4 +1,5 @@
-﻿using System.Reflection;
+﻿using System.Net;
+using System.Reflection;
 using System.Xml.Linq;
 using BlazorWorkflow.Components;
 using BlazorWorkflow.Flow.Attributes;
@@ -18,6 +19,13 @@ namespace BlazorWorkflow.Helpers
             public bool HasError { get; set; }
             public string? ErrorMessage { get; set; }
             public Dictionary<int, object> OutputPortResults { get; set; } = [];
+            /// <summary>Duration of the most recent execution, shown in the node's run badge.</summary>
+            public double? DurationMs { get; set; }
+            /// <summary>Summed duration of every execution in the current run (loop bodies run many times).</summary>
+            public double? TotalDurationMs { get; set; }
+            public int? ExecutionCount { get; set; }
+            /// <summary>Set while the debugger holds the run before this node.</summary>
+            public bool? IsPaused { get; set; }
         }
 
         public static Node CreateNodeFromMethod(MethodInfo method)
@@ -103,7 +111,13 @@ namespace BlazorWorkflow.Helpers
                 cssClass: "",
                 data: new
                 {
-                    outputPorts = node.DeclaredOutputPorts
+                    // Same on every canvas, unlike the Drawflow id; collaboration matches nodes by it
+                    key = node.Id,
+                    outputPorts = node.DeclaredOutputPorts,
+                    breakpoint = node.HasBreakpoint,
+                    disabled = node.IsDisabled,
+                    portTypes = PortTypeHelpers.GetPortTypes(node),
+                    @params = DrawflowExporter.GetParams(node)
                 },
                 html: $@"
                     <div class='bw-node-type-id-container'>
@@ -112,7 +126,7 @@ namespace BlazorWorkflow.Helpers
                         </h5>
                     </div>
                     <div class='bw-title-container'>
-                        <div class='bw-title' style='text-align: center;'>{TypeHelpers.AddSpacesToPascalCase(node.Name)}</div>
+                        <div class='bw-title' style='text-align: center;'>{WebUtility.HtmlEncode(TypeHelpers.AddSpacesToPascalCase(node.Name))}</div>
                     </div>
                     <div class='bw-main-content' style='min-width:200px'>
                         {inputHtml}
@@ -24,7 +24,7 @@ namespace BlazorWorkflow.Helpers
             var json = root.GetRawText();
 
             // Use FlowSerializer to deserialize nodes with connections
-            var nodes = FlowSerializer.DeserializeFlow(json);
+            var nodes = FlowSerializer.DeserializeFlow(json, out var metadata);
 
             // Create a new Graph
             var graph = new Graph();
@@ -35,6 +35,8 @@ namespace BlazorWorkflow.Helpers
             {
                 graph.Nodes[node.DrawflowNodeId] = node;
             }
+            graph.Frames = metadata.Frames;
+            graph.Notes = metadata.Notes;
 
             return graph;
         }
@@ -48,7 +50,7 @@ namespace BlazorWorkflow.Helpers
             }
 
             // Use FlowSerializer to serialize nodes with connections
-            var json = FlowSerializer.SerializeFlow(value.Nodes.Values);
+            var json = FlowSerializer.SerializeFlow(value.Nodes.Values, frames: value.Frames, notes: value.Notes);
 
             // Write the serialized JSON directly
             using var doc = JsonDocument.Parse(json);
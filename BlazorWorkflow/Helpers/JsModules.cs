@@ -0,0 +1,56 @@
+using Microsoft.JSInterop;
+
+namespace BlazorWorkflow.Helpers
+{
+    /// <summary>
+    /// The library's JS modules, loaded with <c>import</c> (JS isolation) so hosts can run a Content-Security-Policy
+    /// without <c>'unsafe-eval'</c>. Their factories return instances that components keep and dispose.
+    /// </summary>
+    public static class JsModules
+    {
+        public const string NodeEditor = "./_content/BlazorWorkflow/js/nodeEditor.js";
+        public const string DomUtils = "./_content/BlazorWorkflow/js/domUtils.js";
+        public const string Collaboration = "./_content/BlazorWorkflow/js/collaboration.js";
+        public const string Themes = "./_content/BlazorWorkflow/js/themes.js";
+        public const string Journal = "./_content/BlazorWorkflow/js/journal.js";
+
+        public static ValueTask<IJSObjectReference> ImportAsync(IJSRuntime js, string module)
+            => js.InvokeAsync<IJSObjectReference>("import", module);
+
+        /// <summary>
+        /// Call the instance's <c>dispose()</c>, which removes the listeners it added, then release the reference.
+        /// Errors are ignored: once the circuit is gone the page, and its listeners, went with it.
+        /// </summary>
+        public static async ValueTask DisposeInstanceAsync(IJSObjectReference? instance)
+        {
+            if (instance is null)
+                return;
+
+            try
+            {
+                await instance.InvokeVoidAsync("dispose");
+                await instance.DisposeAsync();
+            }
+            catch
+            {
+                // Disconnected or already disposed
+            }
+        }
+
+        /// <summary>Release a module reference, ignoring a disconnected circuit.</summary>
+        public static async ValueTask ReleaseAsync(IJSObjectReference? module)
+        {
+            if (module is null)
+                return;
+
+            try
+            {
+                await module.DisposeAsync();
+            }
+            catch
+            {
+                // Disconnected or already disposed
+            }
+        }
+    }
+}
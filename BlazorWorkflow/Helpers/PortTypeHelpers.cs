@@ -0,0 +1,227 @@
+using System.Reflection;
+using System.Text.RegularExpressions;
+using BlazorWorkflow.Flow.Attributes;
+using BlazorWorkflow.Models.NodeV2;
+
+namespace BlazorWorkflow.Helpers
+{
+    /// <summary>
+    /// How well a value produced by an output port fits an input port, best first.
+    /// </summary>
+    public enum PortCompatibility
+    {
+        Incompatible,
+        Convertible,
+        Assignable,
+        Exact
+    }
+
+    /// <summary>
+    /// Type metadata for one side of a connection. The canvas compares these without calling back into .NET:
+    /// exact when <see cref="Type"/> keys match, assignable when the input key is in <see cref="AssignableTo"/>,
+    /// convertible when the input <see cref="Category"/> is in <see cref="ConvertibleTo"/>.
+    /// </summary>
+    public class PortTypeDescriptor
+    {
+        public string Type { get; set; } = string.Empty;
+        public string Name { get; set; } = string.Empty;
+        public string Category { get; set; } = string.Empty;
+        public List<string> AssignableTo { get; set; } = [];
+        public List<string> ConvertibleTo { get; set; } = [];
+    }
+
+    /// <summary>
+    /// Port type metadata for a node, stored in its Drawflow data as <c>portTypes</c>.
+    /// </summary>
+    public class NodePortTypes
+    {
+        /// <summary>Types the node's output carries; null when the output shape is only known at run time.</summary>
+        public List<PortTypeDescriptor>? Outputs { get; set; }
+
+        /// <summary>
+        /// Types of the parameters read through each input port, keyed by Drawflow port class (<c>input_1</c>);
+        /// a port with no types, or none listed, accepts anything.
+        /// </summary>
+        public Dictionary<string, List<PortTypeDescriptor>> Inputs { get; set; } = [];
+    }
+
+    public static class PortTypeHelpers
+    {
+        /// <summary>The port every parameter reads its payload through; nodes have a single input.</summary>
+        public const string InputPort = "input_1";
+
+        private static readonly Regex InputReference = new(@"\binput\b", RegexOptions.Compiled);
+
+        private static readonly HashSet<Type> NumericTypes =
+        [
+            typeof(byte), typeof(sbyte), typeof(short), typeof(ushort), typeof(int), typeof(uint),
+            typeof(long), typeof(ulong), typeof(float), typeof(double), typeof(decimal)
+        ];
+
+        /// <summary>
+        /// Port types of <paramref name="node"/>. Pass <paramref name="inputMappings"/> to describe the node as it
+        /// would be with those mappings instead of its own, e.g. while they are being edited.
+        /// </summary>
+        public static NodePortTypes GetPortTypes(Node node, IReadOnlyList<PathMapEntry>? inputMappings = null)
+        {
+            // Sub-workflows map their own inputs by name, so any upstream payload is acceptable
+            if (node.IsWorkflowNode)
+            {
+                return new NodePortTypes();
+            }
+
+            return new NodePortTypes
+            {
+                Outputs = GetOutputTypes(node),
+                Inputs = new() { [InputPort] = GetInputTypes(node, inputMappings ?? node.NodeInputToMethodInputMap) }
+            };
+        }
+
+        /// <summary>
+        /// Best compatibility between any output type of <paramref name="source"/> and any type read through
+        /// <paramref name="target"/>'s <paramref name="inputPort"/>. Mirrors the check the canvas runs while a
+        /// connection is dragged.
+        /// </summary>
+        public static PortCompatibility Check(NodePortTypes source, NodePortTypes target, string inputPort = InputPort)
+        {
+            if (source.Outputs is null || !target.Inputs.TryGetValue(inputPort, out var inputs) || inputs.Count == 0)
+                return PortCompatibility.Convertible;
+
+            var best = PortCompatibility.Incompatible;
+            foreach (var output in source.Outputs)
+            {
+                foreach (var input in inputs)
+                {
+                    var compatibility = Check(output, input);
+                    if (compatibility > best)
+                        best = compatibility;
+                }
+            }
+
+            return best;
+        }
+
+        public static PortCompatibility Check(PortTypeDescriptor output, PortTypeDescriptor input)
+        {
+            if (output.Type == input.Type)
+                return PortCompatibility.Exact;
+            if (output.AssignableTo.Contains(input.Type))
+                return PortCompatibility.Assignable;
+            if (output.ConvertibleTo.Contains(input.Category))
+                return PortCompatibility.Convertible;
+            return PortCompatibility.Incompatible;
+        }
+
+        public static PortTypeDescriptor Describe(Type type)
+        {
+            type = Nullable.GetUnderlyingType(type) ?? type;
+            var category = GetCategory(type);
+
+            return new PortTypeDescriptor
+            {
+                Type = type.ToString(),
+                Name = TypeHelpers.FormatTypeName(type),
+                Category = category,
+                AssignableTo = GetAssignableTypes(type).Select(t => t.ToString()).ToList(),
+                ConvertibleTo = GetConvertibleCategories(category)
+            };
+        }
+
+        private static List<PortTypeDescriptor>? GetOutputTypes(Node node)
+        {
+            // Flow-port nodes, pass-through nodes and untyped results only reveal their data at run time
+            if (node.DeclaredOutputPorts.Count > 0 || node.MergeOutputWithInput)
+                return null;
+
+            var returnType = node.BackingMethod.ReturnType;
+            if (returnType == typeof(void) || returnType == typeof(Task))
+                return null;
+
+            returnType = TypeHelpers.UnwrapTaskType(returnType)!;
+            if (returnType == typeof(object) || TypeHelpers.IsJsonType(returnType))
+                return null;
+
+            var outputs = new List<PortTypeDescriptor> { Describe(returnType) };
+
+            // Complex results are consumed property by property (input.<name>)
+            if (!TypeHelpers.ShouldTreatAsSingleValue(returnType) && TypeHelpers.GetCuratedProperties(returnType) is null)
+            {
+                outputs.AddRange(returnType.GetProperties(BindingFlags.Instance | BindingFlags.Public)
+                    .Select(p => p.PropertyType)
+                    .Distinct()
+                    .Select(Describe));
+            }
+
+            return outputs;
+        }
+
+        private static List<PortTypeDescriptor> GetInputTypes(Node node, IReadOnlyList<PathMapEntry> inputMappings)
+        {
+            var inputs = new List<PortTypeDescriptor>();
+
+            foreach (var parameter in node.BackingMethod.GetParameters())
+            {
+                if (!TypeHelpers.ShouldExposeParameter(parameter) ||
+                    parameter.GetCustomAttribute<BlazorFlowInputFieldAttribute>() != null)
+                    continue;
+
+                // Unmapped parameters fall back to the default {{input.<name>}} mapping
+                var mapping = inputMappings.FirstOrDefault(m => m.To == parameter.Name);
+                if (mapping is not null && !InputReference.IsMatch(mapping.From))
+                    continue;
+
+                inputs.Add(Describe(parameter.ParameterType));
+            }
+
+            return inputs;
+        }
+
+        private static string GetCategory(Type type)
+        {
+            if (NumericTypes.Contains(type)) return "number";
+            if (type == typeof(bool)) return "bool";
+            if (type == typeof(string) || type == typeof(char)) return "string";
+            if (type == typeof(DateTime) || type == typeof(DateTimeOffset)) return "datetime";
+            if (type == typeof(TimeSpan)) return "timespan";
+            if (type == typeof(Guid)) return "guid";
+            if (type.IsEnum) return "enum";
+            if (type == typeof(object)) return "object";
+            if (TypeHelpers.IsJsonType(type)) return "json";
+            if (TypeHelpers.IsCollectionType(type)) return "collection";
+            return "complex";
+        }
+
+        // Conversions the input binder performs when it reads a value out of the JSON payload
+        private static List<string> GetConvertibleCategories(string category) => category switch
+        {
+            "number" => ["number", "string", "json"],
+            "bool" => ["bool", "string", "json"],
+            "string" => ["string", "json"],
+            "datetime" => ["datetime", "string", "json"],
+            "timespan" => ["timespan", "string", "json"],
+            "guid" => ["guid", "string", "json"],
+            "enum" => ["enum", "number", "string", "json"],
+            "collection" => ["collection", "json"],
+            _ => ["json"]
+        };
+
+        private static IEnumerable<Type> GetAssignableTypes(Type type)
+        {
+            for (var baseType = type.BaseType; baseType != null; baseType = baseType.BaseType)
+            {
+                yield return baseType;
+            }
+
+            foreach (var interfaceType in type.GetInterfaces())
+            {
+                yield return interfaceType;
+            }
+
+            // Interfaces have no base type, but every value still fits an object parameter
+            if (type.IsInterface)
+            {
+                yield return typeof(object);
+            }
+        }
+    }
+}
@@ -1,8 +1,12 @@
 ﻿using System.Text;
 using System.Text.Json;
 using System.Text.Json.Nodes;
+using System.Text.RegularExpressions;
+using BlazorWorkflow.Models;
 using BlazorWorkflow.Models.NodeV2;
 using Scriban;
+using Scriban.Functions;
+using Scriban.Parsing;
 using Scriban.Runtime;
 using Scriban.Syntax;
 
@@ -306,6 +310,172 @@ namespace BlazorWorkflow.Helpers
             return visitor.Paths;
         }
 
+        private static readonly Regex IdentifierPattern = new(@"^[A-Za-z_][A-Za-z0-9_]*$", RegexOptions.Compiled);
+        private static readonly Regex PathPattern = new(@"^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$", RegexOptions.Compiled);
+
+        // Scriban keywords that read like variables
+        private static readonly HashSet<string> KeywordVariables = new(StringComparer.Ordinal) { "empty", "blank", "this" };
+
+        private static readonly Lazy<List<ScribanCompletion>> BuiltinCompletions = new(() =>
+        {
+            var completions = new List<ScribanCompletion>();
+            foreach (var (name, value) in new BuiltinFunctions().OrderBy(kvp => kvp.Key, StringComparer.Ordinal))
+            {
+                if (value is ScriptObject functions)
+                {
+                    completions.AddRange(functions.Keys
+                        .OrderBy(key => key, StringComparer.Ordinal)
+                        .Select(key => new ScribanCompletion { Label = $"{name}.{key}", Kind = "builtin", Detail = name }));
+                }
+                else
+                {
+                    completions.Add(new ScribanCompletion { Label = name, Kind = "builtin" });
+                }
+            }
+            return completions;
+        });
+
+        /// <summary>True when <paramref name="name"/> can follow a dot in a Scriban member path.</summary>
+        public static bool IsIdentifier(string name) => IdentifierPattern.IsMatch(name);
+
+        /// <summary>Scriban's built-in functions (<c>string.upcase</c>, <c>math.round</c>, ...).</summary>
+        public static IReadOnlyList<ScribanCompletion> GetBuiltinCompletions() => BuiltinCompletions.Value;
+
+        /// <summary>
+        /// Every dotted path into the objects of <paramref name="node"/>, parents before children.
+        /// Arrays and values are leaves; keys a dotted path cannot spell are skipped.
+        /// </summary>
+        public static IEnumerable<(string Path, JsonNode? Value)> GetJsonPaths(JsonNode? node, string prefix = "")
+        {
+            if (node is not JsonObject obj)
+                yield break;
+
+            foreach (var (key, value) in obj)
+            {
+                if (!IsIdentifier(key))
+                    continue;
+
+                var path = prefix.Length == 0 ? key : $"{prefix}.{key}";
+                yield return (path, value);
+
+                foreach (var child in GetJsonPaths(value, path))
+                {
+                    yield return child;
+                }
+            }
+        }
+
+        /// <summary>
+        /// What <paramref name="node"/> can read before it has run: the outputs of its input nodes under <c>input</c>,
+        /// and the outputs of every node upstream under <c>nodes.byId</c>.
+        /// </summary>
+        public static List<ScribanCompletion> GetUpstreamCompletions(Node node)
+        {
+            var completions = new List<ScribanCompletion>();
+            foreach (var source in node.InputNodes)
+            {
+                completions.AddRange(source.MethodOutputToNodeOutputMap
+                    .Where(m => PathPattern.IsMatch(m.To))
+                    .Select(m => new ScribanCompletion { Label = $"input.{m.To}", Kind = "input", Detail = source.NameOverride ?? source.Name }));
+            }
+
+            var seen = new HashSet<Node> { node };
+            var pending = new Queue<Node>(node.InputNodes);
+            while (pending.TryDequeue(out var upstream))
+            {
+                if (!seen.Add(upstream))
+                    continue;
+
+                completions.AddRange(upstream.MethodOutputToNodeOutputMap
+                    .Where(m => PathPattern.IsMatch(m.To))
+                    .Select(m => new ScribanCompletion
+                    {
+                        Label = $"nodes.byId.node_{upstream.DrawflowNodeId}.{m.To}",
+                        Kind = "node",
+                        Detail = upstream.NameOverride ?? upstream.Name
+                    }));
+
+                foreach (var next in upstream.InputNodes)
+                {
+                    pending.Enqueue(next);
+                }
+            }
+
+            return completions;
+        }
+
+        /// <summary>
+        /// Syntax errors in <paramref name="template"/>, or when it parses, the variables it reads that are not among
+        /// <paramref name="knownPaths"/>. A known path also vouches for everything below it unless a longer known path
+        /// shows what is there. Built-in functions and variables the template assigns itself are always known.
+        /// Text without <c>{{</c> is a plain path, not a template, and gets no diagnostics.
+        /// </summary>
+        public static List<ScribanDiagnostic> GetDiagnostics(string? template, IEnumerable<string> knownPaths)
+        {
+            var diagnostics = new List<ScribanDiagnostic>();
+            if (string.IsNullOrEmpty(template) || !template.Contains("{{"))
+                return diagnostics;
+
+            var parsed = Template.Parse(template);
+            if (parsed.HasErrors)
+            {
+                foreach (var message in parsed.Messages.Where(m => m.Type == ParserMessageType.Error))
+                {
+                    diagnostics.Add(new ScribanDiagnostic
+                    {
+                        Start = message.Span.Start.Offset,
+                        End = message.Span.End.Offset + 1,
+                        Message = message.Message
+                    });
+                }
+                return diagnostics;
+            }
+
+            var known = new HashSet<string>(StringComparer.Ordinal);
+            var parents = new HashSet<string>(StringComparer.Ordinal);
+            foreach (var path in knownPaths.Concat(GetBuiltinCompletions().Select(c => c.Label)))
+            {
+                known.Add(path);
+                for (var dot = path.LastIndexOf('.'); dot > 0; dot = path.LastIndexOf('.', dot - 1))
+                {
+                    known.Add(path[..dot]);
+                    parents.Add(path[..dot]);
+                }
+            }
+
+            var visitor = new VariableReferenceVisitor();
+            visitor.Visit(parsed.Page);
+
+            foreach (var (path, span) in visitor.References)
+            {
+                var segments = path.Split('.');
+                if (visitor.Declared.Contains(segments[0]) || KeywordVariables.Contains(segments[0]))
+                    continue;
+
+                // Report the first segment that resolves to nothing, e.g. input.usr in input.usr.name
+                for (var i = 1; i <= segments.Length; i++)
+                {
+                    var prefix = string.Join('.', segments, 0, i);
+                    if (!known.Contains(prefix))
+                    {
+                        diagnostics.Add(new ScribanDiagnostic
+                        {
+                            Start = span.Start.Offset,
+                            End = span.End.Offset + 1,
+                            Message = $"Unknown variable '{prefix}'.",
+                            Severity = "warning"
+                        });
+                        break;
+                    }
+
+                    if (!parents.Contains(prefix))
+                        break;
+                }
+            }
+
+            return diagnostics;
+        }
+
         private sealed class WorkflowInputVisitor : ScriptVisitor
         {
             public HashSet<string> Paths { get; } =
@@ -409,6 +579,102 @@ namespace BlazorWorkflow.Helpers
             }
         }
 
+        // Collects the global variable chains a template reads (input.user.name) and the variables it assigns
+        private sealed class VariableReferenceVisitor : ScriptVisitor
+        {
+            public List<(string Path, SourceSpan Span)> References { get; } = [];
+
+            public HashSet<string> Declared { get; } = new(StringComparer.Ordinal);
+
+            public override void Visit(ScriptAssignExpression node)
+            {
+                Declare(node.Target);
+                base.Visit(node);
+            }
+
+            public override void Visit(ScriptForStatement node)
+            {
+                Declare(node.Variable);
+                base.Visit(node);
+            }
+
+            public override void Visit(ScriptCaptureStatement node)
+            {
+                Declare(node.Target);
+                base.Visit(node);
+            }
+
+            public override void Visit(ScriptFunction node)
+            {
+                Declare(node.Name);
+                base.Visit(node);
+            }
+
+            public override void Visit(ScriptVariableGlobal node)
+            {
+                References.Add((node.Name, node.Span));
+            }
+
+            public override void Visit(ScriptMemberExpression node)
+            {
+                var segments = new List<string>();
+                ScriptNode? current = node;
+
+                while (true)
+                {
+                    switch (current)
+                    {
+                        case ScriptMemberExpression member:
+                            if (member.Member is ScriptVariable variable)
+                            {
+                                segments.Add(variable.Name);
+                            }
+                            current = member.Target;
+                            continue;
+
+                        case ScriptIndexerExpression indexer:
+                            // Members past a computed index cannot be checked
+                            segments.Clear();
+                            Visit(indexer.Index);
+                            current = indexer.Target;
+                            continue;
+
+                        case ScriptVariableGlobal global:
+                            segments.Add(global.Name);
+                            segments.Reverse();
+                            References.Add((string.Join('.', segments), node.Span));
+                            return;
+
+                        default:
+                            // A call or literal at the root: check its own parts only
+                            Visit(current);
+                            return;
+                    }
+                }
+            }
+
+            private void Declare(ScriptNode? target)
+            {
+                while (true)
+                {
+                    switch (target)
+                    {
+                        case ScriptMemberExpression member:
+                            target = member.Target;
+                            continue;
+                        case ScriptIndexerExpression indexer:
+                            target = indexer.Target;
+                            continue;
+                        case ScriptVariable variable:
+                            Declared.Add(variable.Name);
+                            return;
+                        default:
+                            return;
+                    }
+                }
+            }
+        }
+
         public class WorkflowOutputMap
         {
             public string OutputPath { get; set; } = string.Empty;
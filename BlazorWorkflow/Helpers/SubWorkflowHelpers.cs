@@ -0,0 +1,280 @@
+using System.Reflection;
+using BlazorWorkflow.Flow.BaseNodes;
+using BlazorWorkflow.Models.NodeV2;
+
+namespace BlazorWorkflow.Helpers
+{
+    /// <summary>
+    /// Sub-workflows: a selection collapsed into a node whose body lives in its own Drawflow module.
+    /// The body starts at <see cref="CoreNodes.SubWorkflowInput"/> nodes and each <see cref="CoreNodes.SubWorkflowOutput"/>
+    /// node is a port on the sub-workflow node, named by the output node's title.
+    /// </summary>
+    public static class SubWorkflowHelpers
+    {
+        /// <summary>The module Drawflow opens on; every node outside a sub-workflow sits here.</summary>
+        public const string HomeModule = "Home";
+
+        public const string DefaultName = "Sub-workflow";
+
+        private const string DefaultPortName = "default";
+        private const double BoundaryNodeGap = 320;
+
+        public static readonly MethodInfo SubWorkflowMethod = typeof(CoreNodes).GetMethod(nameof(CoreNodes.SubWorkflow))!;
+        public static readonly MethodInfo InputMethod = typeof(CoreNodes).GetMethod(nameof(CoreNodes.SubWorkflowInput))!;
+        public static readonly MethodInfo OutputMethod = typeof(CoreNodes).GetMethod(nameof(CoreNodes.SubWorkflowOutput))!;
+        private static readonly MethodInfo StartMethod = typeof(CoreNodes).GetMethod(nameof(CoreNodes.Start))!;
+
+        /// <summary>The port an output node fires on its sub-workflow node.</summary>
+        public static string GetPortName(Node outputNode)
+            => string.IsNullOrWhiteSpace(outputNode.NameOverride) ? "output" : outputNode.NameOverride.Trim();
+
+        /// <summary>
+        /// Give every sub-workflow node the nodes of its module to run. Called before a run, since the canvas
+        /// adds and removes body nodes at any time.
+        /// </summary>
+        public static void LinkSubWorkflows(IEnumerable<Node> nodes)
+        {
+            var nodeList = nodes.ToList();
+            var byModule = nodeList.ToLookup(n => n.Module, StringComparer.Ordinal);
+
+            foreach (var parent in nodeList.Where(n => n.IsSubWorkflowNode))
+            {
+                parent.SubWorkflowNodes = parent.SubWorkflowModule is { } module ? byModule[module].ToList() : [];
+            }
+        }
+
+        /// <summary>Every module name in use, Home first.</summary>
+        public static List<string> GetModules(Graph graph)
+        {
+            var modules = new List<string> { HomeModule };
+            foreach (var node in graph.Nodes.Values.OrderBy(n => n.DrawflowNodeId, DrawflowIdComparer.Instance))
+            {
+                foreach (var module in new[] { node.Module, node.SubWorkflowModule })
+                {
+                    if (!string.IsNullOrEmpty(module) && !modules.Contains(module))
+                        modules.Add(module);
+                }
+            }
+            return modules;
+        }
+
+        /// <summary>Ids of the nodes in <paramref name="parent"/>'s module (nested sub-workflows' bodies not included).</summary>
+        public static List<string> GetBodyNodeIds(Graph graph, Node parent)
+            => parent.SubWorkflowModule is { } module
+                ? graph.Nodes.Where(kvp => kvp.Value.Module == module).Select(kvp => kvp.Key).ToList()
+                : [];
+
+        /// <summary>
+        /// Move <paramref name="nodeIds"/> into a new module behind a sub-workflow node placed where they were.
+        /// Connections into the selection now enter the sub-workflow node and leave a new input node inside;
+        /// each connected output port leaving the selection gets an output node inside and a port of the same name
+        /// outside, so the workflow runs as before. Start nodes stay where they are.
+        /// Returns the sub-workflow node; it and the boundary nodes get the next free Drawflow ids.
+        /// </summary>
+        public static Node CollapseToSubWorkflow(Graph graph, IEnumerable<string> nodeIds, string? name = null)
+        {
+            var selected = nodeIds
+                .Distinct()
+                .Select(id => graph.Nodes.TryGetValue(id, out var node) ? node : null)
+                .OfType<Node>()
+                .Where(n => n.BackingMethod != StartMethod)
+                .ToList();
+
+            if (selected.Count == 0)
+                throw new ArgumentException("Select at least one node other than Start.", nameof(nodeIds));
+
+            var module = selected[0].Module;
+            if (selected.Any(n => n.Module != module))
+                throw new ArgumentException("The nodes must be in the same module.", nameof(nodeIds));
+
+            var inside = selected.ToHashSet();
+            var title = UniqueModuleName(graph, string.IsNullOrWhiteSpace(name) ? DefaultName : name.Trim());
+            var nextId = graph.Nodes.Keys.Select(id => int.TryParse(id, out var n) ? n : 0).DefaultIfEmpty(0).Max() + 1;
+
+            var minX = selected.Min(n => n.PosX);
+            var maxX = selected.Max(n => n.PosX);
+            var minY = selected.Min(n => n.PosY);
+            var maxY = selected.Max(n => n.PosY);
+
+            var parent = DrawflowHelpers.CreateNodeFromMethod(SubWorkflowMethod);
+            parent.NameOverride = title;
+            parent.Module = module;
+            parent.SubWorkflowModule = title;
+            parent.DrawflowNodeId = (nextId++).ToString();
+            parent.PosX = (minX + maxX) / 2;
+            parent.PosY = (minY + maxY) / 2;
+            graph.Nodes[parent.DrawflowNodeId] = parent;
+
+            // Connections entering the selection: outside sources feed the sub-workflow node, the input node feeds the targets
+            Node? input = null;
+            foreach (var target in selected)
+            {
+                foreach (var source in target.InputNodes.Where(n => !inside.Contains(n)).ToList())
+                {
+                    foreach (var port in Connections(source).Where(c => c.Target == target).Select(c => c.Port).ToList())
+                    {
+                        Disconnect(source, port, target);
+                        Connect(source, port, parent);
+                    }
+
+                    input ??= AddBoundaryNode(graph, InputMethod, "Input", title, minX - BoundaryNodeGap, minY, nextId++);
+                    Connect(input, DefaultPortName, target);
+                }
+            }
+
+            // Connections leaving the selection: one output node and parent port per source port
+            foreach (var source in selected)
+            {
+                var leaving = Connections(source).Where(c => !inside.Contains(c.Target)).ToList();
+                foreach (var group in leaving.GroupBy(c => c.Port, StringComparer.OrdinalIgnoreCase))
+                {
+                    var portName = UniqueName(parent.DeclaredOutputPorts,
+                        group.Key.Equals(DefaultPortName, StringComparison.OrdinalIgnoreCase) ? source.Name : group.Key);
+
+                    var output = AddBoundaryNode(graph, OutputMethod, portName, title, maxX + BoundaryNodeGap, source.PosY, nextId++);
+                    Connect(source, group.Key, output);
+                    parent.DeclaredOutputPorts.Add(portName);
+
+                    foreach (var (port, target) in group)
+                    {
+                        Disconnect(source, port, target);
+                        Connect(parent, portName, target);
+                    }
+                }
+            }
+
+            foreach (var node in selected)
+            {
+                node.Module = title;
+            }
+
+            // Frames wholly inside the selection move with it; the others just lose the moved nodes
+            var movedIds = selected.Select(n => n.DrawflowNodeId).ToHashSet();
+            foreach (var frame in graph.Frames.Where(f => f.Module == module))
+            {
+                if (frame.NodeIds.Count > 0 && frame.NodeIds.All(movedIds.Contains))
+                    frame.Module = title;
+                else
+                    frame.NodeIds.RemoveAll(movedIds.Contains);
+            }
+
+            foreach (var note in graph.Notes.Where(n => n.Module == module && n.PinnedNodeId != null && movedIds.Contains(n.PinnedNodeId)))
+            {
+                note.Module = title;
+            }
+
+            return parent;
+        }
+
+        /// <summary>
+        /// Make <paramref name="parent"/>'s ports match the output nodes in its module, in their top-to-bottom order:
+        /// new output nodes add a port, and ports with no output node left are dropped with their connections.
+        /// Returns true when the ports changed.
+        /// </summary>
+        public static bool SyncPorts(Graph graph, Node parent)
+        {
+            if (!parent.IsSubWorkflowNode)
+                return false;
+
+            var names = graph.Nodes.Values
+                .Where(n => n.Module == parent.SubWorkflowModule && n.BackingMethod == OutputMethod)
+                .OrderBy(n => n.PosY)
+                .ThenBy(n => n.DrawflowNodeId, DrawflowIdComparer.Instance)
+                .Select(GetPortName)
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .ToList();
+
+            if (names.SequenceEqual(parent.DeclaredOutputPorts, StringComparer.OrdinalIgnoreCase))
+                return false;
+
+            foreach (var (port, target) in Connections(parent).Where(c => !names.Contains(c.Port, StringComparer.OrdinalIgnoreCase)).ToList())
+            {
+                Disconnect(parent, port, target);
+            }
+
+            parent.DeclaredOutputPorts = names;
+            return true;
+        }
+
+        /// <summary><see cref="SyncPorts(Graph, Node)"/> for every sub-workflow node; true when any changed.</summary>
+        public static bool SyncPorts(Graph graph)
+        {
+            var changed = false;
+            foreach (var parent in graph.Nodes.Values.Where(n => n.IsSubWorkflowNode).ToList())
+            {
+                changed |= SyncPorts(graph, parent);
+            }
+            return changed;
+        }
+
+        private static Node AddBoundaryNode(Graph graph, MethodInfo method, string title, string module, double x, double y, int id)
+        {
+            var node = DrawflowHelpers.CreateNodeFromMethod(method);
+            node.NameOverride = title;
+            node.Module = module;
+            node.PosX = x;
+            node.PosY = y;
+            node.DrawflowNodeId = id.ToString();
+            graph.Nodes[node.DrawflowNodeId] = node;
+            return node;
+        }
+
+        private static string UniqueModuleName(Graph graph, string name)
+            => UniqueName(GetModules(graph), name);
+
+        private static string UniqueName(ICollection<string> taken, string name)
+        {
+            var candidate = name;
+            for (var i = 2; taken.Contains(candidate, StringComparer.OrdinalIgnoreCase); i++)
+            {
+                candidate = $"{name} {i}";
+            }
+            return candidate;
+        }
+
+        // Same port resolution as the Drawflow export: named ports when set, else every output on the default port
+        private static IEnumerable<(string Port, Node Target)> Connections(Node source)
+        {
+            if (source.OutputPorts.Count > 0)
+                return source.OutputPorts.SelectMany(kvp => kvp.Value.Select(target => (kvp.Key, target)));
+
+            return source.OutputNodes.Select(target => (DefaultPortName, target));
+        }
+
+        private static void Connect(Node source, string port, Node target)
+        {
+            source.AddOutputConnection(port, target);
+            if (!target.InputNodes.Contains(source))
+            {
+                target.InputNodes.Add(source);
+            }
+        }
+
+        private static void Disconnect(Node source, string port, Node target)
+        {
+            if (source.OutputPorts.TryGetValue(port, out var targets))
+            {
+                targets.Remove(target);
+                if (targets.Count == 0)
+                {
+                    source.OutputPorts.Remove(port);
+                }
+            }
+
+            if (!source.OutputPorts.Values.Any(t => t.Contains(target)))
+            {
+                source.OutputNodes.Remove(target);
+                target.InputNodes.Remove(source);
+            }
+        }
+
+        // Orders Drawflow ids numerically ("2" before "10")
+        private sealed class DrawflowIdComparer : IComparer<string>
+        {
+            public static readonly DrawflowIdComparer Instance = new();
+
+            public int Compare(string? x, string? y)
+                => int.TryParse(x, out var a) && int.TryParse(y, out var b) ? a.CompareTo(b) : string.CompareOrdinal(x, y);
+        }
+    }
+}
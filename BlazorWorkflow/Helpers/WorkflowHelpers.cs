@@ -11,11 +11,23 @@ namespace BlazorWorkflow.Helpers
         [BlazorFlowNodeMethod(NodeType.Function, "Workflow")]
         public static async Task<JsonObject> ExecuteWorkflow(WorkflowInfo workflow, 
             Dictionary<string, string> inputParams, Dictionary<string, string> envVariables)
+        {
+            return await RunWorkflowAsync(workflow, inputParams, envVariables).ConfigureAwait(false);
+        }
+
+        /// <summary>
+        /// Run a workflow's graph and return its shared context. With a debugger, the run pauses at nodes with
+        /// breakpoints; stopping it throws <see cref="OperationCanceledException"/>.
+        /// </summary>
+        public static async Task<JsonObject> RunWorkflowAsync(WorkflowInfo workflow,
+            IEnumerable<KeyValuePair<string, string>> inputParams, IEnumerable<KeyValuePair<string, string>> envVariables,
+            WorkflowDebugger? debugger = null)
         {
             var context = new GraphExecutionContext()
             {
                 Parameters = inputParams.ToFrozenDictionary(),
-                EnvironmentVariables = envVariables.ToFrozenDictionary()
+                EnvironmentVariables = envVariables.ToFrozenDictionary(),
+                Debugger = debugger
             };
             await workflow.FlowGraph.Run(context).ConfigureAwait(false);
 
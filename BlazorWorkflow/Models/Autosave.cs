@@ -0,0 +1,84 @@
+namespace BlazorWorkflow.Models
+{
+    /// <summary>
+    /// Crash-safe autosave for <c>WorkflowEditor</c>: the canvas keeps a journal of itself in the browser's IndexedDB
+    /// while it is edited, and offers to restore it when the workflow is reopened after changes were lost.
+    /// </summary>
+    /// <remarks>
+    /// A <c>WorkflowGraph</c> used on its own journals when given an <c>AutosaveKey</c> and <c>LastSavedAt</c>; the host
+    /// calls <c>ClearAutosaveAsync</c> after each save and shows <c>AutosaveRecovery</c> itself. Canvases shared with
+    /// collaborators are not journaled.
+    /// </remarks>
+    public class AutosaveOptions
+    {
+        /// <summary>On by default; when off, nothing is written to the browser.</summary>
+        public bool Enabled { get; set; } = true;
+
+        /// <summary>How long the canvas has to be left alone before the journal is written.</summary>
+        public int DelayMs { get; set; } = 1000;
+
+        /// <summary>Journal entries kept per workflow; the oldest go first.</summary>
+        public int MaxEntries { get; set; } = 5;
+
+        /// <summary>Storage kept per workflow, in characters of exported JSON. The newest entry is kept even when larger.</summary>
+        public long MaxBytes { get; set; } = 5 * 1024 * 1024;
+    }
+
+    /// <summary>
+    /// A journal entry newer than the saved workflow, and what restoring it would change on the canvas.
+    /// Nodes are listed by title.
+    /// </summary>
+    public class AutosaveRecovery
+    {
+        private const int NamesShown = 3;
+
+        /// <summary>When the entry was written, in milliseconds since the Unix epoch.</summary>
+        public long SavedAt { get; set; }
+
+        /// <summary><see cref="SavedAt"/> in the browser's locale and time zone.</summary>
+        public string? SavedAtText { get; set; }
+
+        public List<string> Added { get; set; } = [];
+        public List<string> Removed { get; set; } = [];
+        public List<string> Changed { get; set; } = [];
+        public List<string> Moved { get; set; } = [];
+        public int ConnectionsAdded { get; set; }
+        public int ConnectionsRemoved { get; set; }
+        public bool FramesOrNotesChanged { get; set; }
+
+        public DateTimeOffset SavedAtTime => DateTimeOffset.FromUnixTimeMilliseconds(SavedAt);
+
+        /// <summary>One line per kind of change, e.g. "Added: Fetch, Parse and 2 more".</summary>
+        public IEnumerable<string> Describe()
+        {
+            if (Added.Count > 0) yield return $"Added: {Names(Added)}";
+            if (Removed.Count > 0) yield return $"Removed: {Names(Removed)}";
+            if (Changed.Count > 0) yield return $"Changed: {Names(Changed)}";
+            if (Moved.Count > 0) yield return $"Moved: {Names(Moved)}";
+            if (ConnectionsAdded > 0) yield return $"{Count(ConnectionsAdded, "connection")} added";
+            if (ConnectionsRemoved > 0) yield return $"{Count(ConnectionsRemoved, "connection")} removed";
+            if (FramesOrNotesChanged) yield return "Frames or notes changed";
+        }
+
+        private static string Names(List<string> names)
+        {
+            if (names.Count == 1)
+                return names[0];
+            if (names.Count <= NamesShown)
+                return $"{string.Join(", ", names.Take(names.Count - 1))} and {names[^1]}";
+            return $"{string.Join(", ", names.Take(NamesShown))} and {names.Count - NamesShown} more";
+        }
+
+        private static string Count(int count, string noun) => count == 1 ? $"1 {noun}" : $"{count} {noun}s";
+    }
+
+    /// <summary>A journal entry taken for restoring: the canvas as exported by Drawflow, and its view.</summary>
+    public class AutosaveEntry
+    {
+        public required string Drawflow { get; set; }
+        public string? Module { get; set; }
+        public double Zoom { get; set; } = 1;
+        public double X { get; set; }
+        public double Y { get; set; }
+    }
+}
@@ -0,0 +1,27 @@
+namespace BlazorWorkflow.Models
+{
+    /// <summary>
+    /// Optional features of the workflow canvas. Each is only registered on canvases where it is on: a feature that is
+    /// off adds no handlers, shortcuts or elements. Themes, collaboration and autosave are switched with their own options.
+    /// </summary>
+    public class CanvasFeatureOptions
+    {
+        /// <summary>Keyboard navigation of nodes and ports, and screen reader labels and announcements.</summary>
+        public bool Accessibility { get; set; } = true;
+
+        /// <summary>The search bar (Ctrl/Cmd+F) that finds and focuses nodes.</summary>
+        public bool Search { get; set; } = true;
+
+        /// <summary>Drilling into sub-workflow nodes, with a breadcrumb back out.</summary>
+        public bool Modules { get; set; } = true;
+
+        /// <summary>
+        /// Viewport virtualization for workflows with thousands of nodes, on from the start.
+        /// <c>WorkflowGraph.SetVirtualizationAsync</c> only works on canvases with this on.
+        /// </summary>
+        public bool Virtualization { get; set; }
+
+        /// <summary>Show the minimap on every canvas from the start; <c>WorkflowGraph.SetMinimapAsync</c> works either way.</summary>
+        public bool Minimap { get; set; }
+    }
+}
@@ -0,0 +1,185 @@
+using System.Text.Json.Nodes;
+using System.Text.RegularExpressions;
+using BlazorWorkflow.Services;
+
+namespace BlazorWorkflow.Models
+{
+    /// <summary>
+    /// Turns on real-time collaboration for <c>WorkflowEditor</c>: everyone editing the same workflow sees the others'
+    /// canvas edits, cursors and selections. Requests go through a SignalR hub unless <see cref="TransportFactory"/> is set;
+    /// the host then maps it with <c>app.MapWorkflowCollaboration()</c>.
+    /// </summary>
+    /// <remarks>
+    /// Node additions, moves and removals, connections and param edits are shared, and concurrent edits converge: the
+    /// last writer wins and a removal beats edits. Undo and redo, import, clear, collapsing nodes into a sub-workflow and
+    /// edits made in the node editor dialog stay local. The hub refuses operations of an unknown kind, node definitions
+    /// over <see cref="CollaborationOperation.MaxDefinitionLength"/> and param paths that could reach a JavaScript
+    /// prototype. A canvas that can't connect, or is refused, keeps working on its own.
+    /// </remarks>
+    public class CollaborationOptions
+    {
+        public const string DefaultHubPath = "/bw-collaboration";
+
+        /// <summary>Share workflows opened in <c>WorkflowEditor</c>. Off by default.</summary>
+        public bool Enabled { get; set; }
+
+        /// <summary>Path of the <see cref="WorkflowCollaborationHub"/>, relative to the app's base URI.</summary>
+        public string HubPath { get; set; } = DefaultHubPath;
+
+        /// <summary>
+        /// Authorization policy a hub connection must satisfy to join a workflow, evaluated with the workflow id as the
+        /// resource. If null, any user the hub lets connect may join any workflow.
+        /// </summary>
+        public string? JoinPolicy { get; set; }
+
+        /// <summary>
+        /// Optional factory for the transport each canvas uses, for example an <see cref="InMemoryCollaborationTransport"/>
+        /// on a single server. If null, a <see cref="SignalRCollaborationTransport"/> connected to <see cref="HubPath"/> is used.
+        /// </summary>
+        public Func<IServiceProvider, ICollaborationTransport>? TransportFactory { get; set; }
+    }
+
+    /// <summary>
+    /// One canvas edit, as sent to the other participants. Nodes are identified by <see cref="NodeV2.Node.Id"/>,
+    /// which is the same on every canvas; Drawflow ids are not.
+    /// </summary>
+    public class CollaborationOperation
+    {
+        public const string NodeAdded = "nodeAdded";
+        public const string NodeMoved = "nodeMoved";
+        public const string NodeRemoved = "nodeRemoved";
+        public const string ConnectionAdded = "connectionAdded";
+        public const string ConnectionRemoved = "connectionRemoved";
+        public const string ParamChanged = "paramChanged";
+
+        /// <summary>Longest <see cref="Definition"/> accepted from another participant, in characters.</summary>
+        public const int MaxDefinitionLength = 64 * 1024;
+
+        /// <summary>Longest <see cref="Path"/> accepted from another participant, in characters.</summary>
+        public const int MaxPathLength = 256;
+
+        private static readonly HashSet<string> Kinds =
+            [NodeAdded, NodeMoved, NodeRemoved, ConnectionAdded, ConnectionRemoved, ParamChanged];
+
+        // Path segments that would reach an object's prototype instead of the node's data on the canvas
+        private static readonly HashSet<string> UnsafePathSegments = ["__proto__", "constructor", "prototype"];
+
+        /// <summary><c>nodeAdded</c>, <c>nodeMoved</c>, <c>nodeRemoved</c>, <c>connectionAdded</c>, <c>connectionRemoved</c> or <c>paramChanged</c>.</summary>
+        public required string Kind { get; set; }
+
+        /// <summary>Id of the node the operation is about; unused for connections.</summary>
+        public string? Node { get; set; }
+
+        /// <summary>Canvas position for <c>nodeAdded</c> and <c>nodeMoved</c>.</summary>
+        public double? X { get; set; }
+        public double? Y { get; set; }
+
+        /// <summary>For <c>paramChanged</c>: the path under the node's Drawflow data, for example <c>params.url</c>.</summary>
+        public string? Path { get; set; }
+        public JsonNode? Value { get; set; }
+
+        public CollaborationConnection? Connection { get; set; }
+
+        /// <summary>For <c>nodeAdded</c>: the node definition, in the format stored under a Drawflow node's <c>data.node</c>.</summary>
+        public string? Definition { get; set; }
+
+        /// <summary>For <c>nodeAdded</c>: the module (sub-workflow) the node belongs to.</summary>
+        public string? Module { get; set; }
+
+        /// <summary>Participant that made the edit; stamped by <see cref="CollaborationSession"/>.</summary>
+        public string ClientId { get; set; } = string.Empty;
+
+        /// <summary>Lamport clock of the edit; stamped by <see cref="CollaborationSession"/>.</summary>
+        public long Clock { get; set; }
+
+        /// <summary>
+        /// Whether the operation is safe to relay and apply: a known <see cref="Kind"/>, a <see cref="Path"/> that stays
+        /// inside the node's data and a <see cref="Definition"/> of at most <see cref="MaxDefinitionLength"/> characters.
+        /// Operations come from other people's browsers, so the hub and every session check this first.
+        /// </summary>
+        public bool IsValid()
+        {
+            if (!Kinds.Contains(Kind))
+                return false;
+
+            if (Definition is { Length: > MaxDefinitionLength })
+                return false;
+
+            if (Kind == ParamChanged)
+            {
+                if (string.IsNullOrEmpty(Path) || Path.Length > MaxPathLength)
+                    return false;
+
+                // Same segments as the canvas walks: "params.headers[0].name"
+                var segments = Path.Split(new[] { '.', '[', ']' }, StringSplitOptions.RemoveEmptyEntries);
+                if (segments.Length == 0 || segments.Any(UnsafePathSegments.Contains))
+                    return false;
+            }
+
+            return true;
+        }
+    }
+
+    /// <summary>A connection between two nodes, by node id and Drawflow port class (<c>output_1</c>, <c>input_1</c>).</summary>
+    public class CollaborationConnection
+    {
+        public required string Output { get; set; }
+        public required string OutputClass { get; set; }
+        public required string Input { get; set; }
+        public required string InputClass { get; set; }
+    }
+
+    /// <summary>
+    /// Where another participant is: their cursor in canvas coordinates (null when it is off the canvas),
+    /// the module they have open and the nodes they have selected.
+    /// </summary>
+    public class CollaboratorPresence
+    {
+        /// <summary>Longest <see cref="Name"/> accepted from another participant, in characters.</summary>
+        public const int MaxNameLength = 64;
+
+        /// <summary>Most node ids accepted in <see cref="Selection"/>.</summary>
+        public const int MaxSelectionCount = 1000;
+
+        /// <summary>Longest <see cref="Module"/> or selected node id accepted, in characters.</summary>
+        public const int MaxIdLength = 256;
+
+        // Only hex colors, so a participant cannot smuggle anything else into the canvas's styles
+        private static readonly Regex ColorPattern = new("^#[0-9a-fA-F]{3,8}$", RegexOptions.Compiled);
+
+        public required string ClientId { get; set; }
+        public required string Name { get; set; }
+
+        /// <summary>CSS color their cursor and selection are drawn in.</summary>
+        public required string Color { get; set; }
+
+        public double? X { get; set; }
+        public double? Y { get; set; }
+        public string Module { get; set; } = string.Empty;
+        public List<string> Selection { get; set; } = [];
+
+        /// <summary>
+        /// Whether the presence is safe to relay and draw: a non-empty <see cref="Name"/> of at most
+        /// <see cref="MaxNameLength"/> characters, a hex <see cref="Color"/>, a finite cursor and a bounded
+        /// <see cref="Module"/> and <see cref="Selection"/>. Like operations, the hub and every session check this first.
+        /// </summary>
+        public bool IsValid()
+        {
+            if (string.IsNullOrWhiteSpace(Name) || Name.Length > MaxNameLength)
+                return false;
+
+            if (Color is null || !ColorPattern.IsMatch(Color))
+                return false;
+
+            if ((X is { } x && !double.IsFinite(x)) || (Y is { } y && !double.IsFinite(y)))
+                return false;
+
+            if (Module is null || Module.Length > MaxIdLength)
+                return false;
+
+            return Selection is not null
+                && Selection.Count <= MaxSelectionCount
+                && Selection.All(id => !string.IsNullOrEmpty(id) && id.Length <= MaxIdLength);
+        }
+    }
+}
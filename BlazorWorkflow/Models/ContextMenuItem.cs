@@ -0,0 +1,50 @@
+using System.Text.Json.Serialization;
+using BlazorWorkflow.Models.DTOs;
+
+namespace BlazorWorkflow.Models
+{
+    /// <summary>
+    /// What was right-clicked on the canvas.
+    /// </summary>
+    [JsonConverter(typeof(JsonStringEnumConverter))]
+    public enum ContextMenuTarget
+    {
+        Node,
+        Connection,
+        Canvas
+    }
+
+    /// <summary>
+    /// Describes where a canvas context menu was opened.
+    /// </summary>
+    public class ContextMenuContext
+    {
+        public ContextMenuTarget Target { get; set; }
+
+        /// <summary>Drawflow id of the right-clicked node, when <see cref="Target"/> is a node.</summary>
+        public string? NodeId { get; set; }
+
+        /// <summary>Nodes the action applies to: the whole selection when the clicked node is part of it.</summary>
+        public List<string> NodeIds { get; set; } = [];
+
+        /// <summary>The right-clicked connection, when <see cref="Target"/> is a connection.</summary>
+        public DfConnectionCreatedEventPayload? Connection { get; set; }
+
+        /// <summary>Cursor position in canvas coordinates, usable as a node position.</summary>
+        public double X { get; set; }
+        public double Y { get; set; }
+    }
+
+    /// <summary>
+    /// A custom entry in the canvas context menu, registered through <c>WorkflowGraph.AddContextMenuItemAsync</c>.
+    /// </summary>
+    public class ContextMenuItem
+    {
+        public required string Id { get; init; }
+        public required string Label { get; init; }
+        public ContextMenuTarget Target { get; init; } = ContextMenuTarget.Node;
+
+        [JsonIgnore]
+        public Func<ContextMenuContext, Task>? OnSelected { get; init; }
+    }
+}
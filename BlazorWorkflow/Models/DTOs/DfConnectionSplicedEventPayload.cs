@@ -0,0 +1,27 @@
+using System.Text.Json.Serialization;
+
+namespace BlazorWorkflow.Models.DTOs
+{
+    /// <summary>
+    /// A connection re-routed through a node: <see cref="Removed"/> was replaced by the two <see cref="Created"/> ones.
+    /// </summary>
+    public class DfConnectionSplicedEventPayload
+    {
+        /// <summary>Drawflow id of the node the connection now runs through.</summary>
+        [JsonPropertyName("id")]
+        public required string Id { get; set; }
+
+        [JsonPropertyName("removed")]
+        public required DfConnectionCreatedEventPayload Removed { get; set; }
+
+        [JsonPropertyName("created")]
+        public List<DfConnectionCreatedEventPayload> Created { get; set; } = [];
+
+        /// <summary>Where the node was dropped, when the splice ended a drag.</summary>
+        [JsonPropertyName("pos_x")]
+        public double? PosX { get; set; }
+
+        [JsonPropertyName("pos_y")]
+        public double? PosY { get; set; }
+    }
+}
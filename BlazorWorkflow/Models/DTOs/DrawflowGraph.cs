@@ -13,9 +13,10 @@ public sealed class DrawflowGraph
     public DrawflowPage Page { get; }
     public WorkflowGraph DrawflowBase { get; set; }
 
-    // Cached quick-lookups
-    private readonly Dictionary<string, DrawflowNode> _nodes;
-    private readonly List<Edge> _edges;
+    // Cached quick-lookups, across every page: Drawflow node ids are unique in the whole document
+    private readonly Dictionary<string, DrawflowNode> _nodes = new();
+    private readonly Dictionary<string, string> _nodeModules = new();
+    private readonly List<Edge> _edges = new();
 
     private DrawflowGraph(DrawflowDocument doc, string pageName, DrawflowPage page)
     {
@@ -23,12 +24,24 @@ public sealed class DrawflowGraph
         PageName = pageName;
         Page = page;
 
-        _nodes = page.Data; // keys are string ids ("1", "2", ...)
-        _edges = BuildEdges(page);
+        foreach (var (module, modulePage) in doc.Pages)
+        {
+            foreach (var (nodeId, node) in modulePage.Data) // keys are string ids ("1", "2", ...)
+            {
+                _nodes[nodeId] = node;
+                _nodeModules[nodeId] = module;
+            }
+
+            // Frames and notes only know their module from the key they are stored under
+            modulePage.Frames.ForEach(f => f.Module = module);
+            modulePage.Notes.ForEach(n => n.Module = module);
+
+            _edges.AddRange(BuildEdges(modulePage));
+        }
     }
 
     /// <summary>
-    /// Parse Drawflow JSON and focus on a page (default: "Home").
+    /// Parse Drawflow JSON and focus on a page (default: "Home"). Node and edge lookups cover every page.
     /// </summary>
     public static DrawflowGraph Parse(WorkflowGraph dfBase, string json, string pageName = "Home")
     {
@@ -53,9 +66,12 @@ public sealed class DrawflowGraph
         return graph;
     }
 
-    /// <summary>Get all node ids on the page.</summary>
+    /// <summary>Get all node ids, on every page.</summary>
     public IEnumerable<string> NodeIds() => _nodes.Keys;
 
+    /// <summary>All nodes, on every page, by id.</summary>
+    public IReadOnlyDictionary<string, DrawflowNode> Nodes => _nodes;
+
     /// <summary>Try get node by id ("1", "2", ...).</summary>
     public bool TryGetNode(string nodeId, out DrawflowNode? node) =>
         _nodes.TryGetValue(nodeId, out node);
@@ -66,7 +82,13 @@ public sealed class DrawflowGraph
             ? node
             : throw new KeyNotFoundException($"Node '{nodeId}' not found.");
 
-    /// <summary>All edges discovered on the page.</summary>
+    /// <summary>Name of the page (Drawflow module) holding the node.</summary>
+    public string GetModule(string nodeId) =>
+        _nodeModules.TryGetValue(nodeId, out var module)
+            ? module
+            : throw new KeyNotFoundException($"Node '{nodeId}' not found.");
+
+    /// <summary>All edges discovered on the pages.</summary>
     public IReadOnlyList<Edge> Edges => _edges;
 
     /// <summary>Edges where from = nodeId.</summary>
@@ -1,4 +1,5 @@
 using System.Text.Json.Serialization;
+using BlazorWorkflow.Models.NodeV2;
 
 namespace BlazorWorkflow.Models.DTOs;
 
@@ -6,4 +7,10 @@ public sealed class DrawflowPage
 {
     [JsonPropertyName("data")]
     public Dictionary<string, DrawflowNode> Data { get; init; } = new();
+
+    [JsonPropertyName("frames")]
+    public List<NodeFrame> Frames { get; init; } = new();
+
+    [JsonPropertyName("notes")]
+    public List<CanvasNote> Notes { get; init; } = new();
 }
@@ -31,7 +31,7 @@ namespace BlazorWorkflow.Models
         /// </summary>
         public static GraphSnapshot Create(Graph graph, double posX, double posY)
         {
-            var drawflowJson = DrawflowExporter.ExportToDrawflowJson(graph.Nodes.Select(x => x.Value));
+            var drawflowJson = DrawflowExporter.ExportToDrawflowJson(graph);
 
             return new GraphSnapshot
             {
@@ -0,0 +1,29 @@
+namespace BlazorWorkflow.Models
+{
+    /// <summary>
+    /// Host defaults for the editor's keyboard shortcuts, keyed by action name (for example <c>"canvas.redo"</c>).
+    /// A binding is a string such as <c>"Mod+Shift+Z"</c> or <c>"?"</c>, where <c>Mod</c> is Ctrl, or Cmd on macOS.
+    /// An empty list unbinds the action. Bindings a user sets through <c>WorkflowGraph.SetShortcutAsync</c> win over these.
+    /// </summary>
+    public class KeyboardShortcutOptions
+    {
+        public Dictionary<string, List<string>> Bindings { get; set; } = [];
+    }
+
+    /// <summary>
+    /// A shortcut action as currently bound in the browser.
+    /// </summary>
+    public class KeyboardShortcut
+    {
+        public required string Name { get; init; }
+        public required string Label { get; init; }
+
+        /// <summary>Where the action applies: <c>canvas</c>, <c>node</c>, <c>search</c>, <c>nodeEditor</c>, <c>prompt</c> or <c>overlay</c>.</summary>
+        public required string Scope { get; init; }
+
+        public List<string> Keys { get; init; } = [];
+
+        /// <summary>True when the user rebound the action; their binding is stored in the browser's localStorage.</summary>
+        public bool Customized { get; init; }
+    }
+}
@@ -0,0 +1,48 @@
+using System.Text.Json.Serialization;
+
+namespace BlazorWorkflow.Models.NodeV2
+{
+    /// <summary>
+    /// A free-floating markdown annotation on the canvas. Notes are not nodes: they never run and are not validated,
+    /// but they are exported and imported with the workflow. Stored as <c>drawflow.&lt;module&gt;.notes</c> in Drawflow JSON.
+    /// </summary>
+    public class CanvasNote
+    {
+        [JsonPropertyName("id")]
+        public string Id { get; set; } = Guid.NewGuid().ToString("N");
+
+        /// <summary>Markdown source; the canvas renders it without ever interpreting HTML.</summary>
+        [JsonPropertyName("text")]
+        public string Text { get; set; } = string.Empty;
+
+        [JsonPropertyName("color")]
+        public string Color { get; set; } = "#fff3b0";
+
+        [JsonPropertyName("pos_x")]
+        public double PosX { get; set; }
+
+        [JsonPropertyName("pos_y")]
+        public double PosY { get; set; }
+
+        [JsonPropertyName("width")]
+        public double Width { get; set; } = 220;
+
+        [JsonPropertyName("height")]
+        public double Height { get; set; } = 140;
+
+        /// <summary>Drawflow id of the node the note moves with, if pinned.</summary>
+        [JsonPropertyName("node")]
+        public string? PinnedNodeId { get; set; }
+
+        /// <summary>Position relative to the pinned node's top-left corner.</summary>
+        [JsonPropertyName("offset_x")]
+        public double OffsetX { get; set; }
+
+        [JsonPropertyName("offset_y")]
+        public double OffsetY { get; set; }
+
+        /// <summary>Drawflow module the note is drawn in. Drawflow JSON files it under that module's key.</summary>
+        [JsonPropertyName("module")]
+        public string Module { get; set; } = "Home";
+    }
+}
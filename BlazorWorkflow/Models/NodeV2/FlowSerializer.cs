@@ -21,9 +21,10 @@ namespace BlazorWorkflow.Models.NodeV2
         };
 
         /// <summary>
-        /// Serializes a collection of nodes to a JSON string.
+        /// Serializes a collection of nodes (and optionally the canvas group frames and notes) to a JSON string.
         /// </summary>
-        public static string SerializeFlow(IEnumerable<Node> nodes, string? flowName = null, Dictionary<string, object>? metadata = null)
+        public static string SerializeFlow(IEnumerable<Node> nodes, string? flowName = null, Dictionary<string, object>? metadata = null,
+            IEnumerable<NodeFrame>? frames = null, IEnumerable<CanvasNote>? notes = null)
         {
             var nodeList = nodes.ToList();
             var serializableNodes = new List<SerializableNode>();
@@ -58,7 +59,11 @@ namespace BlazorWorkflow.Models.NodeV2
                         kvp => kvp.Value.Select(n => nodeIdMap[n]).ToList()
                     ),
                     ParentWorkflowId = node.ParentWorkflowId,
-                    NameOverride = node.NameOverride
+                    NameOverride = node.NameOverride,
+                    HasBreakpoint = node.HasBreakpoint,
+                    IsDisabled = node.IsDisabled,
+                    Module = node.Module == SubWorkflowHelpers.HomeModule ? null : node.Module,
+                    SubWorkflowModule = node.SubWorkflowModule
                 };
 
                 serializableNodes.Add(serializableNode);
@@ -70,7 +75,9 @@ namespace BlazorWorkflow.Models.NodeV2
                 FlowName = flowName ?? "Untitled Flow",
                 CreatedAt = DateTime.UtcNow,
                 Metadata = metadata ?? new Dictionary<string, object>(),
-                Nodes = serializableNodes
+                Nodes = serializableNodes,
+                Frames = frames?.ToList() is { Count: > 0 } frameList ? frameList : null,
+                Notes = notes?.ToList() is { Count: > 0 } noteList ? noteList : null
             };
 
             return JsonSerializer.Serialize(flow, DefaultOptions);
@@ -89,7 +96,9 @@ namespace BlazorWorkflow.Models.NodeV2
                 Version = flow.Version,
                 FlowName = flow.FlowName,
                 CreatedAt = flow.CreatedAt,
-                Metadata = flow.Metadata
+                Metadata = flow.Metadata,
+                Frames = flow.Frames ?? new List<NodeFrame>(),
+                Notes = flow.Notes ?? new List<CanvasNote>()
             };
 
             var nodes = new List<Node>();
@@ -137,7 +146,11 @@ namespace BlazorWorkflow.Models.NodeV2
                     MergeOutputWithInput = serNode.MergeOutputWithInput,
                     DeclaredOutputPorts = serNode.DeclaredOutputPorts ?? new List<string>(),
                     ParentWorkflowId = serNode.ParentWorkflowId,
-                    NameOverride = serNode.NameOverride
+                    NameOverride = serNode.NameOverride,
+                    HasBreakpoint = serNode.HasBreakpoint,
+                    IsDisabled = serNode.IsDisabled,
+                    Module = serNode.Module ?? SubWorkflowHelpers.HomeModule,
+                    SubWorkflowModule = serNode.SubWorkflowModule
                 };
 
                 nodes.Add(node);
@@ -265,6 +278,10 @@ namespace BlazorWorkflow.Models.NodeV2
         public DateTime CreatedAt { get; set; }
         public Dictionary<string, object> Metadata { get; set; } = new();
         public List<SerializableNode> Nodes { get; set; } = new();
+
+        // Null when there are none, so flows without frames or notes serialize as before
+        public List<NodeFrame>? Frames { get; set; }
+        public List<CanvasNote>? Notes { get; set; }
     }
 
     /// <summary>
@@ -288,6 +305,12 @@ namespace BlazorWorkflow.Models.NodeV2
         public Dictionary<string, List<string>> OutputPortConnections { get; set; } = new();
         public string? ParentWorkflowId { get; set; }
         public string? NameOverride { get; set; }
+        public bool HasBreakpoint { get; set; }
+        public bool IsDisabled { get; set; }
+
+        // Null for Home, so flows without sub-workflows serialize as before
+        public string? Module { get; set; }
+        public string? SubWorkflowModule { get; set; }
     }
 
     /// <summary>
@@ -299,5 +322,11 @@ namespace BlazorWorkflow.Models.NodeV2
         public string FlowName { get; set; } = "Untitled Flow";
         public DateTime CreatedAt { get; set; }
         public Dictionary<string, object> Metadata { get; set; } = new();
+
+        /// <summary>Canvas group frames saved with the flow.</summary>
+        public List<NodeFrame> Frames { get; set; } = new();
+
+        /// <summary>Canvas notes saved with the flow.</summary>
+        public List<CanvasNote> Notes { get; set; } = new();
     }
 }
@@ -11,6 +11,12 @@ namespace BlazorWorkflow.Models.NodeV2
     public class Graph
     {
         public ConcurrentDictionary<string, Node> Nodes = [];
+
+        /// <summary>Group frames drawn behind the nodes; they only affect the canvas, not execution.</summary>
+        public List<NodeFrame> Frames { get; set; } = [];
+
+        /// <summary>Markdown annotations on the canvas; never executed.</summary>
+        public List<CanvasNote> Notes { get; set; } = [];
         private readonly static MethodInfo startMethod = typeof(CoreNodes).GetMethod(nameof(CoreNodes.Start))!;
 
         public Graph()
@@ -35,7 +41,10 @@ namespace BlazorWorkflow.Models.NodeV2
                 // Event handlers are already attached during component initialization
                 // No need to re-attach them here
 
-                var startNodes = Nodes.Where(x => x.Value.BackingMethod == startMethod);
+                SubWorkflowHelpers.LinkSubWorkflows(Nodes.Values);
+
+                // Sub-workflow bodies only run when their sub-workflow node does
+                var startNodes = Nodes.Where(x => x.Value.BackingMethod == startMethod && x.Value.Module == SubWorkflowHelpers.HomeModule);
                 var tasks = new List<Task>();
                 executionContext.StartTime = DateTime.Now;
 
@@ -67,6 +76,9 @@ namespace BlazorWorkflow.Models.NodeV2
         public FrozenDictionary<string, string> Parameters { get; set; } = new Dictionary<string, string>().ToFrozenDictionary();
         public FrozenDictionary<string, string> EnvironmentVariables { get; set; } = new Dictionary<string, string>().ToFrozenDictionary();
 
+        /// <summary>Optional debugger; when set, nodes pause at breakpoints before they run.</summary>
+        public WorkflowDebugger? Debugger { get; set; }
+
         public IReadOnlyList<LogEntry> Logs
         {
             get { lock (_logLock) { return _logs.ToList().AsReadOnly(); } }
@@ -53,9 +53,17 @@ namespace BlazorWorkflow.Models.NodeV2
             BackingMethod.Name == nameof(WorkflowHelpers.ExecuteWorkflow)
             && BackingMethod == typeof(WorkflowHelpers).GetMethod(nameof(WorkflowHelpers.ExecuteWorkflow));
 
+        public bool IsSubWorkflowNode => BackingMethod == SubWorkflowHelpers.SubWorkflowMethod;
+
         public string? NameOverride { get; set; }
         public string Id { get; set; } = Guid.NewGuid().ToString();
         public string Section { get; set; } = string.Empty;
+
+        /// <summary>Drawflow module (canvas tab) the node is drawn in.</summary>
+        public string Module { get; set; } = SubWorkflowHelpers.HomeModule;
+
+        /// <summary>For sub-workflow nodes: the module holding the nodes they run.</summary>
+        public string? SubWorkflowModule { get; set; }
         public string DrawflowNodeId { get; set; } = string.Empty;
         public double PosX { get; set; }
         public double PosY { get; set; }
@@ -78,6 +86,12 @@ namespace BlazorWorkflow.Models.NodeV2
         public string? ParentWorkflowId { get; set; }
         public bool MergeOutputWithInput { get; set; }
 
+        /// <summary>Pause before this node runs when the execution context has a debugger attached.</summary>
+        public bool HasBreakpoint { get; set; }
+
+        /// <summary>Skip the backing method and pass the input straight through to the output nodes.</summary>
+        public bool IsDisabled { get; set; }
+
         public List<string> DeclaredOutputPorts { get; set; } = [];
 
         [JsonIgnore] public bool HasError { get; set; }
@@ -91,6 +105,9 @@ namespace BlazorWorkflow.Models.NodeV2
         [JsonIgnore] public List<Node> InputNodes { get; set; } = [];
         [JsonIgnore] public List<Node> OutputNodes { get; set; } = [];
 
+        /// <summary>For sub-workflow nodes: the nodes in <see cref="SubWorkflowModule"/>, set by <see cref="SubWorkflowHelpers.LinkSubWorkflows"/>.</summary>
+        [JsonIgnore] public List<Node> SubWorkflowNodes { get; set; } = [];
+
         [JsonIgnore]
         public Dictionary<string, List<Node>> OutputPorts { get; } =
             new(StringComparer.OrdinalIgnoreCase);
@@ -282,10 +299,26 @@ namespace BlazorWorkflow.Models.NodeV2
                 var formattedInput = BuildFormattedInput(inputNodesData);
                 Input = formattedInput;
 
+                if (IsDisabled)
+                {
+                    // Flow-port nodes never trigger a port while disabled, so their branches end here
+                    Result = inputNodesData;
+                    return Result;
+                }
+
+                if (SharedExecutionContext?.Debugger is { } debugger)
+                {
+                    await debugger.WaitBeforeNodeAsync(this, formattedInput).ConfigureAwait(false);
+                }
+
                 if (IsWorkflowNode)
                 {
                     Result = await ExecuteAsWorkflowNodeAsync(formattedInput).ConfigureAwait(false);
                 }
+                else if (IsSubWorkflowNode)
+                {
+                    Result = await ExecuteSubWorkflowBodyAsync(inputNodesData).ConfigureAwait(false);
+                }
                 else
                 {
                     var filledMethodParameters = GetMethodParametersFromInputResult(formattedInput);
@@ -304,6 +337,11 @@ namespace BlazorWorkflow.Models.NodeV2
 
                 return Result ?? [];
             }
+            catch (OperationCanceledException) when (SharedExecutionContext?.Debugger?.IsStopped == true)
+            {
+                // Stopped from the debugger: abort the run instead of recording a node error
+                throw;
+            }
             catch (Exception ex)
             {
                 HandleExecutionException(ex);
@@ -371,7 +409,8 @@ namespace BlazorWorkflow.Models.NodeV2
             }
 
             var environment = SharedExecutionContext?.EnvironmentVariables?.ToDictionary() ?? [];
-            var result = await WorkflowHelpers.ExecuteWorkflow(workflow, mappedValues, environment).ConfigureAwait(false);
+            // The caller's debugger goes along, so breakpoints inside the called workflow pause this run too
+            var result = await WorkflowHelpers.RunWorkflowAsync(workflow, mappedValues, environment, SharedExecutionContext?.Debugger).ConfigureAwait(false);
 
             result.Remove("environment");
             jsonObject.SetByPath($"output.external_workflows.{workflow.Id}", result);
@@ -379,6 +418,40 @@ namespace BlazorWorkflow.Models.NodeV2
             return jsonObject;
         }
 
+        private async Task<JsonObject> ExecuteSubWorkflowBodyAsync(JsonObject inputNodesData)
+        {
+            // A loop may run the sub-workflow again, so the body starts from scratch every time
+            ClearNodes(SubWorkflowNodes);
+
+            var entries = SubWorkflowNodes.Where(n => n.BackingMethod == SubWorkflowHelpers.InputMethod).ToList();
+            foreach (var entry in entries)
+            {
+                entry.Result = inputNodesData.DeepClone().AsObject();
+            }
+
+            foreach (var entry in entries)
+            {
+                await entry.ExecuteNode(this).ConfigureAwait(false);
+            }
+
+            // Each output node the run reached fires its port once Result is set (see FlushPendingPortsAsync)
+            var result = new JsonObject();
+            foreach (var exit in SubWorkflowNodes.Where(n => n.BackingMethod == SubWorkflowHelpers.OutputMethod && n.Result != null))
+            {
+                if (exit.Input?["input"] is JsonObject output)
+                {
+                    result.Merge(new JsonObject { ["output"] = output.DeepClone() });
+                }
+
+                lock (_pendingPortsLock)
+                {
+                    _pendingPortTriggers.Add(SubWorkflowHelpers.GetPortName(exit));
+                }
+            }
+
+            return result;
+        }
+
         private void PropagateWorkflowOutputToSharedContext(JsonObject? result)
         {
             if (result == null || SharedExecutionContext?.SharedContext == null)
@@ -0,0 +1,46 @@
+using System.Text.Json.Serialization;
+
+namespace BlazorWorkflow.Models.NodeV2
+{
+    /// <summary>
+    /// A titled, colored rectangle on the canvas that groups nodes. Moving the frame moves its members;
+    /// collapsing it hides them and draws their outside connections to the frame's edge.
+    /// Stored next to the nodes as <c>drawflow.&lt;module&gt;.frames</c> in Drawflow JSON, with the same property names.
+    /// </summary>
+    public class NodeFrame
+    {
+        [JsonPropertyName("id")]
+        public string Id { get; set; } = Guid.NewGuid().ToString("N");
+
+        [JsonPropertyName("title")]
+        public string Title { get; set; } = "Group";
+
+        /// <summary>Any CSS color; the frame border and title bar use it.</summary>
+        [JsonPropertyName("color")]
+        public string Color { get; set; } = "#6c8ebf";
+
+        [JsonPropertyName("pos_x")]
+        public double PosX { get; set; }
+
+        [JsonPropertyName("pos_y")]
+        public double PosY { get; set; }
+
+        /// <summary>Expanded size; a collapsed frame keeps it and only shows its title bar.</summary>
+        [JsonPropertyName("width")]
+        public double Width { get; set; }
+
+        [JsonPropertyName("height")]
+        public double Height { get; set; }
+
+        [JsonPropertyName("collapsed")]
+        public bool IsCollapsed { get; set; }
+
+        /// <summary>Drawflow ids of the member nodes.</summary>
+        [JsonPropertyName("nodes")]
+        public List<string> NodeIds { get; set; } = [];
+
+        /// <summary>Drawflow module the frame is drawn in. Drawflow JSON files it under that module's key.</summary>
+        [JsonPropertyName("module")]
+        public string Module { get; set; } = "Home";
+    }
+}
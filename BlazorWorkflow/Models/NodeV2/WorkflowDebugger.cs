@@ -0,0 +1,117 @@
+using System.Text.Json.Nodes;
+
+namespace BlazorWorkflow.Models.NodeV2
+{
+    public enum DebuggerAction
+    {
+        Continue,
+        StepOver,
+        Stop
+    }
+
+    public class DebuggerPausedEventArgs : EventArgs
+    {
+        public required Node Node { get; init; }
+        /// <summary>The formatted input the node is about to consume.</summary>
+        public required JsonObject Input { get; init; }
+    }
+
+    public class DebuggerResumedEventArgs : EventArgs
+    {
+        public required Node Node { get; init; }
+        public required DebuggerAction Action { get; init; }
+    }
+
+    /// <summary>
+    /// Pauses a run before nodes with <see cref="Node.HasBreakpoint"/> set, or before every node while stepping.
+    /// Attach it through <see cref="GraphExecutionContext.Debugger"/>; nodes call <see cref="WaitBeforeNodeAsync"/>
+    /// after their input is built and before the backing method is invoked.
+    /// </summary>
+    public class WorkflowDebugger
+    {
+        private readonly object _lock = new();
+        // Parallel branches can reach breakpoints together; they pause one at a time
+        private readonly SemaphoreSlim _pauseGate = new(1, 1);
+        private TaskCompletionSource<DebuggerAction>? _resume;
+        private volatile bool _stepping;
+        private volatile bool _stopped;
+
+        public event EventHandler<DebuggerPausedEventArgs>? Paused;
+        public event EventHandler<DebuggerResumedEventArgs>? Resumed;
+
+        public Node? PausedNode { get; private set; }
+        public JsonObject? PausedInput { get; private set; }
+        public bool IsPaused => PausedNode != null;
+        public bool IsStopped => _stopped;
+
+        public async Task WaitBeforeNodeAsync(Node node, JsonObject input)
+        {
+            ThrowIfStopped();
+            if (!ShouldPause(node))
+                return;
+
+            await _pauseGate.WaitAsync().ConfigureAwait(false);
+            try
+            {
+                // Re-check: the run may have been stopped or stepping ended while this branch was queued
+                ThrowIfStopped();
+                if (!ShouldPause(node))
+                    return;
+
+                var resume = new TaskCompletionSource<DebuggerAction>(TaskCreationOptions.RunContinuationsAsynchronously);
+                lock (_lock)
+                {
+                    _resume = resume;
+                    PausedNode = node;
+                    PausedInput = input;
+                }
+
+                Paused?.Invoke(this, new DebuggerPausedEventArgs { Node = node, Input = input });
+                var action = await resume.Task.ConfigureAwait(false);
+
+                lock (_lock)
+                {
+                    _resume = null;
+                    PausedNode = null;
+                    PausedInput = null;
+                }
+
+                Resumed?.Invoke(this, new DebuggerResumedEventArgs { Node = node, Action = action });
+                ThrowIfStopped();
+            }
+            finally
+            {
+                _pauseGate.Release();
+            }
+        }
+
+        /// <summary>Resume and run until the next breakpoint.</summary>
+        public bool Continue() => Resume(DebuggerAction.Continue);
+
+        /// <summary>Resume and pause again before the next node that executes.</summary>
+        public bool StepOver() => Resume(DebuggerAction.StepOver);
+
+        /// <summary>Abort the run; the paused node and every node after it throw <see cref="OperationCanceledException"/>.</summary>
+        public bool Stop() => Resume(DebuggerAction.Stop);
+
+        private bool Resume(DebuggerAction action)
+        {
+            lock (_lock)
+            {
+                _stepping = action == DebuggerAction.StepOver;
+                if (action == DebuggerAction.Stop)
+                    _stopped = true;
+
+                return _resume?.TrySetResult(action) ?? false;
+            }
+        }
+
+        private bool ShouldPause(Node node) => node.HasBreakpoint || _stepping;
+
+        private void ThrowIfStopped()
+        {
+            if (_stopped)
+                throw new OperationCanceledException("Execution was stopped by the debugger.");
+        }
+    }
+}
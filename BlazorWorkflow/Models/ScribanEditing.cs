@@ -0,0 +1,31 @@
+namespace BlazorWorkflow.Models
+{
+    /// <summary>
+    /// An entry in the node editor's <c>{{</c> completion list.
+    /// </summary>
+    public class ScribanCompletion
+    {
+        /// <summary>The text inserted, for example <c>input.name</c> or <c>string.upcase</c>.</summary>
+        public required string Label { get; init; }
+
+        /// <summary>Where the value comes from: <c>input</c>, <c>node</c>, <c>workflow</c>, <c>environment</c> or <c>builtin</c>.</summary>
+        public required string Kind { get; init; }
+
+        /// <summary>Shown next to the label: the producing node, a sample value or the environment.</summary>
+        public string? Detail { get; init; }
+    }
+
+    /// <summary>
+    /// A problem in a Scriban template, underlined in the node editor.
+    /// Offsets index into the whole field value; <see cref="End"/> is exclusive.
+    /// </summary>
+    public class ScribanDiagnostic
+    {
+        public int Start { get; init; }
+        public int End { get; init; }
+        public required string Message { get; init; }
+
+        /// <summary><c>error</c> for syntax errors, <c>warning</c> for references to unknown variables.</summary>
+        public string Severity { get; init; } = "error";
+    }
+}
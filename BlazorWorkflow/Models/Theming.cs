@@ -0,0 +1,62 @@
+namespace BlazorWorkflow.Models
+{
+    /// <summary>
+    /// Theme names understood by the canvas: the built-in themes, and <see cref="System"/>, which picks dark, light or
+    /// high contrast from the user's OS settings and follows them as they change.
+    /// </summary>
+    public static class WorkflowThemes
+    {
+        public const string System = "system";
+        public const string Dark = "dark";
+        public const string Light = "light";
+        public const string HighContrast = "high-contrast";
+        public const string ColorblindSafe = "colorblind-safe";
+    }
+
+    /// <summary>
+    /// Host themes and the default theme, handed to the editor's theme registry. Canvases without a theme of their own
+    /// use the user's default (<c>WorkflowGraph.SetDefaultThemeAsync</c>, kept in the browser), else <see cref="Default"/>.
+    /// </summary>
+    /// <remarks>
+    /// The registry is the library's <c>js/themes.js</c> module. A page that themes its own elements imports it from
+    /// <c>./_content/BlazorWorkflow/js/themes.js</c>, the URL the canvases use, so both share one registry and default.
+    /// </remarks>
+    public class WorkflowThemeOptions
+    {
+        /// <summary>When off, canvases keep the page's styles and the theme registry is not attached to them.</summary>
+        public bool Enabled { get; set; } = true;
+
+        /// <summary>A theme name or <see cref="WorkflowThemes.System"/>. If null, canvases keep the page's styles.</summary>
+        public string? Default { get; set; }
+
+        /// <summary>
+        /// Themes the host adds to the built-in ones. A name already taken by a built-in theme is refused; users can't
+        /// replace or remove host themes.
+        /// </summary>
+        public List<WorkflowTheme> Themes { get; set; } = [];
+    }
+
+    /// <summary>
+    /// A named set of colors applied to the canvas as CSS variables. Token names: <c>canvas</c>, <c>node</c>,
+    /// <c>nodeHeader</c>, <c>nodeBorder</c>, <c>nodeShadow</c>, <c>text</c>, <c>textWeak</c>, <c>textMuted</c>,
+    /// <c>heading</c>, <c>accent</c>, <c>accentAlt</c>, <c>port</c>, <c>portHover</c>, <c>portType</c>, <c>connection</c>,
+    /// <c>connectionActive</c>, <c>connectionGlow</c>, <c>statusSuccess</c>, <c>statusWarning</c>, <c>statusError</c> and
+    /// <c>statusPaused</c>. Values are CSS colors; tokens left out come from the built-in theme of the same <see cref="Mode"/>.
+    /// </summary>
+    public class WorkflowTheme
+    {
+        public required string Name { get; set; }
+        public string? Label { get; set; }
+
+        /// <summary><c>dark</c> or <c>light</c>: which variant of the library's other styles goes with the theme.</summary>
+        public string Mode { get; set; } = "dark";
+
+        /// <summary><c>more</c> for heavier node outlines and opaque connections, as in the high contrast theme.</summary>
+        public string Contrast { get; set; } = "normal";
+
+        public Dictionary<string, string> Tokens { get; set; } = [];
+
+        /// <summary>Where the theme comes from when read back: <c>builtIn</c>, <c>host</c> or <c>user</c> (imported, kept in the browser).</summary>
+        public string? Source { get; set; }
+    }
+}
@@ -0,0 +1,257 @@
+using System.Collections.Concurrent;
+using BlazorWorkflow.Models;
+
+namespace BlazorWorkflow.Services
+{
+    /// <summary>
+    /// One participant in the collaborative editing of a workflow. Local edits are stamped and sent through the
+    /// <see cref="ICollaborationTransport"/>; remote edits are merged and the ones to apply are raised through
+    /// <see cref="OperationReceived"/>. The session also tracks the other participants' presence.
+    /// </summary>
+    /// <remarks>
+    /// Merge rule: each operation carries a Lamport clock and its sender's client id. Ordered by clock, then by
+    /// client id, they sort the same way for every participant. Edits to the same target (a node's position, one of
+    /// its params, or a connection) keep the operation that sorts last, and an older remote operation is dropped.
+    /// Removing a node wins over every other edit to it, including ones made after the removal. Every participant
+    /// keeps the same winners, so the canvases converge whatever order operations arrive in.
+    /// </remarks>
+    public sealed class CollaborationSession : IAsyncDisposable
+    {
+        private static readonly string[] Palette =
+            ["#e5484d", "#0090ff", "#30a46c", "#f76b15", "#8e4ec6", "#d6409f", "#12a594", "#ad7f58"];
+
+        private readonly ICollaborationTransport _transport;
+        private readonly object _lock = new();
+        // Target -> stamp of the operation that last won it
+        private readonly Dictionary<string, (long Clock, string ClientId)> _registers = new(StringComparer.Ordinal);
+        private readonly HashSet<string> _removedNodes = new(StringComparer.Ordinal);
+        private readonly ConcurrentDictionary<string, CollaboratorPresence> _collaborators = new(StringComparer.Ordinal);
+        private long _clock;
+        private bool _started;
+
+        public CollaborationSession(ICollaborationTransport transport, string workflowId, string? name = null, string? clientId = null)
+        {
+            _transport = transport;
+            WorkflowId = workflowId;
+            ClientId = clientId ?? Guid.NewGuid().ToString("N");
+            Name = string.IsNullOrWhiteSpace(name) ? $"Guest {ClientId[..Math.Min(4, ClientId.Length)]}" : name;
+            Color = ColorFor(ClientId);
+            Presence = new CollaboratorPresence { ClientId = ClientId, Name = Name, Color = Color };
+        }
+
+        public string WorkflowId { get; }
+        /// <summary>This participant's client id; once started, the one the transport assigned.</summary>
+        public string ClientId { get; private set; }
+        public string Name { get; }
+        public string Color { get; private set; }
+
+        /// <summary>This participant's presence as last sent.</summary>
+        public CollaboratorPresence Presence { get; private set; }
+
+        /// <summary>The other participants currently in the session.</summary>
+        public IReadOnlyList<CollaboratorPresence> Collaborators => _collaborators.Values.OrderBy(c => c.Name, StringComparer.Ordinal).ToList();
+
+        /// <summary>Raised for each remote operation that won the merge and should be applied to this participant's canvas.</summary>
+        public event Func<CollaborationOperation, Task>? OperationReceived;
+
+        /// <summary>Raised when another participant joins or moves their cursor, selection or module.</summary>
+        public event Func<CollaboratorPresence, Task>? CollaboratorChanged;
+
+        /// <summary>Raised with a participant's client id when they leave.</summary>
+        public event Func<string, Task>? CollaboratorLeft;
+
+        public async Task StartAsync(CancellationToken cancellationToken = default)
+        {
+            if (_started)
+                return;
+
+            _started = true;
+            _transport.OperationReceived += HandleOperationAsync;
+            _transport.PresenceReceived += HandlePresenceAsync;
+            _transport.ParticipantLeft += HandleParticipantLeftAsync;
+
+            var assigned = await _transport.JoinAsync(WorkflowId, ClientId, cancellationToken).ConfigureAwait(false);
+            if (assigned != ClientId)
+            {
+                // The server decides who we are; stamp and color with the id the others will see
+                ClientId = assigned;
+                Color = ColorFor(ClientId);
+                Presence = new CollaboratorPresence { ClientId = ClientId, Name = Name, Color = Color };
+            }
+
+            // Announce ourselves; everyone already here answers with their own presence
+            await _transport.SendPresenceAsync(Presence, cancellationToken).ConfigureAwait(false);
+        }
+
+        /// <summary>
+        /// Stamp a local edit, which the canvas has already applied, and send it to the other participants.
+        /// Returns null when the edit targets a node another participant removed, or is not
+        /// <see cref="CollaborationOperation.IsValid"/>; nothing is sent then.
+        /// </summary>
+        public async Task<CollaborationOperation?> PublishAsync(CollaborationOperation operation, CancellationToken cancellationToken = default)
+        {
+            if (!operation.IsValid())
+                return null;
+
+            lock (_lock)
+            {
+                operation.ClientId = ClientId;
+                operation.Clock = ++_clock;
+                if (!Accept(operation))
+                    return null;
+            }
+
+            await _transport.SendOperationAsync(operation, cancellationToken).ConfigureAwait(false);
+            return operation;
+        }
+
+        /// <summary>Send this participant's cursor (canvas coordinates, null when off the canvas), selection and module.</summary>
+        public async Task UpdatePresenceAsync(double? x, double? y, IEnumerable<string> selection, string module, CancellationToken cancellationToken = default)
+        {
+            Presence = new CollaboratorPresence
+            {
+                ClientId = ClientId,
+                Name = Name,
+                Color = Color,
+                X = x,
+                Y = y,
+                Module = module,
+                Selection = selection.ToList()
+            };
+
+            await _transport.SendPresenceAsync(Presence, cancellationToken).ConfigureAwait(false);
+        }
+
+        private async Task HandleOperationAsync(CollaborationOperation operation)
+        {
+            // Another participant's browser can send anything, such as a param path into Object.prototype
+            if (operation.ClientId == ClientId || !operation.IsValid())
+                return;
+
+            bool accepted;
+            lock (_lock)
+            {
+                _clock = Math.Max(_clock, operation.Clock);
+                accepted = Accept(operation);
+            }
+
+            if (accepted && OperationReceived is { } handler)
+            {
+                await handler(operation).ConfigureAwait(false);
+            }
+        }
+
+        private async Task HandlePresenceAsync(CollaboratorPresence presence)
+        {
+            if (presence.ClientId == ClientId || !presence.IsValid())
+                return;
+
+            var isNew = !_collaborators.ContainsKey(presence.ClientId);
+            _collaborators[presence.ClientId] = presence;
+
+            if (isNew)
+            {
+                await _transport.SendPresenceAsync(Presence).ConfigureAwait(false);
+            }
+
+            if (CollaboratorChanged is { } handler)
+            {
+                await handler(presence).ConfigureAwait(false);
+            }
+        }
+
+        private async Task HandleParticipantLeftAsync(string clientId)
+        {
+            if (_collaborators.TryRemove(clientId, out _) && CollaboratorLeft is { } handler)
+            {
+                await handler(clientId).ConfigureAwait(false);
+            }
+        }
+
+        // Decides whether an operation wins its target and records it when it does. Callers hold _lock.
+        private bool Accept(CollaborationOperation operation)
+        {
+            switch (operation.Kind)
+            {
+                case CollaborationOperation.NodeAdded:
+                    // Node ids are unique, so a second add of the same node is a duplicate
+                    return operation.Node is { } added
+                        && !_removedNodes.Contains(added)
+                        && _registers.TryAdd($"node:{added}", (operation.Clock, operation.ClientId));
+
+                case CollaborationOperation.NodeRemoved:
+                    return operation.Node is { } removed && _removedNodes.Add(removed);
+
+                case CollaborationOperation.NodeMoved:
+                    return operation.Node is { } moved
+                        && !_removedNodes.Contains(moved)
+                        && TryWin($"position:{moved}", operation);
+
+                case CollaborationOperation.ParamChanged:
+                    return operation.Node is { } node
+                        && operation.Path is { } path
+                        && !_removedNodes.Contains(node)
+                        && TryWin($"param:{node}:{path}", operation);
+
+                case CollaborationOperation.ConnectionAdded:
+                case CollaborationOperation.ConnectionRemoved:
+                    // Adding and removing the same connection compete for one target
+                    return operation.Connection is { } c
+                        && !_removedNodes.Contains(c.Output)
+                        && !_removedNodes.Contains(c.Input)
+                        && TryWin($"connection:{c.Output}:{c.OutputClass}:{c.Input}:{c.InputClass}", operation);
+
+                default:
+                    return false;
+            }
+        }
+
+        private bool TryWin(string target, CollaborationOperation operation)
+        {
+            var stamp = (operation.Clock, operation.ClientId);
+            if (_registers.TryGetValue(target, out var current) && Compare(stamp, current) <= 0)
+                return false;
+
+            _registers[target] = stamp;
+            return true;
+        }
+
+        private static int Compare((long Clock, string ClientId) a, (long Clock, string ClientId) b)
+        {
+            var byClock = a.Clock.CompareTo(b.Clock);
+            return byClock != 0 ? byClock : string.CompareOrdinal(a.ClientId, b.ClientId);
+        }
+
+        private static string ColorFor(string clientId) => Palette[(int)(StableHash(clientId) % (uint)Palette.Length)];
+
+        // string.GetHashCode differs between processes; the color should not
+        private static uint StableHash(string value)
+        {
+            uint hash = 2166136261;
+            foreach (var c in value)
+            {
+                hash = (hash ^ c) * 16777619;
+            }
+            return hash;
+        }
+
+        public async ValueTask DisposeAsync()
+        {
+            if (_started)
+            {
+                _transport.OperationReceived -= HandleOperationAsync;
+                _transport.PresenceReceived -= HandlePresenceAsync;
+                _transport.ParticipantLeft -= HandleParticipantLeftAsync;
+
+                try
+                {
+                    await _transport.LeaveAsync().ConfigureAwait(false);
+                }
+                catch
+                {
+                    // Disconnected: the others are told when the connection drops
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,32 @@
+using BlazorWorkflow.Models;
+
+namespace BlazorWorkflow.Services
+{
+    /// <summary>
+    /// Carries collaboration messages between the participants editing a workflow.
+    /// A transport joins one workflow at a time and never hands a participant its own messages back.
+    /// </summary>
+    public interface ICollaborationTransport : IAsyncDisposable
+    {
+        /// <summary>Raised for each canvas edit another participant sends.</summary>
+        event Func<CollaborationOperation, Task>? OperationReceived;
+
+        /// <summary>Raised when another participant's cursor, selection or module changes, and when they join.</summary>
+        event Func<CollaboratorPresence, Task>? PresenceReceived;
+
+        /// <summary>Raised with a participant's client id when they leave or disconnect.</summary>
+        event Func<string, Task>? ParticipantLeft;
+
+        /// <summary>
+        /// Join <paramref name="workflowId"/> as <paramref name="clientId"/>. Returns the client id the other
+        /// participants will know this one by, which a server may derive from the connection's user instead.
+        /// </summary>
+        Task<string> JoinAsync(string workflowId, string clientId, CancellationToken cancellationToken = default);
+
+        Task LeaveAsync(CancellationToken cancellationToken = default);
+
+        Task SendOperationAsync(CollaborationOperation operation, CancellationToken cancellationToken = default);
+
+        Task SendPresenceAsync(CollaboratorPresence presence, CancellationToken cancellationToken = default);
+    }
+}
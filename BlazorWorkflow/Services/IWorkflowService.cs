@@ -1,4 +1,7 @@
+using System.Text.Json.Nodes;
+using BlazorWorkflow.Helpers;
 using BlazorWorkflow.Models;
+using BlazorWorkflow.Models.NodeV2;
 
 namespace BlazorWorkflow.Services
 {
@@ -33,6 +36,21 @@ namespace BlazorWorkflow.Services
         /// </summary>
         void DeleteWorkflow(string id);
 
+        /// <summary>
+        /// Runs a workflow by ID and returns its shared context, or null if it does not exist.
+        /// With a debugger, the run pauses before nodes with breakpoints, including inside workflows it runs as nodes.
+        /// Implemented on top of <see cref="GetWorkflow"/>, so existing implementations keep compiling.
+        /// </summary>
+        async Task<JsonObject?> ExecuteWorkflowAsync(string id, Dictionary<string, string>? parameters = null,
+            Dictionary<string, string>? environmentVariables = null, WorkflowDebugger? debugger = null)
+        {
+            var workflow = GetWorkflow(id);
+            if (workflow == null)
+                return null;
+
+            return await WorkflowHelpers.RunWorkflowAsync(workflow, parameters ?? [], environmentVariables ?? [], debugger).ConfigureAwait(false);
+        }
+
         /// <summary>
         /// Seeds workflows from base64-encoded export templates if no workflows exist.
         /// </summary>
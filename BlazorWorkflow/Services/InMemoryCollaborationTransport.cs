@@ -0,0 +1,142 @@
+using System.Text.Json;
+using BlazorWorkflow.Models;
+
+namespace BlazorWorkflow.Services
+{
+    /// <summary>
+    /// Relays collaboration messages between <see cref="InMemoryCollaborationTransport"/>s in the same process.
+    /// Transports created on the same hub see each other: register one as a singleton on a single server, or create one per test.
+    /// </summary>
+    public class InMemoryCollaborationHub
+    {
+        // Messages are copied through JSON, as a network transport would
+        private static readonly JsonSerializerOptions WireOptions = new(JsonSerializerDefaults.Web);
+
+        private readonly object _lock = new();
+        private readonly List<InMemoryCollaborationTransport> _members = [];
+        private readonly Queue<Func<Task>> _held = new();
+
+        /// <summary>
+        /// When true, messages wait until <see cref="DeliverHeldAsync"/> instead of being delivered as they are sent.
+        /// Tests use it to make edits concurrent.
+        /// </summary>
+        public bool HoldDeliveries { get; set; }
+
+        /// <summary>Deliver held messages in the order they were sent.</summary>
+        public async Task DeliverHeldAsync()
+        {
+            while (true)
+            {
+                Func<Task>? delivery;
+                lock (_lock)
+                {
+                    if (!_held.TryDequeue(out delivery))
+                        return;
+                }
+                await delivery().ConfigureAwait(false);
+            }
+        }
+
+        internal void Add(InMemoryCollaborationTransport member)
+        {
+            lock (_lock)
+            {
+                if (!_members.Contains(member))
+                    _members.Add(member);
+            }
+        }
+
+        internal void Remove(InMemoryCollaborationTransport member)
+        {
+            lock (_lock)
+            {
+                _members.Remove(member);
+            }
+        }
+
+        internal Task BroadcastAsync<T>(InMemoryCollaborationTransport sender, T message, Func<InMemoryCollaborationTransport, T, Task> deliver)
+        {
+            var json = JsonSerializer.Serialize(message, WireOptions);
+            var workflowId = sender.WorkflowId;
+
+            async Task DeliverAsync()
+            {
+                List<InMemoryCollaborationTransport> recipients;
+                lock (_lock)
+                {
+                    recipients = _members.Where(m => m != sender && m.WorkflowId == workflowId).ToList();
+                }
+
+                foreach (var recipient in recipients)
+                {
+                    await deliver(recipient, JsonSerializer.Deserialize<T>(json, WireOptions)!).ConfigureAwait(false);
+                }
+            }
+
+            lock (_lock)
+            {
+                if (HoldDeliveries)
+                {
+                    _held.Enqueue(DeliverAsync);
+                    return Task.CompletedTask;
+                }
+            }
+
+            return DeliverAsync();
+        }
+    }
+
+    /// <summary>
+    /// <see cref="ICollaborationTransport"/> over an <see cref="InMemoryCollaborationHub"/>; a stand-in for the SignalR
+    /// transport in tests, and enough on its own when every participant is connected to the same server.
+    /// </summary>
+    public class InMemoryCollaborationTransport : ICollaborationTransport
+    {
+        private readonly InMemoryCollaborationHub _hub;
+
+        public InMemoryCollaborationTransport(InMemoryCollaborationHub hub)
+        {
+            _hub = hub;
+        }
+
+        public event Func<CollaborationOperation, Task>? OperationReceived;
+        public event Func<CollaboratorPresence, Task>? PresenceReceived;
+        public event Func<string, Task>? ParticipantLeft;
+
+        internal string? WorkflowId { get; private set; }
+        internal string? ClientId { get; private set; }
+
+        public Task<string> JoinAsync(string workflowId, string clientId, CancellationToken cancellationToken = default)
+        {
+            WorkflowId = workflowId;
+            ClientId = clientId;
+            _hub.Add(this);
+            return Task.FromResult(clientId);
+        }
+
+        public async Task LeaveAsync(CancellationToken cancellationToken = default)
+        {
+            if (WorkflowId is null)
+                return;
+
+            await _hub.BroadcastAsync(this, ClientId!, (t, clientId) => t.ParticipantLeft?.Invoke(clientId) ?? Task.CompletedTask).ConfigureAwait(false);
+            _hub.Remove(this);
+            WorkflowId = null;
+        }
+
+        public Task SendOperationAsync(CollaborationOperation operation, CancellationToken cancellationToken = default)
+            => WorkflowId is null
+                ? Task.CompletedTask
+                : _hub.BroadcastAsync(this, operation, (t, op) => t.OperationReceived?.Invoke(op) ?? Task.CompletedTask);
+
+        public Task SendPresenceAsync(CollaboratorPresence presence, CancellationToken cancellationToken = default)
+            => WorkflowId is null
+                ? Task.CompletedTask
+                : _hub.BroadcastAsync(this, presence, (t, p) => t.PresenceReceived?.Invoke(p) ?? Task.CompletedTask);
+
+        public async ValueTask DisposeAsync()
+        {
+            await LeaveAsync().ConfigureAwait(false);
+        }
+    }
+}
@@ -0,0 +1,91 @@
+using BlazorWorkflow.Models;
+using Microsoft.AspNetCore.SignalR.Client;
+
+namespace BlazorWorkflow.Services
+{
+    /// <summary>
+    /// Default <see cref="ICollaborationTransport"/>: a SignalR connection to a <see cref="WorkflowCollaborationHub"/>.
+    /// The connection reconnects on its own and joins the workflow again when it does.
+    /// </summary>
+    public class SignalRCollaborationTransport : ICollaborationTransport
+    {
+        private readonly HubConnection _connection;
+        private string? _workflowId;
+        private string? _clientId;
+
+        public SignalRCollaborationTransport(Uri hubUrl)
+            : this(new HubConnectionBuilder().WithUrl(hubUrl).WithAutomaticReconnect().Build())
+        {
+        }
+
+        public SignalRCollaborationTransport(HubConnection connection)
+        {
+            _connection = connection;
+
+            _connection.On<CollaborationOperation>(WorkflowCollaborationHub.OperationMethod,
+                operation => OperationReceived?.Invoke(operation) ?? Task.CompletedTask);
+            _connection.On<CollaboratorPresence>(WorkflowCollaborationHub.PresenceMethod,
+                presence => PresenceReceived?.Invoke(presence) ?? Task.CompletedTask);
+            _connection.On<string>(WorkflowCollaborationHub.LeftMethod,
+                clientId => ParticipantLeft?.Invoke(clientId) ?? Task.CompletedTask);
+
+            // The hub forgot our group along with the old connection
+            _connection.Reconnected += async _ =>
+            {
+                if (_workflowId is not null && _clientId is not null)
+                {
+                    await _connection.InvokeAsync<string>(nameof(WorkflowCollaborationHub.Join), _workflowId, _clientId).ConfigureAwait(false);
+                }
+            };
+        }
+
+        public event Func<CollaborationOperation, Task>? OperationReceived;
+        public event Func<CollaboratorPresence, Task>? PresenceReceived;
+        public event Func<string, Task>? ParticipantLeft;
+
+        public async Task<string> JoinAsync(string workflowId, string clientId, CancellationToken cancellationToken = default)
+        {
+            if (_connection.State == HubConnectionState.Disconnected)
+            {
+                await _connection.StartAsync(cancellationToken).ConfigureAwait(false);
+            }
+
+            var assigned = await _connection.InvokeAsync<string>(nameof(WorkflowCollaborationHub.Join), workflowId, clientId, cancellationToken).ConfigureAwait(false);
+            _workflowId = workflowId;
+            _clientId = clientId;
+            return assigned;
+        }
+
+        public async Task LeaveAsync(CancellationToken cancellationToken = default)
+        {
+            if (_workflowId is null)
+                return;
+
+            _workflowId = null;
+            if (_connection.State == HubConnectionState.Connected)
+            {
+                await _connection.InvokeAsync(nameof(WorkflowCollaborationHub.Leave), cancellationToken).ConfigureAwait(false);
+            }
+        }
+
+        public Task SendOperationAsync(CollaborationOperation operation, CancellationToken cancellationToken = default)
+            => _connection.SendAsync(nameof(WorkflowCollaborationHub.SendOperation), operation, cancellationToken);
+
+        public Task SendPresenceAsync(CollaboratorPresence presence, CancellationToken cancellationToken = default)
+            => _connection.SendAsync(nameof(WorkflowCollaborationHub.SendPresence), presence, cancellationToken);
+
+        public async ValueTask DisposeAsync()
+        {
+            try
+            {
+                await LeaveAsync().ConfigureAwait(false);
+            }
+            catch
+            {
+                // Disconnected: the hub tells the others when the connection drops
+            }
+
+            await _connection.DisposeAsync().ConfigureAwait(false);
+        }
+    }
+}
@@ -0,0 +1,130 @@
+using System.Security.Claims;
+using BlazorWorkflow.Models;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.DependencyInjection;
+
+namespace BlazorWorkflow.Services
+{
+    /// <summary>
+    /// SignalR hub behind <see cref="SignalRCollaborationTransport"/>. Each workflow is a group; messages go to
+    /// everyone else in the sender's group. Map it with <c>app.MapWorkflowCollaboration()</c>, which only lets
+    /// authenticated users connect. Joining a workflow is checked against <see cref="CollaborationOptions.JoinPolicy"/>
+    /// when one is set, and operations and presence that are not valid are refused.
+    /// </summary>
+    /// <remarks>
+    /// The client id the others see is decided here, not by the caller: <c>{user}/{requested id}</c> for an
+    /// authenticated user and the connection id otherwise. Every operation and presence relayed carries it, so a
+    /// participant can neither speak for nor make another one leave.
+    /// </remarks>
+    public class WorkflowCollaborationHub : Hub
+    {
+        public const string OperationMethod = "Operation";
+        public const string PresenceMethod = "Presence";
+        public const string LeftMethod = "Left";
+
+        private const string WorkflowItem = "bw-workflow";
+        private const string ClientItem = "bw-client";
+
+        private readonly CollaborationOptions _options;
+        private readonly IServiceProvider _services;
+
+        public WorkflowCollaborationHub(CollaborationOptions options, IServiceProvider services)
+        {
+            _options = options;
+            _services = services;
+        }
+
+        /// <summary>Join a workflow's group. Returns the client id the other participants will know this connection by.</summary>
+        /// <exception cref="HubException">The connection's user may not edit this workflow, or the requested id is malformed.</exception>
+        public async Task<string> Join(string workflowId, string clientId)
+        {
+            if (!await CanJoinAsync(workflowId).ConfigureAwait(false))
+                throw new HubException($"Not allowed to edit workflow '{workflowId}'.");
+
+            if (string.IsNullOrEmpty(clientId) || clientId.Length > CollaboratorPresence.MaxIdLength)
+                throw new HubException("Invalid client id.");
+
+            // One workflow per connection: joining another leaves the previous one
+            await Leave().ConfigureAwait(false);
+
+            // The requested id only tells one user's tabs apart
+            var participantId = string.IsNullOrEmpty(Context.UserIdentifier)
+                ? Context.ConnectionId
+                : $"{Context.UserIdentifier}/{clientId}";
+
+            Context.Items[WorkflowItem] = workflowId;
+            Context.Items[ClientItem] = participantId;
+            await Groups.AddToGroupAsync(Context.ConnectionId, GroupName(workflowId)).ConfigureAwait(false);
+            return participantId;
+        }
+
+        public async Task Leave()
+        {
+            if (CurrentWorkflow is not { } workflowId)
+                return;
+
+            Context.Items.Remove(WorkflowItem);
+            await Groups.RemoveFromGroupAsync(Context.ConnectionId, GroupName(workflowId)).ConfigureAwait(false);
+
+            if (CurrentClient is { } clientId)
+            {
+                await Clients.Group(GroupName(workflowId)).SendAsync(LeftMethod, clientId).ConfigureAwait(false);
+            }
+        }
+
+        /// <exception cref="HubException">The operation is not <see cref="CollaborationOperation.IsValid"/>.</exception>
+        public Task SendOperation(CollaborationOperation operation)
+        {
+            // Nothing malformed reaches the other participants' canvases
+            if (!operation.IsValid())
+                throw new HubException($"Invalid collaboration operation '{operation.Kind}'.");
+
+            if (CurrentWorkflow is not { } workflowId || CurrentClient is not { } clientId)
+                return Task.CompletedTask;
+
+            operation.ClientId = clientId;
+            return Clients.OthersInGroup(GroupName(workflowId)).SendAsync(OperationMethod, operation);
+        }
+
+        /// <exception cref="HubException">The presence is not <see cref="CollaboratorPresence.IsValid"/>.</exception>
+        public Task SendPresence(CollaboratorPresence presence)
+        {
+            if (!presence.IsValid())
+                throw new HubException("Invalid collaborator presence.");
+
+            if (CurrentWorkflow is not { } workflowId || CurrentClient is not { } clientId)
+                return Task.CompletedTask;
+
+            presence.ClientId = clientId;
+            return Clients.OthersInGroup(GroupName(workflowId)).SendAsync(PresenceMethod, presence);
+        }
+
+        public override async Task OnDisconnectedAsync(Exception? exception)
+        {
+            await Leave().ConfigureAwait(false);
+            await base.OnDisconnectedAsync(exception).ConfigureAwait(false);
+        }
+
+        // The workflow id is the resource, so a policy handler can look up who may edit which workflow
+        private async Task<bool> CanJoinAsync(string workflowId)
+        {
+            if (string.IsNullOrEmpty(_options.JoinPolicy))
+                return true;
+
+            var authorization = _services.GetRequiredService<IAuthorizationService>();
+            var result = await authorization
+                .AuthorizeAsync(Context.User ?? new ClaimsPrincipal(new ClaimsIdentity()), workflowId, _options.JoinPolicy)
+                .ConfigureAwait(false);
+            return result.Succeeded;
+        }
+
+        private string? CurrentWorkflow
+            => Context.Items.TryGetValue(WorkflowItem, out var workflowId) ? workflowId as string : null;
+
+        private string? CurrentClient
+            => Context.Items.TryGetValue(ClientItem, out var clientId) ? clientId as string : null;
+
+        private static string GroupName(string workflowId) => $"workflow:{workflowId}";
+    }
+}
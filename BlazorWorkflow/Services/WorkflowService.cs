@@ -99,6 +99,8 @@ namespace BlazorWorkflow.Services
                     {
                         workflow.FlowGraph.Nodes[node.DrawflowNodeId] = node;
                     }
+                    workflow.FlowGraph.Frames = metadata.Frames;
+                    workflow.FlowGraph.Notes = metadata.Notes;
 
                     AddWorkflow(workflow);
                     _logger?.LogInformation("Seeded workflow '{Name}' from template", workflow.Name);
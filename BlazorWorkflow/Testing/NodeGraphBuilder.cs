@@ -83,10 +83,12 @@ namespace BlazorWorkflow.Testing
         /// <summary>
         /// Executes the graph starting from the specified node.
         /// Initializes SharedExecutionContext to match production behavior.
+        /// Pass a debugger to pause at nodes with breakpoints.
         /// </summary>
         public async Task<GraphExecutionResult> ExecuteAsync(string startNodeName,
             Dictionary<string, string>? parameters = null,
-            Dictionary<string, string>? environmentVariables = null)
+            Dictionary<string, string>? environmentVariables = null,
+            WorkflowDebugger? debugger = null)
         {
             var startNode = GetNode(startNodeName);
 
@@ -94,7 +96,8 @@ namespace BlazorWorkflow.Testing
             var executionContext = new GraphExecutionContext
             {
                 Parameters = (parameters ?? new Dictionary<string, string>()).ToFrozenDictionary(),
-                EnvironmentVariables = (environmentVariables ?? new Dictionary<string, string>()).ToFrozenDictionary()
+                EnvironmentVariables = (environmentVariables ?? new Dictionary<string, string>()).ToFrozenDictionary(),
+                Debugger = debugger
             };
 
             // Clear previous results and assign shared context
@@ -104,6 +107,8 @@ namespace BlazorWorkflow.Testing
                 node.SharedExecutionContext = executionContext;
             }
 
+            SubWorkflowHelpers.LinkSubWorkflows(_nodes);
+
             await startNode.ExecuteNode();
 
             return new GraphExecutionResult(_nodesByName, executionContext);
@@ -0,0 +1,368 @@
+// wwwroot/js/collaboration.js
+// Several people editing one workflow, imported by WorkflowGraph through JS isolation when the canvas is shared.
+// Local edits go to .NET as small operations naming nodes by data.key, the Node id, which is the same on every
+// canvas; Drawflow ids are not. .NET relays them and hands the other participants' edits to apply().
+
+const CURSOR_INTERVAL_MS = 50;
+const SELECTED_CLASS = "bw-collab-selected";
+
+// Keys that would reach a prototype instead of the data; remote paths come from other people's browsers
+const UNSAFE_PATH_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+
+function cloneJson(v) {
+    return v == null ? v : JSON.parse(JSON.stringify(v));
+}
+
+function setDataPath(root, path, value) {
+    const segs = String(path).replace(/\[(\w+)\]/g, ".$1").split(".").filter(Boolean);
+    if (!segs.length || segs.some(k => UNSAFE_PATH_KEYS.has(k))) return false;
+    let cur = root;
+    segs.slice(0, -1).forEach(k => {
+        if (cur[k] === null || typeof cur[k] !== "object") cur[k] = {};
+        cur = cur[k];
+    });
+    cur[segs[segs.length - 1]] = value;
+    return true;
+}
+
+function hasConnection(data, outputId, outputClass, inputId, inputClass) {
+    return (data[outputId]?.outputs?.[outputClass]?.connections || [])
+        .some(c => String(c.node) === inputId && c.output === inputClass);
+}
+
+/**
+ * Share the canvas `canvasId`: its edits and pointer go to `dotNetRef` (OnCollaborationOperations,
+ * OnCollaborationCursor), and the instance draws the other participants' edits, cursors and selections.
+ */
+export function createCollaboration(canvasId, dotNetRef) {
+    const host = window.DrawflowBlazor.host(canvasId);
+    const ed = host.editor;
+    const pending = new Map();
+    // Drawflow drops the node's data before it reports the removal
+    const removedKeys = new Map();
+    let seq = 0, frame = 0, applying = false;
+    let cursor = null, cursorTimer = 0;
+    let collaborators = [], marked = [];
+
+    const nodeKeyOf = nodeId => host.findNode(String(nodeId))?.node.data?.key ?? null;
+
+    const removeNodeId = ed.removeNodeId;
+    const trackedRemoveNodeId = key => {
+        const nid = String(key).replace(/^node-/, "");
+        const nodeKey = applying ? null : nodeKeyOf(nid);
+        if (nodeKey) removedKeys.set(nid, nodeKey);
+        return removeNodeId.call(ed, key);
+    };
+    ed.removeNodeId = trackedRemoveNodeId;
+
+    // At most one cursor update per interval, always the latest position
+    function queueCursor(point) {
+        cursor = point;
+        if (cursorTimer) return;
+        cursorTimer = setTimeout(() => {
+            cursorTimer = 0;
+            dotNetRef.invokeMethodAsync("OnCollaborationCursor", cursor?.x ?? null, cursor?.y ?? null)
+                .catch(e => console.warn("Failed to send collaboration cursor", e));
+        }, CURSOR_INTERVAL_MS);
+    }
+
+    // Moves and param edits replace a pending one for the same target, so each frame sends them once
+    function queueOperation(target, op) {
+        pending.set(target ?? "op:" + (++seq), op);
+        if (!frame) frame = requestAnimationFrame(flushOperations);
+    }
+
+    function flushOperations() {
+        frame = 0;
+        if (!pending.size) return;
+        const ops = Array.from(pending.values());
+        pending.clear();
+        dotNetRef.invokeMethodAsync("OnCollaborationOperations", ops)
+            .catch(e => console.warn("Failed to send collaboration operations", e));
+    }
+
+    function queueMove(nodeId, x, y) {
+        const key = nodeKeyOf(nodeId);
+        if (key) queueOperation("pos:" + key, { kind: "nodeMoved", node: key, x, y });
+    }
+
+    function queueRemove(nodeId) {
+        const nid = String(nodeId);
+        const key = removedKeys.get(nid) ?? nodeKeyOf(nid);
+        removedKeys.delete(nid);
+        if (key) queueOperation(null, { kind: "nodeRemoved", node: key });
+    }
+
+    function queueConnection(kind, conn) {
+        const output = nodeKeyOf(conn?.output_id);
+        const input = nodeKeyOf(conn?.input_id);
+        if (!output || !input) return;
+        queueOperation(null, {
+            kind, connection: { output, outputClass: conn.output_class, input, inputClass: conn.input_class }
+        });
+    }
+
+    // Every event that reaches .NET, plus bound param edits. Added and pasted nodes are published by .NET,
+    // which owns their definitions.
+    function captureOperations(eventName, detail) {
+        if (applying) return;
+        switch (eventName) {
+            case "nodeMoved": {
+                const node = host.findNode(String(detail))?.node;
+                if (node) queueMove(detail, node.pos_x, node.pos_y);
+                break;
+            }
+            case "nodesMoved":
+            case "framesChanged":
+                (detail?.nodes || []).forEach(n => queueMove(n.id, n.pos_x, n.pos_y));
+                break;
+            case "nodeRemoved":
+                queueRemove(detail);
+                break;
+            case "nodesRemoved":
+                (detail?.ids || []).forEach(queueRemove);
+                break;
+            case "connectionCreated":
+                queueConnection("connectionAdded", detail);
+                break;
+            case "connectionRemoved":
+                queueConnection("connectionRemoved", detail);
+                break;
+            case "connectionSpliced":
+                queueConnection("connectionRemoved", detail.removed);
+                detail.created.forEach(x => queueConnection("connectionAdded", x));
+                queueMove(detail.id, detail.pos_x, detail.pos_y);
+                break;
+            case "paramChanged": {
+                const key = nodeKeyOf(detail.nodeId);
+                if (key) queueOperation(`param:${key}:${detail.path}`, { kind: "paramChanged", node: key, path: detail.path, value: cloneJson(detail.value) });
+                break;
+            }
+        }
+    }
+
+    // `op.drawflow` is the node exported on its own, as for an import
+    function insertRemoteNode(op) {
+        const module = op.module || host.homeModule;
+        const n = Object.values(JSON.parse(op.drawflow).drawflow?.[module]?.data || {})[0];
+        if (!n || !ed.drawflow.drawflow[module]) return null;
+
+        if (module === ed.module) {
+            const inputs = Object.keys(n.inputs || {}).length;
+            const outputs = Object.keys(n.outputs || {}).length;
+            return String(ed.addNode(n.name, inputs, outputs, n.pos_x, n.pos_y, n.class || "", n.data || {}, n.html || "", !!n.typenode));
+        }
+
+        // addNode only draws into the module on screen; this one is drawn when it is opened
+        const nid = ed.useuuid ? ed.getUuid() : ed.nodeId++;
+        const emptyPorts = ports => Object.fromEntries(Object.keys(ports || {}).map(k => [k, { connections: [] }]));
+        ed.drawflow.drawflow[module].data[nid] = Object.assign({}, n, {
+            id: nid, inputs: emptyPorts(n.inputs), outputs: emptyPorts(n.outputs)
+        });
+        return String(nid);
+    }
+
+    function moveRemoteNode(op, positions) {
+        const found = host.findNode(String(op.id));
+        if (!found) return;
+        if (found.module === ed.module) {
+            positions.push({ id: op.id, x: op.x, y: op.y });
+        } else {
+            found.node.pos_x = op.x;
+            found.node.pos_y = op.y;
+        }
+    }
+
+    function setRemoteParam(op) {
+        const found = host.findNode(String(op.id));
+        if (!found) return;
+        const data = cloneJson(found.node.data || {});
+        if (setDataPath(data, op.path, op.value)) ed.updateNodeDataFromId(op.id, data);
+    }
+
+    // Removals in the module on screen go through the editor, whose wrappers attach culled nodes and parked
+    // connections first; other modules aren't drawn, so only their data changes
+    function removeRemoteNode(op) {
+        const nid = String(op.id);
+        const found = host.findNode(nid);
+        if (!found) return;
+        if (found.module === ed.module) {
+            ed.removeNodeId("node-" + nid);
+        } else {
+            const data = ed.drawflow.drawflow[found.module].data;
+            delete data[nid];
+            Object.values(data).forEach(n => ["inputs", "outputs"].forEach(side => Object.values(n[side] || {}).forEach(port => {
+                port.connections = (port.connections || []).filter(c => String(c.node) !== nid);
+            })));
+            const module = found.node.data?.subworkflow;
+            if (module) host.removeSubWorkflowModule(module);
+        }
+        if (host.findNode(nid)) throw new Error(`Node ${nid} is still on the canvas`);
+    }
+
+    function removeRemoteConnection(op) {
+        const [out, inp] = [String(op.output_id), String(op.input_id)];
+        const found = host.findNode(out);
+        if (!found) return;
+        const data = ed.drawflow.drawflow[found.module].data;
+        if (found.module === ed.module) {
+            ed.removeSingleConnection(out, inp, op.output_class, op.input_class);
+        } else {
+            const output = data[out].outputs?.[op.output_class];
+            const input = data[inp]?.inputs?.[op.input_class];
+            if (output) output.connections = output.connections.filter(c => !(String(c.node) === inp && c.output === op.input_class));
+            if (input) input.connections = input.connections.filter(c => !(String(c.node) === out && c.input === op.output_class));
+        }
+        if (hasConnection(data, out, op.output_class, inp, op.input_class)) {
+            throw new Error(`Connection ${out} -> ${inp} is still on the canvas`);
+        }
+    }
+
+    function addRemoteConnection(op) {
+        const [out, inp] = [String(op.output_id), String(op.input_id)];
+        ed.addConnection(out, inp, op.output_class, op.input_class);
+        const found = host.findNode(out);
+        if (!found || !hasConnection(ed.drawflow.drawflow[found.module].data, out, op.output_class, inp, op.input_class)) {
+            throw new Error(`Connection ${out} -> ${inp} could not be drawn`);
+        }
+    }
+
+    // Apply the other participants' edits, already resolved to this canvas's node ids by .NET. Nothing is
+    // forwarded, so they are neither sent back nor recorded for undo. Returns `ids`, the id each added node got
+    // (else null), and `errors`, one message per edit this canvas could not take: .NET has already applied them
+    // to its model, so it redraws the canvas from there.
+    function apply(ops) {
+        const results = [];
+        const errors = [];
+        const added = [];
+        const positions = [];
+
+        applying = true;
+        try {
+            host.muted(() => {
+                (ops || []).forEach(op => {
+                    let result = null;
+                    try {
+                        switch (op.kind) {
+                            case "nodeAdded":
+                                result = insertRemoteNode(op);
+                                if (result) added.push(result);
+                                break;
+                            case "nodeMoved":
+                                moveRemoteNode(op, positions);
+                                break;
+                            case "nodeRemoved":
+                                removeRemoteNode(op);
+                                break;
+                            case "connectionAdded":
+                                addRemoteConnection(op);
+                                break;
+                            case "connectionRemoved":
+                                removeRemoteConnection(op);
+                                break;
+                            case "paramChanged":
+                                setRemoteParam(op);
+                                break;
+                        }
+                    } catch (e) {
+                        errors.push(`${op.kind}: ${e?.message ?? e}`);
+                    }
+                    results.push(result);
+                });
+                if (positions.length) host.applyNodePositions(positions);
+            });
+        } finally {
+            applying = false;
+        }
+
+        added.forEach(host.decorateNode);
+        render();
+        host.redrawMinimap();
+        return { ids: results, errors };
+    }
+
+    // `list`: [{ clientId, name, color, x, y, module, selection: [node ids] }]; x/y are canvas coordinates, null
+    // while that person's pointer is off the canvas
+    function setCollaborators(list) {
+        collaborators = list || [];
+        render();
+        return true;
+    }
+
+    function render() {
+        const here = collaborators.filter(p => (p.module || host.homeModule) === ed.module);
+
+        // The layer goes whenever Drawflow redraws the precanvas (import, module switch)
+        let layer = ed.precanvas.querySelector(":scope > .bw-collab-layer");
+        if (!layer) {
+            layer = document.createElement("div");
+            layer.className = "bw-collab-layer";
+            ed.precanvas.appendChild(layer);
+        }
+
+        const shown = new Set();
+        here.filter(p => p.x != null && p.y != null).forEach(p => {
+            let el = Array.from(layer.children).find(x => x.dataset.clientId === p.clientId);
+            if (!el) {
+                el = document.createElement("div");
+                el.className = "bw-collab-cursor";
+                el.dataset.clientId = p.clientId;
+                const label = document.createElement("span");
+                label.className = "bw-collab-name";
+                el.append(document.createElement("span"), label);
+                el.firstChild.className = "bw-collab-pointer";
+                layer.appendChild(el);
+            }
+            el.style.transform = `translate(${p.x}px, ${p.y}px)`;
+            el.style.setProperty("--bw-collab-color", p.color);
+            el.lastChild.textContent = p.name;
+            shown.add(p.clientId);
+        });
+        Array.from(layer.children).forEach(el => { if (!shown.has(el.dataset.clientId)) el.remove(); });
+
+        unmark();
+        here.forEach(p => (p.selection || []).forEach(nid => {
+            const el = host.nodeElement(nid);
+            if (!el) return;
+            el.classList.add(SELECTED_CLASS);
+            el.style.setProperty("--bw-collab-color", p.color);
+            el.dataset.collabName = p.name;
+            marked.push(el);
+        }));
+    }
+
+    function unmark() {
+        marked.forEach(el => {
+            el.classList.remove(SELECTED_CLASS);
+            el.style.removeProperty("--bw-collab-color");
+            delete el.dataset.collabName;
+        });
+        marked = [];
+    }
+
+    const onMouseMove = e => queueCursor(host.clientToCanvas(e.clientX, e.clientY));
+    const onMouseLeave = () => queueCursor(null);
+    ed.container.addEventListener("mousemove", onMouseMove);
+    ed.container.addEventListener("mouseleave", onMouseLeave);
+    ed.on("import", render);
+    ed.on("moduleChanged", render);
+    const stopListening = host.listen(captureOperations);
+    const stopOnDestroy = host.onDestroy(dispose);
+
+    function dispose() {
+        stopListening();
+        stopOnDestroy();
+        cancelAnimationFrame(frame);
+        clearTimeout(cursorTimer);
+        ed.container.removeEventListener("mousemove", onMouseMove);
+        ed.container.removeEventListener("mouseleave", onMouseLeave);
+        ["import", "moduleChanged"].forEach(evt => {
+            try { ed.removeListener(evt, render); } catch { }
+        });
+        if (ed.removeNodeId === trackedRemoveNodeId) ed.removeNodeId = removeNodeId;
+        unmark();
+        ed.precanvas.querySelector(":scope > .bw-collab-layer")?.remove();
+    }
+
+    return { apply, setCollaborators, dispose };
+}
@@ -0,0 +1,46 @@
+// wwwroot/js/domUtils.js
+// Small DOM helpers shared by the library's components, imported through JS isolation.
+
+/**
+ * Calls dotNetRef[methodName] when focus leaves a watched element's subtree, which is how popups and menus close.
+ * Watching the same element twice is a no-op; dispose() stops watching everything.
+ */
+export function createFocusOutWatcher(dotNetRef) {
+    const watched = new Map();
+
+    return {
+        watch(el, methodName) {
+            // Popups are re-rendered as they open and close; forget the ones no longer on the page
+            for (const [old, handler] of watched) {
+                if (!old.isConnected) {
+                    old.removeEventListener("focusout", handler);
+                    watched.delete(old);
+                }
+            }
+            if (!el || watched.has(el)) return;
+
+            const handler = e => {
+                if (!el.contains(e.relatedTarget)) dotNetRef.invokeMethodAsync(methodName);
+            };
+            el.addEventListener("focusout", handler);
+            watched.set(el, handler);
+        },
+
+        dispose() {
+            watched.forEach((handler, el) => el.removeEventListener("focusout", handler));
+            watched.clear();
+        }
+    };
+}
+
+/** Scroll the entry matching selector into view when it is outside the visible part of container. */
+export function scrollSelectedIntoView(container, selector) {
+    const selected = container?.querySelector(selector);
+    if (!selected) return;
+
+    const rect = selected.getBoundingClientRect();
+    const parentRect = container.getBoundingClientRect();
+    if (rect.top < parentRect.top || rect.bottom > parentRect.bottom) {
+        selected.scrollIntoView({ behavior: "smooth", block: "nearest" });
+    }
+}
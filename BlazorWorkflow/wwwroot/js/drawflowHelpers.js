@@ -1,6 +1,7 @@
 ﻿/**
- * NodeParamBinding (auto version) — Drawflow-friendly
- * - Auto-detects editor instance (default: window._df_editor)
+ * NodeParamBinding (auto version) — Drawflow-friendly, multi-editor safe
+ * - Resolves the owning editor per node via DrawflowBlazor's instance map (keyed by host element id)
+ * - Follows editors as they are created/destroyed ('editor:ready' / 'editor:destroyed')
  * - Initializes controls from node.data
  * - Writes changes back via deep path-set (preserves siblings)
  * - Supports dotted / bracket paths in data-param, e.g. "config.apiKey", "items[0].value"
@@ -8,20 +9,25 @@
  * - Global delegated listeners; no Blazor interop calls required
  * - NEW: All data from [data-param] writes under node.data.params (with backward-compatible reads)
  *
- * Optional config (no code calls):
+ * Optional config (no code calls), for editors not created through DrawflowBlazor:
  *   <body data-editor-global="_df_editor">
  * Optional alternative signal (if you don't want a global):
- *   window.dispatchEvent(new CustomEvent('editor:ready', { detail: { editor } }));
+ *   window.dispatchEvent(new CustomEvent('editor:ready', { detail: { id: hostElementId, editor } }));
+ *   window.dispatchEvent(new CustomEvent('editor:destroyed', { detail: { id: hostElementId } }));
  */
 (function () {
-    let editor = null;
-    let ready = false;
+    // hostId -> { editor, unsubscribe }
+    const editors = new Map();
+    let listening = false;
+    let observer = null;
+
+    // Key used for an editor discovered through the legacy global (no host id known)
+    const LEGACY_KEY = '__global';
 
     // ---- Editor detection (no Blazor calls) ----
     const globalName = document.body?.dataset?.editorGlobal || '_df_editor';
 
-    function tryGrabEditor() {
-        const ed = (globalName && window[globalName]) || null;
+    function shimEditor(ed) {
         if (!ed) return null;
         // Shim common method names if needed
         if (typeof ed.updateNodeDataFromId !== 'function' && typeof ed.updateNodeData === 'function') {
@@ -33,33 +39,43 @@
         return (typeof ed.updateNodeDataFromId === 'function') ? ed : null;
     }
 
-    function waitForEditor() {
-        if (ready) return;
-        const ed = tryGrabEditor();
-        if (ed) { init(ed); return; }
+    function interop() {
+        return window.DrawflowBlazor || null;
+    }
+
+    function start() {
+        // Editors already created before this script ran
+        const df = interop();
+        if (df?.instanceIds) {
+            df.instanceIds().forEach(id => attach(id, df.getEditor(id)));
+        }
 
-        // Also listen for a manual custom event if your editor isn't global
         window.addEventListener('editor:ready', (e) => {
-            if (ready) return;
-            const ed2 = e?.detail?.editor;
-            if (!ed2) return;
-            // apply shims if needed
-            if (typeof ed2.updateNodeDataFromId !== 'function' && typeof ed2.updateNodeData === 'function') {
-                ed2.updateNodeDataFromId = (nid, patch) => ed2.updateNodeData(nid, patch);
-            }
-            if (typeof ed2.getNodeFromId !== 'function' && typeof ed2.getNode === 'function') {
-                ed2.getNodeFromId = (nid) => ed2.getNode(nid);
-            }
-            if (typeof ed2.updateNodeDataFromId === 'function') init(ed2);
-        }, { once: true });
+            const ed = e?.detail?.editor;
+            const id = e?.detail?.id ?? hostIdOf(ed) ?? LEGACY_KEY;
+            attach(id, ed);
+        });
+
+        window.addEventListener('editor:destroyed', (e) => {
+            const id = e?.detail?.id;
+            if (id) detach(id);
+        });
+
+        // Legacy: a single editor exposed through a global, without DrawflowBlazor
+        if (!df && editors.size === 0) {
+            pollLegacyGlobal();
+        }
+    }
 
+    function pollLegacyGlobal() {
         // Poll a bit for globals (20s max)
         let tries = 0;
         const h = setInterval(() => {
-            const ed3 = tryGrabEditor();
-            if (ed3) {
+            if (editors.size > 0) { clearInterval(h); return; }
+            const ed = shimEditor((globalName && window[globalName]) || null);
+            if (ed) {
                 clearInterval(h);
-                init(ed3);
+                attach(hostIdOf(ed) ?? LEGACY_KEY, ed);
             } else if (++tries > 200) {
                 clearInterval(h);
                 console.warn('NodeParamBinding: editor not found. Set body[data-editor-global] or dispatch window "editor:ready".');
@@ -68,9 +84,9 @@
     }
 
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', waitForEditor, { once: true });
+        document.addEventListener('DOMContentLoaded', start, { once: true });
     } else {
-        waitForEditor();
+        start();
     }
 
     // ---- Small utils for deep path read/write ----
@@ -134,8 +150,37 @@
         return s[0] === '[' ? `params${s}` : `params.${s}`;
     }
 
+    // ---- Editor resolution (per node) ----
+    function hostIdOf(ed) {
+        const container = ed?.container;
+        return (container && container.id) ? container.id : null;
+    }
+
+    function hostElementOf(hostId) {
+        if (hostId === LEGACY_KEY) return document;
+        return document.getElementById(hostId) || null;
+    }
+
+    // Find the editor that owns `el`: first via DrawflowBlazor's instance map, then by
+    // walking up to a registered host element, finally the legacy global editor.
+    function resolveEditor(el) {
+        if (!el) return null;
+
+        const fromInterop = shimEditor(interop()?.editorForElement?.(el) ?? null);
+        if (fromInterop) return fromInterop;
+
+        let cur = el instanceof Element ? el : null;
+        while (cur) {
+            if (cur.id && editors.has(cur.id)) return editors.get(cur.id).editor;
+            cur = cur.parentElement;
+        }
+
+        return editors.get(LEGACY_KEY)?.editor ?? null;
+    }
+
     // ---- Safe deep setter (prevents overwriting siblings) ----
-    function safeSetNodeDataValue(id, path, value) {
+    function safeSetNodeDataValue(editor, id, path, value) {
+        if (!editor) return;
         try {
             const node = editor.getNodeFromId?.(id);
             const current = (node && isPlain(node.data)) ? cloneData(node.data) : {};
@@ -149,15 +194,53 @@
     }
 
     // ---- Core binding logic ----
-    function init(ed) {
-        editor = ed;
-        ready = true;
+    function attach(hostId, ed) {
+        const editor = shimEditor(ed);
+        if (!editor || !hostId) return;
+
+        if (editors.has(hostId)) {
+            if (editors.get(hostId).editor === editor) return;
+            detach(hostId);
+        }
+
+        // Resync when nodes change; handlers are scoped to this editor so ids never cross graphs
+        const onNodeCreated = id => syncNodeById(hostId, editor, id);
+        const onNodeDataChanged = id => syncNodeById(hostId, editor, id);
+        try {
+            editor.on?.('nodeCreated', onNodeCreated);
+            editor.on?.('nodeDataChanged', onNodeDataChanged);
+        } catch { /* non-fatal */ }
+
+        const unsubscribe = () => {
+            try {
+                editor.removeListener?.('nodeCreated', onNodeCreated);
+                editor.removeListener?.('nodeDataChanged', onNodeDataChanged);
+            } catch { /* non-fatal */ }
+        };
+
+        editors.set(hostId, { editor, unsubscribe });
+        ensureGlobalListeners();
+
+        // Initial sweep to sync this editor's existing nodes' inputs from node.data
+        const host = hostElementOf(hostId);
+        host?.querySelectorAll?.('.drawflow-node').forEach(bindNode);
+    }
+
+    function detach(hostId) {
+        const entry = editors.get(hostId);
+        if (!entry) return;
+        entry.unsubscribe();
+        editors.delete(hostId);
+    }
 
-        // Initial sweep to sync existing nodes' inputs from node.data
-        bindAllExistingNodes();
+    // Document-level listeners are installed once and shared by every editor
+    function ensureGlobalListeners() {
+        if (listening) return;
+        listening = true;
 
         // Observe DOM for nodes added later and sync their inputs
-        const mo = new MutationObserver(muts => {
+        observer = new MutationObserver(muts => {
+            if (editors.size === 0) return;
             for (const m of muts) {
                 for (const el of m.addedNodes) {
                     if (!(el instanceof HTMLElement)) continue;
@@ -166,13 +249,7 @@
                 }
             }
         });
-        mo.observe(document.body, { childList: true, subtree: true });
-
-        // If the editor provides events, optionally resync when nodes change
-        try {
-            editor.on?.('nodeCreated', id => syncNodeById(id));
-            editor.on?.('nodeDataChanged', id => syncNodeById(id));
-        } catch { /* non-fatal */ }
+        observer.observe(document.body, { childList: true, subtree: true });
 
         // Global delegated listeners (capture) so dynamic nodes always work
         document.addEventListener('change', onParamEvent, true);
@@ -188,15 +265,13 @@
         console.info('NodeParamBinding: initialized.');
     }
 
-    function bindAllExistingNodes() {
-        document.querySelectorAll('.drawflow-node').forEach(bindNode);
-    }
-
     function bindNode(nodeEl) {
         const id = getNodeId(nodeEl);
         if (!id) return;
+        const editor = resolveEditor(nodeEl);
+        if (!editor) return;
         // Initialize UI from node.data
-        syncInputsFromData(nodeEl, id);
+        syncInputsFromData(editor, nodeEl, id);
     }
 
     // Delegated handlers -> normalize target and send to updater
@@ -219,8 +294,14 @@
         const id = getNodeId(nodeEl);
         if (!id) return;
 
+        const editor = resolveEditor(nodeEl);
+        if (!editor) return;
+
         const value = readControlValue(targetEl);
-        safeSetNodeDataValue(id, path, value);
+        safeSetNodeDataValue(editor, id, path, value);
+
+        // Shared with the other participants when the canvas is collaborative
+        interop()?.paramChanged?.(nodeEl, id, path, value);
     }
 
     function readControlValue(el) {
@@ -252,7 +333,7 @@
         el.setAttribute('data-value', value ?? '');
     }
 
-    function syncInputsFromData(nodeEl, id) {
+    function syncInputsFromData(editor, nodeEl, id) {
         let node = null, data = {};
         try {
             node = editor.getNodeFromId?.(id) ?? null;
@@ -274,7 +355,7 @@
             } else {
                 // Seed node.data under params.*
                 const currentVal = readControlValue(ctrl);
-                safeSetNodeDataValue(id, norm, currentVal);
+                safeSetNodeDataValue(editor, id, norm, currentVal);
             }
         });
     }
@@ -302,11 +383,14 @@
         return null;
     }
 
-    function syncNodeById(id) {
+    // Look the node up inside its own editor's host: node ids repeat across editors
+    function syncNodeById(hostId, editor, id) {
+        const host = hostElementOf(hostId);
+        if (!host) return;
         const nodeEl =
-            document.querySelector(`.drawflow-node[data-id='${id}']`) ||
-            document.querySelector(`[data-node-id='${id}']`) ||
-            document.getElementById(`node-${id}`);
-        if (nodeEl) syncInputsFromData(nodeEl, id);
+            host.querySelector(`.drawflow-node[data-id='${id}']`) ||
+            host.querySelector(`[data-node-id='${id}']`) ||
+            host.querySelector(`#node-${id}`);
+        if (nodeEl) syncInputsFromData(editor, nodeEl, id);
     }
 })();
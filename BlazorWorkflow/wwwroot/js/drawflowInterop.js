@@ -2,6 +2,9 @@
 window.DrawflowBlazor = (function () {
     const instances = new Map();
 
+    // Id of the editor the user last pointed at; page-level shortcuts act on it
+    let activeId = null;
+
     function ensureInstance(id) {
         if (!instances.has(id)) {
             throw new Error("Drawflow instance not found for id: " + id);
@@ -9,12 +12,44 @@ window.DrawflowBlazor = (function () {
         return instances.get(id);
     }
 
+    // Resolve the editor that owns a DOM element (node, port, control) by walking up
+    // to the host element whose id is registered in `instances`.
+    function findInstanceForElement(el) {
+        let cur = el instanceof Element ? el : null;
+        while (cur) {
+            if (cur.id && instances.has(cur.id)) return instances.get(cur.id);
+            cur = cur.parentElement;
+        }
+        return null;
+    }
+
+    function getEditor(id) {
+        return instances.get(id)?.editor ?? null;
+    }
+
+    function editorForElement(el) {
+        return findInstanceForElement(el)?.editor ?? null;
+    }
+
+    function hostIdForElement(el) {
+        return findInstanceForElement(el)?.id ?? null;
+    }
+
+    function instanceIds() {
+        return Array.from(instances.keys());
+    }
+
+    // Features a host can turn on or off with `options.features`, e.g. { search: false }; each is registered only when
+    // on. Virtualization is registered with `options.virtualize` too, and the minimap is shown with `options.minimap`.
+    const FEATURE_DEFAULTS = { accessibility: true, search: true, modules: true, virtualization: false };
+
     function create(id, dotNetRef, options) {
         const el = document.getElementById(id);
         if (!el) throw new Error("Element not found: " + id);
         if (instances.has(id)) {
             try { instances.get(id).editor?.destroy(); } catch { }
             instances.delete(id);
+            window.dispatchEvent(new CustomEvent('editor:destroyed', { detail: { id } }));
         }
 
         const opts = Object.assign({}, options || {});
@@ -23,71 +58,25 @@ window.DrawflowBlazor = (function () {
         }
 
         const editor = new Drawflow(el, opts);
-        window._df_editor = editor;   
-        window.dispatchEvent(new CustomEvent('editor:ready', { detail: { editor } })); 
+        // Legacy global: points at the most recently created editor only. Use
+        // DrawflowBlazor.getEditor(id) / editorForElement(el) when several editors share a page.
+        window._df_editor = editor;
         if (typeof opts.reroute !== "undefined") editor.reroute = opts.reroute;
         editor.start();
 
-        editor.createCurvature = function (
-            start_pos_x,
-            start_pos_y,
-            end_pos_x,
-            end_pos_y,
-            curvature_value,
-            type 
-        ) {
-            const dx = end_pos_x - start_pos_x;
-            const dy = end_pos_y - start_pos_y;
-
-            const absDx = Math.abs(dx);
-            const absDy = Math.abs(dy);
-
-            if (end_pos_x < start_pos_x && absDy < 60)
-            {
-                start_pos_x = start_pos_x + 20;
-                end_pos_x = end_pos_x - 20;
-                const y_modifier = dy > 0 ? 60 : -60;
-                const y_offset = y_modifier;
-
-                return (
-                    'M ' + (start_pos_x - 20) + ' ' + start_pos_y + // move to start
-                    ' L ' + start_pos_x + ' ' + start_pos_y + // go to the right of the start
-                    ' L ' + start_pos_x + ' ' + (end_pos_y + (y_offset)) + // go down/up 50px
-                    ' L ' + end_pos_x + ' ' + (end_pos_y + (y_offset)) + // go down to the left of the end
-                    ' L ' + end_pos_x + ' ' + end_pos_y + // go down to the left of the end
-                    ' L ' + (end_pos_x + 20) + ' ' + end_pos_y   // go to the end
-                );
-            }
-
-            if (end_pos_x < start_pos_x && absDy >= 60) {
-                start_pos_x = start_pos_x + 20;
-                end_pos_x = end_pos_x - 20;
-                const y_modifier = dy > 0 ? 1 : -1;
-                const y_offset = y_modifier * Math.min(60, absDy / 2);
-
-                return (
-                    'M ' + (start_pos_x - 20) + ' ' + start_pos_y + // move to start
-                    ' L ' + start_pos_x + ' ' + start_pos_y + // go to the right of the start
-                    ' L ' + start_pos_x + ' ' + (start_pos_y + (y_offset)) + // go down/up 50px
-                    ' L ' + end_pos_x + ' ' + (start_pos_y + (y_offset)) + // go to left/right end_pos
-                    ' L ' + end_pos_x + ' ' + (end_pos_y + (-y_offset)) + // go down to the left of the end
-                    ' L ' + end_pos_x + ' ' + end_pos_y  + // go down to the left of the end
-                    ' L ' + (end_pos_x + 20) + ' ' + end_pos_y   // go to the end
-                );
-            }
-
-            const hx1 = start_pos_x + absDx * curvature_value;
-            const hx2 = end_pos_x - absDx * curvature_value;
-
-            return (
-                'M ' + start_pos_x + ' ' + start_pos_y +
-                ' C ' + hx1 + ' ' + start_pos_y +
-                ' ' + hx2 + ' ' + end_pos_y +
-                ' ' + end_pos_x + ' ' + end_pos_y
-            );
+        const state = {
+            id, editor, dotNetRef, eventHandlers: {}, domHandlers: [], shortcuts: [], muted: 0, pointer: null, selection: new Set(),
+            listeners: new Set(), destroyListeners: new Set(),
+            nodeEls: new Map(), virtual: null, portLabels: new Map(),
+            grid: Number(opts.grid) > 0 ? Number(opts.grid) : 0,
+            guides: opts.guides !== false,
+            routing: opts.routing || "bezier",
+            typeCheck: opts.typeCheck !== false,
+            features: Object.assign({}, FEATURE_DEFAULTS, opts.virtualize ? { virtualization: true } : null, opts.features)
         };
 
-        const state = { id, editor, dotNetRef, eventHandlers: {} };
+        // Route every connection (including reroute segments) through the selected strategy
+        editor.createCurvature = (sx, sy, ex, ey, curvature, type) => routeConnection(state, sx, sy, ex, ey, curvature, type);
 
         const knownEvents = [
             "nodeCreated", "nodeRemoved", "nodeSelected", "nodeUnselected",
@@ -98,19 +87,46 @@ window.DrawflowBlazor = (function () {
         ];
 
         knownEvents.forEach(evt => {
-            const handler = (...args) => {
-                try {
-                    const payload = JSON.stringify(args, (_k, v) => (v instanceof HTMLElement ? undefined : v));
-                    state.dotNetRef.invokeMethodAsync("OnDrawflowEvent", evt, payload);
-                } catch (e) {
-                    console.warn("Failed to forward Drawflow event", evt, e);
-                }
-            };
+            const handler = forwarder(state, evt);
             state.eventHandlers[evt] = handler;
             try { editor.on(evt, handler); } catch { }
         });
 
+        // Track the pointer (for paste-at-cursor) and which editor the user last interacted with
+        addDomHandler(state, el, "mousemove", e => { state.pointer = { x: e.clientX, y: e.clientY }; });
+        addDomHandler(state, el, "mouseleave", () => { state.pointer = null; });
+        addDomHandler(state, el, "pointerdown", () => { activeId = id; });
+
+        // Node boxes used by the routers go stale as soon as Drawflow moves a node
+        addDomHandler(state, document, "mousemove", () => { state.routeCache = null; }, true);
+
+        // Grid snapping and alignment guides while a node is dragged
+        addDomHandler(state, el, "mousedown", () => beginNodeDrag(state));
+        addDomHandler(state, document, "mousemove", () => constrainNodeDrag(state));
+        addDomHandler(state, document, "mouseup", () => endNodeDrag(state));
+
+        // Dropping an unconnected node onto a connection splices it in
+        addDomHandler(state, el, "mousedown", () => beginSpliceDrag(state));
+        addDomHandler(state, document, "mousemove", () => updateSpliceDrag(state));
+        addDomHandler(state, el, "mouseup", () => dropSpliceDrag(state), true);
+        addDomHandler(state, document, "mouseup", () => endSpliceDrag(state));
+        applyGridClass(state);
+        if (state.features.virtualization) enableVirtualization(state);
+        enableRunOverlay(state);
+        enableTypeChecking(state);
+        enableBreakpoints(state);
+        enableDisabledNodes(state);
+        enableFrames(state);
+        enableNotes(state);
+        if (state.features.accessibility) enableAccessibility(state);
+        if (state.features.search) enableSearch(state);
+        if (state.features.modules) enableModules(state);
+
         instances.set(id, state);
+        activeId = id;
+        if (opts.minimap) showMinimap(state, opts.minimap);
+        if (opts.virtualize && state.features.virtualization) startVirtualization(state, opts.virtualize);
+        window.dispatchEvent(new CustomEvent('editor:ready', { detail: { id, editor } }));
         return true;
     }
 
@@ -118,27 +134,125 @@ window.DrawflowBlazor = (function () {
         const s = instances.get(id);
         if (!s) return false;
         try {
+            s.destroyListeners.forEach(fn => {
+                try { fn(); } catch (e) { console.warn("Failed to release a canvas module", e); }
+            });
             Object.entries(s.eventHandlers || {}).forEach(([evt, h]) => {
                 try { s.editor.off?.(evt, h); } catch { }
             });
+            removeDomHandlers(s);
+            s.shortcuts.forEach(handle => handle.dispose());
+            closeContextMenu(s);
+            hideMinimap(s);
+            if (s.virtual) cancelAnimationFrame(s.virtual.frame);
             s.editor?.destroy?.();
         } finally {
             instances.delete(id);
+            if (activeId === id) activeId = null;
+            if (window._df_editor === s.editor) window._df_editor = null;
+            window.dispatchEvent(new CustomEvent('editor:destroyed', { detail: { id } }));
         }
         return true;
     }
 
+    // Drawflow listener that forwards one event to .NET; connections failing the type check are dropped first
+    function forwarder(s, eventName) {
+        return (...args) => {
+            if (s.muted > 0) return;
+            if (eventName === "connectionCreated" && rejectIncompatibleConnection(s, args[0])) return;
+            // Recorded inside the "connectionSpliced" that ended this drag
+            if (eventName === "nodeMoved" && s.skipNodeMoved) return;
+            if (eventName === "nodeMoved" && nodeMovedAcrossFrame(s, args[0])) return;
+            emit(s, eventName, ...args);
+        };
+    }
+
+    // Forward an event (Drawflow's own or a composite one raised here) to .NET
+    function emit(s, eventName, ...args) {
+        notify(s, eventName, args[0]);
+        try {
+            const payload = JSON.stringify(args, (_k, v) => (v instanceof HTMLElement ? undefined : v));
+            s.dotNetRef.invokeMethodAsync("OnDrawflowEvent", eventName, payload);
+        } catch (e) {
+            console.warn("Failed to forward Drawflow event", eventName, e);
+        }
+    }
+
+    // Run `fn` without forwarding the Drawflow events it raises; callers emit one composite event instead
+    function muted(s, fn) {
+        s.muted++;
+        try { return fn(); } finally { s.muted--; }
+    }
+
+    function addDomHandler(s, target, type, handler, opts) {
+        target.addEventListener(type, handler, opts);
+        s.domHandlers.push([target, type, handler, opts]);
+    }
+
+    // Handlers for shortcut registry actions in `scope`, active while this editor is the one the user last pointed at
+    function addShortcuts(s, scope, handlers, when = null) {
+        s.shortcuts.push(BlazorWorkflowShortcuts.activate(scope, handlers, {
+            when: () => activeId === s.id && (!when || when())
+        }));
+    }
+
+    function removeDomHandlers(s) {
+        (s.domHandlers || []).forEach(([target, type, handler, opts]) => {
+            try { target.removeEventListener(type, handler, opts); } catch { }
+        });
+        s.domHandlers = [];
+    }
+
+    // ---- Canvas modules ----
+    // Optional behaviours the host imports as ES modules (collaboration.js, journal.js, themes.js) reach a canvas
+    // through host(id): its editor, the events it forwards, and the helpers they build on
+    function host(id) {
+        const s = ensureInstance(id);
+        return s.host ??= {
+            id, editor: s.editor, homeModule: HOME_MODULE,
+            // `fn(eventName, detail)` for every event forwarded to .NET, and "paramChanged" ({ nodeId, path, value })
+            // for bound control edits. Returns a function that removes it.
+            listen: fn => addListener(s.listeners, fn),
+            // `fn()` runs when the canvas is destroyed; returns a function that removes it
+            onDestroy: fn => addListener(s.destroyListeners, fn),
+            muted: fn => muted(s, fn),
+            findNode: nodeId => findNode(s, nodeId),
+            nodeElement: nodeId => nodeElement(s, nodeId),
+            clientToCanvas: (x, y) => clientToCanvas(s, x, y),
+            applyNodePositions: positions => applyNodePositions(s, positions),
+            applyView: view => applyView(s, view),
+            removeSubWorkflowModule: module => removeSubWorkflowModule(s, module),
+            // The port labels and width a node drawn outside an import doesn't have yet
+            decorateNode: nodeId => {
+                const ports = (findNode(s, String(nodeId))?.node.data?.outputPorts || []).map(p => [p, ""]);
+                labelPorts(s.id, nodeId, [], ports);
+                setNodeWidthFromTitle(s.id, nodeId);
+            },
+            redrawMinimap: () => scheduleMinimap(s)
+        };
+    }
+
+    function addListener(set, fn) {
+        set.add(fn);
+        return () => set.delete(fn);
+    }
+
+    function notify(s, eventName, detail) {
+        s.listeners.forEach(fn => {
+            try { fn(eventName, detail); } catch (e) { console.warn("Canvas module failed on", eventName, e); }
+        });
+    }
+
+    // NodeParamBinding calls this after writing a bound control's value into the node's data
+    function paramChanged(el, nodeId, path, value) {
+        const s = findInstanceForElement(el);
+        if (s) notify(s, "paramChanged", { nodeId: String(nodeId), path, value });
+    }
+
     function on(id, eventName) {
         const s = ensureInstance(id);
         if (!s.eventHandlers[eventName]) {
-            const handler = (...args) => {
-                try {
-                    const payload = JSON.stringify(args, (_k, v) => (v instanceof HTMLElement ? undefined : v));
-                    s.dotNetRef.invokeMethodAsync("OnDrawflowEvent", eventName, payload);
-                } catch (e) {
-                    console.warn("Failed to forward Drawflow event", eventName, e);
-                }
-            };
+            const handler = forwarder(s, eventName);
             s.eventHandlers[eventName] = handler;
             s.editor.on(eventName, handler);
         }
@@ -163,24 +277,13 @@ window.DrawflowBlazor = (function () {
         // Custom method implementations
         if (methodName === "updateNodePosition") {
             const [nodeId, x, y] = args || [];
-            const nodeIdStr = String(nodeId);
-            const module = target.module;
-            const nodeData = target.drawflow.drawflow[module].data[nodeIdStr];
-
-            if (nodeData) {
-                nodeData.pos_x = x;
-                nodeData.pos_y = y;
-
-                // Update DOM element position
-                const nodeElement = document.getElementById(`node-${nodeIdStr}`);
-                if (nodeElement) {
-                    nodeElement.style.left = x + 'px';
-                    nodeElement.style.top = y + 'px';
-                }
+            applyNodePositions(s, [{ id: nodeId, x, y }]);
+            return null;
+        }
 
-                // Update connections
-                target.updateConnectionNodes(`node-${nodeIdStr}`);
-            }
+        if (methodName === "updateNodePositions") {
+            const [positions] = args || [];
+            applyNodePositions(s, typeof positions === "string" ? JSON.parse(positions) : (positions || []));
             return null;
         }
 
@@ -214,14 +317,16 @@ window.DrawflowBlazor = (function () {
         return true;
     }
 
+    // Node element of the editor hosted in `elementId`; goes through the id-keyed map when the editor is registered
+    function hostNodeElement(elementId, nodeId) {
+        const s = instances.get(elementId);
+        if (s) return nodeElement(s, nodeId);
+        return document.getElementById(elementId)?.querySelector(`.drawflow-node#node-${nodeId}`) ?? null;
+    }
+
     function autoSizePortLabels(elementId, nodeId, inLabels = [], outLabels = [], labelGap = 8)
     {
-        const host = document.getElementById(elementId);
-        if (!host) return;
-
-        const nodeEl =
-            host.querySelector(`.drawflow-node[data-id="\${nodeId}"]`) ||
-            host.querySelector(`.drawflow-node#node-${nodeId}`);
+        const nodeEl = hostNodeElement(elementId, nodeId);
         if (!nodeEl) return;
 
         let left = inLabels.length ? Math.max(...inLabels.map(l => Math.max(_measureTextPx(l[0]), _measureTextPx(l[1])) + 15)) : 0;
@@ -235,12 +340,7 @@ window.DrawflowBlazor = (function () {
 
     function setNodeWidthFromTitle(elementId, nodeId)
     {
-        const host = document.getElementById(elementId);
-        if (!host) return;
-
-        const nodeEl =
-            host.querySelector(`.drawflow-node[data-id="${nodeId}"]`) ||
-            host.querySelector(`.drawflow-node#node-${nodeId}`);
+        const nodeEl = hostNodeElement(elementId, nodeId);
         if (!nodeEl) return;
 
         const titleEl = nodeEl.querySelector(".bw-title");
@@ -262,12 +362,17 @@ window.DrawflowBlazor = (function () {
 
     function labelPorts(elementId, nodeId, inLabels = [], outLabels = [])
     {
-        const host = document.getElementById(elementId);
-        if (!host) return;
+        // Kept for nodes in other modules too: switching modules rebuilds the elements without their labels
+        const instance = instances.get(elementId);
+        instance?.portLabels.set(String(nodeId), [inLabels, outLabels]);
+
+        // Label widths are measured, so a culled node is labelled when it is attached again
+        if (instance && isCulled(instance, nodeId)) {
+            instance.virtual.labels.set(String(nodeId), [inLabels, outLabels]);
+            return;
+        }
 
-        const nodeEl =
-            host.querySelector(`.drawflow-node[data-id="${nodeId}"]`) ||
-            host.querySelector(`.drawflow-node#node-${nodeId}`);
+        const nodeEl = hostNodeElement(elementId, nodeId);
         if (!nodeEl) return;
 
         const styleId = "df-port-label-style";
@@ -322,16 +427,16 @@ window.DrawflowBlazor = (function () {
             newDiv.style.pointerEvents = 'none';
 
             typeLabel.style.margin = '0';
-            typeLabel.style.color = 'rgb(138, 180, 233)';
             typeLabel.style.fontSize = '10px';
-            typeLabel.innerHTML = typeText;
+            typeLabel.textContent = typeText;
+            typeLabel.classList.add('bw-port_type');
 
             inputLabel.style.margin = '0';
             inputLabel.style.padding = '0';
             inputLabel.style.fontSize = '12px';
 
             inputLabel.style.margin = '-7px 0px 0px 0px';
-            inputLabel.innerHTML = valueText;
+            inputLabel.textContent = valueText;
 
             newDiv.appendChild(typeLabel);
             newDiv.appendChild(inputLabel);
@@ -355,16 +460,15 @@ window.DrawflowBlazor = (function () {
             newDiv.style.textAlign = 'right';
 
             typeLabel.style.margin = '0';
-            typeLabel.style.color = 'rgb(138, 180, 233)';
             typeLabel.style.fontSize = '10px';
-            typeLabel.innerHTML = typeText;
+            typeLabel.textContent = typeText;
             typeLabel.classList.add('bw-port_type');
 
             outputLabel.style.margin = '0';
             outputLabel.style.padding = '0';
             outputLabel.style.fontSize = '12px';
             outputLabel.style.margin = '-7px 0px 0px 0px';
-            outputLabel.innerHTML = valueText;
+            outputLabel.textContent = valueText;
             outputLabel.classList.add('bw-port_label');
 
             newDiv.appendChild(typeLabel);
@@ -375,19 +479,34 @@ window.DrawflowBlazor = (function () {
         }
 
         autoSizeNode(elementId, nodeId, inLabels, outLabels, 8)
+
+        // Port labels feed the screen reader names of the node's ports and connections
+        const s = instances.get(elementId);
+        if (s) {
+            labelNode(s, String(nodeId));
+            labelConnections(s, nodeId);
+        }
     }
 
     function setNodeStatus(elementId, nodeId, status)
     {
-        const host = document.getElementById(elementId);
-        if (!host) return;
-
-        const nodeEl =
-            host.querySelector(`.drawflow-node[data-id="${nodeId}"]`) ||
-            host.querySelector(`.drawflow-node#node-${nodeId}`);
-
+        const nodeEl = hostNodeElement(elementId, nodeId);
         if (!nodeEl) return;
+        const s = instances.get(elementId);
 
+        if (s && isCulled(s, nodeId)) {
+            // Kept until the node is attached again, so an off-screen node still shows how its run went
+            holdStatus(s, String(nodeId), status);
+        } else {
+            applyNodeStatus(s, nodeEl, nodeId, status);
+        }
+        if (s) announceNodeStatus(s, String(nodeId), status);
+    }
+
+    // Status classes, error tooltip, computed port values and run overlay for one update.
+    // `s` is null when the host has no registered editor.
+    function applyNodeStatus(s, nodeEl, nodeId, status)
+    {
         if (status.isRunning != null) {
             if (status.isRunning) {
                 nodeEl.classList.add("bw-processing-bar");
@@ -412,42 +531,28 @@ window.DrawflowBlazor = (function () {
             for (let i = 0; i < outputs.length; i++) {
                 if (status.outputPortResults[i] != null) {
                     outputs[i].classList.add('bw-computed_node')
-                    outputs[i].setAttribute('title', status.outputPortResults[i]);
+                    if (s) {
+                        // Shown in the pinned inspector on click rather than a native tooltip
+                        s.portValues.set(nodeId + ":" + i, status.outputPortResults[i]);
+                        const open = s.inspectors.get(nodeId + ":" + i);
+                        if (open) open.querySelector(".bw-inspector-body").textContent = prettyJson(status.outputPortResults[i]);
+                    } else {
+                        outputs[i].setAttribute('title', status.outputPortResults[i]);
+                    }
                 }
             }
         }
+
+        if (s) applyRunStatus(s, nodeEl, String(nodeId), status);
     }
 
     function setBulkNodeStatus(elementId, statusUpdates)
     {
-        const host = document.getElementById(elementId);
-        if (!host || !statusUpdates) return;
+        if (!statusUpdates) return;
 
-        // Process all status updates in a single DOM batch
-        // This is much faster than individual calls
+        // The whole batch arrives in one interop call; each lookup is a map hit, not a selector query
         for (const update of statusUpdates) {
-            const nodeEl =
-                host.querySelector(`.drawflow-node[data-id="${update.nodeId}"]`) ||
-                host.querySelector(`.drawflow-node#node-${update.nodeId}`);
-
-            if (!nodeEl) continue;
-
-            if (update.isRunning != null) {
-                if (update.isRunning) {
-                    nodeEl.classList.add("bw-processing-bar");
-                } else {
-                    nodeEl.classList.remove("bw-processing-bar");
-                }
-            }
-
-            if (update.hasError != null) {
-                if (update.hasError) {
-                    nodeEl.classList.add("bw-node-error");
-                    nodeEl.setAttribute("title", update.errorMessage || "Error occurred");
-                } else {
-                    nodeEl.classList.remove("bw-node-error");
-                }
-            }
+            setNodeStatus(elementId, update.nodeId, update);
         }
     }
 
@@ -455,6 +560,10 @@ window.DrawflowBlazor = (function () {
         const host = document.getElementById(elementId);
         if (!host) return;
 
+        // Enter on a focused node opens the editor through the same callback
+        const s = instances.get(elementId);
+        if (s) s.nodeEditorCallback = callbackReference;
+
         host.addEventListener('dblclick', function (e) {
             const nodeEl = e.target.closest('.drawflow-node');
             if (!nodeEl) return;
@@ -483,172 +592,4641 @@ window.DrawflowBlazor = (function () {
                 // Update connections for a specific node
                 s.editor.updateConnectionNodes('node-' + nodeId);
             } else {
-                // Update all connections
-                const drawflowData = s.editor.export();
-                if (drawflowData && drawflowData.drawflow && drawflowData.drawflow.Home) {
-                    const nodes = drawflowData.drawflow.Home.data;
-                    Object.keys(nodes).forEach(id => {
-                        try {
-                            s.editor.updateConnectionNodes('node-' + id);
-                        } catch (e) {
-                            // Silently ignore errors for individual nodes
-                        }
-                    });
-                }
+                // Update all connections; culled nodes only get marked and are redrawn when they come back
+                Object.keys(moduleData(s)).forEach(id => {
+                    try {
+                        s.editor.updateConnectionNodes('node-' + id);
+                    } catch (e) {
+                        // Silently ignore errors for individual nodes
+                    }
+                });
             }
         } catch (e) {
             console.warn('Error updating connection nodes:', e);
         }
     }
 
-    return { create, destroy, on, off, call, get, set, labelPorts, setNodeStatus, setBulkNodeStatus, setNodeDoubleClickCallback, setNodeWidthFromTitle, updateConnectionNodes };
-})();
+    // ---- Clipboard (copy / cut / paste / duplicate) ----
+    const CLIPBOARD_TYPE = "blazorworkflow/nodes";
 
-window.nextFrame = () => {
-    return new Promise(resolve => requestAnimationFrame(() => resolve()));
-};
+    // Last copied payload; shared by every editor on the page and used when the
+    // system clipboard is unavailable (permissions, insecure context).
+    let clipboardMemory = null;
+    let clipboardWriteFailed = false;
 
-window.scrollIntoViewIfNeeded = (element) => {
-    if (!element) return;
+    function moduleData(s) {
+        const ed = s.editor;
+        return ed.drawflow.drawflow[ed.module]?.data ?? {};
+    }
 
-    const rect = element.getBoundingClientRect();
-    const parent = element.parentElement;
-    if (!parent) return;
+    function selectedNodeIds(s) {
+        if (s.selection.size) return Array.from(s.selection);
+        const sel = s.editor.node_selected;
+        if (!sel || !sel.id) return [];
+        return [sel.id.substring("node-".length)];
+    }
 
-    const parentRect = parent.getBoundingClientRect();
+    // Client (viewport) coordinates -> canvas coordinates, honouring zoom and translate
+    function clientToCanvas(s, clientX, clientY) {
+        const ed = s.editor;
+        const rect = ed.precanvas.getBoundingClientRect();
+        return { x: (clientX - rect.x) / ed.zoom, y: (clientY - rect.y) / ed.zoom };
+    }
 
-    // Check if element is outside the visible area
-    if (rect.top < parentRect.top || rect.bottom > parentRect.bottom) {
-        element.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    function isTypingOrModalOpen() {
+        const activeElement = document.activeElement;
+        const isEditableElement = activeElement && (
+            activeElement.tagName === 'INPUT' ||
+            activeElement.tagName === 'TEXTAREA' ||
+            activeElement.isContentEditable
+        );
+        const isModalOpen = document.querySelector('.bw-node-editor-modal.show') !== null;
+        return isEditableElement || isModalOpen;
     }
-};
 
-function _measureTextPx(text, font = "12px 'Helvetica Neue', Helvetica, Arial, sans-serif") {
-    const span = document.createElement('span');
-    span.style.visibility = 'hidden';
-    span.style.whiteSpace = 'pre';
-    span.style.font = font;
-    span.textContent = text;
-    document.body.appendChild(span);
+    function cloneJson(v) {
+        return v == null ? v : JSON.parse(JSON.stringify(v));
+    }
 
-    const width = span.getBoundingClientRect().width;
-    span.remove();
-    return Math.ceil(width);
-}
+    // Model entry of a node in any module, with the module's name
+    function findNode(s, nodeId) {
+        for (const [module, m] of Object.entries(s.editor.drawflow.drawflow)) {
+            const node = m.data?.[nodeId];
+            if (node) return { module, node };
+        }
+        return null;
+    }
 
-// Position popover relative to button
-window.positionPopover = function(buttonElement, popoverElement) {
-    if (!buttonElement || !popoverElement) return;
+    // data.key, the Node id: the same on every canvas showing the workflow, unlike Drawflow ids
+    function newNodeKey() {
+        if (window.crypto?.randomUUID) return crypto.randomUUID();
+        return "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, c => {
+            const r = Math.random() * 16 | 0;
+            return (c === "x" ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+    }
 
-    const buttonRect = buttonElement.getBoundingClientRect();
-    const popoverRect = popoverElement.getBoundingClientRect();
+    function parseClipboardPayload(text) {
+        if (!text) return null;
+        try {
+            const payload = typeof text === "string" ? JSON.parse(text) : text;
+            if (payload?.type !== CLIPBOARD_TYPE || !Array.isArray(payload.nodes)) return null;
+            return payload;
+        } catch {
+            return null;
+        }
+    }
 
-    // Position above the button with some spacing
-    const top = buttonRect.top - popoverRect.height - 8;
-    const left = buttonRect.right - popoverRect.width;
+    async function buildClipboardPayload(s, nodeIds) {
+        const data = moduleData(s);
+        const ids = ((nodeIds && nodeIds.length) ? nodeIds : selectedNodeIds(s))
+            .map(String)
+            .filter(nid => data[nid]);
+        if (!ids.length) return null;
+        const idSet = new Set(ids);
 
-    // Ensure it doesn't go off screen
-    const finalTop = Math.max(10, top);
-    const finalLeft = Math.max(10, Math.min(left, window.innerWidth - popoverRect.width - 10));
+        // .NET owns the backing Node definitions; embed them so the payload pastes into any workflow
+        let nodeJson = {};
+        try {
+            nodeJson = (await s.dotNetRef.invokeMethodAsync("GetNodeClipboardData", ids)) || {};
+        } catch (e) {
+            console.warn("Failed to read node definitions for clipboard", e);
+        }
 
-    popoverElement.style.top = finalTop + 'px';
-    popoverElement.style.left = finalLeft + 'px';
-}
+        const nodes = ids.map(nid => {
+            const n = data[nid];
+            const nodeData = cloneJson(n.data || {});
+            if (nodeJson[nid]) nodeData.node = nodeJson[nid];
+            return {
+                id: nid,
+                name: n.name,
+                class: n.class,
+                html: n.html,
+                typenode: n.typenode,
+                inputs: Object.keys(n.inputs || {}).length,
+                outputs: Object.keys(n.outputs || {}).length,
+                pos_x: n.pos_x,
+                pos_y: n.pos_y,
+                data: nodeData
+            };
+        });
 
-// Click-away handler for popover
-let _popoverClickAwayHandler = null;
-let _popoverDotNetRef = null;
+        // Only connections whose both ends are part of the copy are reproduced
+        const connections = [];
+        ids.forEach(nid => {
+            Object.entries(data[nid].outputs || {}).forEach(([outputClass, port]) => {
+                (port.connections || []).forEach(c => {
+                    if (idSet.has(String(c.node))) {
+                        connections.push({ from: nid, output: outputClass, to: String(c.node), input: c.output });
+                    }
+                });
+            });
+        });
 
-window.setupPopoverClickAway = function(dotNetRef, popoverElement, buttonElement) {
-    // Clean up any existing handler
-    window.removePopoverClickAway();
+        return { type: CLIPBOARD_TYPE, version: 1, nodes, connections };
+    }
 
-    _popoverDotNetRef = dotNetRef;
+    // Adds the payload's nodes/connections to the current module as one operation and reports it
+    // to .NET as a single "nodesPasted" event. `at` is the canvas point for the group's top-left corner.
+    function insertPayload(s, payload, at, fallbackOffset) {
+        const ed = s.editor;
+        const minX = Math.min(...payload.nodes.map(n => n.pos_x || 0));
+        const minY = Math.min(...payload.nodes.map(n => n.pos_y || 0));
+        const dx = at ? at.x - minX : fallbackOffset;
+        const dy = at ? at.y - minY : fallbackOffset;
 
-    _popoverClickAwayHandler = function(event) {
-        // Check if click is outside both the popover and the button
-        const clickedInsidePopover = popoverElement && popoverElement.contains(event.target);
-        const clickedButton = buttonElement && buttonElement.contains(event.target);
+        const idMap = {};
+        const pastedNodes = [];
+        const pastedConnections = [];
 
-        if (!clickedInsidePopover && !clickedButton) {
-            // Close the popover
-            if (_popoverDotNetRef) {
-                _popoverDotNetRef.invokeMethodAsync('ClosePopover');
-            }
+        muted(s, () => {
+            payload.nodes.forEach(n => {
+                const data = cloneJson(n.data || {});
+                // A paste is a new node, so it gets its own collaboration key
+                data.key = newNodeKey();
+                const x = (n.pos_x || 0) + dx;
+                const y = (n.pos_y || 0) + dy;
+                const newId = ed.addNode(n.name, n.inputs ?? 1, n.outputs ?? 1, x, y, n.class || "", data, n.html || "", !!n.typenode);
+                idMap[n.id] = String(newId);
+                pastedNodes.push({ sourceId: n.id, id: String(newId), key: data.key, pos_x: x, pos_y: y, node: data.node ?? null });
+            });
+
+            (payload.connections || []).forEach(c => {
+                const from = idMap[c.from];
+                const to = idMap[c.to];
+                if (!from || !to) return;
+                try {
+                    ed.addConnection(from, to, c.output, c.input);
+                    pastedConnections.push({ output_id: from, input_id: to, output_class: c.output, input_class: c.input });
+                } catch (e) {
+                    console.warn("Failed to restore pasted connection", c, e);
+                }
+            });
+        });
+
+        // Re-apply the DOM decoration the original nodes received after creation
+        payload.nodes.forEach(n => {
+            const newId = idMap[n.id];
+            const ports = (n.data?.outputPorts || []).map(p => [p, ""]);
+            labelPorts(s.id, newId, [], ports);
+            setNodeWidthFromTitle(s.id, newId);
+        });
+        updateConnectionNodes(s.id);
+
+        emit(s, "nodesPasted", { nodes: pastedNodes, connections: pastedConnections });
+        return pastedNodes.map(n => n.id);
+    }
+
+    function removeNodes(s, nodeIds) {
+        const data = moduleData(s);
+        const ids = nodeIds.map(String).filter(nid => data[nid]);
+        if (!ids.length) return [];
+        muted(s, () => {
+            ids.forEach(nid => s.editor.removeNodeId("node-" + nid));
+        });
+        emit(s, "nodesRemoved", { ids });
+        return ids;
+    }
+
+    async function copyNodes(id, nodeIds = null) {
+        const s = ensureInstance(id);
+        const payload = await buildClipboardPayload(s, nodeIds);
+        if (!payload) return null;
+
+        const json = JSON.stringify(payload);
+        clipboardMemory = json;
+        clipboardWriteFailed = false;
+        try {
+            await navigator.clipboard.writeText(json);
+        } catch {
+            clipboardWriteFailed = true;
         }
-    };
+        return json;
+    }
 
-    // Add listener with a small delay to avoid immediately closing from the same click that opened it
-    setTimeout(() => {
-        document.addEventListener('click', _popoverClickAwayHandler);
-    }, 100);
-}
+    async function cutNodes(id, nodeIds = null) {
+        const s = ensureInstance(id);
+        const ids = (nodeIds && nodeIds.length) ? nodeIds.map(String) : selectedNodeIds(s);
+        const json = await copyNodes(id, ids);
+        if (!json) return null;
+        removeNodes(s, ids);
+        return json;
+    }
 
-window.removePopoverClickAway = function() {
-    if (_popoverClickAwayHandler) {
-        document.removeEventListener('click', _popoverClickAwayHandler);
-        _popoverClickAwayHandler = null;
+    // Paste clipboard JSON (defaults to the last copy). Lands at canvas point (x, y) when given,
+    // otherwise at the cursor, otherwise offset from the copied positions.
+    function pasteNodes(id, json = null, x = null, y = null) {
+        const s = ensureInstance(id);
+        const payload = parseClipboardPayload(json ?? clipboardMemory);
+        if (!payload || !payload.nodes.length) return null;
+
+        let at = null;
+        if (x != null && y != null) {
+            at = { x, y };
+        } else if (s.pointer) {
+            at = clientToCanvas(s, s.pointer.x, s.pointer.y);
+        }
+        return insertPayload(s, payload, at, 40);
     }
-    _popoverDotNetRef = null;
-}
 
-// Undo/Redo keyboard listener
-let _undoRedoListeners = new Map();
+    async function duplicateNodes(id, nodeIds = null) {
+        const s = ensureInstance(id);
+        const payload = await buildClipboardPayload(s, nodeIds);
+        if (!payload) return null;
+        return insertPayload(s, payload, null, 40);
+    }
+
+    // Copy / cut / duplicate shortcuts (Ctrl/Cmd + C / X / D by default) and paste on the canvas the user last interacted with
+    function enableClipboard(id) {
+        const s = ensureInstance(id);
+        if (s.clipboardEnabled) return true;
+        s.clipboardEnabled = true;
+
+        // Without a node selection, copy, cut and duplicate are left to the browser
+        addShortcuts(s, "canvas", {
+            "canvas.copy": () => !!selectedNodeIds(s).length && (copyNodes(id), true),
+            "canvas.cut": () => !!selectedNodeIds(s).length && (cutNodes(id), true),
+            "canvas.duplicate": () => !!selectedNodeIds(s).length && (duplicateNodes(id), true)
+        });
+
+        // Use the paste event rather than keydown: it exposes clipboard text without a permission prompt
+        addDomHandler(s, document, "paste", e => {
+            if (activeId !== id || isTypingOrModalOpen()) return;
 
-window.setupUndoRedoKeyboard = function(dotNetRef, editorId) {
-    console.log('[UndoRedo] Setting up keyboard listener for editor:', editorId);
+            const text = e.clipboardData?.getData("text/plain") || "";
+            let json = null;
+            if (parseClipboardPayload(text)) {
+                json = text;
+            } else if (clipboardMemory && (!text || clipboardWriteFailed)) {
+                json = clipboardMemory;
+            }
+            if (!json) return;
+
+            e.preventDefault();
+            pasteNodes(id, json);
+        });
 
-    // Remove existing listener if any
-    if (_undoRedoListeners.has(editorId)) {
-        document.removeEventListener('keydown', _undoRedoListeners.get(editorId));
+        return true;
     }
 
-    const handleKeyDown = function(event) {
-        // Don't handle keyboard shortcuts if user is typing in an input/textarea
-        const activeElement = document.activeElement;
-        const isEditableElement = activeElement && (
-            activeElement.tagName === 'INPUT' ||
-            activeElement.tagName === 'TEXTAREA' ||
-            activeElement.isContentEditable
-        );
+    // Undo / redo, search and the shortcut cheat sheet for this canvas; bindings come from BlazorWorkflowShortcuts
+    function enableShortcuts(id) {
+        const s = ensureInstance(id);
+        if (s.shortcutsEnabled) return true;
+        s.shortcutsEnabled = true;
 
-        // Don't handle keyboard shortcuts if a modal is open
-        const isModalOpen = document.querySelector('.bw-node-editor-modal.show') !== null;
+        addShortcuts(s, "canvas", {
+            "canvas.undo": () => { s.dotNetRef.invokeMethodAsync("OnUndoRequested"); },
+            "canvas.redo": () => { s.dotNetRef.invokeMethodAsync("OnRedoRequested"); },
+            "canvas.shortcuts": () => { BlazorWorkflowShortcuts.toggleCheatSheet(true); }
+        });
+        return true;
+    }
 
-        // Skip undo/redo if user is typing or modal is open
-        if (isEditableElement || isModalOpen) {
-            return;
+    // ---- Selection (Shift+drag marquee, Ctrl/Cmd+click toggle, group move) ----
+    const MULTI_SELECTED_CLASS = "bw-multiselected";
+
+    // Id-keyed, culled nodes included. Filled on first lookup; load() clears it when Drawflow rebuilds the elements.
+    function nodeElement(s, nodeId) {
+        const nid = String(nodeId);
+        let el = s.nodeEls.get(nid);
+        if (el && (el.isConnected || isCulled(s, nid))) return el;
+        el = s.editor.precanvas.querySelector(`#node-${nid}`);
+        if (el) s.nodeEls.set(nid, el);
+        else s.nodeEls.delete(nid);
+        return el;
+    }
+
+    function nodeIdFromElement(nodeEl) {
+        return nodeEl.id.substring("node-".length);
+    }
+
+    // Replace the selection; emits "selectionChanged" with the new ids when it actually changed
+    function setSelection(s, ids) {
+        const data = moduleData(s);
+        const next = new Set(ids.map(String).filter(nid => data[nid]));
+        const prev = s.selection;
+        if (next.size === prev.size && Array.from(next).every(nid => prev.has(nid))) return false;
+
+        prev.forEach(nid => nodeElement(s, nid)?.classList.remove(MULTI_SELECTED_CLASS));
+        next.forEach(nid => nodeElement(s, nid)?.classList.add(MULTI_SELECTED_CLASS));
+        s.selection = next;
+        scheduleMinimap(s);
+        emit(s, "selectionChanged", { ids: Array.from(next) });
+        return true;
+    }
+
+    // Drop Drawflow's own single selection when it is no longer part of ours, so its
+    // Delete key handling never removes a node that is not shown as selected
+    function syncDrawflowSelection(s) {
+        const current = s.editor.node_selected;
+        if (current && !s.selection.has(nodeIdFromElement(current))) {
+            current.classList.remove("selected");
+            s.editor.node_selected = null;
         }
+    }
+
+    // Write every position to the model and DOM first, then reroute each moved node's connections once
+    function applyNodePositions(s, positions) {
+        const data = moduleData(s);
+        const moved = [];
+        positions.forEach(p => {
+            const nid = String(p.id);
+            const n = data[nid];
+            if (!n) return;
+            n.pos_x = p.x;
+            n.pos_y = p.y;
+            const el = nodeElement(s, nid);
+            if (el) {
+                el.style.left = p.x + "px";
+                el.style.top = p.y + "px";
+            }
+            moved.push(nid);
+        });
+        s.routeCache = null;
+        moved.forEach(nid => s.editor.updateConnectionNodes("node-" + nid));
+        scheduleMinimap(s);
+        return moved;
+    }
+
+    // Coalesce drag updates into one DOM pass per animation frame
+    function scheduleNodePositions(s, positions) {
+        s.pendingPositions = positions;
+        if (s.positionFrame) return;
+        s.positionFrame = requestAnimationFrame(() => {
+            s.positionFrame = 0;
+            flushNodePositions(s);
+        });
+    }
 
-        // Check if Ctrl (or Cmd on Mac) is pressed
-        const isCtrlOrCmd = event.ctrlKey || event.metaKey;
-
-        if (isCtrlOrCmd && event.key === 'z' && !event.shiftKey) {
-            // Ctrl+Z = Undo
-            console.log('[UndoRedo] Ctrl+Z detected - requesting undo');
-            event.preventDefault();
-            dotNetRef.invokeMethodAsync('OnUndoRequested');
-        } else if (isCtrlOrCmd && event.key === 'y') {
-            // Ctrl+Y = Redo
-            console.log('[UndoRedo] Ctrl+Y detected - requesting redo');
-            event.preventDefault();
-            dotNetRef.invokeMethodAsync('OnRedoRequested');
-        } else if (isCtrlOrCmd && event.shiftKey && event.key === 'Z') {
-            // Ctrl+Shift+Z = Redo (alternative)
-            console.log('[UndoRedo] Ctrl+Shift+Z detected - requesting redo');
-            event.preventDefault();
-            dotNetRef.invokeMethodAsync('OnRedoRequested');
+    function flushNodePositions(s) {
+        if (s.positionFrame) {
+            cancelAnimationFrame(s.positionFrame);
+            s.positionFrame = 0;
         }
-    };
+        const pending = s.pendingPositions;
+        s.pendingPositions = null;
+        if (pending) applyNodePositions(s, pending);
+    }
 
-    _undoRedoListeners.set(editorId, handleKeyDown);
-    document.addEventListener('keydown', handleKeyDown);
-    console.log('[UndoRedo] Keyboard listener attached successfully');
-}
+    function drawMarquee(s) {
+        const m = s.marquee;
+        const host = s.editor.container;
+        const rect = host.getBoundingClientRect();
+        m.box.style.left = (Math.min(m.x0, m.x1) - rect.left - host.clientLeft) + "px";
+        m.box.style.top = (Math.min(m.y0, m.y1) - rect.top - host.clientTop) + "px";
+        m.box.style.width = Math.abs(m.x1 - m.x0) + "px";
+        m.box.style.height = Math.abs(m.y1 - m.y0) + "px";
+    }
 
-window.removeUndoRedoKeyboard = function(editorId) {
-    if (_undoRedoListeners.has(editorId)) {
-        document.removeEventListener('keydown', _undoRedoListeners.get(editorId));
-        _undoRedoListeners.delete(editorId);
+    function beginMarquee(s, e) {
+        const box = document.createElement("div");
+        box.className = "bw-marquee";
+        s.editor.container.appendChild(box);
+        s.marquee = {
+            box,
+            x0: e.clientX, y0: e.clientY, x1: e.clientX, y1: e.clientY,
+            // Ctrl/Cmd + Shift + drag adds to the current selection instead of replacing it
+            base: (e.ctrlKey || e.metaKey) ? Array.from(s.selection) : []
+        };
+        drawMarquee(s);
     }
-}
+
+    function endMarquee(s) {
+        const m = s.marquee;
+        s.marquee = null;
+        m.box.remove();
+
+        const left = Math.min(m.x0, m.x1), right = Math.max(m.x0, m.x1);
+        const top = Math.min(m.y0, m.y1), bottom = Math.max(m.y0, m.y1);
+        const hits = [];
+        s.editor.precanvas.querySelectorAll(`.drawflow-node:not(.${FRAME_HIDDEN_CLASS})`).forEach(nodeEl => {
+            const r = nodeEl.getBoundingClientRect();
+            if (r.right >= left && r.left <= right && r.bottom >= top && r.top <= bottom) {
+                hits.push(nodeIdFromElement(nodeEl));
+            }
+        });
+        setSelection(s, m.base.concat(hits));
+        syncDrawflowSelection(s);
+    }
+
+    function endGroupDrag(s) {
+        const g = s.groupDrag;
+        s.groupDrag = null;
+        s.muted--;
+        flushNodePositions(s);
+
+        if (!g.moved) {
+            // A click without a drag on a member of the group narrows the selection to that node
+            setSelection(s, [g.anchor]);
+            return;
+        }
+
+        const data = moduleData(s);
+        const nodes = Object.keys(g.start)
+            .filter(nid => data[nid])
+            .map(nid => ({ id: nid, pos_x: data[nid].pos_x, pos_y: data[nid].pos_y }));
+        emitNodesMoved(s, nodes);
+    }
+
+    // Runs in the capture phase on document, ahead of Drawflow's own mousedown on the host,
+    // so modifier clicks can be taken over before Drawflow starts a drag or canvas pan.
+    function onSelectionMouseDown(s, e) {
+        const ed = s.editor;
+        if (e.button !== 0 || !ed.container.contains(e.target) || ed.editor_mode === "fixed") return;
+        if (s.groupDrag) endGroupDrag(s);
+        if (e.target.closest("input, textarea, select, [contenteditable], .bw-minimap")) return;
+
+        const nodeEl = e.target.closest(".drawflow-node");
+        const toggle = e.ctrlKey || e.metaKey;
+
+        if (nodeEl) {
+            const nid = nodeIdFromElement(nodeEl);
+            if (toggle) {
+                e.preventDefault();
+                e.stopPropagation();
+                const ids = Array.from(s.selection);
+                setSelection(s, s.selection.has(nid) ? ids.filter(x => x !== nid) : ids.concat(nid));
+                syncDrawflowSelection(s);
+                return;
+            }
+            // Ports start a connection drag; leave those to Drawflow
+            if (e.target.closest(".input, .output")) return;
+
+            if (s.selection.has(nid) && s.selection.size > 1) {
+                const data = moduleData(s);
+                const start = {};
+                s.selection.forEach(x => {
+                    if (data[x]) start[x] = { x: data[x].pos_x, y: data[x].pos_y };
+                });
+                // Drawflow's per-node nodeMoved/nodeSelected are replaced by one "nodesMoved"
+                s.muted++;
+                s.groupDrag = { anchor: nid, start, moved: false };
+            } else {
+                setSelection(s, [nid]);
+            }
+            return;
+        }
+
+        const onCanvas = e.target === ed.container || e.target === ed.precanvas;
+        if (onCanvas && e.shiftKey) {
+            e.preventDefault();
+            e.stopPropagation();
+            beginMarquee(s, e);
+        } else if (!toggle) {
+            setSelection(s, []);
+        }
+    }
+
+    // Bubble phase on document: Drawflow has already moved the dragged node for this event
+    function onSelectionMouseMove(s, e) {
+        if (s.marquee) {
+            s.marquee.x1 = e.clientX;
+            s.marquee.y1 = e.clientY;
+            drawMarquee(s);
+            return;
+        }
+
+        const g = s.groupDrag;
+        if (!g || !s.editor.drag) return;
+        const anchor = moduleData(s)[g.anchor];
+        if (!anchor || !g.start[g.anchor]) return;
+
+        const dx = anchor.pos_x - g.start[g.anchor].x;
+        const dy = anchor.pos_y - g.start[g.anchor].y;
+        if (!dx && !dy) return;
+        g.moved = true;
+
+        const positions = Object.entries(g.start)
+            .filter(([nid]) => nid !== g.anchor)
+            .map(([nid, p]) => ({ id: nid, x: p.x + dx, y: p.y + dy }));
+        scheduleNodePositions(s, positions);
+    }
+
+    function onSelectionMouseUp(s) {
+        if (s.marquee) {
+            endMarquee(s);
+        } else if (s.groupDrag) {
+            endGroupDrag(s);
+        }
+    }
+
+    function enableSelection(id) {
+        const s = ensureInstance(id);
+        if (s.selectionEnabled) return true;
+        s.selectionEnabled = true;
+
+        addDomHandler(s, document, "mousedown", e => onSelectionMouseDown(s, e), true);
+        addDomHandler(s, document, "mousemove", e => onSelectionMouseMove(s, e));
+        addDomHandler(s, document, "mouseup", () => onSelectionMouseUp(s));
+
+        // Keep the selection in step with nodes that disappear or get replaced
+        s.editor.on("nodeRemoved", nid => {
+            if (s.selection.has(String(nid))) {
+                setSelection(s, Array.from(s.selection).filter(x => x !== String(nid)));
+            }
+        });
+        ["import", "moduleChanged"].forEach(evt => s.editor.on(evt, () => {
+            if (!s.selection.size) return;
+            s.selection = new Set();
+            emit(s, "selectionChanged", { ids: [] });
+        }));
+
+        return true;
+    }
+
+    function getSelection(id) {
+        return selectedNodeIds(ensureInstance(id));
+    }
+
+    function selectNodes(id, nodeIds) {
+        const s = ensureInstance(id);
+        setSelection(s, nodeIds || []);
+        syncDrawflowSelection(s);
+        return Array.from(s.selection);
+    }
+
+    function clearSelection(id) {
+        return selectNodes(id, []);
+    }
+
+    // Move several nodes as one operation, e.g. [{ id: "3", x: 120, y: 80 }]
+    function moveNodes(id, positions) {
+        const s = ensureInstance(id);
+        return applyNodePositions(s, positions || []);
+    }
+
+    // ---- Auto layout (layered, left to right) ----
+    const LAYOUT_DEFAULTS = { gapX: 80, gapY: 40, componentGap: 80, duration: 300, sweeps: 4 };
+
+    // Rendered size in canvas units; offsetWidth/Height ignore the zoom transform and
+    // include the widths applied by autoSizeNode
+    function measureNode(s, nid) {
+        // Detached elements measure 0; culled nodes keep the size they had on the canvas
+        const size = isCulled(s, nid) ? s.virtual.sizes.get(String(nid)) : null;
+        if (size) return size;
+        const el = nodeElement(s, nid);
+        return { w: el?.offsetWidth || 210, h: el?.offsetHeight || 80 };
+    }
+
+    // Edges between laid-out nodes, with back edges of cycles dropped so every component is a DAG
+    function layoutEdges(data, ids) {
+        const idSet = new Set(ids);
+        const out = new Map(ids.map(nid => [nid, []]));
+        ids.forEach(nid => {
+            Object.values(data[nid].outputs || {}).forEach(port => {
+                (port.connections || []).forEach(c => {
+                    const to = String(c.node);
+                    if (idSet.has(to) && to !== nid && !out.get(nid).includes(to)) out.get(nid).push(to);
+                });
+            });
+        });
+
+        const state = new Map();
+        const edges = [];
+        const visit = root => {
+            // Iterative DFS: 1 = on the stack, 2 = done; an edge into a node on the stack closes a cycle
+            const stack = [[root, 0]];
+            state.set(root, 1);
+            while (stack.length) {
+                const top = stack[stack.length - 1];
+                const [nid, i] = top;
+                const targets = out.get(nid);
+                if (i >= targets.length) {
+                    state.set(nid, 2);
+                    stack.pop();
+                    continue;
+                }
+                top[1]++;
+                const to = targets[i];
+                const st = state.get(to);
+                if (st === 1) continue;
+                edges.push([nid, to]);
+                if (!st) {
+                    state.set(to, 1);
+                    stack.push([to, 0]);
+                }
+            }
+        };
+        // Start from sources so the natural flow direction survives cycle breaking
+        const hasIncoming = new Set();
+        out.forEach(targets => targets.forEach(t => hasIncoming.add(t)));
+        ids.filter(nid => !hasIncoming.has(nid)).forEach(nid => { if (!state.has(nid)) visit(nid); });
+        ids.forEach(nid => { if (!state.has(nid)) visit(nid); });
+        return edges;
+    }
+
+    function layoutComponents(ids, edges) {
+        const parent = new Map(ids.map(nid => [nid, nid]));
+        const find = nid => {
+            while (parent.get(nid) !== nid) {
+                parent.set(nid, parent.get(parent.get(nid)));
+                nid = parent.get(nid);
+            }
+            return nid;
+        };
+        edges.forEach(([a, b]) => parent.set(find(a), find(b)));
+        const groups = new Map();
+        ids.forEach(nid => {
+            const root = find(nid);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(nid);
+        });
+        return Array.from(groups.values());
+    }
+
+    // Longest-path layering, then barycenter sweeps to reduce crossings
+    function layoutLayers(ids, edges, sweeps) {
+        const preds = new Map(ids.map(nid => [nid, []]));
+        const succs = new Map(ids.map(nid => [nid, []]));
+        edges.forEach(([a, b]) => {
+            if (!preds.has(a) || !preds.has(b)) return;
+            succs.get(a).push(b);
+            preds.get(b).push(a);
+        });
+
+        const layerOf = new Map();
+        const indegree = new Map(ids.map(nid => [nid, preds.get(nid).length]));
+        const queue = ids.filter(nid => indegree.get(nid) === 0);
+        queue.forEach(nid => layerOf.set(nid, 0));
+        while (queue.length) {
+            const nid = queue.shift();
+            succs.get(nid).forEach(to => {
+                layerOf.set(to, Math.max(layerOf.get(to) ?? 0, layerOf.get(nid) + 1));
+                indegree.set(to, indegree.get(to) - 1);
+                if (indegree.get(to) === 0) queue.push(to);
+            });
+        }
+
+        const layers = [];
+        ids.forEach(nid => {
+            const l = layerOf.get(nid) ?? 0;
+            (layers[l] = layers[l] || []).push(nid);
+        });
+
+        const order = new Map();
+        const reindex = layer => layer.forEach((nid, i) => order.set(nid, i));
+        layers.forEach(reindex);
+        const barycenter = (nid, neighbours) => {
+            const ns = neighbours.get(nid).filter(x => order.has(x));
+            return ns.length ? ns.reduce((sum, x) => sum + order.get(x), 0) / ns.length : order.get(nid);
+        };
+        for (let sweep = 0; sweep < sweeps; sweep++) {
+            const down = sweep % 2 === 0;
+            const range = down ? layers.map((_, i) => i).slice(1) : layers.map((_, i) => i).reverse().slice(1);
+            range.forEach(i => {
+                const neighbours = down ? preds : succs;
+                const keyed = layers[i].map(nid => [nid, barycenter(nid, neighbours)]);
+                keyed.sort((a, b) => a[1] - b[1]);
+                layers[i] = keyed.map(k => k[0]);
+                reindex(layers[i]);
+            });
+        }
+        return layers.filter(Boolean);
+    }
+
+    // Target positions for `ids`, anchored at the top-left of their current bounding box
+    function computeLayout(s, ids, opts) {
+        const data = moduleData(s);
+        const sizes = new Map(ids.map(nid => [nid, measureNode(s, nid)]));
+        const edges = layoutEdges(data, ids);
+        const components = layoutComponents(ids, edges);
+
+        const originX = Math.min(...ids.map(nid => data[nid].pos_x || 0));
+        let cursorY = Math.min(...ids.map(nid => data[nid].pos_y || 0));
+        const positions = [];
+
+        // Largest components first so the main flow stays at the top
+        components.sort((a, b) => b.length - a.length).forEach(component => {
+            const layers = layoutLayers(component, edges, opts.sweeps);
+            const layerHeights = layers.map(layer =>
+                layer.reduce((sum, nid) => sum + sizes.get(nid).h, 0) + opts.gapY * (layer.length - 1));
+            const height = Math.max(...layerHeights);
+
+            let x = originX;
+            layers.forEach((layer, i) => {
+                let y = cursorY + (height - layerHeights[i]) / 2;
+                layer.forEach(nid => {
+                    positions.push({ id: nid, x: Math.round(x), y: Math.round(y) });
+                    y += sizes.get(nid).h + opts.gapY;
+                });
+                x += Math.max(...layer.map(nid => sizes.get(nid).w)) + opts.gapX;
+            });
+            cursorY += height + opts.componentGap;
+        });
+        return positions;
+    }
+
+    function animatePositions(s, from, to, duration) {
+        return new Promise(resolve => {
+            if (!(duration > 0)) {
+                applyNodePositions(s, to);
+                resolve();
+                return;
+            }
+            const start = performance.now();
+            const step = now => {
+                const t = Math.min(1, (now - start) / duration);
+                const k = 1 - Math.pow(1 - t, 3);
+                applyNodePositions(s, to.map((p, i) => ({
+                    id: p.id,
+                    x: from[i].x + (p.x - from[i].x) * k,
+                    y: from[i].y + (p.y - from[i].y) * k
+                })));
+                if (t < 1) requestAnimationFrame(step); else resolve();
+            };
+            requestAnimationFrame(step);
+        });
+    }
+
+    // Lay out the current module (or only `nodeIds`) left to right and animate into place.
+    // Reported to .NET as one "nodesMoved" so the whole layout is a single undo step.
+    async function autoLayout(id, nodeIds = null, options = null) {
+        const s = ensureInstance(id);
+        const opts = Object.assign({}, LAYOUT_DEFAULTS, options || {});
+        const data = moduleData(s);
+        const ids = ((nodeIds && nodeIds.length) ? nodeIds.map(String) : Object.keys(data)).filter(nid => data[nid]);
+        if (!ids.length) return [];
+
+        const to = computeLayout(s, ids, opts);
+        const from = to.map(p => ({ x: data[p.id].pos_x, y: data[p.id].pos_y }));
+        if (to.every((p, i) => p.x === from[i].x && p.y === from[i].y)) return to;
+        await animatePositions(s, from, to, opts.duration);
+
+        emit(s, "nodesMoved", { nodes: to.map(p => ({ id: p.id, pos_x: p.x, pos_y: p.y })) });
+        return to;
+    }
+
+    // ---- Snap to grid, alignment guides, align / distribute ----
+    const GUIDE_THRESHOLD_PX = 6;
+
+    function nodeBox(s, nid) {
+        const n = moduleData(s)[nid];
+        const size = measureNode(s, nid);
+        return { id: nid, x: n.pos_x, y: n.pos_y, w: size.w, h: size.h };
+    }
+
+    function applyGridClass(s) {
+        const pre = s.editor.precanvas;
+        pre.classList.toggle("bw-grid", s.grid > 0);
+        if (s.grid > 0) pre.style.setProperty("--bw-grid-size", s.grid + "px");
+        else pre.style.removeProperty("--bw-grid-size");
+    }
+
+    // Host mousedown runs after Drawflow's own handler, so `editor.drag` already says whether a node drag began
+    function beginNodeDrag(s) {
+        const ed = s.editor;
+        const el = ed.ele_selected;
+        if (!ed.drag || !el || !el.classList.contains("drawflow-node")) return;
+        if (!(s.grid > 0) && !s.guides) return;
+
+        const anchor = nodeIdFromElement(el);
+        const data = moduleData(s);
+        if (!data[anchor]) return;
+
+        const moving = new Set(s.groupDrag ? Object.keys(s.groupDrag.start) : [anchor]);
+        const others = s.guides
+            ? Object.keys(data).filter(nid => !moving.has(nid)).map(nid => nodeBox(s, nid))
+            : [];
+        const start = { x: data[anchor].pos_x, y: data[anchor].pos_y };
+        s.nodeDrag = { anchor, size: measureNode(s, anchor), others, raw: { ...start }, last: { ...start } };
+    }
+
+    // Closest edge/centre alignment with a non-moving node on each axis, within the threshold
+    function findAlignment(d, x, y, threshold) {
+        const mine = {
+            x: [x, x + d.size.w / 2, x + d.size.w],
+            y: [y, y + d.size.h / 2, y + d.size.h]
+        };
+        const best = { x: null, y: null };
+        d.others.forEach(o => {
+            const theirs = {
+                x: [o.x, o.x + o.w / 2, o.x + o.w],
+                y: [o.y, o.y + o.h / 2, o.y + o.h]
+            };
+            ["x", "y"].forEach(axis => {
+                mine[axis].forEach(m => theirs[axis].forEach(t => {
+                    const diff = t - m;
+                    if (Math.abs(diff) <= threshold && (!best[axis] || Math.abs(diff) < Math.abs(best[axis].diff))) {
+                        best[axis] = { diff, line: t, other: o };
+                    }
+                }));
+            });
+        });
+        return best;
+    }
+
+    function guideElement(s, axis) {
+        s.guideEls = s.guideEls || {};
+        let el = s.guideEls[axis];
+        if (!el || !el.isConnected) {
+            el = document.createElement("div");
+            el.className = "bw-guide bw-guide--" + (axis === "x" ? "v" : "h");
+            s.editor.precanvas.appendChild(el);
+            s.guideEls[axis] = el;
+        }
+        return el;
+    }
+
+    function drawGuides(s, match, x, y) {
+        const size = s.nodeDrag.size;
+        ["x", "y"].forEach(axis => {
+            const m = match?.[axis];
+            if (!m) {
+                if (s.guideEls?.[axis]) s.guideEls[axis].style.display = "none";
+                return;
+            }
+            const el = guideElement(s, axis);
+            const o = m.other;
+            el.style.display = "block";
+            if (axis === "x") {
+                const top = Math.min(y, o.y), bottom = Math.max(y + size.h, o.y + o.h);
+                el.style.left = m.line + "px";
+                el.style.top = top + "px";
+                el.style.height = (bottom - top) + "px";
+            } else {
+                const left = Math.min(x, o.x), right = Math.max(x + size.w, o.x + o.w);
+                el.style.top = m.line + "px";
+                el.style.left = left + "px";
+                el.style.width = (right - left) + "px";
+            }
+        });
+    }
+
+    // Drawflow moves the node by the raw mouse delta; track that unconstrained position separately
+    // so small movements accumulate instead of being snapped away on every event.
+    function constrainNodeDrag(s) {
+        const d = s.nodeDrag;
+        if (!d || !s.editor.drag) return;
+        const n = moduleData(s)[d.anchor];
+        if (!n) return;
+
+        d.raw.x += n.pos_x - d.last.x;
+        d.raw.y += n.pos_y - d.last.y;
+
+        let x = d.raw.x, y = d.raw.y;
+        if (s.grid > 0) {
+            x = Math.round(x / s.grid) * s.grid;
+            y = Math.round(y / s.grid) * s.grid;
+        }
+
+        let match = null;
+        if (s.guides) {
+            // Guides win over the grid: lining up with a neighbour is the more deliberate intent
+            match = findAlignment(d, d.raw.x, d.raw.y, GUIDE_THRESHOLD_PX / s.editor.zoom);
+            if (match.x) x = d.raw.x + match.x.diff;
+            if (match.y) y = d.raw.y + match.y.diff;
+        }
+        drawGuides(s, match, x, y);
+
+        if (x !== n.pos_x || y !== n.pos_y) applyNodePositions(s, [{ id: d.anchor, x, y }]);
+        d.last = { x, y };
+    }
+
+    function endNodeDrag(s) {
+        if (!s.nodeDrag) return;
+        s.nodeDrag = null;
+        Object.values(s.guideEls || {}).forEach(el => { el.style.display = "none"; });
+    }
+
+    // Apply positions and report them as one undoable "nodesMoved"
+    function commitPositions(s, positions) {
+        const data = moduleData(s);
+        const changed = positions.filter(p => data[p.id] && (data[p.id].pos_x !== p.x || data[p.id].pos_y !== p.y));
+        if (!changed.length) return [];
+        applyNodePositions(s, changed);
+        emitNodesMoved(s, changed.map(p => ({ id: String(p.id), pos_x: p.x, pos_y: p.y })));
+        return changed.map(p => String(p.id));
+    }
+
+    function boxesFor(s, nodeIds) {
+        const data = moduleData(s);
+        const ids = (nodeIds && nodeIds.length) ? nodeIds.map(String) : selectedNodeIds(s);
+        return ids.filter(nid => data[nid]).map(nid => nodeBox(s, nid));
+    }
+
+    // Align nodes (default: the selection) to the left/center/right or top/middle/bottom of their bounding box
+    function alignNodes(id, mode, nodeIds = null) {
+        const s = ensureInstance(id);
+        const boxes = boxesFor(s, nodeIds);
+        if (boxes.length < 2) return [];
+
+        const left = Math.min(...boxes.map(b => b.x));
+        const right = Math.max(...boxes.map(b => b.x + b.w));
+        const top = Math.min(...boxes.map(b => b.y));
+        const bottom = Math.max(...boxes.map(b => b.y + b.h));
+
+        const place = {
+            left: b => ({ x: left, y: b.y }),
+            center: b => ({ x: Math.round((left + right) / 2 - b.w / 2), y: b.y }),
+            right: b => ({ x: right - b.w, y: b.y }),
+            top: b => ({ x: b.x, y: top }),
+            middle: b => ({ x: b.x, y: Math.round((top + bottom) / 2 - b.h / 2) }),
+            bottom: b => ({ x: b.x, y: bottom - b.h })
+        }[mode];
+        if (!place) throw new Error("Unknown alignment: " + mode);
+
+        return commitPositions(s, boxes.map(b => ({ id: b.id, ...place(b) })));
+    }
+
+    // Spread nodes (default: the selection) so the gaps between them are equal; the outermost nodes stay put
+    function distributeNodes(id, axis, nodeIds = null) {
+        const s = ensureInstance(id);
+        const boxes = boxesFor(s, nodeIds);
+        if (boxes.length < 3) return [];
+        if (axis !== "horizontal" && axis !== "vertical") throw new Error("Unknown distribution axis: " + axis);
+
+        const [pos, size] = axis === "horizontal" ? ["x", "w"] : ["y", "h"];
+        boxes.sort((a, b) => a[pos] - b[pos]);
+        const first = boxes[0], last = boxes[boxes.length - 1];
+        const span = last[pos] + last[size] - first[pos];
+        const gap = (span - boxes.reduce((sum, b) => sum + b[size], 0)) / (boxes.length - 1);
+
+        let cursor = first[pos];
+        const positions = boxes.map(b => {
+            const p = { id: b.id, x: b.x, y: b.y };
+            p[pos] = Math.round(cursor);
+            cursor += b[size] + gap;
+            return p;
+        });
+        return commitPositions(s, positions);
+    }
+
+    // Grid size in canvas pixels; 0 turns snapping (and the grid backdrop) off
+    function setGrid(id, size) {
+        const s = ensureInstance(id);
+        s.grid = Number(size) > 0 ? Number(size) : 0;
+        applyGridClass(s);
+        return s.grid;
+    }
+
+    function setGuides(id, enabled) {
+        const s = ensureInstance(id);
+        s.guides = !!enabled;
+        return s.guides;
+    }
+
+    // ---- Connection routing ----
+    // A router turns one connection segment into an SVG path. `r.type` is Drawflow's segment kind:
+    // "openclose" (port to port), or "open" / "other" / "close" for segments around reroute points.
+    const ROUTE_MARGIN = 20;
+    const ROUTE_RADIUS = 8;
+
+    const routers = {
+        bezier(r) {
+            if (r.type === "openclose" && r.ex < r.sx) return polylinePath(aroundPoints(r), ROUTE_RADIUS);
+            return bezierPath(r);
+        },
+        orthogonal(r) {
+            if (r.type !== "openclose") return polylinePath(elbowPoints(r.sx, r.sy, r.ex, r.ey), ROUTE_RADIUS);
+            if (r.ex < r.sx) return polylinePath(aroundPoints(r), ROUTE_RADIUS);
+            return polylinePath(manhattanPoints(r), ROUTE_RADIUS);
+        },
+        straight(r) {
+            if (r.type === "openclose" && r.ex < r.sx) return polylinePath(aroundPoints(r), 0);
+            return "M " + r.sx + " " + r.sy + " L " + r.ex + " " + r.ey;
+        }
+    };
+
+    // Drawflow's own curve, including its handle flips for reroute segments
+    function bezierPath(r) {
+        const { sx, sy, ex, ey, curvature, type } = r;
+        const d = Math.abs(ex - sx) * curvature;
+        const back = sx >= ex;
+        let hx1 = sx + d, hx2 = ex - d;
+        if (back && type === "open") hx2 = ex + d;
+        if (back && type === "close") hx1 = sx - d;
+        if (back && type === "other") { hx1 = sx - d; hx2 = ex + d; }
+        return "M " + sx + " " + sy + " C " + hx1 + " " + sy + " " + hx2 + " " + ey + " " + ex + " " + ey;
+    }
+
+    // Polyline through `points`, with corners rounded by up to `radius`
+    function polylinePath(points, radius) {
+        const pts = points.filter((p, i) => i === 0 || p.x !== points[i - 1].x || p.y !== points[i - 1].y);
+        let d = "M " + pts[0].x + " " + pts[0].y;
+        for (let i = 1; i < pts.length; i++) {
+            const p = pts[i];
+            const next = pts[i + 1];
+            if (!next || !radius) {
+                d += " L " + p.x + " " + p.y;
+                continue;
+            }
+            const prev = pts[i - 1];
+            const r = Math.min(radius, Math.hypot(p.x - prev.x, p.y - prev.y) / 2, Math.hypot(next.x - p.x, next.y - p.y) / 2);
+            const inX = p.x - Math.sign(p.x - prev.x) * r, inY = p.y - Math.sign(p.y - prev.y) * r;
+            const outX = p.x + Math.sign(next.x - p.x) * r, outY = p.y + Math.sign(next.y - p.y) * r;
+            d += " L " + inX + " " + inY + " Q " + p.x + " " + p.y + " " + outX + " " + outY;
+        }
+        return d;
+    }
+
+    function elbowPoints(sx, sy, ex, ey) {
+        const mx = (sx + ex) / 2;
+        return [{ x: sx, y: sy }, { x: mx, y: sy }, { x: mx, y: ey }, { x: ex, y: ey }];
+    }
+
+    // Node boxes in canvas coordinates, built once per frame however many connections are redrawn
+    function routeObstacles(s) {
+        if (!s.routeCache) {
+            const data = moduleData(s);
+            s.routeCache = Object.keys(data).map(nid => nodeBox(s, nid));
+            requestAnimationFrame(() => { s.routeCache = null; });
+        }
+        return s.routeCache;
+    }
+
+    // Boxes are shrunk by a pixel so segments that start on a node's own edge (its ports) do not count
+    function hSegmentHits(boxes, y, x1, x2) {
+        const lo = Math.min(x1, x2), hi = Math.max(x1, x2);
+        return boxes.some(b => y > b.y + 1 && y < b.y + b.h - 1 && hi > b.x + 1 && lo < b.x + b.w - 1);
+    }
+
+    function vSegmentHits(boxes, x, y1, y2) {
+        const lo = Math.min(y1, y2), hi = Math.max(y1, y2);
+        return boxes.some(b => x > b.x + 1 && x < b.x + b.w - 1 && hi > b.y + 1 && lo < b.y + b.h - 1);
+    }
+
+    // Horizontal lane between x1 and x2 that clears every node, as close to the endpoints as possible
+    function clearLane(boxes, x1, x2, sy, ey) {
+        const lo = Math.min(x1, x2), hi = Math.max(x1, x2);
+        const inSpan = boxes.filter(b => b.x < hi && b.x + b.w > lo);
+        const candidates = [(sy + ey) / 2];
+        inSpan.forEach(b => candidates.push(b.y - ROUTE_MARGIN, b.y + b.h + ROUTE_MARGIN));
+        const cost = y => Math.abs(y - sy) + Math.abs(y - ey);
+        return candidates
+            .filter(y => !hSegmentHits(inSpan, y, lo, hi))
+            .sort((a, b) => cost(a) - cost(b))[0] ?? candidates[0];
+    }
+
+    // Back edges and blocked paths: leave the output to the right, run along a free lane and
+    // enter the input from the left
+    function aroundPoints(r) {
+        const boxes = routeObstacles(r.state);
+        const x1 = r.sx + ROUTE_MARGIN, x2 = r.ex - ROUTE_MARGIN;
+        const lane = clearLane(boxes, x1, x2, r.sy, r.ey);
+        return [
+            { x: r.sx, y: r.sy }, { x: x1, y: r.sy }, { x: x1, y: lane },
+            { x: x2, y: lane }, { x: x2, y: r.ey }, { x: r.ex, y: r.ey }
+        ];
+    }
+
+    // Forward Manhattan route: one vertical run at the clearest x between the ports
+    function manhattanPoints(r) {
+        const boxes = routeObstacles(r.state);
+        const { sx, sy, ex, ey } = r;
+        const mid = (sx + ex) / 2;
+        const candidates = [mid];
+        boxes.forEach(b => candidates.push(b.x - ROUTE_MARGIN, b.x + b.w + ROUTE_MARGIN));
+        const free = candidates
+            .filter(x => x >= sx + ROUTE_MARGIN / 2 && x <= ex - ROUTE_MARGIN / 2)
+            .filter(x => !vSegmentHits(boxes, x, sy, ey) && !hSegmentHits(boxes, sy, sx, x) && !hSegmentHits(boxes, ey, x, ex))
+            .sort((a, b) => Math.abs(a - mid) - Math.abs(b - mid));
+        if (free.length) return elbowPoints(sx, sy, ex, ey).map((p, i) => (i === 1 || i === 2) ? { x: free[0], y: p.y } : p);
+        return aroundPoints(r);
+    }
+
+    function routeConnection(s, sx, sy, ex, ey, curvature, type) {
+        const router = routers[s.routing] || routers.bezier;
+        try {
+            return router({ sx, sy, ex, ey, curvature, type, state: s, obstacles: () => routeObstacles(s) });
+        } catch (e) {
+            console.warn("Connection router failed; falling back to bezier", s.routing, e);
+            return bezierPath({ sx, sy, ex, ey, curvature, type });
+        }
+    }
+
+    // Add a routing style usable by every editor: fn({ sx, sy, ex, ey, curvature, type, obstacles() }) => SVG path
+    function registerRouting(name, fn) {
+        if (typeof fn !== "function") throw new Error("Routing must be a function: " + name);
+        routers[name] = fn;
+        return true;
+    }
+
+    function setRouting(id, name) {
+        const s = ensureInstance(id);
+        if (!routers[name]) throw new Error("Unknown connection routing: " + name);
+        s.routing = name;
+        s.routeCache = null;
+        updateConnectionNodes(id);
+        return name;
+    }
+
+    // ---- Image export (SVG / PNG) ----
+    const SVG_NS = "http://www.w3.org/2000/svg";
+    const EXPORT_PADDING = 24;
+
+    // Fallback fills for parts whose live background is a gradient (computed background-color is transparent)
+    const EXPORT_CSS = `
+        .bw-export-node { fill: var(--df-node, #1e293b); stroke: var(--df-border, #334155); }
+        .bw-export-title { fill: var(--df-node-2, #273449); }
+        .selected .bw-export-title, .bw-multiselected .bw-export-title { fill: var(--df-accent, #6ea0ff); }
+        .bw-node-error .bw-export-node { stroke: var(--df-status-error, #dc2626); stroke-opacity: 0.7; }
+        .bw-node-error .bw-export-title { fill: var(--df-status-error, #dc2626); fill-opacity: 0.3; }
+        .bw-processing-bar .bw-export-node { stroke: var(--df-accent, #6ea0ff); }
+        .bw-export-type { fill: var(--df-accent, #6ea0ff); }
+        .bw-export-port { fill: var(--df-port, #94a3b8); }
+        .bw-computed_node .bw-export-port { fill: var(--df-accent, #6ea0ff); }
+        .main-path { fill: none; stroke: var(--df-wire, #5b8eff); stroke-width: 2; }
+    `;
+
+    function svgEl(name, attrs) {
+        const el = document.createElementNS(SVG_NS, name);
+        Object.entries(attrs || {}).forEach(([k, v]) => { if (v != null) el.setAttribute(k, v); });
+        return el;
+    }
+
+    function isTransparent(color) {
+        return !color || color === "transparent" || /rgba\(.*,\s*0\)$/.test(color);
+    }
+
+    // Theme variables as resolved on the host, so the image keeps the active theme
+    function themeVariables(s) {
+        const style = getComputedStyle(s.editor.container);
+        const names = new Set();
+        for (let i = 0; i < style.length; i++) {
+            if (style[i].startsWith("--df-") || style[i].startsWith("--bw-")) names.add(style[i]);
+        }
+        Array.from(document.styleSheets).forEach(sheet => {
+            try {
+                Array.from(sheet.cssRules).forEach(rule => {
+                    (rule.cssText.match(/--(df|bw)-[\w-]+(?=\s*:)/g) || []).forEach(n => names.add(n));
+                });
+            } catch { /* cross-origin sheet */ }
+        });
+        return Array.from(names)
+            .map(n => [n, style.getPropertyValue(n).trim()])
+            .filter(([, v]) => v)
+            .map(([n, v]) => n + ": " + v + ";")
+            .join(" ");
+    }
+
+    function wrapperCss() {
+        return Array.from(document.styleSheets)
+            .filter(sheet => (sheet.href || "").includes("drawflowWrapper.css"))
+            .map(sheet => {
+                try { return Array.from(sheet.cssRules).map(r => r.cssText).join("\n"); } catch { return ""; }
+            })
+            .join("\n");
+    }
+
+    // Box of `el` relative to `nodeEl`, in canvas units
+    function relativeBox(s, nodeEl, el) {
+        const zoom = s.editor.zoom;
+        const n = nodeEl.getBoundingClientRect();
+        const r = el.getBoundingClientRect();
+        return { x: (r.left - n.left) / zoom, y: (r.top - n.top) / zoom, w: r.width / zoom, h: r.height / zoom };
+    }
+
+    function exportText(s, nodeEl, el, x0, y0) {
+        const text = (el.innerText || el.textContent || "").trim();
+        if (!text) return null;
+        const style = getComputedStyle(el);
+        if (style.visibility === "hidden" || style.display === "none") return null;
+
+        const box = relativeBox(s, nodeEl, el);
+        const anchor = style.textAlign === "center" ? "middle" : (style.textAlign === "right" ? "end" : "start");
+        const x = x0 + box.x + (anchor === "middle" ? box.w / 2 : anchor === "end" ? box.w : 0);
+        const t = svgEl("text", {
+            x, y: y0 + box.y + box.h / 2,
+            "dominant-baseline": "central",
+            "text-anchor": anchor,
+            "font-family": style.fontFamily,
+            "font-size": style.fontSize,
+            "font-weight": style.fontWeight,
+            fill: style.color,
+            class: el.className || null
+        });
+        t.textContent = text;
+        return t;
+    }
+
+    function exportNode(s, nid) {
+        const nodeEl = nodeElement(s, nid);
+        if (!nodeEl) return null;
+        const box = nodeBox(s, nid);
+        const style = getComputedStyle(nodeEl);
+        const g = svgEl("g", { class: nodeEl.className, "data-node-id": nid });
+
+        g.appendChild(svgEl("rect", {
+            class: "bw-export-node",
+            x: box.x, y: box.y, width: box.w, height: box.h,
+            rx: parseFloat(style.borderTopLeftRadius) || 0,
+            fill: isTransparent(style.backgroundColor) ? null : style.backgroundColor,
+            stroke: style.borderTopColor,
+            "stroke-width": parseFloat(style.borderTopWidth) || 1
+        }));
+
+        [[".bw-title-container", "bw-export-title"], [".bw-node-type-id-container", "bw-export-type"]].forEach(([selector, cls]) => {
+            const part = nodeEl.querySelector(selector);
+            if (!part) return;
+            const b = relativeBox(s, nodeEl, part);
+            const ps = getComputedStyle(part);
+            g.appendChild(svgEl("rect", {
+                class: cls,
+                x: box.x + b.x, y: box.y + b.y, width: b.w, height: b.h,
+                rx: parseFloat(ps.borderTopLeftRadius) || 0,
+                fill: isTransparent(ps.backgroundColor) ? null : ps.backgroundColor
+            }));
+        });
+
+        nodeEl.querySelectorAll(".inputs .input, .outputs .output").forEach(port => {
+            const b = relativeBox(s, nodeEl, port);
+            const ps = getComputedStyle(port);
+            const pg = svgEl("g", { class: port.className });
+            pg.appendChild(svgEl("circle", {
+                class: "bw-export-port",
+                cx: box.x + b.x + b.w / 2, cy: box.y + b.y + b.h / 2, r: Math.min(b.w, b.h) / 2,
+                fill: isTransparent(ps.backgroundColor) ? null : ps.backgroundColor,
+                stroke: ps.borderTopColor,
+                "stroke-width": parseFloat(ps.borderTopWidth) || 0
+            }));
+            g.appendChild(pg);
+        });
+
+        // Every visible leaf text: type symbol, title, port type/value labels, body labels
+        nodeEl.querySelectorAll("*").forEach(el => {
+            if (el.children.length || el.closest("svg")) return;
+            const t = exportText(s, nodeEl, el, box.x, box.y);
+            if (t) g.appendChild(t);
+        });
+        return g;
+    }
+
+    function exportConnections(s, svg) {
+        s.editor.precanvas.querySelectorAll("svg.connection").forEach(conn => {
+            const g = svgEl("g", { class: conn.getAttribute("class") });
+            conn.querySelectorAll("path.main-path").forEach(path => {
+                const ps = getComputedStyle(path);
+                g.appendChild(svgEl("path", {
+                    class: path.getAttribute("class"),
+                    d: path.getAttribute("d"),
+                    fill: "none",
+                    stroke: ps.stroke,
+                    "stroke-width": ps.strokeWidth,
+                    "stroke-dasharray": ps.strokeDasharray !== "none" ? ps.strokeDasharray : null
+                }));
+            });
+            conn.querySelectorAll("circle.point").forEach(point => {
+                g.appendChild(svgEl("circle", {
+                    class: "point",
+                    cx: point.getAttribute("cx"), cy: point.getAttribute("cy"), r: point.getAttribute("r"),
+                    fill: getComputedStyle(point).fill
+                }));
+            });
+            svg.appendChild(g);
+        });
+    }
+
+    function buildSvg(s, background) {
+        const data = moduleData(s);
+        const boxes = Object.keys(data).map(nid => nodeBox(s, nid));
+        let minX = 0, minY = 0, maxX = 0, maxY = 0;
+        if (boxes.length) {
+            minX = Math.min(...boxes.map(b => b.x));
+            minY = Math.min(...boxes.map(b => b.y));
+            maxX = Math.max(...boxes.map(b => b.x + b.w));
+            maxY = Math.max(...boxes.map(b => b.y + b.h));
+        }
+        s.editor.precanvas.querySelectorAll("svg.connection path.main-path").forEach(path => {
+            try {
+                const b = path.getBBox();
+                minX = Math.min(minX, b.x); minY = Math.min(minY, b.y);
+                maxX = Math.max(maxX, b.x + b.width); maxY = Math.max(maxY, b.y + b.height);
+            } catch { }
+        });
+        minX -= EXPORT_PADDING; minY -= EXPORT_PADDING; maxX += EXPORT_PADDING; maxY += EXPORT_PADDING;
+        const width = Math.ceil(maxX - minX), height = Math.ceil(maxY - minY);
+
+        const svg = svgEl("svg", {
+            xmlns: SVG_NS,
+            width, height,
+            viewBox: minX + " " + minY + " " + width + " " + height
+        });
+        const style = svgEl("style");
+        style.textContent = "svg { " + themeVariables(s) + " }\n" + wrapperCss() + "\n" + EXPORT_CSS;
+        svg.appendChild(style);
+
+        const bg = background ?? getComputedStyle(s.editor.container).backgroundColor;
+        if (!isTransparent(bg)) {
+            svg.appendChild(svgEl("rect", { x: minX, y: minY, width, height, fill: bg }));
+        }
+
+        exportConnections(s, svg);
+        Object.keys(data).forEach(nid => {
+            const g = exportNode(s, nid);
+            if (g) svg.appendChild(g);
+        });
+        return { svg, width, height };
+    }
+
+    // Standalone SVG markup of the current module. `options.background` overrides the canvas colour
+    // ("transparent" for none).
+    function exportSvg(id, options = null) {
+        const s = ensureInstance(id);
+        const { svg } = withAllRendered(s, () => buildSvg(s, options?.background ?? null));
+        return new XMLSerializer().serializeToString(svg);
+    }
+
+    // PNG data URL of the current module, rasterized at `options.scale` (default 2)
+    function exportPng(id, options = null) {
+        const s = ensureInstance(id);
+        const scale = options?.scale > 0 ? options.scale : 2;
+        const { svg, width, height } = withAllRendered(s, () => buildSvg(s, options?.background ?? null));
+        const markup = new XMLSerializer().serializeToString(svg);
+
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                const canvas = document.createElement("canvas");
+                canvas.width = Math.ceil(width * scale);
+                canvas.height = Math.ceil(height * scale);
+                const ctx = canvas.getContext("2d");
+                ctx.scale(scale, scale);
+                ctx.drawImage(img, 0, 0, width, height);
+                resolve(canvas.toDataURL("image/png"));
+            };
+            img.onerror = () => reject(new Error("Failed to rasterize workflow SVG"));
+            img.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(markup);
+        });
+    }
+
+    // ---- Execution overlay (data flow, timing badges, value inspector) ----
+    function formatDuration(ms) {
+        if (ms < 1) return "<1 ms";
+        if (ms < 1000) return Math.round(ms) + " ms";
+        return (ms / 1000).toFixed(ms < 10000 ? 2 : 1) + " s";
+    }
+
+    function connectionsOf(s, nodeId, direction) {
+        return s.editor.precanvas.querySelectorAll(`svg.connection.node_${direction}_node-${nodeId}`);
+    }
+
+    // Timing badge, execution count and data-flow animation for one node's status update
+    function applyRunStatus(s, nodeEl, nodeId, status) {
+        if (status.durationMs != null || status.executionCount != null) {
+            let badge = nodeEl.querySelector(".bw-run-badge");
+            if (!badge) {
+                badge = document.createElement("div");
+                badge.className = "bw-run-badge";
+                nodeEl.appendChild(badge);
+            }
+            const count = status.executionCount ?? 0;
+            badge.textContent = (status.durationMs != null ? formatDuration(status.durationMs) : "") + (count > 1 ? " ×" + count : "");
+            badge.title = count + (count === 1 ? " run" : " runs") +
+                (status.totalDurationMs != null ? ", " + formatDuration(status.totalDurationMs) + " total" : "");
+        }
+
+        if (status.isPaused != null) nodeEl.classList.toggle("bw-paused", status.isPaused);
+
+        if (!s.runActive || status.isRunning == null) return;
+        // Running: data is arriving on the inputs. Finished: it leaves through the outputs.
+        connectionsOf(s, nodeId, "in").forEach(c => c.classList.toggle("bw-flowing", status.isRunning));
+        if (!status.isRunning && !status.hasError) {
+            connectionsOf(s, nodeId, "out").forEach(c => c.classList.add("bw-flowing"));
+        }
+    }
+
+    function prettyJson(value) {
+        if (typeof value !== "string") return JSON.stringify(value, null, 2);
+        try { return JSON.stringify(JSON.parse(value), null, 2); } catch { return value; }
+    }
+
+    // Pinned inspector for a computed output port; clicking the same port again closes it
+    function toggleInspector(s, portEl) {
+        const nodeEl = portEl.closest(".drawflow-node");
+        const nodeId = nodeIdFromElement(nodeEl);
+        const ports = Array.from(nodeEl.querySelectorAll(".outputs .output"));
+        const index = ports.indexOf(portEl);
+        const key = nodeId + ":" + index;
+
+        const open = s.inspectors.get(key);
+        if (open) {
+            open.remove();
+            s.inspectors.delete(key);
+            return;
+        }
+        if (!s.portValues.has(key)) return;
+
+        const panel = document.createElement("div");
+        panel.className = "bw-inspector";
+        const header = document.createElement("div");
+        header.className = "bw-inspector-header";
+        const title = document.createElement("span");
+        const portName = portEl.getAttribute("data-label");
+        title.textContent = (nodeEl.querySelector(".bw-title")?.innerText || "Node " + nodeId) + (portName ? " · " + portName : "");
+        const close = document.createElement("button");
+        close.type = "button";
+        close.className = "bw-inspector-close";
+        close.setAttribute("aria-label", "Close");
+        close.textContent = "×";
+        close.addEventListener("click", () => {
+            panel.remove();
+            s.inspectors.delete(key);
+        });
+        header.appendChild(title);
+        header.appendChild(close);
+        const body = document.createElement("pre");
+        body.className = "bw-inspector-body";
+        body.textContent = prettyJson(s.portValues.get(key));
+        panel.appendChild(header);
+        panel.appendChild(body);
+
+        // Keep clicks and wheel scrolling inside the panel away from Drawflow
+        ["mousedown", "wheel", "dblclick"].forEach(type => panel.addEventListener(type, e => e.stopPropagation()));
+
+        const host = s.editor.container;
+        const hostRect = host.getBoundingClientRect();
+        const portRect = portEl.getBoundingClientRect();
+        panel.style.left = Math.max(8, Math.min(portRect.right - hostRect.left + 12, hostRect.width - 380)) + "px";
+        panel.style.top = Math.max(8, portRect.top - hostRect.top - 12) + "px";
+        host.appendChild(panel);
+        s.inspectors.set(key, panel);
+    }
+
+    function enableRunOverlay(s) {
+        s.portValues = new Map();
+        s.inspectors = new Map();
+        s.runActive = false;
+        addDomHandler(s, s.editor.container, "click", e => {
+            const port = e.target.closest?.(".outputs .output.bw-computed_node");
+            if (port) toggleInspector(s, port);
+        });
+    }
+
+    // Connections animate only while a run is active; ending the run stops them
+    function setRunActive(id, active) {
+        const s = ensureInstance(id);
+        s.runActive = !!active;
+        if (!s.runActive) {
+            s.editor.precanvas.querySelectorAll("svg.connection.bw-flowing").forEach(c => c.classList.remove("bw-flowing"));
+        }
+        return s.runActive;
+    }
+
+    // Reset every trace of the previous run: status classes, badges, animations, stored values and inspectors
+    function clearRunState(id) {
+        const s = ensureInstance(id);
+        setRunActive(id, false);
+        s.virtual?.statuses.clear();
+        Object.keys(moduleData(s)).map(nid => nodeElement(s, nid)).filter(Boolean).forEach(nodeEl => {
+            nodeEl.classList.remove("bw-processing-bar", "bw-node-error", "bw-paused");
+            nodeEl.removeAttribute("title");
+            nodeEl.querySelectorAll(".bw-run-badge").forEach(b => b.remove());
+            nodeEl.querySelectorAll(".outputs .output.bw-computed_node").forEach(port => port.classList.remove("bw-computed_node"));
+        });
+        s.portValues.clear();
+        s.inspectors.forEach(panel => panel.remove());
+        s.inspectors.clear();
+        s.debugPanel?.remove();
+        s.debugPanel = null;
+        return true;
+    }
+
+    // ---- Type-checked connections ----
+    // Each node's data.portTypes (from .NET type metadata) lists the types its output carries and, per input
+    // port, the types the parameters read through it; the rules mirror PortTypeHelpers.Check on the .NET side.
+    const COMPATIBILITY_RANK = { incompatible: 0, convertible: 1, assignable: 2, exact: 3 };
+
+    // How well `outputId`'s output fits the `inputClass` port ("input_1") of `inputId`
+    function connectionCompatibility(s, outputId, inputId, inputClass) {
+        const data = moduleData(s);
+        const source = data[outputId]?.data?.portTypes;
+        const accepted = data[inputId]?.data?.portTypes?.inputs?.[inputClass];
+        // Missing metadata, a run-time-only output shape or an untyped port: let the connection through
+        if (!source?.outputs || !accepted?.length) return "convertible";
+
+        let best = "incompatible";
+        source.outputs.forEach(o => {
+            accepted.forEach(i => {
+                const result = o.type === i.type ? "exact"
+                    : (o.assignableTo || []).includes(i.type) ? "assignable"
+                    : (o.convertibleTo || []).includes(i.category) ? "convertible"
+                    : "incompatible";
+                if (COMPATIBILITY_RANK[result] > COMPATIBILITY_RANK[best]) best = result;
+            });
+        });
+        return best;
+    }
+
+    function describeTypes(types) {
+        return (types || []).map(t => t.name).filter((n, i, all) => all.indexOf(n) === i).join(", ");
+    }
+
+    // While a connection is dragged: highlight inputs it can feed, dim nodes none of whose inputs it can
+    function highlightCompatibleInputs(s, outputId) {
+        if (!s.typeCheck) return;
+        const source = String(outputId);
+        Object.keys(moduleData(s)).forEach(nid => {
+            // Culled nodes can't be dropped on; clearCompatibleInputs only sees attached ones
+            const nodeEl = isCulled(s, nid) ? null : nodeElement(s, nid);
+            if (!nodeEl || nid === source) return;
+            let anyAccepts = false;
+            nodeEl.querySelectorAll(".inputs .input").forEach(port => {
+                const compatibility = connectionCompatibility(s, source, nid, portClassOf(port));
+                if (compatibility !== "incompatible") anyAccepts = true;
+                port.classList.add("bw-port-" + (compatibility === "exact" || compatibility === "assignable" ? "compatible" : compatibility));
+            });
+            nodeEl.classList.toggle("bw-incompatible-target", !anyAccepts);
+        });
+    }
+
+    function clearCompatibleInputs(s) {
+        s.editor.precanvas.querySelectorAll(".bw-incompatible-target").forEach(el => el.classList.remove("bw-incompatible-target"));
+        s.editor.precanvas.querySelectorAll(".inputs .input").forEach(port =>
+            port.classList.remove("bw-port-compatible", "bw-port-convertible", "bw-port-incompatible"));
+    }
+
+    // Called before "connectionCreated" is forwarded; removes the connection Drawflow just drew if the types can't meet
+    function rejectIncompatibleConnection(s, connection) {
+        if (!s.typeCheck || !connection) return false;
+        const outputId = String(connection.output_id);
+        const inputId = String(connection.input_id);
+        if (connectionCompatibility(s, outputId, inputId, connection.input_class) !== "incompatible") return false;
+
+        muted(s, () => s.editor.removeSingleConnection(outputId, inputId, connection.output_class, connection.input_class));
+
+        const data = moduleData(s);
+        const port = nodeElement(s, inputId)?.querySelector(`.inputs .${connection.input_class}`);
+        if (port) {
+            port.title = "Can't connect " + describeTypes(data[outputId]?.data?.portTypes?.outputs) +
+                " to " + describeTypes(data[inputId]?.data?.portTypes?.inputs?.[connection.input_class]);
+            port.classList.add("bw-port-rejected");
+            setTimeout(() => port.classList.remove("bw-port-rejected"), 600);
+        }
+        return true;
+    }
+
+    function enableTypeChecking(s) {
+        s.editor.on("connectionStart", e => highlightCompatibleInputs(s, e.output_id));
+        s.editor.on("connectionCancel", () => clearCompatibleInputs(s));
+        s.editor.on("connectionCreated", () => clearCompatibleInputs(s));
+    }
+
+    function setTypeChecking(id, enabled) {
+        const s = ensureInstance(id);
+        s.typeCheck = !!enabled;
+        if (!s.typeCheck) clearCompatibleInputs(s);
+        return s.typeCheck;
+    }
+
+    // Replace a node's port type metadata, e.g. after its input mappings were edited; returns false if it's gone
+    function setPortTypes(id, nodeId, portTypes) {
+        const found = findNode(ensureInstance(id), String(nodeId));
+        if (!found) return false;
+        found.node.data = found.node.data || {};
+        found.node.data.portTypes = portTypes;
+        return true;
+    }
+
+    // ---- Breakpoints and step debugging ----
+    // A gutter dot on each node header toggles `data.breakpoint`; .NET mirrors it onto Node.HasBreakpoint
+    function renderBreakpoints(s, nodeId) {
+        const data = moduleData(s);
+        const ids = nodeId != null ? [String(nodeId)] : Object.keys(data);
+        ids.forEach(id => {
+            const header = nodeElement(s, id)?.querySelector(".bw-title-container");
+            if (!header) return;
+            let dot = header.querySelector(".bw-breakpoint-dot");
+            if (!dot) {
+                dot = document.createElement("span");
+                dot.className = "bw-breakpoint-dot";
+                dot.setAttribute("role", "button");
+                // Stop Drawflow from selecting or dragging the node when the dot is clicked
+                dot.addEventListener("mousedown", e => {
+                    e.stopPropagation();
+                    e.preventDefault();
+                    toggleBreakpoint(s, id);
+                });
+                dot.addEventListener("dblclick", e => e.stopPropagation());
+                header.prepend(dot);
+            }
+            const enabled = !!data[id]?.data?.breakpoint;
+            dot.classList.toggle("bw-breakpoint-dot--on", enabled);
+            dot.setAttribute("aria-pressed", String(enabled));
+            dot.title = enabled ? "Remove breakpoint" : "Add breakpoint";
+        });
+    }
+
+    function toggleBreakpoint(s, nodeId) {
+        const node = moduleData(s)[nodeId];
+        if (!node) return;
+        node.data = node.data || {};
+        node.data.breakpoint = !node.data.breakpoint;
+        renderBreakpoints(s, nodeId);
+        emit(s, "breakpointToggled", { id: String(nodeId), enabled: node.data.breakpoint });
+    }
+
+    function enableBreakpoints(s) {
+        s.editor.on("nodeCreated", id => renderBreakpoints(s, id));
+        s.editor.on("import", () => renderBreakpoints(s));
+        renderBreakpoints(s);
+    }
+
+    // Panel for the node the debugger is holding: the input it is about to consume and the run controls.
+    // Passing a null nodeId closes it.
+    function setDebugPause(id, nodeId, input) {
+        const s = ensureInstance(id);
+        s.debugPanel?.remove();
+        s.debugPanel = null;
+        if (nodeId == null) return false;
+
+        const nodeEl = nodeElement(s, nodeId);
+        const panel = document.createElement("div");
+        panel.className = "bw-inspector bw-debug-panel";
+        const header = document.createElement("div");
+        header.className = "bw-inspector-header";
+        const title = document.createElement("span");
+        title.textContent = "Paused before " + (nodeEl?.querySelector(".bw-title")?.innerText || "node " + nodeId);
+        header.appendChild(title);
+        const body = document.createElement("pre");
+        body.className = "bw-inspector-body";
+        body.textContent = prettyJson(input ?? {});
+        const actions = document.createElement("div");
+        actions.className = "bw-debug-actions";
+        [["continue", "Continue"], ["stepOver", "Step over"], ["stop", "Stop"]].forEach(([action, label]) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "bw-debug-" + action;
+            button.textContent = label;
+            button.addEventListener("click", () => {
+                actions.querySelectorAll("button").forEach(b => { b.disabled = true; });
+                s.dotNetRef.invokeMethodAsync("OnDebuggerCommand", action);
+            });
+            actions.appendChild(button);
+        });
+        panel.appendChild(header);
+        panel.appendChild(body);
+        panel.appendChild(actions);
+        ["mousedown", "wheel", "dblclick"].forEach(type => panel.addEventListener(type, e => e.stopPropagation()));
+
+        const host = s.editor.container;
+        const hostRect = host.getBoundingClientRect();
+        if (nodeEl) {
+            const nodeRect = nodeEl.getBoundingClientRect();
+            panel.style.left = Math.max(8, Math.min(nodeRect.right - hostRect.left + 12, hostRect.width - 380)) + "px";
+            panel.style.top = Math.max(8, nodeRect.top - hostRect.top) + "px";
+        } else {
+            panel.style.left = "8px";
+            panel.style.top = "8px";
+        }
+        host.appendChild(panel);
+        s.debugPanel = panel;
+        return true;
+    }
+
+    // ---- Context menu ----
+    const DISABLED_CLASS = "bw-node-disabled";
+    const FIT_PADDING = 40;
+
+    // Built-in entries. Those with `run` are handled here; the rest, and every entry registered through
+    // setContextMenuItems, go to .NET's OnContextMenuItem together with the menu context.
+    const CONTEXT_MENU_ITEMS = [
+        { id: "edit", label: "Edit", target: "node" },
+        { id: "duplicate", label: "Duplicate", target: "node", run: (s, ctx) => duplicateNodes(s.id, ctx.nodeIds) },
+        { id: "delete", label: "Delete", target: "node", run: (s, ctx) => removeNodes(s, ctx.nodeIds) },
+        {
+            id: "disable", target: "node",
+            label: (s, ctx) => moduleData(s)[ctx.nodeId]?.data?.disabled ? "Enable" : "Disable",
+            run: (s, ctx) => setNodesDisabled(s, ctx.nodeIds, !moduleData(s)[ctx.nodeId]?.data?.disabled)
+        },
+        { id: "copyId", label: "Copy id", target: "node", run: (s, ctx) => navigator.clipboard?.writeText(ctx.nodeId) },
+        { id: "deleteConnection", label: "Delete", target: "connection", run: (s, ctx) => removeConnection(s, ctx.connection) },
+        { id: "insertNode", label: "Insert node here", target: "connection" },
+        { id: "groupInFrame", label: "Group in frame", target: "node", run: (s, ctx) => addFrame(s.id, { nodeIds: ctx.nodeIds }) },
+        { id: "addNote", label: "Add note", target: "node", run: (s, ctx) => editNote(s, addNote(s.id, { node: ctx.nodeId })) },
+        { id: "collapseToSubWorkflow", label: "Collapse into sub-workflow", target: "node" },
+        { id: "addNode", label: "Add node here", target: "canvas" },
+        { id: "addFrame", label: "Add frame here", target: "canvas", run: (s, ctx) => addFrame(s.id, { x: ctx.x, y: ctx.y }) },
+        { id: "addNote", label: "Add note here", target: "canvas", run: (s, ctx) => editNote(s, addNote(s.id, { x: ctx.x, y: ctx.y })) },
+        { id: "fitToView", label: "Fit to view", target: "canvas", run: s => fitToView(s.id) }
+    ];
+
+    // Drawflow tags each connection path with its endpoints: node_out_node-<id>, node_in_node-<id>, output_N, input_M
+    function connectionFromElement(svg) {
+        const classes = Array.from(svg.classList);
+        const suffix = prefix => classes.find(c => c.startsWith(prefix))?.substring(prefix.length);
+        const connection = {
+            output_id: suffix("node_out_node-"),
+            input_id: suffix("node_in_node-"),
+            output_class: classes.find(c => /^output_\d+$/.test(c)),
+            input_class: classes.find(c => /^input_\d+$/.test(c))
+        };
+        return Object.values(connection).every(Boolean) ? connection : null;
+    }
+
+    // What the pointer is over, in the shape .NET receives as ContextMenuContext; null for overlays
+    function contextMenuContext(s, e) {
+        if (e.target.closest(".bw-minimap, .bw-inspector, .bw-context-menu")) return null;
+        const at = clientToCanvas(s, e.clientX, e.clientY);
+
+        const nodeEl = e.target.closest(".drawflow-node");
+        if (nodeEl) {
+            const nodeId = nodeIdFromElement(nodeEl);
+            // Acting on a selected node acts on the whole selection
+            const nodeIds = s.selection.has(nodeId) ? Array.from(s.selection) : [nodeId];
+            return { target: "node", nodeId, nodeIds, x: at.x, y: at.y };
+        }
+
+        const svg = e.target.closest("svg.connection");
+        if (svg) {
+            const connection = connectionFromElement(svg);
+            return connection ? { target: "connection", nodeIds: [], connection, x: at.x, y: at.y } : null;
+        }
+
+        return { target: "canvas", nodeIds: [], x: at.x, y: at.y };
+    }
+
+    function contextMenuButton(s, item, ctx) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "bw-context-menu-item";
+        button.setAttribute("role", "menuitem");
+        button.textContent = typeof item.label === "function" ? item.label(s, ctx) : item.label;
+        button.addEventListener("click", () => {
+            closeContextMenu(s);
+            runContextMenuItem(s, item, ctx);
+        });
+        return button;
+    }
+
+    function runContextMenuItem(s, item, ctx) {
+        if (item.run) {
+            item.run(s, ctx);
+            return;
+        }
+        s.dotNetRef.invokeMethodAsync("OnContextMenuItem", item.id, ctx)
+            .catch(e => console.warn("Context menu item failed", item.id, e));
+    }
+
+    function openContextMenu(s, e) {
+        const ctx = contextMenuContext(s, e);
+        if (!ctx) return;
+        // Also keeps Drawflow's own contextmenu handler (its delete button) from running
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        closeContextMenu(s);
+
+        const builtIn = CONTEXT_MENU_ITEMS.filter(item => item.target === ctx.target);
+        const custom = (s.contextMenuItems || []).filter(item => item.target === ctx.target);
+        if (!builtIn.length && !custom.length) return;
+
+        const menu = document.createElement("div");
+        menu.className = "bw-context-menu";
+        menu.setAttribute("role", "menu");
+        builtIn.forEach(item => menu.appendChild(contextMenuButton(s, item, ctx)));
+        if (builtIn.length && custom.length) {
+            const separator = document.createElement("div");
+            separator.className = "bw-context-menu-separator";
+            separator.setAttribute("role", "separator");
+            menu.appendChild(separator);
+        }
+        custom.forEach(item => menu.appendChild(contextMenuButton(s, item, ctx)));
+
+        // Keep Drawflow from treating clicks in the menu as canvas clicks (deselect / pan start)
+        menu.addEventListener("mousedown", ev => ev.stopPropagation());
+        menu.addEventListener("keydown", ev => {
+            if (ev.key !== "ArrowDown" && ev.key !== "ArrowUp") return;
+            ev.preventDefault();
+            const buttons = Array.from(menu.querySelectorAll(".bw-context-menu-item"));
+            const current = buttons.indexOf(document.activeElement);
+            const step = ev.key === "ArrowDown" ? 1 : -1;
+            buttons[(current + step + buttons.length) % buttons.length]?.focus();
+        });
+
+        const host = s.editor.container;
+        host.appendChild(menu);
+        const rect = host.getBoundingClientRect();
+        const left = Math.min(e.clientX - rect.left, rect.width - menu.offsetWidth - 4);
+        const top = Math.min(e.clientY - rect.top, rect.height - menu.offsetHeight - 4);
+        menu.style.left = Math.max(4, left) + "px";
+        menu.style.top = Math.max(4, top) + "px";
+        menu.querySelector(".bw-context-menu-item")?.focus();
+
+        s.contextMenu = { el: menu, removeClickAway: _addClickAway([menu], () => closeContextMenu(s)) };
+    }
+
+    function closeContextMenu(s) {
+        const menu = s.contextMenu;
+        if (!menu) return;
+        s.contextMenu = null;
+        menu.removeClickAway();
+        menu.el.remove();
+    }
+
+    function removeConnection(s, c) {
+        // Not muted: the forwarded connectionRemoved keeps the .NET graph in sync
+        s.editor.removeSingleConnection(c.output_id, c.input_id, c.output_class, c.input_class);
+    }
+
+    function renderDisabled(s, nodeId) {
+        const data = moduleData(s);
+        const ids = nodeId != null ? [String(nodeId)] : Object.keys(data);
+        ids.forEach(nid => nodeElement(s, nid)?.classList.toggle(DISABLED_CLASS, !!data[nid]?.data?.disabled));
+    }
+
+    // `data.disabled` is mirrored onto Node.IsDisabled by .NET
+    function setNodesDisabled(s, nodeIds, disabled) {
+        const data = moduleData(s);
+        const ids = nodeIds.map(String).filter(nid => data[nid]);
+        if (!ids.length) return [];
+        ids.forEach(nid => {
+            data[nid].data = data[nid].data || {};
+            data[nid].data.disabled = disabled;
+            renderDisabled(s, nid);
+        });
+        emit(s, "nodesDisabledToggled", { ids, disabled });
+        return ids;
+    }
+
+    function enableDisabledNodes(s) {
+        s.editor.on("nodeCreated", id => renderDisabled(s, id));
+        s.editor.on("import", () => renderDisabled(s));
+        renderDisabled(s);
+    }
+
+    // Right-click menu on nodes, connections and empty canvas
+    function enableContextMenu(id) {
+        const s = ensureInstance(id);
+        if (s.contextMenuEnabled) return true;
+        s.contextMenuEnabled = true;
+
+        // Capture phase, so the menu opens before Drawflow's handler on the same host sees the event
+        addDomHandler(s, s.editor.container, "contextmenu", e => openContextMenu(s, e), true);
+        addDomHandler(s, document, "keydown", e => {
+            if (e.key === "Escape") closeContextMenu(s);
+        });
+        s.editor.on("zoom", () => closeContextMenu(s));
+        return true;
+    }
+
+    // Custom entries from .NET: [{ id, label, target: "node" | "connection" | "canvas" }]
+    function setContextMenuItems(id, items) {
+        const s = ensureInstance(id);
+        s.contextMenuItems = (items || []).map(item => ({
+            id: String(item.id),
+            label: String(item.label),
+            target: String(item.target || "node").toLowerCase()
+        }));
+        return s.contextMenuItems.length;
+    }
+
+    // Zoom and pan so every node (or just `nodeIds`) is visible, without zooming in past 100%
+    function fitToView(id, nodeIds = null) {
+        const s = ensureInstance(id);
+        const ed = s.editor;
+        const boxes = (nodeIds && nodeIds.length) ? boxesFor(s, nodeIds) : Object.keys(moduleData(s)).map(nid => nodeBox(s, nid));
+        if (!boxes.length) return false;
+
+        const minX = Math.min(...boxes.map(b => b.x)) - FIT_PADDING;
+        const minY = Math.min(...boxes.map(b => b.y)) - FIT_PADDING;
+        const maxX = Math.max(...boxes.map(b => b.x + b.w)) + FIT_PADDING;
+        const maxY = Math.max(...boxes.map(b => b.y + b.h)) + FIT_PADDING;
+        const host = ed.container.getBoundingClientRect();
+        const fit = Math.min(host.width / (maxX - minX), host.height / (maxY - minY));
+        const zoom = Math.max(ed.zoom_min, Math.min(fit, 1, ed.zoom_max));
+
+        setZoom(s, zoom);
+        centerOn(s, (minX + maxX) / 2, (minY + maxY) / 2);
+        return true;
+    }
+
+    // Callers re-centre right after, so the translate is left as it is
+    function setZoom(s, zoom) {
+        const ed = s.editor;
+        if (zoom === ed.zoom) return;
+        ed.zoom = zoom;
+        ed.zoom_last_value = zoom;
+        ed.precanvas.style.transform = "translate(" + ed.canvas_x + "px, " + ed.canvas_y + "px) scale(" + ed.zoom + ")";
+        ed.dispatch("zoom", ed.zoom);
+    }
+
+    // ---- Splice by dropping a node onto a connection ----
+    const NODE_DRAG_TYPE = "application/x-blazorworkflow-node";
+    const SPLICE_TOLERANCE_PX = 12;
+    const SPLICE_SAMPLE_STEP = 8;
+
+    // Points along every connection path (reroute segments included), in canvas coordinates.
+    // Nothing they depend on moves during a splice drag, so they are sampled once per drag.
+    function spliceSamples(s) {
+        if (s.spliceSamples) return s.spliceSamples;
+        s.spliceSamples = [];
+        s.editor.precanvas.querySelectorAll("svg.connection").forEach(svg => {
+            const connection = connectionFromElement(svg);
+            if (!connection) return;
+            const points = [];
+            svg.querySelectorAll(".main-path").forEach(path => {
+                const length = path.getTotalLength();
+                for (let at = 0; at <= length; at += SPLICE_SAMPLE_STEP) points.push(path.getPointAtLength(at));
+            });
+            s.spliceSamples.push({ svg, connection, points });
+        });
+        return s.spliceSamples;
+    }
+
+    // Closest connection within the tolerance of canvas point `p` that `accept` allows
+    function connectionAt(s, p, accept) {
+        const limit = SPLICE_TOLERANCE_PX / s.editor.zoom;
+        let best = null;
+        let bestDistance = limit * limit;
+        spliceSamples(s).forEach(sample => {
+            if (accept && !accept(sample.connection)) return;
+            sample.points.forEach(pt => {
+                const d = (pt.x - p.x) ** 2 + (pt.y - p.y) ** 2;
+                if (d <= bestDistance) {
+                    bestDistance = d;
+                    best = sample;
+                }
+            });
+        });
+        return best;
+    }
+
+    function setSpliceTarget(s, target) {
+        if (s.spliceTarget === target) return;
+        s.spliceTarget?.svg.classList.remove("bw-splice-target");
+        target?.svg.classList.add("bw-splice-target");
+        s.spliceTarget = target;
+    }
+
+    function resetSplice(s) {
+        setSpliceTarget(s, null);
+        s.spliceSamples = null;
+    }
+
+    // Ports for routing connection `c` through node `nid`: the node's first input that `c`'s source can feed and
+    // its first output that `c`'s target port accepts. Null when either side has no such port.
+    function splicePorts(s, c, nid) {
+        const node = moduleData(s)[nid];
+        const fits = (from, to, inputClass) => !s.typeCheck || connectionCompatibility(s, from, to, inputClass) !== "incompatible";
+        const input = Object.keys(node?.inputs || {}).find(port => fits(c.output_id, nid, port));
+        // Every output carries the node's result, so the first one fits whenever any does
+        const output = fits(nid, c.input_id, c.input_class) ? Object.keys(node?.outputs || {})[0] : undefined;
+        return input && output ? { input, output } : null;
+    }
+
+    function isUnconnected(node) {
+        return [...Object.values(node.inputs || {}), ...Object.values(node.outputs || {})]
+            .every(port => !(port.connections || []).length);
+    }
+
+    // Host mousedown runs after Drawflow's own handler: only a single, unconnected node can be spliced in
+    function beginSpliceDrag(s) {
+        const ed = s.editor;
+        const el = ed.ele_selected;
+        if (!ed.drag || !el || !el.classList.contains("drawflow-node")) return;
+
+        const nid = nodeIdFromElement(el);
+        const node = moduleData(s)[nid];
+        if (!node || !isUnconnected(node) || (s.selection.size > 1 && s.selection.has(nid))) return;
+        resetSplice(s);
+        s.spliceDrag = { nodeId: nid };
+    }
+
+    function updateSpliceDrag(s) {
+        const d = s.spliceDrag;
+        if (!d || !s.editor.drag) return;
+        const box = nodeBox(s, d.nodeId);
+        const centre = { x: box.x + box.w / 2, y: box.y + box.h / 2 };
+        setSpliceTarget(s, connectionAt(s, centre, c => !!splicePorts(s, c, d.nodeId)));
+    }
+
+    // Capture-phase mouseup, ahead of Drawflow's drag end: its nodeMoved would be a second undo step,
+    // so the move travels inside "connectionSpliced" instead
+    function dropSpliceDrag(s) {
+        const d = s.spliceDrag;
+        const target = s.spliceTarget;
+        if (!d || !target) return;
+        const splice = spliceConnection(s.id, target.connection, d.nodeId);
+        if (!splice) return;
+
+        const node = moduleData(s)[d.nodeId];
+        s.skipNodeMoved = true;
+        emit(s, "connectionSpliced", Object.assign(splice, { pos_x: node.pos_x, pos_y: node.pos_y }));
+    }
+
+    function endSpliceDrag(s) {
+        if (!s.spliceDrag) return;
+        s.spliceDrag = null;
+        s.skipNodeMoved = false;
+        resetSplice(s);
+    }
+
+    // Re-route connection `c` through node `nodeId` (source -> node -> target). The edits are muted; returns
+    // { id, removed, created } for the caller to record, or null when the node can't take the connection.
+    function spliceConnection(id, c, nodeId) {
+        const s = ensureInstance(id);
+        const ed = s.editor;
+        const data = moduleData(s);
+        const nid = String(nodeId);
+        const removed = {
+            output_id: String(c.output_id), input_id: String(c.input_id),
+            output_class: c.output_class, input_class: c.input_class
+        };
+        if (!data[nid] || !data[removed.output_id] || !data[removed.input_id]) return null;
+        const ports = splicePorts(s, removed, nid);
+        if (!ports) return null;
+
+        const created = [
+            { output_id: removed.output_id, input_id: nid, output_class: removed.output_class, input_class: ports.input },
+            { output_id: nid, input_id: removed.input_id, output_class: ports.output, input_class: removed.input_class }
+        ];
+        muted(s, () => {
+            ed.removeSingleConnection(removed.output_id, removed.input_id, removed.output_class, removed.input_class);
+            created.forEach(x => ed.addConnection(x.output_id, x.input_id, x.output_class, x.input_class));
+        });
+        return { id: nid, removed, created };
+    }
+
+    // Cards in the add-node picker can be dragged onto the canvas; a drop over a connection splices the
+    // new node into it. .NET creates the node through OnNodeDropped.
+    function enableNodeDrop(id) {
+        const s = ensureInstance(id);
+        if (s.nodeDropEnabled) return true;
+        s.nodeDropEnabled = true;
+        const host = s.editor.container;
+        const isNodeDrag = e => Array.from(e.dataTransfer?.types || []).includes(NODE_DRAG_TYPE);
+
+        addDomHandler(s, document, "dragstart", e => {
+            const card = e.target.closest?.(".bw-add-node-modal .bw-node-card");
+            if (!card) return;
+            e.dataTransfer.setData(NODE_DRAG_TYPE, card.dataset.nodeIndex || "");
+            e.dataTransfer.effectAllowed = "copy";
+            // Fade the picker out of the way so the canvas underneath receives the drag
+            card.closest(".bw-lib")?.classList.add("bw-add-node--dragging");
+        });
+        addDomHandler(s, document, "dragend", () => {
+            document.querySelectorAll(".bw-add-node--dragging").forEach(el => el.classList.remove("bw-add-node--dragging"));
+            resetSplice(s);
+        });
+        addDomHandler(s, host, "dragover", e => {
+            if (!isNodeDrag(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = "copy";
+            setSpliceTarget(s, connectionAt(s, clientToCanvas(s, e.clientX, e.clientY)));
+        });
+        addDomHandler(s, host, "dragleave", e => {
+            if (!host.contains(e.relatedTarget)) setSpliceTarget(s, null);
+        });
+        addDomHandler(s, host, "drop", e => {
+            if (!isNodeDrag(e)) return;
+            e.preventDefault();
+            const at = clientToCanvas(s, e.clientX, e.clientY);
+            const connection = s.spliceTarget?.connection ?? null;
+            resetSplice(s);
+            s.dotNetRef.invokeMethodAsync("OnNodeDropped", at.x, at.y, connection)
+                .catch(err => console.warn("Failed to add dropped node", err));
+        });
+        return true;
+    }
+
+    // ---- Group frames ----
+    // Frames live next to the nodes as `drawflow.<module>.frames`, so they survive editor.export()/import:
+    // [{ id, title, color, pos_x, pos_y, width, height, collapsed, nodes: ["3", ...] }]. A node is in at most one frame.
+    const FRAME_CLASS = "bw-frame";
+    const FRAME_HIDDEN_CLASS = "bw-frame-hidden";
+    const FRAME_REROUTED_CLASS = "bw-frame-rerouted";
+    const FRAME_PADDING = 24;
+    const FRAME_HEADER_HEIGHT = 32;
+    const FRAME_MIN_SIZE = { w: 160, h: 80 };
+    const FRAME_DEFAULT_SIZE = { w: 320, h: 200 };
+    const FRAME_COLORS = ["#6c8ebf", "#82b366", "#d6b656", "#d79b00", "#b85450", "#9673a6", "#808080"];
+
+    function moduleFrames(s) {
+        const ed = s.editor;
+        const frames = ed.drawflow.drawflow[ed.module]?.frames;
+        return Array.isArray(frames) ? frames : [];
+    }
+
+    function findFrame(s, frameId) {
+        return moduleFrames(s).find(f => f.id === String(frameId)) ?? null;
+    }
+
+    function frameOf(s, nodeId) {
+        return moduleFrames(s).find(f => f.nodes.includes(String(nodeId))) ?? null;
+    }
+
+    function isHiddenByFrame(s, nodeId) {
+        return !!frameOf(s, nodeId)?.collapsed;
+    }
+
+    function frameElement(s, frameId) {
+        return s.editor.precanvas.querySelector(`.${FRAME_CLASS}[data-frame-id="${CSS.escape(frameId)}"]`);
+    }
+
+    // `nodes` lists node moves made by the same gesture, so .NET records them in one undo step with the frames
+    function emitFrames(s, nodes = null) {
+        const payload = { module: s.editor.module, frames: cloneJson(moduleFrames(s)) };
+        if (nodes) payload.nodes = nodes;
+        emit(s, "framesChanged", payload);
+    }
+
+    // Put each node in the smallest expanded frame containing its centre, or in none; true when anything changed
+    function assignNodesToFrames(s, nodeIds) {
+        const frames = moduleFrames(s);
+        const data = moduleData(s);
+        let changed = false;
+        nodeIds.map(String).forEach(nid => {
+            if (!data[nid] || isHiddenByFrame(s, nid)) return;
+            const b = nodeBox(s, nid);
+            const cx = b.x + b.w / 2, cy = b.y + b.h / 2;
+            const owner = frames
+                .filter(f => !f.collapsed && cx >= f.pos_x && cx <= f.pos_x + f.width && cy >= f.pos_y && cy <= f.pos_y + f.height)
+                .sort((a, b) => a.width * a.height - b.width * b.height)[0] ?? null;
+            const current = frameOf(s, nid);
+            if (owner === current) return;
+            if (current) current.nodes = current.nodes.filter(x => x !== nid);
+            if (owner) owner.nodes.push(nid);
+            changed = true;
+        });
+        return changed;
+    }
+
+    // Report finished node moves; when they carry nodes into or out of a frame the frames go along
+    function emitNodesMoved(s, nodes) {
+        if (!assignNodesToFrames(s, nodes.map(n => n.id))) {
+            emit(s, "nodesMoved", { nodes });
+            return;
+        }
+        renderFrames(s);
+        emitFrames(s, nodes);
+    }
+
+    // Drawflow's nodeMoved after a single-node drag; replaced by "framesChanged" when the node entered or left a frame
+    function nodeMovedAcrossFrame(s, nodeId) {
+        if (!assignNodesToFrames(s, [nodeId])) return false;
+        const n = moduleData(s)[nodeId];
+        renderFrames(s);
+        emitFrames(s, [{ id: String(nodeId), pos_x: n.pos_x, pos_y: n.pos_y }]);
+        return true;
+    }
+
+    function frameButton(className, label, text = "") {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = className;
+        button.title = label;
+        button.setAttribute("aria-label", label);
+        button.textContent = text;
+        return button;
+    }
+
+    function createFrameElement(s, frameId) {
+        const el = document.createElement("div");
+        el.className = FRAME_CLASS;
+        el.dataset.frameId = frameId;
+
+        const header = document.createElement("div");
+        header.className = "bw-frame-header";
+        const title = document.createElement("span");
+        title.className = "bw-frame-title";
+        const count = document.createElement("span");
+        count.className = "bw-frame-count";
+        header.append(
+            frameButton("bw-frame-toggle", "Collapse"), title, count,
+            frameButton("bw-frame-color", "Change color"), frameButton("bw-frame-remove", "Remove frame", "×"));
+        const resize = document.createElement("div");
+        resize.className = "bw-frame-resize";
+        el.append(header, resize);
+
+        // Frames are replaced on import, so every handler looks its frame up again by id
+        el.addEventListener("mousedown", e => {
+            const frame = findFrame(s, frameId);
+            // Keep Drawflow from starting a canvas pan or deselecting; the frame body itself is click-through
+            e.stopPropagation();
+            if (!frame || e.target.closest("button, [contenteditable='true']")) return;
+            beginFrameDrag(s, e, frame, e.target.closest(".bw-frame-resize") ? "resize" : "move");
+        });
+        el.addEventListener("click", e => {
+            const frame = findFrame(s, frameId);
+            const button = e.target.closest("button");
+            if (!frame || !button) return;
+            if (button.classList.contains("bw-frame-toggle")) {
+                setFrameCollapsed(s, frame, !frame.collapsed);
+            } else if (s.editor.editor_mode === "fixed") {
+                return;
+            } else if (button.classList.contains("bw-frame-color")) {
+                const next = FRAME_COLORS[(FRAME_COLORS.indexOf(frame.color) + 1) % FRAME_COLORS.length];
+                applyFrameChanges(s, frame, { color: next });
+            } else if (button.classList.contains("bw-frame-remove")) {
+                deleteFrame(s, frame);
+            }
+        });
+        el.addEventListener("dblclick", e => {
+            e.stopPropagation();
+            if (e.target.closest(".bw-frame-title")) editFrameTitle(s, frameId);
+        });
+        return el;
+    }
+
+    function renderFrame(s, frame) {
+        const pre = s.editor.precanvas;
+        let el = frameElement(s, frame.id);
+        if (!el) {
+            // Ahead of the nodes and connections, so frames paint underneath them
+            el = createFrameElement(s, frame.id);
+            pre.insertBefore(el, pre.querySelector(`:scope > :not(.${FRAME_CLASS})`));
+        }
+        el.style.left = frame.pos_x + "px";
+        el.style.top = frame.pos_y + "px";
+        el.style.width = frame.width + "px";
+        el.style.height = frame.collapsed ? "" : frame.height + "px";
+        el.style.setProperty("--bw-frame-color", frame.color);
+        el.classList.toggle("bw-frame--collapsed", !!frame.collapsed);
+
+        const title = el.querySelector(".bw-frame-title");
+        if (!title.isContentEditable) title.textContent = frame.title;
+        const n = frame.nodes.length;
+        el.querySelector(".bw-frame-count").textContent = frame.collapsed ? `${n} node${n === 1 ? "" : "s"}` : "";
+        const toggle = el.querySelector(".bw-frame-toggle");
+        toggle.title = frame.collapsed ? "Expand" : "Collapse";
+        toggle.setAttribute("aria-label", toggle.title);
+        toggle.setAttribute("aria-expanded", String(!frame.collapsed));
+    }
+
+    function renderFrames(s) {
+        const frames = moduleFrames(s);
+        const ids = new Set(frames.map(f => f.id));
+        s.editor.precanvas.querySelectorAll("." + FRAME_CLASS).forEach(el => {
+            if (!ids.has(el.dataset.frameId)) el.remove();
+        });
+        frames.forEach(f => renderFrame(s, f));
+
+        const hidden = new Set(frames.filter(f => f.collapsed).flatMap(f => f.nodes));
+        Object.keys(moduleData(s)).forEach(nid => nodeElement(s, nid)?.classList.toggle(FRAME_HIDDEN_CLASS, hidden.has(nid)));
+        rerouteFrameConnections(s);
+        // Notes pinned to hidden members hide with them
+        renderNotes(s);
+        // Search matches inside a frame are drawn on the frame while it is collapsed
+        if (s.search?.open) renderSearch(s);
+    }
+
+    // Collapsed frames take connections on their title bar: outgoing ones leave the right edge, incoming ones the left
+    function frameAnchor(s, frame, side) {
+        const el = frameElement(s, frame.id);
+        const h = el ? el.offsetHeight : FRAME_HEADER_HEIGHT;
+        return { x: side === "out" ? frame.pos_x + frame.width : frame.pos_x, y: frame.pos_y + h / 2 };
+    }
+
+    function portCenter(s, nodeId, portClass) {
+        if (isCulled(s, nodeId)) return null;
+        const port = nodeElement(s, nodeId)?.querySelector("." + portClass);
+        if (!port) return null;
+        const r = port.getBoundingClientRect();
+        return clientToCanvas(s, r.x + r.width / 2, r.y + r.height / 2);
+    }
+
+    // Draw connections with an end inside a collapsed frame to the frame's edge, and hide those with both ends
+    // in the same one. Hidden members keep their layout (visibility only), so the outside ends stay exact.
+    // `nodeKey` ("node-5") limits the pass to one node's connections.
+    function rerouteFrameConnections(s, nodeKey = null) {
+        const ed = s.editor;
+        const owner = new Map();
+        moduleFrames(s).filter(f => f.collapsed).forEach(f => f.nodes.forEach(nid => owner.set(nid, f)));
+        const selector = nodeKey ? `svg.connection.node_in_${nodeKey}, svg.connection.node_out_${nodeKey}` : "svg.connection";
+        const redraw = new Set();
+
+        ed.precanvas.querySelectorAll(selector).forEach(svg => {
+            const c = connectionFromElement(svg);
+            if (!c) return;
+            const from = owner.get(c.output_id), to = owner.get(c.input_id);
+            const segments = svg.querySelectorAll(".main-path, .point");
+
+            if (!from && !to) {
+                if (!svg.classList.contains(FRAME_REROUTED_CLASS)) return;
+                svg.classList.remove(FRAME_REROUTED_CLASS, FRAME_HIDDEN_CLASS);
+                segments.forEach(el => el.classList.remove(FRAME_HIDDEN_CLASS));
+                redraw.add("node-" + c.output_id);
+                return;
+            }
+
+            svg.classList.add(FRAME_REROUTED_CLASS);
+            svg.classList.toggle(FRAME_HIDDEN_CLASS, from === to);
+            if (from === to) return;
+
+            const start = from ? frameAnchor(s, from, "out") : portCenter(s, c.output_id, c.output_class);
+            const end = to ? frameAnchor(s, to, "in") : portCenter(s, c.input_id, c.input_class);
+            if (!start || !end) return;
+            // One direct path; reroute points belong to the full-length connection and come back on expand
+            segments.forEach((el, i) => el.classList.toggle(FRAME_HIDDEN_CLASS, i > 0));
+            segments[0]?.setAttribute("d", routeConnection(s, start.x, start.y, end.x, end.y, ed.curvature, "openclose"));
+        });
+
+        redraw.forEach(key => s.drawConnections(key));
+    }
+
+    function beginFrameDrag(s, e, frame, mode) {
+        if (e.button !== 0 || s.editor.editor_mode === "fixed") return;
+        e.preventDefault();
+        const data = moduleData(s);
+        const members = {};
+        if (mode === "move") {
+            frame.nodes.forEach(nid => {
+                if (data[nid]) members[nid] = { x: data[nid].pos_x, y: data[nid].pos_y };
+            });
+        }
+        s.frameDrag = {
+            frame, mode, members, moved: false,
+            start: clientToCanvas(s, e.clientX, e.clientY),
+            origin: { x: frame.pos_x, y: frame.pos_y, w: frame.width, h: frame.height }
+        };
+    }
+
+    function updateFrameDrag(s, e) {
+        const d = s.frameDrag;
+        if (!d) return;
+        const f = d.frame;
+        const p = clientToCanvas(s, e.clientX, e.clientY);
+        const snap = v => (s.grid > 0 ? Math.round(v / s.grid) * s.grid : v);
+
+        if (d.mode === "move") {
+            f.pos_x = snap(d.origin.x + p.x - d.start.x);
+            f.pos_y = snap(d.origin.y + p.y - d.start.y);
+            const dx = f.pos_x - d.origin.x, dy = f.pos_y - d.origin.y;
+            scheduleNodePositions(s, Object.entries(d.members).map(([nid, m]) => ({ id: nid, x: m.x + dx, y: m.y + dy })));
+        } else {
+            f.width = Math.max(FRAME_MIN_SIZE.w, snap(d.origin.w + p.x - d.start.x));
+            f.height = Math.max(FRAME_MIN_SIZE.h, snap(d.origin.h + p.y - d.start.y));
+        }
+        d.moved = f.pos_x !== d.origin.x || f.pos_y !== d.origin.y || f.width !== d.origin.w || f.height !== d.origin.h;
+        renderFrame(s, f);
+    }
+
+    function endFrameDrag(s) {
+        const d = s.frameDrag;
+        if (!d) return;
+        s.frameDrag = null;
+        flushNodePositions(s);
+        if (!d.moved) return;
+
+        // A resized frame takes in the nodes it now covers and lets go of the ones it no longer does
+        if (d.mode === "resize") {
+            assignNodesToFrames(s, Object.keys(moduleData(s)));
+            renderFrames(s);
+        }
+        const data = moduleData(s);
+        const nodes = Object.keys(d.members)
+            .filter(nid => data[nid])
+            .map(nid => ({ id: nid, pos_x: data[nid].pos_x, pos_y: data[nid].pos_y }));
+        emitFrames(s, nodes.length ? nodes : null);
+    }
+
+    function editFrameTitle(s, frameId) {
+        const title = frameElement(s, frameId)?.querySelector(".bw-frame-title");
+        if (!title || title.isContentEditable || s.editor.editor_mode === "fixed") return;
+
+        let cancelled = false;
+        const onKeyDown = e => {
+            // Keep Delete/Backspace and shortcuts away from the editor while typing
+            e.stopPropagation();
+            if (e.key === "Enter") {
+                e.preventDefault();
+                title.blur();
+            } else if (e.key === "Escape") {
+                cancelled = true;
+                title.blur();
+            }
+        };
+        const onBlur = () => {
+            title.removeEventListener("keydown", onKeyDown);
+            title.removeEventListener("blur", onBlur);
+            title.removeAttribute("contenteditable");
+            const frame = findFrame(s, frameId);
+            if (!frame) return;
+            const text = title.textContent.trim();
+            if (!cancelled && text && text !== frame.title) applyFrameChanges(s, frame, { title: text });
+            else renderFrame(s, frame);
+        };
+
+        title.contentEditable = "true";
+        title.addEventListener("keydown", onKeyDown);
+        title.addEventListener("blur", onBlur);
+        title.focus();
+        document.getSelection()?.selectAllChildren(title);
+    }
+
+    function setFrameCollapsed(s, frame, collapsed) {
+        frame.collapsed = !!collapsed;
+        if (frame.collapsed) {
+            // Hidden nodes can't stay selected, or keyboard actions would hit nodes the user can't see
+            setSelection(s, Array.from(s.selection).filter(nid => !frame.nodes.includes(nid)));
+            syncDrawflowSelection(s);
+        }
+        renderFrames(s);
+        emitFrames(s);
+    }
+
+    function applyFrameChanges(s, frame, changes) {
+        if (changes.title != null) frame.title = String(changes.title);
+        if (changes.color != null) frame.color = String(changes.color);
+        if (changes.collapsed != null && !!changes.collapsed !== frame.collapsed) {
+            setFrameCollapsed(s, frame, changes.collapsed);
+            return;
+        }
+        renderFrame(s, frame);
+        emitFrames(s);
+    }
+
+    function deleteFrame(s, frame) {
+        const module = s.editor.drawflow.drawflow[s.editor.module];
+        module.frames = moduleFrames(s).filter(f => f !== frame);
+        renderFrames(s);
+        emitFrames(s);
+    }
+
+    function enableFrames(s) {
+        const ed = s.editor;
+
+        // Every connection Drawflow redraws passes through here, so collapsed frames keep their rerouted ends
+        s.drawConnections = ed.updateConnectionNodes.bind(ed);
+        ed.updateConnectionNodes = nodeKey => {
+            s.drawConnections(nodeKey);
+            if (moduleFrames(s).some(f => f.collapsed)) rerouteFrameConnections(s, nodeKey);
+        };
+
+        addDomHandler(s, document, "mousemove", e => updateFrameDrag(s, e));
+        addDomHandler(s, document, "mouseup", () => endFrameDrag(s));
+        ed.on("nodeRemoved", nid => {
+            // .NET drops the node from Graph.Frames itself
+            moduleFrames(s).forEach(f => { f.nodes = f.nodes.filter(x => x !== String(nid)); });
+            renderFrames(s);
+        });
+        ["import", "moduleChanged"].forEach(evt => ed.on(evt, () => renderFrames(s)));
+        renderFrames(s);
+    }
+
+    // Add a frame around `nodeIds` (default: the selection), or an empty one with its top-left corner at (x, y)
+    // (default: centred in the view). Options: { title, color, nodeIds, x, y, width, height }. Returns the frame id.
+    function addFrame(id, options = null) {
+        const s = ensureInstance(id);
+        const o = options || {};
+        const data = moduleData(s);
+        const ids = (o.nodeIds ?? (o.x == null ? selectedNodeIds(s) : []))
+            .map(String)
+            .filter(nid => data[nid] && !isHiddenByFrame(s, nid));
+
+        let box;
+        if (ids.length) {
+            const boxes = ids.map(nid => nodeBox(s, nid));
+            const minX = Math.min(...boxes.map(b => b.x)) - FRAME_PADDING;
+            const minY = Math.min(...boxes.map(b => b.y)) - FRAME_PADDING - FRAME_HEADER_HEIGHT;
+            const maxX = Math.max(...boxes.map(b => b.x + b.w)) + FRAME_PADDING;
+            const maxY = Math.max(...boxes.map(b => b.y + b.h)) + FRAME_PADDING;
+            box = { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+        } else {
+            const w = Math.max(FRAME_MIN_SIZE.w, Number(o.width) || FRAME_DEFAULT_SIZE.w);
+            const h = Math.max(FRAME_MIN_SIZE.h, Number(o.height) || FRAME_DEFAULT_SIZE.h);
+            const view = viewportRect(s);
+            box = o.x != null
+                ? { x: Number(o.x), y: Number(o.y), w, h }
+                : { x: view.x + (view.w - w) / 2, y: view.y + (view.h - h) / 2, w, h };
+        }
+
+        const frame = {
+            id: "frame-" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            title: o.title || "Group",
+            color: o.color || FRAME_COLORS[0],
+            pos_x: box.x, pos_y: box.y, width: box.w, height: box.h,
+            collapsed: false,
+            nodes: []
+        };
+        // Grouped nodes leave whatever frame they were in
+        moduleFrames(s).forEach(f => { f.nodes = f.nodes.filter(nid => !ids.includes(nid)); });
+        frame.nodes = ids;
+
+        const module = s.editor.drawflow.drawflow[s.editor.module];
+        module.frames = moduleFrames(s).concat(frame);
+        renderFrames(s);
+        emitFrames(s);
+        return frame.id;
+    }
+
+    function removeFrame(id, frameId) {
+        const s = ensureInstance(id);
+        const frame = findFrame(s, frameId);
+        if (!frame) return false;
+        deleteFrame(s, frame);
+        return true;
+    }
+
+    // Change a frame's { title, color, collapsed }
+    function updateFrame(id, frameId, changes) {
+        const s = ensureInstance(id);
+        const frame = findFrame(s, frameId);
+        if (!frame) return false;
+        applyFrameChanges(s, frame, changes || {});
+        return true;
+    }
+
+    function getFrames(id) {
+        return cloneJson(moduleFrames(ensureInstance(id)));
+    }
+
+    // ---- Notes ----
+    // Markdown annotations stored next to the nodes as `drawflow.<module>.notes`:
+    // [{ id, text, color, pos_x, pos_y, width, height, node, offset_x, offset_y }]. A note with `node` set is pinned:
+    // it sits at the node's position plus the offset and follows the node around. Notes never reach the Graph's nodes.
+    const NOTE_CLASS = "bw-note";
+    const NOTE_MIN_SIZE = { w: 120, h: 60 };
+    const NOTE_DEFAULT_SIZE = { w: 220, h: 140 };
+    const NOTE_PIN_GAP = 16;
+    const NOTE_COLORS = ["#fff3b0", "#ffd6a5", "#caffbf", "#9bf6ff", "#bdb2ff", "#ffc6ff"];
+
+    // Only text nodes and a fixed set of elements are created, so nothing in a note is ever parsed as HTML
+    const SAFE_LINK = /^(https?:|mailto:)/i;
+    const INLINE_MARKDOWN = /(`[^`]+`)|\*\*([^*]+)\*\*|__([^_]+)__|\*([^*]+)\*|(?<!\w)_([^_]+)_(?!\w)|\[([^\]]+)\]\(([^)\s]+)\)/;
+
+    function renderInlineMarkdown(parent, text) {
+        let rest = text;
+        while (rest) {
+            const m = INLINE_MARKDOWN.exec(rest);
+            if (!m) {
+                parent.appendChild(document.createTextNode(rest));
+                return;
+            }
+            if (m.index) parent.appendChild(document.createTextNode(rest.slice(0, m.index)));
+
+            if (m[1]) {
+                const code = document.createElement("code");
+                code.textContent = m[1].slice(1, -1);
+                parent.appendChild(code);
+            } else if (m[2] ?? m[3]) {
+                const strong = document.createElement("strong");
+                renderInlineMarkdown(strong, m[2] ?? m[3]);
+                parent.appendChild(strong);
+            } else if (m[4] ?? m[5]) {
+                const em = document.createElement("em");
+                renderInlineMarkdown(em, m[4] ?? m[5]);
+                parent.appendChild(em);
+            } else if (SAFE_LINK.test(m[7])) {
+                const a = document.createElement("a");
+                a.href = m[7];
+                a.target = "_blank";
+                a.rel = "noopener noreferrer";
+                renderInlineMarkdown(a, m[6]);
+                parent.appendChild(a);
+            } else {
+                // javascript:, data: and relative links keep their text only
+                renderInlineMarkdown(parent, m[6]);
+            }
+            rest = rest.slice(m.index + m[0].length);
+        }
+    }
+
+    // Headings (# to ###), paragraphs, - / 1. lists, > quotes and ``` fenced code, plus the inline forms above
+    function renderMarkdown(source) {
+        const root = document.createDocumentFragment();
+        const lines = String(source ?? "").replace(/\r\n?/g, "\n").split("\n");
+        let block = null, list = null, code = null;
+
+        const appendLine = (tag, text) => {
+            if (block?.tagName !== tag.toUpperCase()) {
+                block = root.appendChild(document.createElement(tag));
+            } else {
+                block.appendChild(document.createElement("br"));
+            }
+            renderInlineMarkdown(block, text);
+        };
+
+        for (const line of lines) {
+            if (code) {
+                if (line.startsWith("```")) {
+                    code.el.textContent = code.lines.join("\n");
+                    code = null;
+                } else {
+                    code.lines.push(line);
+                }
+                continue;
+            }
+
+            let m;
+            if (line.startsWith("```")) {
+                block = list = null;
+                const pre = root.appendChild(document.createElement("pre"));
+                code = { el: pre.appendChild(document.createElement("code")), lines: [] };
+            } else if (!line.trim()) {
+                block = list = null;
+            } else if ((m = /^(#{1,3})\s+(.*)$/.exec(line))) {
+                block = list = null;
+                renderInlineMarkdown(root.appendChild(document.createElement("h" + m[1].length)), m[2]);
+            } else if ((m = /^\s*(?:([-*+])|\d+[.)])\s+(.*)$/.exec(line))) {
+                block = null;
+                const tag = m[1] ? "UL" : "OL";
+                if (list?.tagName !== tag) list = root.appendChild(document.createElement(tag));
+                renderInlineMarkdown(list.appendChild(document.createElement("li")), m[2]);
+            } else if ((m = /^>\s?(.*)$/.exec(line))) {
+                list = null;
+                appendLine("blockquote", m[1]);
+            } else {
+                list = null;
+                appendLine("p", line);
+            }
+        }
+        if (code) code.el.textContent = code.lines.join("\n");
+        return root;
+    }
+
+    function moduleNotes(s) {
+        const ed = s.editor;
+        const notes = ed.drawflow.drawflow[ed.module]?.notes;
+        return Array.isArray(notes) ? notes : [];
+    }
+
+    function findNote(s, noteId) {
+        return moduleNotes(s).find(n => n.id === String(noteId)) ?? null;
+    }
+
+    function noteElement(s, noteId) {
+        return s.editor.precanvas.querySelector(`.${NOTE_CLASS}[data-note-id="${CSS.escape(noteId)}"]`);
+    }
+
+    function emitNotes(s) {
+        emit(s, "notesChanged", { module: s.editor.module, notes: cloneJson(moduleNotes(s)) });
+    }
+
+    function pinNote(s, note, nodeId) {
+        const n = nodeId != null ? moduleData(s)[nodeId] : null;
+        note.node = n ? String(nodeId) : null;
+        note.offset_x = n ? note.pos_x - n.pos_x : 0;
+        note.offset_y = n ? note.pos_y - n.pos_y : 0;
+    }
+
+    // Pinned notes take their position from the node, so a stale pos_x/pos_y in saved data never matters
+    function followPinnedNode(note, data) {
+        const n = note.node ? data[note.node] : null;
+        if (!n) return;
+        note.pos_x = n.pos_x + note.offset_x;
+        note.pos_y = n.pos_y + note.offset_y;
+    }
+
+    // Node whose centre is closest to the note's centre
+    function nearestNode(s, note) {
+        const cx = note.pos_x + note.width / 2, cy = note.pos_y + note.height / 2;
+        let best = null, bestDistance = Infinity;
+        Object.keys(moduleData(s)).forEach(nid => {
+            if (isHiddenByFrame(s, nid)) return;
+            const b = nodeBox(s, nid);
+            const distance = Math.hypot(b.x + b.w / 2 - cx, b.y + b.h / 2 - cy);
+            if (distance < bestDistance) {
+                best = nid;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    function createNoteElement(s, noteId) {
+        const el = document.createElement("div");
+        el.className = NOTE_CLASS;
+        el.dataset.noteId = noteId;
+
+        const header = document.createElement("div");
+        header.className = "bw-note-header";
+        const grip = document.createElement("span");
+        grip.className = "bw-note-grip";
+        header.append(
+            frameButton("bw-note-pin", "Pin to nearest node"), grip,
+            frameButton("bw-note-color", "Change color"), frameButton("bw-note-remove", "Remove note", "×"));
+        const body = document.createElement("div");
+        body.className = "bw-note-body";
+        const resize = document.createElement("div");
+        resize.className = "bw-note-resize";
+        el.append(header, body, resize);
+
+        el.addEventListener("mousedown", e => {
+            // Keep Drawflow from starting a canvas pan; text in the body stays selectable
+            e.stopPropagation();
+            const note = findNote(s, noteId);
+            if (!note || e.target.closest("button, textarea, a")) return;
+            if (e.target.closest(".bw-note-resize")) beginNoteDrag(s, e, note, "resize");
+            else if (e.target.closest(".bw-note-header")) beginNoteDrag(s, e, note, "move");
+        });
+        el.addEventListener("click", e => {
+            const note = findNote(s, noteId);
+            const button = e.target.closest("button");
+            if (!note || !button || s.editor.editor_mode === "fixed") return;
+            if (button.classList.contains("bw-note-pin")) {
+                pinNote(s, note, note.node ? null : nearestNode(s, note));
+                renderNote(s, note);
+                emitNotes(s);
+            } else if (button.classList.contains("bw-note-color")) {
+                const next = NOTE_COLORS[(NOTE_COLORS.indexOf(note.color) + 1) % NOTE_COLORS.length];
+                applyNoteChanges(s, note, { color: next });
+            } else if (button.classList.contains("bw-note-remove")) {
+                deleteNote(s, note);
+            }
+        });
+        el.addEventListener("dblclick", e => {
+            e.stopPropagation();
+            if (!e.target.closest("button, a")) editNote(s, noteId);
+        });
+        return el;
+    }
+
+    function renderNote(s, note) {
+        const pre = s.editor.precanvas;
+        let el = noteElement(s, note.id);
+        if (!el) {
+            // Above frames and connections, below nodes
+            el = createNoteElement(s, note.id);
+            pre.insertBefore(el, pre.querySelector(`:scope > :not(.${FRAME_CLASS}, .${NOTE_CLASS})`));
+        }
+        followPinnedNode(note, moduleData(s));
+        el.style.left = note.pos_x + "px";
+        el.style.top = note.pos_y + "px";
+        el.style.width = note.width + "px";
+        el.style.height = note.height + "px";
+        el.style.setProperty("--bw-note-color", note.color);
+        el.classList.toggle("bw-note--pinned", !!note.node);
+        el.classList.toggle(FRAME_HIDDEN_CLASS, !!note.node && isHiddenByFrame(s, note.node));
+
+        const pin = el.querySelector(".bw-note-pin");
+        const pinnedTo = note.node ? moduleData(s)[note.node]?.name ?? note.node : null;
+        pin.title = pinnedTo ? `Pinned to ${pinnedTo}; click to unpin` : "Pin to nearest node";
+        pin.setAttribute("aria-label", pin.title);
+        pin.setAttribute("aria-pressed", String(!!note.node));
+
+        const body = el.querySelector(".bw-note-body");
+        if (body.dataset.text !== note.text) {
+            body.dataset.text = note.text;
+            body.replaceChildren(renderMarkdown(note.text));
+        }
+    }
+
+    function renderNotes(s) {
+        const notes = moduleNotes(s);
+        const ids = new Set(notes.map(n => n.id));
+        s.editor.precanvas.querySelectorAll("." + NOTE_CLASS).forEach(el => {
+            if (!ids.has(el.dataset.noteId)) el.remove();
+        });
+        notes.forEach(n => renderNote(s, n));
+    }
+
+    function beginNoteDrag(s, e, note, mode) {
+        if (e.button !== 0 || s.editor.editor_mode === "fixed") return;
+        e.preventDefault();
+        s.noteDrag = {
+            note, mode, moved: false,
+            start: clientToCanvas(s, e.clientX, e.clientY),
+            origin: { x: note.pos_x, y: note.pos_y, w: note.width, h: note.height }
+        };
+    }
+
+    function updateNoteDrag(s, e) {
+        const d = s.noteDrag;
+        if (!d) return;
+        const n = d.note;
+        const p = clientToCanvas(s, e.clientX, e.clientY);
+        const snap = v => (s.grid > 0 ? Math.round(v / s.grid) * s.grid : v);
+
+        if (d.mode === "move") {
+            n.pos_x = snap(d.origin.x + p.x - d.start.x);
+            n.pos_y = snap(d.origin.y + p.y - d.start.y);
+            // Moving a pinned note changes where it sits relative to its node
+            if (n.node) pinNote(s, n, n.node);
+        } else {
+            n.width = Math.max(NOTE_MIN_SIZE.w, snap(d.origin.w + p.x - d.start.x));
+            n.height = Math.max(NOTE_MIN_SIZE.h, snap(d.origin.h + p.y - d.start.y));
+        }
+        d.moved = n.pos_x !== d.origin.x || n.pos_y !== d.origin.y || n.width !== d.origin.w || n.height !== d.origin.h;
+        renderNote(s, n);
+    }
+
+    function endNoteDrag(s) {
+        const d = s.noteDrag;
+        if (!d) return;
+        s.noteDrag = null;
+        if (d.moved) emitNotes(s);
+    }
+
+    // Swap the rendered body for a textarea with the markdown source; Ctrl/Cmd+Enter or leaving it saves, Escape cancels
+    function editNote(s, noteId) {
+        const el = noteElement(s, noteId);
+        if (!el || el.querySelector(".bw-note-editor") || s.editor.editor_mode === "fixed") return;
+        const body = el.querySelector(".bw-note-body");
+        const textarea = document.createElement("textarea");
+        textarea.className = "bw-note-editor";
+        textarea.value = findNote(s, noteId)?.text ?? "";
+        textarea.placeholder = "Markdown: **bold**, *italic*, `code`, - lists, [links](https://…)";
+        body.hidden = true;
+        body.after(textarea);
+
+        let cancelled = false;
+        textarea.addEventListener("keydown", e => {
+            // Keep Delete/Backspace and shortcuts away from the editor while typing
+            e.stopPropagation();
+            if (e.key === "Escape") {
+                cancelled = true;
+                textarea.blur();
+            } else if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                textarea.blur();
+            }
+        });
+        textarea.addEventListener("blur", () => {
+            textarea.remove();
+            body.hidden = false;
+            const note = findNote(s, noteId);
+            if (note && !cancelled && textarea.value !== note.text) applyNoteChanges(s, note, { text: textarea.value });
+        }, { once: true });
+        textarea.focus();
+    }
+
+    function applyNoteChanges(s, note, changes) {
+        if (changes.text != null) note.text = String(changes.text);
+        if (changes.color != null) note.color = String(changes.color);
+        renderNote(s, note);
+        emitNotes(s);
+    }
+
+    function deleteNote(s, note) {
+        const module = s.editor.drawflow.drawflow[s.editor.module];
+        module.notes = moduleNotes(s).filter(n => n !== note);
+        renderNotes(s);
+        emitNotes(s);
+    }
+
+    function enableNotes(s) {
+        const ed = s.editor;
+
+        // Every node move redraws that node's connections through here, whoever moved it
+        const drawConnections = ed.updateConnectionNodes;
+        ed.updateConnectionNodes = nodeKey => {
+            drawConnections(nodeKey);
+            const nid = String(nodeKey).substring("node-".length);
+            moduleNotes(s).filter(n => n.node === nid).forEach(n => renderNote(s, n));
+        };
+
+        addDomHandler(s, document, "mousemove", e => updateNoteDrag(s, e));
+        addDomHandler(s, document, "mouseup", () => endNoteDrag(s));
+        ed.on("nodeRemoved", nid => {
+            // .NET unpins them in Graph.Notes itself
+            moduleNotes(s).filter(n => n.node === String(nid)).forEach(n => pinNote(s, n, null));
+            renderNotes(s);
+        });
+        ["import", "moduleChanged"].forEach(evt => ed.on(evt, () => renderNotes(s)));
+        renderNotes(s);
+    }
+
+    // Add a note at (x, y) (default: centred in the view), or beside `node` and pinned to it.
+    // Options: { text, color, x, y, width, height, node }. Returns the note id.
+    function addNote(id, options = null) {
+        const s = ensureInstance(id);
+        const o = options || {};
+        const data = moduleData(s);
+        const w = Math.max(NOTE_MIN_SIZE.w, Number(o.width) || NOTE_DEFAULT_SIZE.w);
+        const h = Math.max(NOTE_MIN_SIZE.h, Number(o.height) || NOTE_DEFAULT_SIZE.h);
+
+        let x, y;
+        if (o.node != null && data[o.node]) {
+            const box = nodeBox(s, String(o.node));
+            x = box.x + box.w + NOTE_PIN_GAP;
+            y = box.y;
+        } else if (o.x != null) {
+            x = Number(o.x);
+            y = Number(o.y);
+        } else {
+            const view = viewportRect(s);
+            x = view.x + (view.w - w) / 2;
+            y = view.y + (view.h - h) / 2;
+        }
+
+        const note = {
+            id: "note-" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+            text: o.text ? String(o.text) : "",
+            color: o.color || NOTE_COLORS[0],
+            pos_x: x, pos_y: y, width: w, height: h,
+            node: null, offset_x: 0, offset_y: 0
+        };
+        if (o.node != null && data[o.node]) pinNote(s, note, String(o.node));
+
+        const module = s.editor.drawflow.drawflow[s.editor.module];
+        module.notes = moduleNotes(s).concat(note);
+        renderNote(s, note);
+        emitNotes(s);
+        return note.id;
+    }
+
+    function removeNote(id, noteId) {
+        const s = ensureInstance(id);
+        const note = findNote(s, noteId);
+        if (!note) return false;
+        deleteNote(s, note);
+        return true;
+    }
+
+    // Change a note's { text, color }
+    function updateNote(id, noteId, changes) {
+        const s = ensureInstance(id);
+        const note = findNote(s, noteId);
+        if (!note) return false;
+        applyNoteChanges(s, note, changes || {});
+        return true;
+    }
+
+    function getNotes(id) {
+        return cloneJson(moduleNotes(ensureInstance(id)));
+    }
+
+    // ---- Keyboard navigation and screen readers ----
+    // Nodes use a roving tabindex: one node sits in the page's tab order and Tab / arrow keys move focus between
+    // nodes from there. Ports and connections carry ARIA labels; a live region reads out run status changes.
+    const KEYBOARD_HELP =
+        "Tab and the arrow keys move between nodes. Alt+arrow keys move the focused node, Alt+Shift+arrow keys move it by one pixel. " +
+        "Enter opens the node editor and Delete removes the node. To connect two nodes press C and pick an output port with the arrow keys " +
+        "and Enter, then press C on the target node and pick an input port. Escape cancels.";
+    const NUDGE_STEP = 10;
+    const ANNOUNCE_DELAY_MS = 400;
+    const ANNOUNCE_MAX = 3;
+    const PORT_PICKED_CLASS = "bw-port-picked";
+    const ARROW_DIRECTIONS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+    function nodeTitle(s, nid) {
+        return nodeElement(s, nid)?.querySelector(".bw-title")?.textContent.trim() || moduleData(s)[nid]?.name || "Node " + nid;
+    }
+
+    function portClassOf(portEl) {
+        return Array.from(portEl.classList).find(c => /^(input|output)_\d+$/.test(c));
+    }
+
+    function portName(portEl) {
+        const [kind, index] = portClassOf(portEl).split("_");
+        const label = portEl.querySelector("p")?.textContent.trim();
+        return label ? `${label} ${kind}` : `${kind} ${index}`;
+    }
+
+    function portLabel(s, nid, portClass) {
+        const port = nodeElement(s, nid)?.querySelector(`.${portClass}`);
+        return (port ? portName(port) : portClass.replace("_", " ")) + " of " + nodeTitle(s, nid);
+    }
+
+    // What a screen reader says when the node gets focus
+    function describeNode(s, nid) {
+        const el = nodeElement(s, nid);
+        const node = moduleData(s)[nid];
+        const count = side => Object.values(node?.[side] || {}).reduce((n, port) => n + port.connections.length, 0);
+        const parts = [nodeTitle(s, nid), `${count("inputs")} incoming, ${count("outputs")} outgoing connections`];
+        if (s.selection.has(nid)) parts.push("selected");
+        if (node?.data?.disabled) parts.push("disabled");
+        if (node?.data?.breakpoint) parts.push("breakpoint");
+        if (el?.classList.contains("bw-processing-bar")) parts.push("running");
+        if (el?.classList.contains("bw-node-error")) parts.push("error: " + (el.getAttribute("title") || "unknown"));
+        return parts.join(", ");
+    }
+
+    function labelNode(s, nid) {
+        if (!s.features.accessibility) return;
+        const el = nodeElement(s, nid);
+        if (!el) return;
+        el.setAttribute("role", "group");
+        el.setAttribute("aria-roledescription", "node");
+        el.setAttribute("aria-label", describeNode(s, nid));
+        if (!el.hasAttribute("tabindex")) el.tabIndex = -1;
+
+        const title = nodeTitle(s, nid);
+        el.querySelectorAll(".inputs .input, .outputs .output").forEach(port => {
+            port.setAttribute("role", "button");
+            port.setAttribute("aria-label", `${portName(port)} of ${title}`);
+            port.tabIndex = -1;
+        });
+    }
+
+    // Every connection, or only those touching `nodeId`
+    function labelConnections(s, nodeId = null) {
+        if (!s.features.accessibility) return;
+        const svgs = nodeId == null
+            ? s.editor.precanvas.querySelectorAll("svg.connection")
+            : [...connectionsOf(s, nodeId, "in"), ...connectionsOf(s, nodeId, "out")];
+        svgs.forEach(svg => {
+            const c = connectionFromElement(svg);
+            if (!c) return;
+            svg.setAttribute("role", "img");
+            svg.setAttribute("aria-label",
+                `Connection from ${portLabel(s, c.output_id, c.output_class)} to ${portLabel(s, c.input_id, c.input_class)}`);
+        });
+    }
+
+    // Left to right, then top to bottom: the direction work flows in. Members of collapsed frames are skipped.
+    function navigationOrder(s) {
+        const data = moduleData(s);
+        return Object.keys(data)
+            .filter(nid => !isHiddenByFrame(s, nid))
+            .sort((a, b) => data[a].pos_x - data[b].pos_x || data[a].pos_y - data[b].pos_y);
+    }
+
+    // Make `nid` (or the first node, when it is gone) the one Tab enters the canvas on
+    function setTabStop(s, nid) {
+        s.editor.precanvas.querySelectorAll(".drawflow-node[tabindex='0']").forEach(el => { el.tabIndex = -1; });
+        const el = nodeElement(s, nid) ?? nodeElement(s, navigationOrder(s)[0]);
+        if (el) el.tabIndex = 0;
+    }
+
+    function labelAllNodes(s) {
+        Object.keys(moduleData(s)).forEach(nid => labelNode(s, nid));
+        labelConnections(s);
+        const current = s.editor.precanvas.querySelector(".drawflow-node[tabindex='0']");
+        setTabStop(s, current ? nodeIdFromElement(current) : null);
+    }
+
+    function focusNode(s, nid) {
+        const el = nodeElement(s, nid);
+        if (!el) return false;
+        if (isCulled(s, nid)) {
+            attachNode(s, nid);
+            rehydrateNode(s, nid);
+            // Its connections come back with the next pass, once the view is centred on it
+            s.virtual.dirty.add(nid);
+            scheduleCull(s);
+        }
+        setTabStop(s, nid);
+        setSelection(s, [nid]);
+        syncDrawflowSelection(s);
+        labelNode(s, nid);
+        el.focus({ preventScroll: true });
+
+        const b = nodeBox(s, nid);
+        const view = viewportRect(s);
+        if (b.x < view.x || b.y < view.y || b.x + b.w > view.x + view.w || b.y + b.h > view.y + view.h) {
+            centerOn(s, b.x + b.w / 2, b.y + b.h / 2);
+        }
+        return true;
+    }
+
+    function nodeCentre(s, nid) {
+        const b = nodeBox(s, nid);
+        return { x: b.x + b.w / 2, y: b.y + b.h / 2 };
+    }
+
+    // Closest node whose centre lies in the arrow's direction; distance off the axis counts double
+    function nodeInDirection(s, nid, [dx, dy]) {
+        const from = nodeCentre(s, nid);
+        let best = null, bestScore = Infinity;
+        navigationOrder(s).forEach(other => {
+            if (other === nid) return;
+            const c = nodeCentre(s, other);
+            const along = (c.x - from.x) * dx + (c.y - from.y) * dy;
+            if (along <= 0) return;
+            const score = along + 2 * (Math.abs((c.x - from.x) * dy) + Math.abs((c.y - from.y) * dx));
+            if (score < bestScore) {
+                best = other;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    function nearestNodeTo(s, nid, exclude) {
+        const from = nodeCentre(s, nid);
+        let best = null, bestDistance = Infinity;
+        navigationOrder(s).filter(other => !exclude.includes(other)).forEach(other => {
+            const c = nodeCentre(s, other);
+            const distance = Math.hypot(c.x - from.x, c.y - from.y);
+            if (distance < bestDistance) {
+                best = other;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    // Keyboard actions act on the whole selection when the focused node is part of it, like the context menu
+    function keyboardTargets(s, nid) {
+        return s.selection.has(nid) ? Array.from(s.selection) : [nid];
+    }
+
+    function nudgeNodes(s, nid, [dx, dy], fine) {
+        const step = fine ? 1 : (s.grid > 0 ? s.grid : NUDGE_STEP);
+        const data = moduleData(s);
+        commitPositions(s, keyboardTargets(s, nid).map(id => ({ id, x: data[id].pos_x + dx * step, y: data[id].pos_y + dy * step })));
+    }
+
+    function deleteNodesFromKeyboard(s, nid) {
+        const ids = keyboardTargets(s, nid);
+        const titles = ids.map(id => nodeTitle(s, id));
+        const next = nearestNodeTo(s, nid, ids);
+        removeNodes(s, ids);
+        announce(s, "Removed " + titles.join(", "));
+        if (next) focusNode(s, next);
+        else setTabStop(s, null);
+    }
+
+    // Same as double-clicking the node: a sub-workflow node opens its body, any other node the .NET editor
+    function openNodeEditor(s, nid) {
+        if (openSubWorkflow(s.id, nid)) return;
+        s.nodeEditorCallback?.invokeMethodAsync("OnNodeDoubleClickFromJs", nid);
+    }
+
+    // Keyboard connections: pick an output port, then an input port on another node
+    function focusPorts(s, nid, kind) {
+        const port = nodeElement(s, nid)?.querySelector(`.${kind}s .${kind}`);
+        if (port) port.focus({ preventScroll: true });
+        else announce(s, `${nodeTitle(s, nid)} has no ${kind} ports`);
+    }
+
+    function cancelPendingConnection(s) {
+        if (!s.pendingConnection) return false;
+        s.pendingConnection = null;
+        s.editor.precanvas.querySelectorAll("." + PORT_PICKED_CLASS).forEach(el => el.classList.remove(PORT_PICKED_CLASS));
+        clearCompatibleInputs(s);
+        return true;
+    }
+
+    function connectPending(s, nid, inputClass) {
+        const from = s.pendingConnection;
+        cancelPendingConnection(s);
+        if (from.nodeId === nid) {
+            announce(s, "A node can't be connected to itself");
+            return;
+        }
+
+        const data = moduleData(s);
+        const connected = () => !!data[from.nodeId]?.outputs[from.port]?.connections.some(c => c.node === nid && c.output === inputClass);
+        const description = `${portLabel(s, from.nodeId, from.port)} to ${portLabel(s, nid, inputClass)}`;
+        if (connected()) {
+            announce(s, "Already connected: " + description);
+            return;
+        }
+        // Goes through "connectionCreated" like a dragged connection, type check included
+        s.editor.addConnection(from.nodeId, nid, from.port, inputClass);
+        announce(s, connected() ? "Connected " + description : "Can't connect " + description + ": the types don't match");
+    }
+
+    function pickPort(s, portEl, nid) {
+        const portClass = portClassOf(portEl);
+        if (portEl.classList.contains("output")) {
+            cancelPendingConnection(s);
+            s.pendingConnection = { nodeId: nid, port: portClass };
+            portEl.classList.add(PORT_PICKED_CLASS);
+            highlightCompatibleInputs(s, nid);
+            announce(s, `Picked ${portLabel(s, nid, portClass)}. Press C on the target node to pick an input port.`);
+        } else if (s.pendingConnection) {
+            connectPending(s, nid, portClass);
+        } else {
+            announce(s, "Pick an output port first: press C on the source node");
+        }
+        focusNode(s, nid);
+    }
+
+    function onPortKeyDown(s, e, portEl, nid) {
+        const kind = portEl.classList.contains("output") ? "output" : "input";
+        switch (e.key) {
+            case "ArrowUp":
+            case "ArrowDown":
+            case "ArrowLeft":
+            case "ArrowRight": {
+                const ports = Array.from(nodeElement(s, nid).querySelectorAll(`.${kind}s .${kind}`));
+                const step = e.key === "ArrowUp" || e.key === "ArrowLeft" ? -1 : 1;
+                ports[(ports.indexOf(portEl) + step + ports.length) % ports.length].focus({ preventScroll: true });
+                return true;
+            }
+            case "Enter":
+            case " ":
+                pickPort(s, portEl, nid);
+                return true;
+            case "Escape":
+            case "Tab":
+                focusNode(s, nid);
+                return true;
+        }
+        return false;
+    }
+
+    function onNodeKeyDown(s, e, nid) {
+        if (e.ctrlKey || e.metaKey) return false;
+        const editable = s.editor.editor_mode !== "fixed";
+
+        if (e.key === "Tab") {
+            const order = navigationOrder(s);
+            const next = order[order.indexOf(nid) + (e.shiftKey ? -1 : 1)];
+            // Past the first or last node, Tab leaves the canvas
+            return next != null && focusNode(s, next);
+        }
+
+        const direction = ARROW_DIRECTIONS[e.key];
+        if (direction) {
+            if (e.altKey) {
+                if (editable) nudgeNodes(s, nid, direction, e.shiftKey);
+            } else {
+                const next = nodeInDirection(s, nid, direction);
+                if (next) focusNode(s, next);
+            }
+            return true;
+        }
+        // Enter, Delete, C and Escape are registry shortcuts ("node.*"), see enableAccessibility
+        return false;
+    }
+
+    function onCanvasKeyDown(s, e) {
+        if (!(e.target instanceof Element)) return;
+        const nodeEl = e.target.closest(".drawflow-node");
+        const port = e.target.closest(".inputs .input, .outputs .output");
+        // Keys typed into controls inside a node are theirs
+        if (!nodeEl || (!port && e.target !== nodeEl)) return;
+
+        const nid = nodeIdFromElement(nodeEl);
+        if (port ? onPortKeyDown(s, e, port, nid) : onNodeKeyDown(s, e, nid)) {
+            e.preventDefault();
+            // Keep Drawflow's own Delete handling and other page shortcuts from acting twice
+            e.stopPropagation();
+        }
+    }
+
+    // Status changes are collected briefly so a busy run reads as one sentence, not a stream
+    function announce(s, text, urgent = false) {
+        if (!s.liveRegion || !text) return;
+        s.announcements.push({ text, urgent });
+        if (!s.announceTimer) s.announceTimer = setTimeout(() => flushAnnouncements(s), ANNOUNCE_DELAY_MS);
+    }
+
+    function flushAnnouncements(s) {
+        s.announceTimer = null;
+        const pending = s.announcements.splice(0);
+        let messages = pending.map(a => a.text);
+        if (pending.length > ANNOUNCE_MAX) {
+            const urgent = pending.filter(a => a.urgent).map(a => a.text);
+            messages = [...urgent, `${pending.length - urgent.length} more node updates`];
+        }
+        const text = messages.join(". ");
+        // An unchanged text is not read again, so vary it
+        s.liveRegion.textContent = s.liveRegion.textContent === text ? text + " " : text;
+    }
+
+    // Spoken form of a setNodeStatus / setBulkNodeStatus update; repeats of the last state are skipped
+    function announceNodeStatus(s, nodeId, status) {
+        if (!s.liveRegion) return;
+        const title = nodeTitle(s, nodeId);
+        let text = null;
+        if (status.hasError) text = `${title} failed` + (status.errorMessage ? ": " + status.errorMessage : "");
+        else if (status.isPaused) text = `${title} paused at breakpoint`;
+        else if (status.isRunning === true) text = `${title} running`;
+        else if (status.isRunning === false) text = `${title} finished` + (status.durationMs != null ? " in " + formatDuration(status.durationMs) : "");
+        if (!text || s.spokenStatus.get(nodeId) === text) return;
+        s.spokenStatus.set(nodeId, text);
+        announce(s, text, !!status.hasError);
+    }
+
+    function enableAccessibility(s) {
+        const ed = s.editor;
+        const host = ed.container;
+        s.announcements = [];
+        s.spokenStatus = new Map();
+
+        const help = document.createElement("div");
+        help.id = s.id + "-keyboard-help";
+        help.className = "bw-sr-only";
+        help.textContent = KEYBOARD_HELP;
+        s.liveRegion = document.createElement("div");
+        s.liveRegion.className = "bw-sr-only";
+        s.liveRegion.setAttribute("role", "status");
+        s.liveRegion.setAttribute("aria-live", "polite");
+        host.append(help, s.liveRegion);
+
+        host.setAttribute("role", "application");
+        host.setAttribute("aria-roledescription", "workflow editor");
+        if (!host.hasAttribute("aria-label")) host.setAttribute("aria-label", "Workflow canvas");
+        host.setAttribute("aria-describedby", help.id);
+
+        addDomHandler(s, host, "keydown", e => onCanvasKeyDown(s, e));
+
+        // The focused node's own keys go through the shortcut registry so they can be rebound
+        const focusedNode = () => {
+            const el = document.activeElement;
+            return el?.classList.contains("drawflow-node") && host.contains(el) ? nodeIdFromElement(el) : null;
+        };
+        const editable = () => ed.editor_mode !== "fixed";
+        addShortcuts(s, "node", {
+            "node.open": () => openNodeEditor(s, focusedNode()),
+            "node.delete": () => {
+                if (editable()) deleteNodesFromKeyboard(s, focusedNode());
+            },
+            "node.connect": () => {
+                const nid = focusedNode();
+                if (editable()) focusPorts(s, nid, s.pendingConnection && s.pendingConnection.nodeId !== nid ? "input" : "output");
+            },
+            "node.cancel": () => {
+                if (!cancelPendingConnection(s)) return false;
+                announce(s, "Connection cancelled");
+            }
+        }, () => focusedNode() != null);
+        addDomHandler(s, host, "focusin", e => {
+            activeId = s.id;
+            const nodeEl = e.target instanceof Element && e.target === e.target.closest(".drawflow-node") ? e.target : null;
+            if (nodeEl) {
+                const nid = nodeIdFromElement(nodeEl);
+                setTabStop(s, nid);
+                labelNode(s, nid);
+            }
+        });
+        // Focusing a partly visible node would scroll the canvas host itself; Drawflow pans by transform only
+        addDomHandler(s, host, "scroll", () => {
+            host.scrollTop = 0;
+            host.scrollLeft = 0;
+        });
+
+        ed.on("nodeCreated", nid => {
+            labelNode(s, String(nid));
+            if (!ed.precanvas.querySelector(".drawflow-node[tabindex='0']")) setTabStop(s, String(nid));
+        });
+        ed.on("nodeRemoved", nid => {
+            if (s.pendingConnection?.nodeId === String(nid)) cancelPendingConnection(s);
+            s.spokenStatus.delete(String(nid));
+            if (!ed.precanvas.querySelector(".drawflow-node[tabindex='0']")) setTabStop(s, null);
+        });
+        ed.on("connectionCreated", c => labelConnections(s, c.output_id));
+        ["import", "moduleChanged"].forEach(evt => ed.on(evt, () => labelAllNodes(s)));
+        labelAllNodes(s);
+    }
+
+    // ---- Canvas search ----
+    // Ctrl/Cmd+F opens a search bar over the canvas. Matching reads the graph data (node name, the title and type id in
+    // the node html, output port names and data.params values), so nodes without a rendered element are found too.
+    // Every term of the query has to appear somewhere on the node; matches are ordered like the keyboard tab order.
+    const SEARCH_ACTIVE_CLASS = "bw-search-active";
+    const SEARCH_MATCH_CLASS = "bw-search-match";
+    const SEARCH_CURRENT_CLASS = "bw-search-current";
+    const SEARCH_ZOOM = 1;
+
+    // Node html is parsed into an inert document: nothing in it loads or runs. Shared by every editor on the page.
+    const htmlSearchTextCache = new Map();
+
+    function htmlSearchText(html) {
+        if (!html) return { title: "", typeId: "" };
+        let text = htmlSearchTextCache.get(html);
+        if (!text) {
+            const doc = new DOMParser().parseFromString(html, "text/html");
+            text = {
+                title: doc.querySelector(".bw-title")?.textContent.trim() || "",
+                typeId: doc.querySelector(".bw-node-type-id")?.textContent.trim() || ""
+            };
+            htmlSearchTextCache.set(html, text);
+        }
+        return text;
+    }
+
+    // Lower-cased texts a query is matched against; port labels set by labelPorts are added when the node is rendered
+    function nodeSearchFields(s, nid) {
+        const n = moduleData(s)[nid];
+        const { title, typeId } = htmlSearchText(n.html);
+        const ports = [...(n.data?.outputPorts || [])];
+        nodeElement(s, nid)?.querySelectorAll(".inputs .input p, .outputs .output p").forEach(p => ports.push(p.textContent));
+        return [n.name, title, typeId, ...ports, ...Object.values(n.data?.params || {})]
+            .filter(v => v != null && v !== "")
+            .map(v => String(v).toLowerCase());
+    }
+
+    function findNodes(s, query) {
+        const terms = String(query || "").toLowerCase().split(/\s+/).filter(Boolean);
+        if (!terms.length) return [];
+        const data = moduleData(s);
+        return Object.keys(data)
+            .filter(nid => {
+                const fields = nodeSearchFields(s, nid);
+                return terms.every(term => fields.some(f => f.includes(term)));
+            })
+            .sort((a, b) => data[a].pos_x - data[b].pos_x || data[a].pos_y - data[b].pos_y);
+    }
+
+    function createSearchBar(s) {
+        const bar = document.createElement("div");
+        bar.className = "bw-search";
+        bar.setAttribute("role", "search");
+        bar.hidden = true;
+
+        const input = document.createElement("input");
+        input.type = "search";
+        input.className = "bw-search-input";
+        input.placeholder = "Find nodes";
+        input.setAttribute("aria-label", "Find nodes by title, type, port or parameter value");
+        const count = document.createElement("span");
+        count.className = "bw-search-count";
+        count.setAttribute("role", "status");
+        count.setAttribute("aria-live", "polite");
+        const previous = frameButton("bw-search-step", "Previous match (Shift+Enter)", "↑");
+        const next = frameButton("bw-search-step", "Next match (Enter)", "↓");
+        const close = frameButton("bw-search-close", "Close (Escape)", "×");
+        bar.append(input, count, previous, next, close);
+
+        input.addEventListener("input", () => runSearch(s, input.value, true));
+        // Keep Delete/Backspace away from the editor while typing; Enter and Escape are registry shortcuts ("search.*")
+        input.addEventListener("keydown", e => e.stopPropagation());
+        previous.addEventListener("click", () => stepSearch(s, -1));
+        next.addEventListener("click", () => stepSearch(s, 1));
+        close.addEventListener("click", () => closeSearch(s.id));
+        // Keep Drawflow from treating clicks in the bar as canvas clicks (deselect / pan start)
+        ["mousedown", "wheel", "dblclick"].forEach(type => bar.addEventListener(type, e => e.stopPropagation()));
+
+        s.editor.container.appendChild(bar);
+        s.search = { bar, input, count, open: false, query: "", matches: [], index: -1 };
+        return s.search;
+    }
+
+    // Search again with `query`; with `reveal` the first match is brought into view, otherwise the current one is kept
+    function runSearch(s, query, reveal) {
+        const search = s.search;
+        const current = search.matches[search.index];
+        search.query = String(query || "");
+        search.matches = findNodes(s, search.query);
+        search.index = search.matches.indexOf(current);
+        if (reveal || search.index < 0) search.index = search.matches.length ? 0 : -1;
+        if (reveal && search.index >= 0) revealSearchMatch(s);
+        renderSearch(s);
+    }
+
+    function stepSearch(s, step) {
+        const search = s.search;
+        if (!search.matches.length) return;
+        search.index = (search.index + step + search.matches.length) % search.matches.length;
+        revealSearchMatch(s);
+        renderSearch(s);
+    }
+
+    // Where the match is drawn: the node, or the title bar of the collapsed frame hiding it
+    function searchMatchBox(s, nid) {
+        const frame = isHiddenByFrame(s, nid) ? frameOf(s, nid) : null;
+        return frame
+            ? { x: frame.pos_x, y: frame.pos_y, w: frame.width, h: FRAME_HEADER_HEIGHT }
+            : nodeBox(s, nid);
+    }
+
+    // Zoom in to at least SEARCH_ZOOM when the match fits at that zoom (never out), then centre it
+    function revealSearchMatch(s) {
+        const ed = s.editor;
+        const b = searchMatchBox(s, s.search.matches[s.search.index]);
+        const host = ed.container.getBoundingClientRect();
+        const fit = Math.min(host.width / (b.w + 2 * FIT_PADDING), host.height / (b.h + 2 * FIT_PADDING));
+        setZoom(s, Math.max(ed.zoom_min, Math.min(ed.zoom_max, Math.max(ed.zoom, Math.min(SEARCH_ZOOM, fit)))));
+        centerOn(s, b.x + b.w / 2, b.y + b.h / 2);
+    }
+
+    function renderSearch(s) {
+        const search = s.search;
+        const pre = s.editor.precanvas;
+        pre.querySelectorAll(`.${SEARCH_MATCH_CLASS}`).forEach(el => el.classList.remove(SEARCH_MATCH_CLASS, SEARCH_CURRENT_CLASS));
+
+        const active = search.open && search.query.trim() !== "";
+        pre.classList.toggle(SEARCH_ACTIVE_CLASS, active);
+        search.count.textContent = !active ? ""
+            : search.matches.length ? `${search.index + 1} of ${search.matches.length}` : "No matches";
+        if (!active) return;
+
+        search.matches.forEach((nid, i) => {
+            const frame = isHiddenByFrame(s, nid) ? frameOf(s, nid) : null;
+            const el = frame ? frameElement(s, frame.id) : nodeElement(s, nid);
+            if (!el) return;
+            el.classList.add(SEARCH_MATCH_CLASS);
+            if (i === search.index) el.classList.add(SEARCH_CURRENT_CLASS);
+        });
+    }
+
+    function openSearch(s, query = null) {
+        const search = s.search ?? createSearchBar(s);
+        search.open = true;
+        search.bar.hidden = false;
+        if (query != null) search.input.value = query;
+        runSearch(s, search.input.value, true);
+        search.input.focus({ preventScroll: true });
+        search.input.select();
+        return search.matches;
+    }
+
+    // Keep the matches current while the graph changes under an open search; frame changes re-render via renderFrames
+    function enableSearch(s) {
+        const ed = s.editor;
+        const refresh = () => {
+            if (s.search?.open) runSearch(s, s.search.query, false);
+        };
+        ["nodeCreated", "nodeRemoved", "nodeDataChanged", "import", "moduleChanged"].forEach(evt => ed.on(evt, refresh));
+
+        addShortcuts(s, "canvas", {
+            "canvas.search": () => { openSearch(s); }
+        });
+        addShortcuts(s, "search", {
+            "search.next": () => stepSearch(s, 1),
+            "search.previous": () => stepSearch(s, -1),
+            "search.close": () => closeSearch(s.id)
+        }, () => !!s.search?.open && document.activeElement === s.search.input);
+    }
+
+    // Open the search bar with `query` and bring the first match into view; returns the ids of every match
+    function searchNodes(id, query) {
+        const s = ensureInstance(id);
+        return s.features.search ? openSearch(s, query ?? "") : [];
+    }
+
+    // Close the search bar; keyboard focus moves to the match that was current
+    function closeSearch(id) {
+        const s = ensureInstance(id);
+        const search = s.search;
+        if (!search?.open) return false;
+        const current = search.matches[search.index];
+        const hadFocus = search.bar.contains(document.activeElement);
+        search.open = false;
+        search.bar.hidden = true;
+        renderSearch(s);
+        if (hadFocus && current != null && !isHiddenByFrame(s, current)) focusNode(s, current);
+        return true;
+    }
+
+    // ---- Viewport virtualization ----
+    // With `options.virtualize` (or setVirtualization) nodes and connections further than `margin` screen pixels
+    // outside the view are detached from the DOM, and attached again as the view reaches them. Detached elements are
+    // kept as they are, so bound df-* inputs, port labels and classes survive. labelPorts calls and run status updates
+    // for a culled node are held and applied when it comes back. Drawflow looks nodes up in the DOM, so its methods
+    // that touch a culled node attach it for the length of the call.
+    const VIRTUALIZE_DEFAULTS = { margin: 400 };
+
+    function isCulled(s, nid) {
+        return !!s.virtual?.culled.has(String(nid));
+    }
+
+    // Drawflow wraps each node in a .parent-node div; that wrapper is what gets detached
+    function detachNode(s, nid, size = null) {
+        const v = s.virtual;
+        const el = nodeElement(s, nid);
+        if (!el) return;
+        const wrapper = el.parentElement === s.editor.precanvas ? el : el.parentElement;
+        v.sizes.set(nid, size ?? { w: el.offsetWidth, h: el.offsetHeight });
+        wrapper.remove();
+        v.culled.set(nid, wrapper);
+    }
+
+    function attachNode(s, nid) {
+        const v = s.virtual;
+        const wrapper = v.culled.get(nid);
+        if (!wrapper) return;
+        v.culled.delete(nid);
+        s.editor.precanvas.appendChild(wrapper);
+    }
+
+    // Apply what was held back while the node was culled
+    function rehydrateNode(s, nid) {
+        const v = s.virtual;
+        const labels = v.labels.get(nid);
+        if (labels) {
+            v.labels.delete(nid);
+            labelPorts(s.id, nid, labels[0], labels[1]);
+        }
+        const status = v.statuses.get(nid);
+        if (status) {
+            v.statuses.delete(nid);
+            const el = nodeElement(s, nid);
+            if (el) applyNodeStatus(s, el, nid, status);
+        }
+        labelNode(s, nid);
+    }
+
+    // Later values win; null ones (not part of that update) keep what was held
+    function holdStatus(s, nid, status) {
+        const held = s.virtual.statuses.get(nid) || {};
+        Object.entries(status).forEach(([key, value]) => {
+            if (value == null) return;
+            held[key] = Array.isArray(value) && Array.isArray(held[key]) ? value.map((x, i) => x ?? held[key][i]) : value;
+        });
+        s.virtual.statuses.set(nid, held);
+    }
+
+    // Run `fn` with the culled ones among `nids` attached, then detach them again
+    function withRendered(s, nids, fn) {
+        const attached = nids.map(String).filter(nid => isCulled(s, nid));
+        attached.forEach(nid => attachNode(s, nid));
+        try {
+            return fn();
+        } finally {
+            attached.forEach(nid => {
+                if (moduleData(s)[nid] && nodeElement(s, nid)?.isConnected) detachNode(s, nid);
+            });
+        }
+    }
+
+    function culledNeighbours(s, nid) {
+        const node = moduleData(s)[nid];
+        const ids = new Set();
+        ["inputs", "outputs"].forEach(side => Object.values(node?.[side] || {}).forEach(port =>
+            (port.connections || []).forEach(c => ids.add(String(c.node)))));
+        return Array.from(ids).filter(other => isCulled(s, other));
+    }
+
+    function connectionKey(outputId, outputClass, inputId, inputClass) {
+        return outputId + "|" + outputClass + "|" + inputId + "|" + inputClass;
+    }
+
+    // Every connection of the current module: [key, output node id, input node id]
+    function moduleConnections(s) {
+        const data = moduleData(s);
+        const list = [];
+        Object.keys(data).forEach(out => Object.entries(data[out].outputs || {}).forEach(([outputClass, port]) =>
+            (port.connections || []).forEach(c => list.push([connectionKey(out, outputClass, String(c.node), c.output), out, String(c.node)]))));
+        return list;
+    }
+
+    // Redraw connections of nodes that moved while culled, once the node or one of its connections is on the canvas
+    function redrawDirty(s) {
+        const v = s.virtual;
+        const data = moduleData(s);
+        Array.from(v.dirty).forEach(nid => {
+            if (!data[nid]) {
+                v.dirty.delete(nid);
+                return;
+            }
+            if (v.culled.has(nid) && !connectionsOf(s, nid, "in").length && !connectionsOf(s, nid, "out").length) return;
+            v.dirty.delete(nid);
+            withRendered(s, [nid], () => s.editor.updateConnectionNodes("node-" + nid));
+        });
+    }
+
+    function scheduleCull(s) {
+        const v = s.virtual;
+        if (!v || v.frame) return;
+        v.frame = requestAnimationFrame(() => {
+            v.frame = 0;
+            if (s.virtual === v) cullViewport(s);
+        });
+    }
+
+    // One pass: detach what left the view (plus margin), attach what entered it. A connection stays while the box
+    // spanning both of its nodes reaches the view. The focused node and the one being dragged are never culled.
+    function cullViewport(s) {
+        const v = s.virtual;
+        const ed = s.editor;
+        const view = viewportRect(s);
+        const m = v.margin / ed.zoom;
+        const x0 = view.x - m, y0 = view.y - m, x1 = view.x + view.w + m, y1 = view.y + view.h + m;
+        const inView = (ax, ay, bx, by) => ax < x1 && bx > x0 && ay < y1 && by > y0;
+
+        const keep = new Set();
+        const focused = document.activeElement?.closest?.(".drawflow-node");
+        if (focused && ed.precanvas.contains(focused)) keep.add(nodeIdFromElement(focused));
+        if (ed.drag && ed.ele_selected?.classList.contains("drawflow-node")) keep.add(nodeIdFromElement(ed.ele_selected));
+
+        // Measure everything before the first DOM change
+        const boxes = new Map(Object.keys(moduleData(s)).map(nid => [nid, nodeBox(s, nid)]));
+        const show = [], hide = [];
+        boxes.forEach((b, nid) => {
+            const visible = keep.has(nid) || inView(b.x, b.y, b.x + b.w, b.y + b.h);
+            if (visible && v.culled.has(nid)) show.push(nid);
+            else if (!visible && !v.culled.has(nid)) hide.push(nid);
+        });
+        hide.forEach(nid => detachNode(s, nid, { w: boxes.get(nid).w, h: boxes.get(nid).h }));
+        show.forEach(nid => attachNode(s, nid));
+
+        const attached = new Map();
+        ed.precanvas.querySelectorAll("svg.connection").forEach(svg => {
+            const c = connectionFromElement(svg);
+            if (c) attached.set(connectionKey(c.output_id, c.output_class, c.input_id, c.input_class), svg);
+        });
+        const live = new Set();
+        moduleConnections(s).forEach(([key, out, inp]) => {
+            live.add(key);
+            const a = boxes.get(out), b = boxes.get(inp);
+            if (!a || !b) return;
+            const visible = inView(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.max(a.x + a.w, b.x + b.w), Math.max(a.y + a.h, b.y + b.h));
+            const parked = v.parked.get(key);
+            if (visible && parked) {
+                ed.precanvas.appendChild(parked);
+                v.parked.delete(key);
+                // Its ends may have moved while it was detached
+                v.dirty.add(out);
+                v.dirty.add(inp);
+            } else if (!visible && attached.has(key)) {
+                attached.get(key).remove();
+                v.parked.set(key, attached.get(key));
+            }
+        });
+        // Connections Drawflow removed from the model while they were detached
+        Array.from(v.parked.keys()).filter(key => !live.has(key)).forEach(key => v.parked.delete(key));
+
+        show.forEach(nid => rehydrateNode(s, nid));
+        redrawDirty(s);
+    }
+
+    // Put parked connection SVGs matching `test(outputId, outputClass, inputId, inputClass)` back on the canvas; the
+    // next pass parks them again if they are still out of view
+    function unparkConnections(s, test) {
+        const v = s.virtual;
+        if (!v?.parked.size) return;
+        v.parked.forEach((svg, key) => {
+            const [out, outputClass, inp, inputClass] = key.split("|");
+            if (!test(out, outputClass, inp, inputClass)) return;
+            s.editor.precanvas.appendChild(svg);
+            v.parked.delete(key);
+            v.dirty.add(out);
+            v.dirty.add(inp);
+        });
+        scheduleCull(s);
+    }
+
+    // Attach every culled node and connection, for work that needs the whole canvas (image export, turning it off)
+    function uncullAll(s) {
+        const v = s.virtual;
+        const live = new Set(moduleConnections(s).map(([key]) => key));
+        v.parked.forEach((svg, key) => {
+            if (live.has(key)) s.editor.precanvas.appendChild(svg);
+        });
+        v.parked.clear();
+        const ids = Array.from(v.culled.keys());
+        ids.forEach(nid => attachNode(s, nid));
+        ids.forEach(nid => rehydrateNode(s, nid));
+        redrawDirty(s);
+    }
+
+    function withAllRendered(s, fn) {
+        if (!s.virtual) return fn();
+        uncullAll(s);
+        try {
+            return fn();
+        } finally {
+            scheduleCull(s);
+        }
+    }
+
+    // Installed at creation when the feature is on, so culling can be switched on at any time; idle while it is off
+    function enableVirtualization(s) {
+        const ed = s.editor;
+
+        // Innermost wrapper: Drawflow reads both ends' ports from the DOM, so culled neighbours are attached for the
+        // redraw. A culled node's own connections wait until it (or one of them) is back on the canvas.
+        const draw = ed.updateConnectionNodes.bind(ed);
+        ed.updateConnectionNodes = nodeKey => {
+            const v = s.virtual;
+            if (!v) return draw(nodeKey);
+            const nid = String(nodeKey).substring("node-".length);
+            if (v.culled.has(nid)) {
+                v.dirty.add(nid);
+                scheduleCull(s);
+                return;
+            }
+            withRendered(s, culledNeighbours(s, nid), () => draw(nodeKey));
+        };
+
+        ["removeNodeId", "updateNodeDataFromId", "addNodeInput", "addNodeOutput", "removeNodeInput", "removeNodeOutput"].forEach(name => {
+            if (typeof ed[name] !== "function") return;
+            const fn = ed[name].bind(ed);
+            ed[name] = (nodeId, ...args) => withRendered(s, [String(nodeId).replace(/^node-/, "")], () => fn(nodeId, ...args));
+        });
+
+        // Drawflow removes a connection by its SVG: one looked up in the DOM, or every SVG found for a node
+        const removeConnection = ed.removeSingleConnection.bind(ed);
+        ed.removeSingleConnection = (outputId, inputId, outputClass, inputClass) => {
+            unparkConnections(s, (out, oc, inp, ic) =>
+                out === String(outputId) && inp === String(inputId) && oc === outputClass && ic === inputClass);
+            return removeConnection(outputId, inputId, outputClass, inputClass);
+        };
+        const removeNodeConnections = ed.removeConnectionNodeId.bind(ed);
+        ed.removeConnectionNodeId = nodeKey => {
+            const nid = String(nodeKey).replace(/^node-/, "");
+            unparkConnections(s, (out, _oc, inp) => out === nid || inp === nid);
+            return removeNodeConnections(nodeKey);
+        };
+
+        // import() and changeModule() rebuild every node element through load()
+        const load = ed.load.bind(ed);
+        ed.load = () => {
+            s.nodeEls.clear();
+            const v = s.virtual;
+            if (v) [v.culled, v.parked, v.sizes, v.labels, v.statuses].forEach(map => map.clear());
+            if (v) v.dirty.clear();
+            return load();
+        };
+
+        ["zoom", "translate", "nodeCreated", "nodeMoved", "import", "moduleChanged"].forEach(evt => ed.on(evt, () => scheduleCull(s)));
+        ed.on("nodeRemoved", nid => {
+            const key = String(nid);
+            s.nodeEls.delete(key);
+            const v = s.virtual;
+            if (!v) return;
+            [v.culled, v.sizes, v.labels, v.statuses].forEach(map => map.delete(key));
+            v.dirty.delete(key);
+            // Its detached connections are dropped by the next pass
+            scheduleCull(s);
+        });
+        addDomHandler(s, window, "resize", () => scheduleCull(s));
+    }
+
+    function startVirtualization(s, config) {
+        const margin = Math.max(0, Number((typeof config === "object" ? config?.margin : null) ?? VIRTUALIZE_DEFAULTS.margin) || 0);
+        if (s.virtual) {
+            s.virtual.margin = margin;
+        } else {
+            s.virtual = {
+                margin,
+                culled: new Map(), parked: new Map(), sizes: new Map(), labels: new Map(), statuses: new Map(),
+                dirty: new Set(), frame: 0
+            };
+        }
+        scheduleCull(s);
+    }
+
+    function stopVirtualization(s) {
+        if (!s.virtual) return;
+        uncullAll(s);
+        cancelAnimationFrame(s.virtual.frame);
+        s.virtual = null;
+    }
+
+    // Turn viewport culling on or off; `config` may set { margin } in screen pixels. Returns whether it is on,
+    // which it never is on a canvas created without the virtualization feature.
+    function setVirtualization(id, enabled, config = null) {
+        const s = ensureInstance(id);
+        if (enabled && s.features.virtualization) startVirtualization(s, config);
+        else stopVirtualization(s);
+        return !!s.virtual;
+    }
+
+    // ---- Modules (sub-workflows) ----
+    // A sub-workflow node carries `data.subworkflow`, the Drawflow module holding its body. Double-click (or Enter)
+    // drills in, a breadcrumb leads back out, and each module keeps its own pan and zoom. Drawflow raises
+    // moduleChanged before it switches, so the event is held back and raised once the new module is drawn.
+    const HOME_MODULE = "Home";
+    const BREADCRUMB_CLASS = "bw-breadcrumb";
+
+    // The sub-workflow node whose body is `module`, as { module, nid } of where that node sits
+    function moduleParent(s, module) {
+        const modules = s.editor.drawflow.drawflow;
+        for (const [name, page] of Object.entries(modules)) {
+            const nid = Object.keys(page.data || {}).find(k => page.data[k].data?.subworkflow === module);
+            if (nid != null) return { module: name, nid };
+        }
+        return null;
+    }
+
+    // Modules from Home down to `module`, each with the title of the node that opens it
+    function moduleTrail(s, module) {
+        const trail = [];
+        const seen = new Set();
+        for (let name = module; name && !seen.has(name); ) {
+            seen.add(name);
+            if (name === HOME_MODULE) {
+                trail.unshift({ module: name, title: HOME_MODULE });
+                break;
+            }
+            const parent = moduleParent(s, name);
+            const html = parent ? s.editor.drawflow.drawflow[parent.module].data[parent.nid].html : "";
+            trail.unshift({ module: name, title: htmlSearchText(html).title || name });
+            name = parent ? parent.module : HOME_MODULE;
+        }
+        return trail;
+    }
+
+    function renderBreadcrumb(s) {
+        const ed = s.editor;
+        let nav = s.modules.breadcrumb;
+        if (!nav) {
+            nav = document.createElement("nav");
+            nav.className = BREADCRUMB_CLASS;
+            nav.setAttribute("aria-label", "Sub-workflows");
+            // Keep Drawflow from treating clicks in the bar as canvas clicks (deselect / pan start)
+            ["mousedown", "wheel", "dblclick"].forEach(type => nav.addEventListener(type, e => e.stopPropagation()));
+            ed.container.appendChild(nav);
+            s.modules.breadcrumb = nav;
+        }
+
+        nav.hidden = ed.module === HOME_MODULE;
+        nav.replaceChildren();
+        if (nav.hidden) return;
+
+        moduleTrail(s, ed.module).forEach((crumb, i, trail) => {
+            if (i > 0) {
+                const separator = document.createElement("span");
+                separator.className = "bw-breadcrumb-separator";
+                separator.setAttribute("aria-hidden", "true");
+                separator.textContent = "›";
+                nav.appendChild(separator);
+            }
+            if (i === trail.length - 1) {
+                const current = document.createElement("span");
+                current.className = "bw-breadcrumb-current";
+                current.setAttribute("aria-current", "page");
+                current.textContent = crumb.title;
+                nav.appendChild(current);
+            } else {
+                const button = frameButton("bw-breadcrumb-link", "Open " + crumb.title, crumb.title);
+                button.addEventListener("click", () => openModule(s.id, crumb.module));
+                nav.appendChild(button);
+            }
+        });
+    }
+
+    // Labels and title widths live on the node elements, which a module switch rebuilds
+    function relabelModule(s) {
+        Object.keys(moduleData(s)).forEach(nid => {
+            const labels = s.portLabels.get(nid);
+            if (labels) labelPorts(s.id, nid, labels[0], labels[1]);
+            setNodeWidthFromTitle(s.id, nid);
+        });
+        updateConnectionNodes(s.id);
+    }
+
+    function applyView(s, view) {
+        const ed = s.editor;
+        ed.zoom = view.zoom;
+        ed.zoom_last_value = view.zoom;
+        ed.canvas_x = view.x;
+        ed.canvas_y = view.y;
+        ed.precanvas.style.transform = "translate(" + ed.canvas_x + "px, " + ed.canvas_y + "px) scale(" + ed.zoom + ")";
+        ed.dispatch("zoom", ed.zoom);
+        ed.dispatch("translate", { x: ed.canvas_x, y: ed.canvas_y });
+    }
+
+    // The body of a removed sub-workflow node goes with it, nested sub-workflows included,
+    // unless a pasted copy of the node still opens it
+    function removeSubWorkflowModule(s, module) {
+        const modules = s.editor.drawflow.drawflow;
+        if (!s.modules || module === HOME_MODULE || !modules[module] || moduleParent(s, module)) return;
+        const nested = Object.values(modules[module].data || {}).map(n => n.data?.subworkflow).filter(Boolean);
+        s.modules.views.delete(module);
+        s.editor.removeModule(module);
+        nested.forEach(name => removeSubWorkflowModule(s, name));
+    }
+
+    function enableModules(s) {
+        const ed = s.editor;
+        s.modules = { switching: false, breadcrumb: null, views: new Map() };
+
+        const dispatch = ed.dispatch.bind(ed);
+        ed.dispatch = (event, details) => {
+            if (event === "moduleChanged" && s.modules.switching) return;
+            return dispatch(event, details);
+        };
+
+        const changeModule = ed.changeModule.bind(ed);
+        ed.changeModule = name => {
+            if (name === ed.module || !ed.drawflow.drawflow[name]) return;
+            s.modules.views.set(ed.module, { x: ed.canvas_x, y: ed.canvas_y, zoom: ed.zoom });
+            clearSelection(s.id);
+            s.modules.switching = true;
+            try {
+                changeModule(name);
+            } finally {
+                s.modules.switching = false;
+            }
+            relabelModule(s);
+            const view = s.modules.views.get(name);
+            if (view) applyView(s, view);
+            else fitToView(s.id);
+            ed.dispatch("moduleChanged", name);
+        };
+
+        // A snapshot or import without the module on screen falls back to Home instead of failing to load
+        const load = ed.load.bind(ed);
+        ed.load = () => {
+            const missing = !ed.drawflow.drawflow[ed.module];
+            if (missing) ed.module = HOME_MODULE;
+            const result = load();
+            if (missing) ed.dispatch("moduleChanged", ed.module);
+            return result;
+        };
+
+        const removeNodeId = ed.removeNodeId.bind(ed);
+        ed.removeNodeId = key => {
+            const module = moduleData(s)[String(key).replace(/^node-/, "")]?.data?.subworkflow;
+            const result = removeNodeId(key);
+            if (module) removeSubWorkflowModule(s, module);
+            return result;
+        };
+
+        // Runs before setNodeDoubleClickCallback's handler, so a sub-workflow node opens instead of the node editor
+        addDomHandler(s, ed.container, "dblclick", e => {
+            const nid = e.target.closest(".drawflow-node")?.id.substring("node-".length);
+            if (nid && openSubWorkflow(s.id, nid)) e.stopImmediatePropagation();
+        }, true);
+
+        addShortcuts(s, "canvas", {
+            "canvas.openParent": () => {
+                if (ed.module === HOME_MODULE) return false;
+                openModule(s.id, moduleParent(s, ed.module)?.module ?? HOME_MODULE);
+            }
+        });
+
+        // .NET labels every node after an import, so only labels set since then are kept
+        ed.on("import", () => s.portLabels.clear());
+        ["import", "moduleChanged"].forEach(evt => ed.on(evt, () => renderBreadcrumb(s)));
+        renderBreadcrumb(s);
+    }
+
+    // Show `module`; returns false when it does not exist or the canvas has no modules feature
+    function openModule(id, module) {
+        const s = ensureInstance(id);
+        const name = String(module);
+        if (!s.modules || !s.editor.drawflow.drawflow[name]) return false;
+        s.editor.changeModule(name);
+        return true;
+    }
+
+    // Drill into a sub-workflow node's body; returns false for any other node
+    function openSubWorkflow(id, nodeId) {
+        const s = ensureInstance(id);
+        const module = moduleData(s)[String(nodeId)]?.data?.subworkflow;
+        return !!module && openModule(id, module);
+    }
+
+    function currentModule(id) {
+        return ensureInstance(id).editor.module;
+    }
+
+    // ---- Minimap ----
+    const MINIMAP_DEFAULTS = { width: 200, height: 140, padding: 40 };
+    const MINIMAP_EVENTS = [
+        "zoom", "translate", "nodeMoved", "nodeCreated", "nodeRemoved",
+        "connectionCreated", "connectionRemoved", "import", "moduleChanged"
+    ];
+
+    // Visible part of the canvas, in canvas coordinates
+    function viewportRect(s) {
+        const ed = s.editor;
+        const host = ed.container.getBoundingClientRect();
+        const origin = clientToCanvas(s, host.left, host.top);
+        return { x: origin.x, y: origin.y, w: host.width / ed.zoom, h: host.height / ed.zoom };
+    }
+
+    // World bounds (all nodes plus the viewport) and the scale that fits them into the minimap
+    function minimapFrame(s) {
+        const m = s.minimap;
+        const data = moduleData(s);
+        const view = viewportRect(s);
+        let minX = view.x, minY = view.y, maxX = view.x + view.w, maxY = view.y + view.h;
+        const boxes = Object.keys(data).map(nid => {
+            const box = nodeBox(s, nid);
+            minX = Math.min(minX, box.x);
+            minY = Math.min(minY, box.y);
+            maxX = Math.max(maxX, box.x + box.w);
+            maxY = Math.max(maxY, box.y + box.h);
+            return box;
+        });
+        minX -= m.padding; minY -= m.padding; maxX += m.padding; maxY += m.padding;
+        const scale = Math.min(m.width / (maxX - minX), m.height / (maxY - minY));
+        // Centre the world inside the minimap
+        const offX = (m.width - (maxX - minX) * scale) / 2;
+        const offY = (m.height - (maxY - minY) * scale) / 2;
+        return { minX, minY, scale, offX, offY, boxes, view };
+    }
+
+    function drawMinimap(s) {
+        const m = s.minimap;
+        if (!m) return;
+        const data = moduleData(s);
+        const f = minimapFrame(s);
+        m.frame = f;
+        const toX = x => f.offX + (x - f.minX) * f.scale;
+        const toY = y => f.offY + (y - f.minY) * f.scale;
+
+        const style = getComputedStyle(s.editor.container);
+        const color = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+
+        const ctx = m.canvas.getContext("2d");
+        const dpr = window.devicePixelRatio || 1;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, m.width, m.height);
+
+        const byId = new Map(f.boxes.map(b => [b.id, b]));
+        ctx.strokeStyle = color("--df-wire", "#6ea0ff");
+        ctx.globalAlpha = 0.6;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        f.boxes.forEach(b => {
+            Object.values(data[b.id].outputs || {}).forEach(port => {
+                (port.connections || []).forEach(c => {
+                    const to = byId.get(String(c.node));
+                    if (!to) return;
+                    ctx.moveTo(toX(b.x + b.w), toY(b.y + b.h / 2));
+                    ctx.lineTo(toX(to.x), toY(to.y + to.h / 2));
+                });
+            });
+        });
+        ctx.stroke();
+
+        ctx.globalAlpha = 1;
+        const selectedFill = color("--df-accent", "#6ea0ff");
+        const nodeFill = color("--df-node-2", "#334155");
+        f.boxes.forEach(b => {
+            ctx.fillStyle = s.selection.has(b.id) ? selectedFill : nodeFill;
+            ctx.fillRect(toX(b.x), toY(b.y), Math.max(2, b.w * f.scale), Math.max(2, b.h * f.scale));
+        });
+
+        const v = m.viewport.style;
+        v.left = toX(f.view.x) + "px";
+        v.top = toY(f.view.y) + "px";
+        v.width = f.view.w * f.scale + "px";
+        v.height = f.view.h * f.scale + "px";
+    }
+
+    function scheduleMinimap(s) {
+        if (!s.minimap || s.minimap.frameRequest) return;
+        s.minimap.frameRequest = requestAnimationFrame(() => {
+            if (!s.minimap) return;
+            s.minimap.frameRequest = 0;
+            drawMinimap(s);
+        });
+    }
+
+    // Pan so the canvas point (wx, wy) becomes the viewport centre
+    function centerOn(s, wx, wy) {
+        const ed = s.editor;
+        const view = viewportRect(s);
+
+        ed.canvas_x -= (wx - (view.x + view.w / 2)) * ed.zoom;
+        ed.canvas_y -= (wy - (view.y + view.h / 2)) * ed.zoom;
+        ed.precanvas.style.transform = "translate(" + ed.canvas_x + "px, " + ed.canvas_y + "px) scale(" + ed.zoom + ")";
+        ed.dispatch("translate", { x: ed.canvas_x, y: ed.canvas_y });
+    }
+
+    // Pan so the canvas point under the minimap pointer becomes the viewport centre
+    function panToMinimapPoint(s, e) {
+        const m = s.minimap;
+        const f = m.frame;
+        if (!f) return;
+        const rect = m.canvas.getBoundingClientRect();
+        centerOn(s, f.minX + (e.clientX - rect.left - f.offX) / f.scale, f.minY + (e.clientY - rect.top - f.offY) / f.scale);
+    }
+
+    function showMinimap(s, config) {
+        if (s.minimap) return;
+        const m = Object.assign({}, MINIMAP_DEFAULTS, typeof config === "object" ? config : {});
+
+        const root = document.createElement("div");
+        root.className = "bw-minimap";
+        root.style.width = m.width + "px";
+        root.style.height = m.height + "px";
+
+        const canvas = document.createElement("canvas");
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = m.width * dpr;
+        canvas.height = m.height * dpr;
+        canvas.style.width = m.width + "px";
+        canvas.style.height = m.height + "px";
+
+        const viewport = document.createElement("div");
+        viewport.className = "bw-minimap-viewport";
+
+        root.appendChild(canvas);
+        root.appendChild(viewport);
+        s.editor.container.appendChild(root);
+        Object.assign(m, { root, canvas, viewport, frame: null, frameRequest: 0, dragging: false, handlers: [] });
+        s.minimap = m;
+
+        // Keep Drawflow from treating minimap clicks as canvas clicks (deselect / pan start)
+        const onDown = e => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            e.stopPropagation();
+            m.dragging = true;
+            panToMinimapPoint(s, e);
+        };
+        const onMove = e => { if (m.dragging) panToMinimapPoint(s, e); };
+        const onUp = () => { m.dragging = false; };
+        root.addEventListener("mousedown", onDown);
+        document.addEventListener("mousemove", onMove);
+        document.addEventListener("mouseup", onUp);
+        m.handlers.push([root, "mousedown", onDown], [document, "mousemove", onMove], [document, "mouseup", onUp]);
+
+        const redraw = () => scheduleMinimap(s);
+        MINIMAP_EVENTS.forEach(evt => {
+            try { s.editor.on(evt, redraw); m.handlers.push([null, evt, redraw]); } catch { }
+        });
+        drawMinimap(s);
+    }
+
+    function hideMinimap(s) {
+        const m = s.minimap;
+        if (!m) return;
+        s.minimap = null;
+        if (m.frameRequest) cancelAnimationFrame(m.frameRequest);
+        m.handlers.forEach(([target, type, handler]) => {
+            if (target) target.removeEventListener(type, handler);
+            else try { s.editor.removeListener(type, handler); } catch { }
+        });
+        m.root.remove();
+    }
+
+    // Show/hide the minimap at runtime; `config` may carry { width, height, padding }
+    function setMinimap(id, visible, config = null) {
+        const s = ensureInstance(id);
+        if (visible) showMinimap(s, config);
+        else hideMinimap(s);
+        return !!s.minimap;
+    }
+
+    return {
+        create, destroy, on, off, call, get, set, labelPorts, setNodeStatus, setBulkNodeStatus, setNodeDoubleClickCallback, setNodeWidthFromTitle, updateConnectionNodes,
+        getEditor, editorForElement, hostIdForElement, instanceIds,
+        copyNodes, cutNodes, pasteNodes, duplicateNodes, enableClipboard, enableShortcuts,
+        enableSelection, getSelection, selectNodes, clearSelection, moveNodes,
+        autoLayout, setMinimap,
+        alignNodes, distributeNodes, setGrid, setGuides,
+        setRouting, registerRouting, exportSvg, exportPng,
+        setRunActive, clearRunState, setDebugPause, setTypeChecking, setPortTypes,
+        enableContextMenu, setContextMenuItems, spliceConnection, fitToView, enableNodeDrop,
+        addFrame, removeFrame, updateFrame, getFrames,
+        addNote, removeNote, updateNote, getNotes,
+        searchNodes, closeSearch, setVirtualization,
+        openModule, openSubWorkflow, currentModule,
+        host, paramChanged
+    };
+})();
+
+window.nextFrame = () => {
+    return new Promise(resolve => requestAnimationFrame(() => resolve()));
+};
+
+window.scrollIntoViewIfNeeded = (element) => {
+    if (!element) return;
+
+    const rect = element.getBoundingClientRect();
+    const parent = element.parentElement;
+    if (!parent) return;
+
+    const parentRect = parent.getBoundingClientRect();
+
+    // Check if element is outside the visible area
+    if (rect.top < parentRect.top || rect.bottom > parentRect.bottom) {
+        element.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+};
+
+function _measureTextPx(text, font = "12px 'Helvetica Neue', Helvetica, Arial, sans-serif") {
+    const span = document.createElement('span');
+    span.style.visibility = 'hidden';
+    span.style.whiteSpace = 'pre';
+    span.style.font = font;
+    span.textContent = text;
+    document.body.appendChild(span);
+
+    const width = span.getBoundingClientRect().width;
+    span.remove();
+    return Math.ceil(width);
+}
+
+// Position popover relative to button
+window.positionPopover = function(buttonElement, popoverElement) {
+    if (!buttonElement || !popoverElement) return;
+
+    const buttonRect = buttonElement.getBoundingClientRect();
+    const popoverRect = popoverElement.getBoundingClientRect();
+
+    // Position above the button with some spacing
+    const top = buttonRect.top - popoverRect.height - 8;
+    const left = buttonRect.right - popoverRect.width;
+
+    // Ensure it doesn't go off screen
+    const finalTop = Math.max(10, top);
+    const finalLeft = Math.max(10, Math.min(left, window.innerWidth - popoverRect.width - 10));
+
+    popoverElement.style.top = finalTop + 'px';
+    popoverElement.style.left = finalLeft + 'px';
+}
+
+// Calls `onAway(event)` for clicks outside every element in `elements`; returns a function that detaches it
+function _addClickAway(elements, onAway) {
+    const handler = function(event) {
+        const clickedInside = elements.some(el => el && el.contains(event.target));
+        if (!clickedInside) {
+            onAway(event);
+        }
+    };
+
+    // Add listener with a small delay to avoid immediately closing from the same click that opened it
+    const timer = setTimeout(() => {
+        document.addEventListener('click', handler);
+    }, 100);
+
+    return function() {
+        clearTimeout(timer);
+        document.removeEventListener('click', handler);
+    };
+}
+
+// Click-away handler for popover
+let _removePopoverClickAway = null;
+let _popoverDotNetRef = null;
+
+window.setupPopoverClickAway = function(dotNetRef, popoverElement, buttonElement) {
+    // Clean up any existing handler
+    window.removePopoverClickAway();
+
+    _popoverDotNetRef = dotNetRef;
+
+    // Close the popover on clicks outside both the popover and the button
+    _removePopoverClickAway = _addClickAway([popoverElement, buttonElement], function() {
+        if (_popoverDotNetRef) {
+            _popoverDotNetRef.invokeMethodAsync('ClosePopover');
+        }
+    });
+}
+
+window.removePopoverClickAway = function() {
+    if (_removePopoverClickAway) {
+        _removePopoverClickAway();
+        _removePopoverClickAway = null;
+    }
+    _popoverDotNetRef = null;
+}
+
+// Keyboard shortcut registry. Actions are defined once by name with default bindings; hosts override the defaults
+// through configure() (from .NET options) and users through setUserBinding() (kept in localStorage), in that order
+// of precedence. Components activate a scope with handlers for the actions they implement. Scopes are checked
+// from the top of SCOPE_ORDER down, and a modal activation keeps the scopes below it from seeing the key.
+window.BlazorWorkflowShortcuts = (function () {
+    const STORAGE_KEY = "blazorworkflow.shortcuts";
+    const SCOPE_ORDER = ["overlay", "prompt", "nodeEditor", "search", "node", "canvas"];
+    const SCOPE_TITLES = { overlay: "This list", prompt: "Prompt", nodeEditor: "Node editor", search: "Canvas search", node: "Focused node", canvas: "Canvas" };
+    const MODIFIER_KEYS = ["Control", "Meta", "Alt", "Shift", "AltGraph"];
+    const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+    const actions = new Map();
+    const activations = [];
+    let configured = {};
+    let userBindings = loadUserBindings();
+    let nextToken = 1;
+    let listening = false;
+    let cheatSheet = null;
+
+    // `inInputs`: also fires while the user types in an input, textarea or contenteditable element
+    function defineAction(name, { label, scope, keys = [], inInputs = false }) {
+        actions.set(name, { name, label: label || name, scope, keys: [...keys], inInputs });
+    }
+
+    [
+        ["canvas.undo", "Undo", "canvas", ["Mod+Z"]],
+        ["canvas.redo", "Redo", "canvas", ["Mod+Shift+Z", "Mod+Y"]],
+        ["canvas.copy", "Copy selected nodes", "canvas", ["Mod+C"]],
+        ["canvas.cut", "Cut selected nodes", "canvas", ["Mod+X"]],
+        ["canvas.duplicate", "Duplicate selected nodes", "canvas", ["Mod+D"]],
+        ["canvas.shortcuts", "Show keyboard shortcuts", "canvas", ["?"]],
+        ["canvas.search", "Find nodes", "canvas", ["Mod+F"]],
+        ["canvas.openParent", "Leave the sub-workflow", "canvas", ["Mod+ArrowUp"]],
+        ["node.open", "Open the node editor", "node", ["Enter"]],
+        ["node.delete", "Delete the node", "node", ["Delete", "Backspace"]],
+        ["node.connect", "Pick a port to connect", "node", ["C"]],
+        ["node.cancel", "Cancel the connection", "node", ["Escape"]]
+    ].forEach(([name, label, scope, keys]) => defineAction(name, { label, scope, keys }));
+    [
+        ["nodeEditor.undo", "Undo", "nodeEditor", ["Mod+Z"]],
+        ["nodeEditor.redo", "Redo", "nodeEditor", ["Mod+Shift+Z", "Mod+Y"]],
+        ["prompt.submit", "Submit", "prompt", ["Enter"]],
+        ["prompt.cancel", "Cancel", "prompt", ["Escape"]],
+        ["search.next", "Next match", "search", ["Enter"]],
+        ["search.previous", "Previous match", "search", ["Shift+Enter"]],
+        ["search.close", "Close the search", "search", ["Escape"]]
+    ].forEach(([name, label, scope, keys]) => defineAction(name, { label, scope, keys, inInputs: true }));
+
+    function loadUserBindings() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}") || {};
+        } catch {
+            return {};
+        }
+    }
+
+    function saveUserBindings() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(userBindings));
+        } catch { }
+    }
+
+    function keysFor(name) {
+        return userBindings[name] ?? configured[name] ?? actions.get(name)?.keys ?? [];
+    }
+
+    function normalizeKey(key) {
+        if (key === " ") return "Space";
+        return key.length === 1 ? key.toUpperCase() : key;
+    }
+
+    // "Mod+Shift+Z" -> { mod, alt, shift, key }; Mod is Ctrl, or Cmd on macOS
+    function parseBinding(binding) {
+        const parts = String(binding).split("+");
+        let key = parts.pop();
+        if (key === "" && parts.length) {
+            parts.pop();
+            key = "+";
+        }
+        const mods = new Set(parts.map(p => p.trim().toLowerCase()));
+        return {
+            mod: ["mod", "ctrl", "control", "cmd", "meta"].some(m => mods.has(m)),
+            alt: mods.has("alt"),
+            shift: mods.has("shift"),
+            key: normalizeKey(key.trim() || key)
+        };
+    }
+
+    // Symbols already carry their Shift ("?" is Shift+/ on most layouts), so Shift only counts for letters, digits and named keys
+    function matches(binding, e) {
+        const b = parseBinding(binding);
+        const symbol = b.key.length === 1 && !/[A-Z0-9]/.test(b.key);
+        return b.key === normalizeKey(e.key) && b.mod === (e.ctrlKey || e.metaKey) && b.alt === e.altKey &&
+            (symbol || b.shift === e.shiftKey);
+    }
+
+    function formatBinding(binding) {
+        const b = parseBinding(binding);
+        return [b.mod && (IS_MAC ? "⌘" : "Ctrl"), b.alt && (IS_MAC ? "⌥" : "Alt"), b.shift && "Shift", b.key]
+            .filter(Boolean).join("+");
+    }
+
+    function isEditable(el) {
+        return !!el && (el.tagName === "INPUT" || el.tagName === "TEXTAREA" || el.tagName === "SELECT" || el.isContentEditable);
+    }
+
+    function onKeyDown(e) {
+        if (e.isComposing || !e.key || MODIFIER_KEYS.includes(e.key)) return;
+        const typing = isEditable(e.target);
+
+        for (const scope of SCOPE_ORDER) {
+            const live = activations.filter(a => a.scope === scope && (!a.when || a.when())).reverse();
+            for (const a of live) {
+                for (const [name, handler] of Object.entries(a.handlers)) {
+                    const action = actions.get(name);
+                    if (!action || (typing && !action.inInputs)) continue;
+                    if (!keysFor(name).some(k => matches(k, e))) continue;
+                    // A handler returns false to pass on a key it has nothing to do with (Ctrl+C without a selection)
+                    if (handler(e) === false) continue;
+                    e.preventDefault();
+                    e.stopPropagation();
+                    return;
+                }
+            }
+            if (live.some(a => a.modal)) return;
+        }
+    }
+
+    // Start handling `handlers` ({ actionName: event => ... }) in `scope`. Options: { when, modal }.
+    // Later activations in a scope are asked first. Returns a handle whose dispose() ends the activation.
+    function activate(scope, handlers, options = null) {
+        if (!SCOPE_ORDER.includes(scope)) throw new Error("Unknown shortcut scope: " + scope);
+        const activation = { token: nextToken++, scope, handlers: handlers || {}, when: options?.when, modal: !!options?.modal };
+        activations.push(activation);
+        if (!listening) {
+            // Capture phase, so a modal's Ctrl+Z wins over the focused textarea's own undo
+            document.addEventListener("keydown", onKeyDown, true);
+            listening = true;
+        }
+        return {
+            token: activation.token,
+            dispose: () => deactivate(activation.token)
+        };
+    }
+
+    // For .NET components: `methods` maps action names to [JSInvokable] method names on `dotNetRef`. Returns a token for deactivate().
+    function activateDotNet(scope, dotNetRef, methods, options = null) {
+        const handlers = {};
+        Object.entries(methods || {}).forEach(([name, method]) => {
+            handlers[name] = () => { dotNetRef.invokeMethodAsync(method); };
+        });
+        return activate(scope, handlers, options).token;
+    }
+
+    function deactivate(token) {
+        const index = activations.findIndex(a => a.token === token);
+        if (index < 0) return false;
+        activations.splice(index, 1);
+        if (!activations.length && listening) {
+            document.removeEventListener("keydown", onKeyDown, true);
+            listening = false;
+        }
+        return true;
+    }
+
+    // Host defaults from .NET ({ actionName: ["Mod+K"] }); an empty list unbinds the action
+    function configure(bindings) {
+        configured = Object.assign({}, bindings || {});
+        renderCheatSheet();
+    }
+
+    // A user's own binding, kept in localStorage; null or undefined goes back to the host or built-in default
+    function setUserBinding(name, keys) {
+        if (!actions.has(name)) throw new Error("Unknown shortcut action: " + name);
+        if (keys == null) delete userBindings[name];
+        else userBindings[name] = Array.from(keys, String);
+        saveUserBindings();
+        renderCheatSheet();
+        return keysFor(name);
+    }
+
+    function resetUserBindings() {
+        userBindings = {};
+        saveUserBindings();
+        renderCheatSheet();
+    }
+
+    function getBindings() {
+        return Array.from(actions.values()).map(a => ({
+            name: a.name,
+            label: a.label,
+            scope: a.scope,
+            keys: keysFor(a.name),
+            customized: a.name in userBindings
+        }));
+    }
+
+    // ---- Cheat sheet ("?") ----
+    // Keys that move focus around the canvas; they are fixed, so the sheet lists them as text
+    const NAVIGATION_HELP = [
+        ["Tab, arrow keys", "Move between nodes"],
+        ["Alt+arrow keys", "Move the focused node"],
+        ["Alt+Shift+arrow keys", "Move the focused node by one pixel"]
+    ];
+
+    function keyCell(text) {
+        const cell = document.createElement("td");
+        text.split(", ").forEach((part, i) => {
+            if (i) cell.append(" ");
+            const kbd = document.createElement("kbd");
+            kbd.textContent = part;
+            cell.appendChild(kbd);
+        });
+        return cell;
+    }
+
+    function shortcutRow(keys, label) {
+        const row = document.createElement("tr");
+        const name = document.createElement("td");
+        name.textContent = label;
+        row.append(keys ? keyCell(keys) : Object.assign(document.createElement("td"), { textContent: "Not bound" }), name);
+        return row;
+    }
+
+    function renderCheatSheet() {
+        if (!cheatSheet) return;
+        const body = cheatSheet.querySelector(".bw-shortcuts-body");
+        body.replaceChildren();
+        const bindings = getBindings();
+
+        SCOPE_ORDER.slice().reverse().forEach(scope => {
+            const rows = bindings.filter(b => b.scope === scope);
+            if (!rows.length) return;
+            const section = document.createElement("section");
+            const title = document.createElement("h3");
+            title.textContent = SCOPE_TITLES[scope];
+            const table = document.createElement("table");
+            if (scope === "node") NAVIGATION_HELP.forEach(([keys, label]) => table.appendChild(shortcutRow(keys, label)));
+            rows.forEach(b => table.appendChild(shortcutRow(b.keys.map(formatBinding).join(", "), b.label)));
+            section.append(title, table);
+            body.appendChild(section);
+        });
+    }
+
+    function showCheatSheet() {
+        if (cheatSheet) return;
+        const returnFocus = document.activeElement;
+        const overlay = document.createElement("div");
+        overlay.className = "bw-lib bw-shortcuts-overlay";
+
+        const dialog = document.createElement("div");
+        dialog.className = "bw-shortcuts";
+        dialog.setAttribute("role", "dialog");
+        dialog.setAttribute("aria-modal", "true");
+        dialog.setAttribute("aria-labelledby", "bw-shortcuts-title");
+        dialog.tabIndex = -1;
+
+        const header = document.createElement("div");
+        header.className = "bw-shortcuts-header";
+        const title = document.createElement("h2");
+        title.id = "bw-shortcuts-title";
+        title.textContent = "Keyboard shortcuts";
+        const close = document.createElement("button");
+        close.type = "button";
+        close.className = "bw-shortcuts-close";
+        close.setAttribute("aria-label", "Close");
+        close.textContent = "×";
+        close.addEventListener("click", hideCheatSheet);
+        header.append(title, close);
+
+        const body = document.createElement("div");
+        body.className = "bw-shortcuts-body";
+        dialog.append(header, body);
+        overlay.appendChild(dialog);
+        overlay.addEventListener("mousedown", e => {
+            if (e.target === overlay) hideCheatSheet();
+        });
+
+        // While open the sheet is the top modal: Escape closes it and nothing underneath reacts
+        const activation = activate("overlay", { "shortcuts.close": hideCheatSheet }, { modal: true });
+        cheatSheet = overlay;
+        cheatSheet.dispose = () => {
+            activation.dispose();
+            if (returnFocus instanceof HTMLElement && returnFocus.isConnected) returnFocus.focus({ preventScroll: true });
+        };
+        document.body.appendChild(overlay);
+        renderCheatSheet();
+        dialog.focus();
+    }
+
+    function hideCheatSheet() {
+        if (!cheatSheet) return;
+        const sheet = cheatSheet;
+        cheatSheet = null;
+        sheet.remove();
+        sheet.dispose();
+    }
+
+    function toggleCheatSheet(show = null) {
+        if (show ?? !cheatSheet) showCheatSheet();
+        else hideCheatSheet();
+        return !!cheatSheet;
+    }
+
+    defineAction("shortcuts.close", { label: "Close this list", scope: "overlay", keys: ["Escape", "?"], inInputs: true });
+
+    return {
+        defineAction, configure, setUserBinding, resetUserBindings, getBindings,
+        activate, activateDotNet, deactivate, toggleCheatSheet
+    };
+})();
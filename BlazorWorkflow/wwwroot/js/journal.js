@@ -0,0 +1,248 @@
+// wwwroot/js/journal.js
+// Autosave journal, imported by WorkflowGraph through JS isolation when autosave is on. A debounced copy of the
+// canvas (editor.export() plus zoom and translate) kept in IndexedDB per workflow, so a crashed tab or a dropped
+// circuit loses nothing. The host clears it once the workflow is saved.
+
+const DB_NAME = "blazorworkflow-journal";
+const STORE = "snapshots";
+const DEFAULTS = { delay: 1000, maxEntries: 5, maxBytes: 5 * 1024 * 1024 };
+// Events that leave the exported canvas as it was
+const IGNORED = new Set(["nodeSelected", "nodeUnselected", "connectionSelected", "connectionUnselected", "selectionChanged"]);
+let db = null;
+
+function openDb() {
+    if (!db) {
+        db = new Promise((resolve, reject) => {
+            if (!window.indexedDB) throw new Error("IndexedDB is not available");
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true }).createIndex("key", "key");
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Try again next time (private browsing, storage blocked)
+        db.catch(() => { db = null; });
+    }
+    return db;
+}
+
+// `fn(store, setResult)` queues its requests in one transaction; resolves with the result once it commits
+async function transaction(mode, fn) {
+    const opened = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = opened.transaction(STORE, mode);
+        let result;
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = tx.onabort = () => reject(tx.error);
+        fn(tx.objectStore(STORE), value => { result = value; });
+    });
+}
+
+// Oldest first
+function entries(key) {
+    return transaction("readonly", (store, done) => {
+        const request = store.index("key").getAll(key);
+        request.onsuccess = () => done(request.result.sort((a, b) => a.savedAt - b.savedAt || a.id - b.id));
+    });
+}
+
+function deleteEntries(key, upTo = Infinity) {
+    return transaction("readwrite", store => {
+        const request = store.index("key").getAll(key);
+        request.onsuccess = () => request.result.filter(e => e.savedAt <= upTo).forEach(e => store.delete(e.id));
+    });
+}
+
+// Nodes of every module by collaboration key (Drawflow id for data saved without one), with their titles
+function journalNodes(exported) {
+    const nodes = new Map();
+    const template = document.createElement("template");
+    Object.entries(exported?.drawflow || {}).forEach(([module, m]) => {
+        Object.entries(m.data || {}).forEach(([nid, n]) => {
+            template.innerHTML = n.html || "";
+            const title = template.content.querySelector(".bw-title")?.textContent.trim() || n.name || "Node " + nid;
+            nodes.set(n.data?.key || module + ":" + nid, { module, id: String(nid), node: n, title });
+        });
+    });
+    return nodes;
+}
+
+function journalConnections(nodes) {
+    const keyOf = new Map(Array.from(nodes, ([key, n]) => [n.module + ":" + n.id, key]));
+    const connections = new Set();
+    nodes.forEach((n, key) => {
+        Object.entries(n.node.outputs || {}).forEach(([output, port]) => {
+            (port.connections || []).forEach(c => {
+                connections.add(key + ":" + output + ">" + (keyOf.get(n.module + ":" + c.node) ?? c.node) + ":" + c.output);
+            });
+        });
+    });
+    return connections;
+}
+
+// Same value, whatever order the keys were written in
+function stableJson(value) {
+    if (Array.isArray(value)) return "[" + value.map(stableJson).join(",") + "]";
+    if (value && typeof value === "object") {
+        return "{" + Object.keys(value).sort().map(k => JSON.stringify(k) + ":" + stableJson(value[k])).join(",") + "}";
+    }
+    return JSON.stringify(value) ?? "null";
+}
+
+// What restoring `journal` would change on a canvas showing `current`; the viewport doesn't count
+function diffJournal(current, journal) {
+    const before = journalNodes(current), after = journalNodes(journal);
+    const diff = { added: [], removed: [], changed: [], moved: [] };
+    after.forEach((n, key) => {
+        const old = before.get(key);
+        if (!old) diff.added.push(n.title);
+        else if (stableJson(old.node.data) !== stableJson(n.node.data)) diff.changed.push(n.title);
+        else if (old.node.pos_x !== n.node.pos_x || old.node.pos_y !== n.node.pos_y) diff.moved.push(n.title);
+    });
+    before.forEach((n, key) => { if (!after.has(key)) diff.removed.push(n.title); });
+
+    const connectionsBefore = journalConnections(before), connectionsAfter = journalConnections(after);
+    diff.connectionsAdded = Array.from(connectionsAfter).filter(c => !connectionsBefore.has(c)).length;
+    diff.connectionsRemoved = Array.from(connectionsBefore).filter(c => !connectionsAfter.has(c)).length;
+
+    const extras = exported => stableJson(Object.entries(exported?.drawflow || {})
+        .map(([module, m]) => [module, m.frames || [], m.notes || []]).filter(([, f, n]) => f.length || n.length));
+    diff.framesOrNotesChanged = extras(current) !== extras(journal);
+
+    diff.total = diff.added.length + diff.removed.length + diff.changed.length + diff.moved.length +
+        diff.connectionsAdded + diff.connectionsRemoved + (diff.framesOrNotesChanged ? 1 : 0);
+    return diff;
+}
+
+/**
+ * Journal the canvas `canvasId` under `key` (the workflow id). Options: { delay, maxEntries, maxBytes }. Call
+ * recover() next to find what an earlier session left behind.
+ */
+export function createJournal(canvasId, key, options = null) {
+    const host = window.DrawflowBlazor.host(canvasId);
+    const ed = host.editor;
+    const o = Object.assign({}, DEFAULTS, options || {});
+    const j = {
+        key: String(key), delay: o.delay, maxEntries: Math.max(1, o.maxEntries), maxBytes: o.maxBytes,
+        timer: 0, lastWrite: 0, recovered: null, dirty: false
+    };
+
+    function schedule(eventName) {
+        if (IGNORED.has(eventName)) return;
+        // Hold off while a recovered journal waits for the user, so it can't be pushed out of the bounds
+        if (j.recovered) {
+            j.dirty = true;
+            return;
+        }
+        clearTimeout(j.timer);
+        j.timer = setTimeout(write, j.delay);
+    }
+
+    function flush() {
+        if (!j.timer) return;
+        clearTimeout(j.timer);
+        write();
+    }
+
+    function write() {
+        j.timer = 0;
+        const drawflow = JSON.stringify(ed.export());
+        const entry = {
+            key: j.key, savedAt: Date.now(), size: drawflow.length, drawflow,
+            module: ed.module, zoom: ed.zoom, x: ed.canvas_x, y: ed.canvas_y
+        };
+        j.lastWrite = entry.savedAt;
+        transaction("readwrite", store => {
+            store.add(entry);
+            const request = store.index("key").getAll(j.key);
+            request.onsuccess = () => {
+                // Newest first; the newest always stays, older ones while they fit in the bounds
+                let bytes = 0;
+                request.result.sort((a, b) => b.savedAt - a.savedAt || b.id - a.id).forEach((e, i) => {
+                    bytes += e.size || 0;
+                    if (i > 0 && (i >= j.maxEntries || bytes > j.maxBytes)) store.delete(e.id);
+                });
+            };
+        }).catch(e => console.warn("Failed to write the autosave journal", e));
+    }
+
+    function resume() {
+        j.recovered = null;
+        if (j.dirty) {
+            j.dirty = false;
+            schedule("resume");
+        }
+    }
+
+    // What the newest entry written after `since` (ms since the epoch; the saved copy's time) would change, or null
+    // when there is none or it matches the canvas. Journaling then waits for take() or discard().
+    async function recover(since = 0) {
+        let latest;
+        try {
+            latest = (await entries(j.key)).pop();
+        } catch (e) {
+            console.warn("The autosave journal is not available", e);
+            return null;
+        }
+        // Whatever is stored goes at the next save, unless the user still has to decide on it
+        j.lastWrite = latest?.savedAt || 0;
+        if (!latest || latest.savedAt <= (since || 0)) return null;
+
+        const diff = diffJournal(ed.export(), JSON.parse(latest.drawflow));
+        if (!diff.total) return null;
+        j.recovered = latest;
+        return Object.assign(diff, { savedAt: latest.savedAt, savedAtText: new Date(latest.savedAt).toLocaleString() });
+    }
+
+    // The recovered entry ({ drawflow, module, zoom, x, y }) for the host to import; it stays stored until the next save
+    function take() {
+        const entry = j.recovered;
+        if (!entry) return null;
+        resume();
+        return { drawflow: entry.drawflow, module: entry.module, zoom: entry.zoom, x: entry.x, y: entry.y };
+    }
+
+    async function discard() {
+        if (!j.recovered) return false;
+        const upTo = j.recovered.savedAt;
+        resume();
+        await deleteEntries(j.key, upTo);
+        return true;
+    }
+
+    // After a successful save: drop what was written up to now. Kept while a recovered entry waits for the user.
+    async function clear() {
+        if (j.recovered || !j.lastWrite) return false;
+        const upTo = Date.now();
+        j.lastWrite = 0;
+        await deleteEntries(j.key, upTo);
+        return true;
+    }
+
+    // Zoom and translate as saved with an entry, if it was on the module now shown
+    function setView(view) {
+        if (view.module && view.module !== ed.module) return false;
+        host.applyView(view);
+        return true;
+    }
+
+    const onVisibilityChange = () => {
+        if (document.visibilityState === "hidden") flush();
+    };
+    window.addEventListener("pagehide", flush);
+    document.addEventListener("visibilitychange", onVisibilityChange);
+    const stopListening = host.listen(schedule);
+    const stopOnDestroy = host.onDestroy(dispose);
+
+    // Writes what is still pending, then stops journaling
+    function dispose() {
+        stopListening();
+        stopOnDestroy();
+        window.removeEventListener("pagehide", flush);
+        document.removeEventListener("visibilitychange", onVisibilityChange);
+        flush();
+    }
+
+    return { recover, take, discard, clear, setView, dispose };
+}
@@ -0,0 +1,819 @@
+// wwwroot/js/nodeEditor.js
+// Node editor modal behaviours, imported by NodeEditorModal through JS isolation. Each factory binds one behaviour
+// to the modal element and returns an instance whose dispose() removes every listener and observer it added.
+
+const FIELD = ".bw-mapping-input[data-backdrop]";
+const DROP_CLASSES = ["bw-drop-inject", "bw-drop-replace", "bw-drop-replace-scriban"];
+const NO_DROP_INFO = { mode: "replace", caretPos: -1, scribanStart: -1, scribanEnd: -1 };
+
+function escapeHtml(text) {
+    const div = document.createElement("div");
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// ==========================================
+// Smart drop
+// ==========================================
+
+/**
+ * Drag-and-drop of payload paths into mapping inputs: shows where a drop lands (replace the field, replace the
+ * {{ }} expression under the pointer, or inject at a caret) and tells .NET the same through getDropInfo.
+ */
+export function createSmartDrop(modal) {
+    const THROTTLE_MS = 50;
+    const canvas = document.createElement("canvas");
+    let lastUpdate = 0;
+
+    function measureContext(font) {
+        const ctx = canvas.getContext("2d");
+        ctx.font = font;
+        return ctx;
+    }
+
+    // Returns { lines, lineHeight, paddingTop, paddingLeft, scrollTop, font }
+    function getTextLayout(el) {
+        const style = window.getComputedStyle(el);
+        let lineHeight = parseFloat(style.lineHeight);
+        if (isNaN(lineHeight)) lineHeight = parseFloat(style.fontSize) * 1.2;
+        return {
+            lines: (el.value || "").split("\n"),
+            lineHeight,
+            paddingTop: parseFloat(style.paddingTop) || 0,
+            paddingLeft: parseFloat(style.paddingLeft) || 0,
+            scrollTop: el.scrollTop || 0,
+            font: style.fontSize + " " + style.fontFamily
+        };
+    }
+
+    // Given mouse coords relative to the element, find { lineIndex, charInLine, charOffset }
+    function hitTest(el, x, y) {
+        const layout = getTextLayout(el);
+        const rect = el.getBoundingClientRect();
+        const relX = x - rect.left - layout.paddingLeft;
+        const relY = y - rect.top - layout.paddingTop + layout.scrollTop;
+        const ctx = measureContext(layout.font);
+
+        let lineIndex = Math.floor(relY / layout.lineHeight);
+        lineIndex = Math.max(0, Math.min(lineIndex, layout.lines.length - 1));
+        const lineText = layout.lines[lineIndex];
+
+        // Find char position using binary search on measureText for accuracy
+        let charInLine;
+        if (lineText.length === 0 || relX <= 0) {
+            charInLine = 0;
+        } else {
+            let lo = 0, hi = lineText.length;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                const w = ctx.measureText(lineText.substring(0, mid + 1)).width;
+                const wPrev = mid > 0 ? ctx.measureText(lineText.substring(0, mid)).width : 0;
+                if (relX < (wPrev + w) / 2) { hi = mid; } else { lo = mid + 1; }
+            }
+            charInLine = lo;
+        }
+
+        // Convert to absolute char offset in the full value
+        let charOffset = 0;
+        for (let i = 0; i < lineIndex; i++) {
+            charOffset += layout.lines[i].length + 1; // +1 for \n
+        }
+        charOffset += charInLine;
+
+        return {
+            lineIndex,
+            charInLine,
+            charOffset,
+            lineText,
+            lineHeight: layout.lineHeight,
+            paddingTop: layout.paddingTop,
+            paddingLeft: layout.paddingLeft,
+            scrollTop: layout.scrollTop
+        };
+    }
+
+    // Find the scriban expression {{...}} that contains the given position.
+    // Uses strict interior check (start < pos < end) so that landing exactly on a boundary between two adjacent
+    // expressions like {{a}}{{b}} gives an inject caret instead of replacing one of them.
+    function findScribanAt(value, pos) {
+        const opens = [];
+        for (let i = 0; i < value.length - 1; i++) {
+            if (value[i] === "{" && value[i + 1] === "{") opens.push(i);
+        }
+        for (let o = opens.length - 1; o >= 0; o--) {
+            const start = opens[o];
+            let end = value.indexOf("}}", start + 2);
+            if (end === -1) continue;
+            end += 2; // include the }}
+            if (pos > start && pos < end) return { start, end };
+        }
+        return null;
+    }
+
+    function getDropInfo(x, y, elementId) {
+        const el = document.getElementById(elementId);
+        if (!el) return NO_DROP_INFO;
+
+        const value = el.value || "";
+        if (!value.trim()) return NO_DROP_INFO;
+
+        const hit = hitTest(el, x, y);
+        const scriban = findScribanAt(value, hit.charOffset);
+        if (scriban) {
+            return { mode: "replace-scriban", caretPos: hit.charOffset, scribanStart: scriban.start, scribanEnd: scriban.end };
+        }
+        return { mode: "inject", caretPos: hit.charOffset, scribanStart: -1, scribanEnd: -1 };
+    }
+
+    function addMarker(el, className, left, top, width, height) {
+        const marker = document.createElement("div");
+        marker.className = className;
+        marker.style.left = left + "px";
+        marker.style.top = top + "px";
+        if (width != null) marker.style.width = width + "px";
+        marker.style.height = height + "px";
+        el.parentElement.style.position = "relative";
+        el.parentElement.appendChild(marker);
+    }
+
+    function showIndicator(el, x, y) {
+        clearIndicator(el);
+
+        const value = el.value || "";
+        if (!value.trim()) {
+            el.classList.add("bw-drop-replace");
+            return;
+        }
+
+        const hit = hitTest(el, x, y);
+        const scriban = findScribanAt(value, hit.charOffset);
+        const layout = getTextLayout(el);
+        const ctx = measureContext(layout.font);
+
+        if (scriban) {
+            // Hovering over a scriban expression — show highlight over it
+            el.classList.add("bw-drop-replace-scriban");
+
+            // Find which line the scriban starts on (simplified: assume single line)
+            const scribanLines = value.substring(0, scriban.start).split("\n");
+            const scribanLineIdx = scribanLines.length - 1;
+            const charInLineStart = scribanLines[scribanLineIdx].length;
+            const lineText = layout.lines[scribanLineIdx] || "";
+
+            const startX = ctx.measureText(lineText.substring(0, charInLineStart)).width;
+            const scribanWidth = ctx.measureText(value.substring(scriban.start, scriban.end)).width;
+            const top = layout.paddingTop + (scribanLineIdx * layout.lineHeight) - layout.scrollTop;
+            addMarker(el, "bw-drop-scriban-highlight", layout.paddingLeft + startX, top, scribanWidth, layout.lineHeight);
+        } else {
+            // Hovering over plain text — show inject caret
+            el.classList.add("bw-drop-inject");
+            const caretX = ctx.measureText(hit.lineText.substring(0, hit.charInLine)).width;
+            const top = hit.paddingTop + (hit.lineIndex * hit.lineHeight) - hit.scrollTop;
+            addMarker(el, "bw-drop-caret-indicator", hit.paddingLeft + caretX, top, null, hit.lineHeight);
+        }
+    }
+
+    function clearIndicator(elementOrId) {
+        const el = typeof elementOrId === "string" ? document.getElementById(elementOrId) : elementOrId;
+        if (!el) return;
+        el.classList.remove(...DROP_CLASSES);
+        el.parentElement?.querySelector(".bw-drop-caret-indicator")?.remove();
+        el.parentElement?.querySelector(".bw-drop-scriban-highlight")?.remove();
+    }
+
+    // Event delegation covers every droppable input the modal renders, now or later
+    function onDragOver(e) {
+        const el = e.target.closest(".bw-droppable-input");
+        if (!el || !el.id) return;
+
+        const now = Date.now();
+        if (now - lastUpdate < THROTTLE_MS) return;
+        lastUpdate = now;
+
+        showIndicator(el, e.clientX, e.clientY);
+    }
+
+    function onDragLeave(e) {
+        const el = e.target.closest(".bw-droppable-input");
+        if (!el) return;
+        // Only clear if actually leaving the element
+        if (e.relatedTarget && el.contains(e.relatedTarget)) return;
+        clearIndicator(el);
+    }
+
+    function onDrop(e) {
+        const el = e.target.closest(".bw-droppable-input");
+        if (el) clearIndicator(el);
+    }
+
+    modal.addEventListener("dragover", onDragOver);
+    modal.addEventListener("dragleave", onDragLeave);
+    modal.addEventListener("drop", onDrop);
+
+    return {
+        getDropInfo,
+        clearIndicator,
+        dispose() {
+            modal.removeEventListener("dragover", onDragOver);
+            modal.removeEventListener("dragleave", onDragLeave);
+            modal.removeEventListener("drop", onDrop);
+            modal.querySelectorAll(".bw-droppable-input").forEach(clearIndicator);
+        }
+    };
+}
+
+// ==========================================
+// Textareas: Tab and auto-resize
+// ==========================================
+
+/**
+ * Tab inserts a tab in the modal's textareas and every textarea grows with its content, including ones rendered
+ * later. When a Scriban assist instance is passed, highlighted fields rendered later get their backdrop too.
+ */
+export function createTextareaAssist(modal, scribanAssist) {
+    function autoResize(textarea) {
+        textarea.style.height = "0";
+        const border = textarea.offsetHeight - textarea.clientHeight;
+        textarea.style.height = (textarea.scrollHeight + border) + "px";
+    }
+
+    function onKeyDown(e) {
+        if (e.key !== "Tab" || e.target.tagName !== "TEXTAREA") return;
+        e.preventDefault();
+        const textarea = e.target;
+
+        // Use execCommand if available (preserves undo history), otherwise fallback
+        if (!document.execCommand || !document.execCommand("insertText", false, "\t")) {
+            const start = textarea.selectionStart;
+            const value = textarea.value;
+            textarea.value = value.substring(0, start) + "\t" + value.substring(textarea.selectionEnd);
+            textarea.selectionStart = textarea.selectionEnd = start + 1;
+            textarea.dispatchEvent(new Event("input", { bubbles: true }));
+        }
+        autoResize(textarea);
+    }
+
+    function onInput(e) {
+        if (e.target.tagName === "TEXTAREA") autoResize(e.target);
+    }
+
+    // Fields added by later renders (dictionary rows, expanded sections)
+    const observer = new MutationObserver(mutations => {
+        for (const mutation of mutations) {
+            for (const node of mutation.addedNodes) {
+                if (node.nodeType !== 1) continue;
+                const textareas = node.tagName === "TEXTAREA" ? [node] : Array.from(node.querySelectorAll("textarea"));
+                textareas.forEach(autoResize);
+
+                if (scribanAssist) {
+                    const fields = node.matches(FIELD) ? [node] : Array.from(node.querySelectorAll(FIELD));
+                    fields.forEach(scribanAssist.updateBackdrop);
+                }
+            }
+        }
+    });
+
+    modal.addEventListener("keydown", onKeyDown, true);
+    modal.addEventListener("input", onInput, true);
+    observer.observe(modal, { childList: true, subtree: true });
+    modal.querySelectorAll("textarea").forEach(autoResize);
+
+    return {
+        dispose() {
+            modal.removeEventListener("keydown", onKeyDown, true);
+            modal.removeEventListener("input", onInput, true);
+            observer.disconnect();
+        }
+    };
+}
+
+// ==========================================
+// Scriban: highlighting, completion and diagnostics
+// ==========================================
+
+/**
+ * Highlights {{ }} expressions through a backdrop behind each mapping field, previews an expression's value on
+ * hover, completes variables after {{ (or Ctrl+Space) from the list .NET supplies once, and underlines the problems
+ * dotNetRef.GetScribanDiagnostics reports once the text settles.
+ */
+export function createScribanAssist(modal, dotNetRef, completions) {
+    const MAX_COMPLETIONS = 50;
+    const DIAGNOSTICS_DELAY_MS = 300;
+    const HOVER_DELAY_MS = 200;
+    const KIND_LABELS = { input: "in", node: "node", workflow: "wf", environment: "env", builtin: "fn" };
+    const POPUP_ID = "bw-scriban-completions";
+
+    let items = completions || [];
+    let tooltip = null;
+    let hoverTimer = null;
+    let currentExpr = null;
+    let popup = null;
+    let popupState = null;
+    let disposed = false;
+
+    // Diagnostics per field: the value they describe and the pending request
+    const diagnostics = new WeakMap();
+    const diagnosticTimers = new Set();
+
+    // Parse text into segments: plain and {{ ... }} tokens; an unclosed {{ runs to the end
+    function parseSegments(text) {
+        const segs = [];
+        const re = /\{\{[\s\S]*?\}\}/g;
+        let last = 0;
+        let m;
+        while ((m = re.exec(text)) !== null) {
+            if (m.index > last) segs.push({ type: "plain", text: text.substring(last, m.index), start: last });
+            segs.push({ type: "token", text: m[0], start: m.index, end: m.index + m[0].length });
+            last = m.index + m[0].length;
+        }
+        const open = text.indexOf("{{", last);
+        if (open > last) {
+            segs.push({ type: "plain", text: text.substring(last, open), start: last });
+            last = open;
+        }
+        if (open >= 0) {
+            segs.push({ type: "token", text: text.substring(open), start: open, end: text.length });
+        } else if (last < text.length) {
+            segs.push({ type: "plain", text: text.substring(last), start: last });
+        }
+        return segs;
+    }
+
+    // Render one segment, wrapping the parts a diagnostic covers so they can be underlined and hit-tested
+    function renderSegment(seg, diags) {
+        const cls = seg.type === "token" ? "bw-hl-token" : "bw-hl-plain";
+        let html = "";
+        let pos = 0;
+        diags.forEach((d, i) => {
+            const start = Math.max(d.start - seg.start, pos);
+            const end = Math.min(d.end - seg.start, seg.text.length);
+            if (end <= start) return;
+            html += escapeHtml(seg.text.substring(pos, start));
+            html += `<span class="bw-hl-diag bw-hl-${d.severity}" data-diag="${i}">${escapeHtml(seg.text.substring(start, end))}</span>`;
+            pos = end;
+        });
+        html += escapeHtml(seg.text.substring(pos));
+        return `<span class="${cls}">${html}</span>`;
+    }
+
+    // Diagnostics are only drawn while they still describe the current value
+    function currentDiagnostics(el) {
+        const cached = diagnostics.get(el);
+        return cached && cached.value === (el.value || "") ? cached.items : [];
+    }
+
+    function backdropOf(el) {
+        const bdId = el.getAttribute("data-backdrop");
+        return bdId ? document.getElementById(bdId) : null;
+    }
+
+    // Update a single backdrop div to reflect the textarea/input value
+    function updateBackdrop(el) {
+        const bd = backdropOf(el);
+        if (!bd) return;
+
+        const val = el.value || "";
+        const segs = parseSegments(val);
+
+        scheduleDiagnostics(el);
+
+        if (!segs.some(s => s.type === "token")) {
+            // No scriban — remove highlight mode
+            el.classList.remove("bw-hl-active");
+            bd.innerHTML = "";
+            bd.style.display = "none";
+            return;
+        }
+
+        el.classList.add("bw-hl-active");
+        bd.style.display = "";
+
+        const diags = currentDiagnostics(el);
+        let html = segs.map(seg => renderSegment(seg, diags)).join("");
+        // Add trailing space so backdrop height matches textarea with trailing newline
+        if (val.endsWith("\n") || val.endsWith("\r")) html += " ";
+        bd.innerHTML = html;
+
+        // Sync computed styles from textarea to backdrop
+        const cs = window.getComputedStyle(el);
+        bd.style.fontSize = cs.fontSize;
+        bd.style.fontFamily = cs.fontFamily;
+        bd.style.lineHeight = cs.lineHeight;
+        bd.style.padding = cs.padding;
+        bd.style.borderWidth = cs.borderWidth;
+        bd.style.letterSpacing = cs.letterSpacing;
+        bd.style.wordSpacing = cs.wordSpacing;
+        bd.style.textIndent = cs.textIndent;
+        bd.style.whiteSpace = cs.whiteSpace;
+        bd.style.tabSize = cs.tabSize;
+
+        // For textarea, sync scroll
+        bd.scrollTop = el.scrollTop;
+    }
+
+    // Update all highlighted fields in the modal
+    function updateAll() {
+        modal.querySelectorAll(FIELD).forEach(updateBackdrop);
+    }
+
+    // Ask .NET for diagnostics once the value has settled; the result is cached per field
+    function scheduleDiagnostics(el) {
+        const val = el.value || "";
+        const cached = diagnostics.get(el);
+        if (cached && (cached.value === val || cached.pending === val)) return;
+        if (cached?.timer) {
+            clearTimeout(cached.timer);
+            diagnosticTimers.delete(cached.timer);
+        }
+        if (val.indexOf("{{") < 0) {
+            diagnostics.set(el, { value: val, items: [] });
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            diagnosticTimers.delete(timer);
+            if (disposed) return;
+            dotNetRef.invokeMethodAsync("GetScribanDiagnostics", val)
+                .then(result => {
+                    if (disposed) return;
+                    diagnostics.set(el, { value: val, items: normalizeDiagnostics(result || [], val.length) });
+                    if ((el.value || "") === val) updateBackdrop(el);
+                })
+                .catch(() => { });
+        }, DIAGNOSTICS_DELAY_MS);
+        diagnosticTimers.add(timer);
+        diagnostics.set(el, { value: null, pending: val, items: [], timer });
+    }
+
+    // Clamp to the text and give empty ranges (e.g. an error at the very end) one character to underline
+    function normalizeDiagnostics(list, length) {
+        return list.map(d => {
+            let start = Math.max(0, Math.min(d.start, length));
+            let end = Math.max(start, Math.min(d.end, length));
+            if (end === start) {
+                if (end < length) end++;
+                else if (start > 0) start--;
+            }
+            return { start, end, message: d.message, severity: d.severity || "error" };
+        }).sort((a, b) => a.start - b.start);
+    }
+
+    function spanAtPoint(spans, clientX, clientY) {
+        for (const span of spans) {
+            for (const rect of span.getClientRects()) {
+                if (clientX >= rect.left && clientX <= rect.right && clientY >= rect.top && clientY <= rect.bottom) {
+                    return span;
+                }
+            }
+        }
+        return null;
+    }
+
+    // Find which scriban token the mouse is over, using the backdrop's token spans for hit-testing
+    function findTokenAtMouse(el, clientX, clientY) {
+        const bd = backdropOf(el);
+        if (!bd || !el.value) return null;
+
+        const tokens = parseSegments(el.value).filter(s => s.type === "token");
+        const spans = Array.from(bd.querySelectorAll(".bw-hl-token"));
+        const index = spans.indexOf(spanAtPoint(spans, clientX, clientY));
+        return index >= 0 && tokens[index] ? tokens[index].text : null;
+    }
+
+    // Find the diagnostic underlined under the mouse
+    function findDiagnosticAtMouse(el, clientX, clientY) {
+        const bd = backdropOf(el);
+        const hit = bd ? spanAtPoint(bd.querySelectorAll(".bw-hl-diag"), clientX, clientY) : null;
+        return hit ? currentDiagnostics(el)[+hit.getAttribute("data-diag")] || null : null;
+    }
+
+    // Show/position the tooltip
+    function showTooltip(label, expr, value, x, y, severity) {
+        if (!tooltip) {
+            tooltip = document.createElement("div");
+            tooltip.className = "bw-scriban-tooltip";
+            tooltip.innerHTML = '<div class="bw-scriban-tooltip-label"></div>' +
+                '<div class="bw-scriban-tooltip-expr"></div>' +
+                '<div class="bw-scriban-tooltip-value"></div>';
+            document.body.appendChild(tooltip);
+        }
+        tooltip.querySelector(".bw-scriban-tooltip-label").textContent = label;
+        tooltip.querySelector(".bw-scriban-tooltip-expr").textContent = expr;
+        tooltip.querySelector(".bw-scriban-tooltip-value").textContent = value;
+        tooltip.classList.toggle("bw-scriban-tooltip--error", severity === "error");
+        tooltip.classList.toggle("bw-scriban-tooltip--warning", severity === "warning");
+        tooltip.style.left = x + "px";
+        tooltip.style.top = (y - 50) + "px";
+        tooltip.classList.add("bw-visible");
+    }
+
+    function hideTooltip() {
+        tooltip?.classList.remove("bw-visible");
+        currentExpr = null;
+        if (hoverTimer) { clearTimeout(hoverTimer); hoverTimer = null; }
+    }
+
+    // ── Completion ──
+
+    function setCompletions(list) {
+        items = list || [];
+    }
+
+    // The word being typed inside an unclosed {{ before the caret, or null outside an expression
+    function completionContext(el) {
+        const caret = el.selectionStart;
+        if (caret == null || caret !== el.selectionEnd) return null;
+        const before = (el.value || "").substring(0, caret);
+        const open = before.lastIndexOf("{{");
+        if (open < 0 || before.indexOf("}}", open) >= 0) return null;
+        const word = /[A-Za-z0-9_.]*$/.exec(before)[0];
+        return { start: caret - word.length, end: caret, word };
+    }
+
+    // Prefix matches first, then labels that merely contain the word
+    function filterCompletions(word) {
+        const w = word.toLowerCase();
+        const starts = [];
+        const contains = [];
+        for (let i = 0; i < items.length && starts.length < MAX_COMPLETIONS; i++) {
+            const label = items[i].label.toLowerCase();
+            if (label.startsWith(w)) starts.push(items[i]);
+            else if (w && label.includes(w)) contains.push(items[i]);
+        }
+        return starts.concat(contains).slice(0, MAX_COMPLETIONS);
+    }
+
+    // Viewport position below the character at index, measured on an invisible copy of the field
+    function caretPoint(el, index) {
+        const cs = window.getComputedStyle(el);
+        const mirror = document.createElement("div");
+        ["boxSizing", "width", "fontSize", "fontFamily", "fontWeight", "lineHeight", "letterSpacing", "wordSpacing",
+            "textIndent", "tabSize", "paddingTop", "paddingRight", "paddingBottom", "paddingLeft",
+            "borderTopWidth", "borderRightWidth", "borderBottomWidth", "borderLeftWidth"].forEach(p => {
+            mirror.style[p] = cs[p];
+        });
+        Object.assign(mirror.style, {
+            position: "absolute",
+            visibility: "hidden",
+            top: "0",
+            left: "-9999px",
+            borderStyle: "solid",
+            whiteSpace: el.tagName === "TEXTAREA" ? "pre-wrap" : "pre",
+            overflowWrap: "break-word"
+        });
+        mirror.textContent = (el.value || "").substring(0, index);
+        const marker = document.createElement("span");
+        marker.textContent = "\u200b";
+        mirror.appendChild(marker);
+        document.body.appendChild(mirror);
+        const rect = el.getBoundingClientRect();
+        const point = {
+            x: rect.left + marker.offsetLeft - el.scrollLeft,
+            y: rect.top + marker.offsetTop + marker.offsetHeight - el.scrollTop
+        };
+        mirror.remove();
+        return point;
+    }
+
+    function openCompletions(el) {
+        const ctx = completionContext(el);
+        const matches = ctx ? filterCompletions(ctx.word) : [];
+        if (matches.length === 0) {
+            closeCompletions();
+            return;
+        }
+        const keep = popupState && popupState.el === el ? popupState.items[popupState.index] : null;
+        const index = keep ? matches.indexOf(keep) : -1;
+        popupState = { el, ctx, items: matches, index: Math.max(index, 0) };
+        renderCompletions();
+    }
+
+    function onPopupMouseDown(e) {
+        // Keeps focus in the field
+        e.preventDefault();
+        const option = e.target.closest(".bw-scriban-completion");
+        if (option && popupState) {
+            popupState.index = +option.getAttribute("data-index");
+            acceptCompletion();
+        }
+    }
+
+    function renderCompletions() {
+        const state = popupState;
+        if (!popup) {
+            popup = document.createElement("div");
+            popup.id = POPUP_ID;
+            popup.className = "bw-scriban-completions";
+            popup.setAttribute("role", "listbox");
+            popup.addEventListener("mousedown", onPopupMouseDown);
+            document.body.appendChild(popup);
+        }
+
+        popup.innerHTML = state.items.map((item, i) =>
+            `<div class="bw-scriban-completion${i === state.index ? " bw-active" : ""}" role="option"` +
+            ` id="${POPUP_ID}-${i}" data-index="${i}" aria-selected="${i === state.index}">` +
+            `<span class="bw-scriban-completion-kind bw-kind-${escapeHtml(item.kind)}">${escapeHtml(KIND_LABELS[item.kind] || item.kind)}</span>` +
+            `<span class="bw-scriban-completion-label">${escapeHtml(item.label)}</span>` +
+            (item.detail ? `<span class="bw-scriban-completion-detail">${escapeHtml(item.detail)}</span>` : "") +
+            "</div>").join("");
+
+        popup.classList.add("bw-visible");
+        const point = caretPoint(state.el, state.ctx.start);
+        popup.style.left = Math.max(8, Math.min(point.x, window.innerWidth - popup.offsetWidth - 8)) + "px";
+        popup.style.top = (point.y + 2) + "px";
+
+        state.el.setAttribute("aria-controls", POPUP_ID);
+        state.el.setAttribute("aria-expanded", "true");
+        state.el.setAttribute("aria-activedescendant", `${POPUP_ID}-${state.index}`);
+
+        popup.querySelector(".bw-active")?.scrollIntoView({ block: "nearest" });
+    }
+
+    function closeCompletions() {
+        if (popupState) {
+            popupState.el.removeAttribute("aria-controls");
+            popupState.el.removeAttribute("aria-expanded");
+            popupState.el.removeAttribute("aria-activedescendant");
+        }
+        popupState = null;
+        popup?.classList.remove("bw-visible");
+    }
+
+    function moveCompletion(delta) {
+        const count = popupState.items.length;
+        popupState.index = (popupState.index + delta + count) % count;
+        renderCompletions();
+    }
+
+    // Replace the word being typed with the chosen label, closing the expression if nothing does yet
+    function acceptCompletion() {
+        const { el, items: matches, index, ctx: openedAt } = popupState;
+        const item = matches[index];
+        const ctx = completionContext(el) || openedAt;
+        closeCompletions();
+
+        const val = el.value || "";
+        const rest = val.substring(ctx.end);
+        const nextOpen = rest.indexOf("{{");
+        const closed = rest.substring(0, nextOpen >= 0 ? nextOpen : rest.length).includes("}}");
+        const prefix = val.charAt(ctx.start - 1) === "{" ? " " : "";
+        const text = prefix + item.label + (closed ? "" : " }}");
+        const caret = ctx.start + prefix.length + item.label.length;
+
+        el.setSelectionRange(ctx.start, ctx.end);
+        // execCommand keeps the browser's undo history and raises the input event Blazor binds to
+        if (!document.execCommand || !document.execCommand("insertText", false, text)) {
+            el.value = val.substring(0, ctx.start) + text + val.substring(ctx.end);
+            el.dispatchEvent(new Event("input", { bubbles: true }));
+        }
+        el.setSelectionRange(caret, caret);
+    }
+
+    // ── Listeners ──
+
+    // Update backdrop on typing, open or narrow the completion list
+    function onInput(e) {
+        const el = e.target.closest(FIELD);
+        if (!el) return;
+        updateBackdrop(el);
+        // Also re-run after auto-resize, then sync backdrop height
+        setTimeout(() => { if (!disposed) updateBackdrop(el); }, 0);
+
+        const before = (el.value || "").substring(0, el.selectionStart);
+        if ((popupState && popupState.el === el) || before.endsWith("{{")) openCompletions(el);
+    }
+
+    // On window in the capture phase, ahead of the modal's own keys, so Escape, Enter and Tab belong to an open list
+    function onKeyDown(e) {
+        const el = e.target;
+        if (!el?.matches?.(FIELD) || !modal.contains(el)) return;
+
+        if (!popupState || popupState.el !== el) {
+            if (e.key === " " && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                e.stopPropagation();
+                openCompletions(el);
+            }
+            return;
+        }
+
+        switch (e.key) {
+            case "ArrowDown": moveCompletion(1); break;
+            case "ArrowUp": moveCompletion(-1); break;
+            case "Enter":
+            case "Tab": acceptCompletion(); break;
+            case "Escape": closeCompletions(); break;
+            default: return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    // Caret moved without typing: the list follows, or closes when it left the expression
+    function onKeyUp(e) {
+        if (!popupState || e.target !== popupState.el) return;
+        if (["ArrowLeft", "ArrowRight", "Home", "End"].includes(e.key)) openCompletions(e.target);
+    }
+
+    function onFocusOut(e) {
+        if (popupState && e.target === popupState.el) closeCompletions();
+    }
+
+    function onMouseDown(e) {
+        if (popupState && e.target === popupState.el) closeCompletions();
+    }
+
+    // Scroll sync for textareas; an open list follows its field
+    function onScroll(e) {
+        if (popupState) renderCompletions();
+        const el = e.target;
+        if (!el.matches?.(FIELD)) return;
+        const bd = backdropOf(el);
+        if (bd) bd.scrollTop = el.scrollTop;
+    }
+
+    // Mousemove for hover preview, or the message of an underlined problem
+    function onMouseMove(e) {
+        const el = e.target.closest(FIELD);
+        if (!el || !el.classList.contains("bw-hl-active")) {
+            hideTooltip();
+            return;
+        }
+
+        const diag = findDiagnosticAtMouse(el, e.clientX, e.clientY);
+        if (diag) {
+            const key = "diag:" + diag.start + ":" + diag.message;
+            if (key !== currentExpr) {
+                hideTooltip();
+                currentExpr = key;
+            }
+            showTooltip(diag.severity === "warning" ? "Warning" : "Error",
+                (el.value || "").substring(diag.start, diag.end), diag.message, e.clientX, e.clientY, diag.severity);
+            return;
+        }
+
+        const expr = findTokenAtMouse(el, e.clientX, e.clientY);
+        if (!expr) {
+            hideTooltip();
+            return;
+        }
+
+        // Same expression — just reposition
+        if (expr === currentExpr) {
+            if (tooltip?.classList.contains("bw-visible")) {
+                tooltip.style.left = e.clientX + "px";
+                tooltip.style.top = (e.clientY - 50) + "px";
+            }
+            return;
+        }
+
+        hideTooltip();
+        currentExpr = expr;
+
+        // Debounce the evaluation
+        hoverTimer = setTimeout(() => {
+            dotNetRef.invokeMethodAsync("EvaluateScribanExpression", expr)
+                .then(result => {
+                    if (!disposed && currentExpr === expr) showTooltip("Preview", expr, result, e.clientX, e.clientY);
+                })
+                .catch(() => { });
+        }, HOVER_DELAY_MS);
+    }
+
+    function onMouseLeave(e) {
+        if (e.target.matches?.(".bw-mapping-input")) hideTooltip();
+    }
+
+    const listeners = [
+        [modal, "input", onInput, true],
+        [modal, "keyup", onKeyUp, true],
+        [modal, "focusout", onFocusOut, true],
+        [modal, "mousedown", onMouseDown, true],
+        [modal, "scroll", onScroll, true],
+        [modal, "mousemove", onMouseMove, false],
+        [modal, "mouseleave", onMouseLeave, true],
+        [window, "keydown", onKeyDown, true]
+    ];
+    listeners.forEach(([target, type, handler, capture]) => target.addEventListener(type, handler, capture));
+
+    // Initial update for all existing fields
+    updateAll();
+
+    return {
+        updateAll,
+        updateBackdrop,
+        setCompletions,
+        dispose() {
+            disposed = true;
+            listeners.forEach(([target, type, handler, capture]) => target.removeEventListener(type, handler, capture));
+            diagnosticTimers.forEach(clearTimeout);
+            diagnosticTimers.clear();
+            closeCompletions();
+            popup?.remove();
+            popup = null;
+            hideTooltip();
+            tooltip?.remove();
+            tooltip = null;
+        }
+    };
+}
@@ -0,0 +1,312 @@
+// wwwroot/js/themes.js
+// Theme registry. A theme is a named set of color tokens (canvas, nodes, ports, connections, run states) applied as
+// CSS variables, plus the light or dark mode the library's other styles follow. Presets are built in; hosts add themes
+// through configure() (from .NET options) and users through importTheme() (kept in localStorage). An attached element
+// shows its own choice, else the default: the user's (setDefault), else the host's. "system" picks dark, light or
+// high contrast from the OS settings and follows them as they change.
+// WorkflowGraph imports it through JS isolation; a page that themes its own elements imports the same URL, so both
+// share one registry.
+
+const STORAGE_KEY = "blazorworkflow.themes";
+const DEFAULT_KEY = "blazorworkflow.theme";
+const SYSTEM = "system";
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// Token name -> the CSS variable the stylesheet reads
+const TOKENS = {
+    canvas: "--df-canvas",
+    node: "--df-node",
+    nodeHeader: "--df-node-2",
+    nodeBorder: "--df-border",
+    nodeShadow: "--df-shadow",
+    text: "--df-text",
+    textWeak: "--df-text-weak",
+    textMuted: "--df-text-muted",
+    heading: "--df-heading",
+    accent: "--df-accent",
+    accentAlt: "--df-accent-2",
+    port: "--df-port",
+    portHover: "--df-port-hover",
+    portType: "--df-port-type",
+    connection: "--df-wire",
+    connectionActive: "--df-wire-active",
+    connectionGlow: "--df-wire-glow",
+    statusSuccess: "--df-status-success",
+    statusWarning: "--df-status-warning",
+    statusError: "--df-status-error",
+    statusPaused: "--df-status-paused"
+};
+
+export const tokens = Object.keys(TOKENS);
+
+const DARK = {
+    canvas: "#151a27", node: "#1c2235", nodeHeader: "#232b42", nodeBorder: "#2e3a54", nodeShadow: "rgba(0, 0, 0, 0.5)",
+    text: "#e4e8f4", textWeak: "#b0bbd0", textMuted: "#7e8da6", heading: "#f4f7fd",
+    accent: "#6ea0ff", accentAlt: "#b07cff",
+    port: "#3a465e", portHover: "#5a7aad", portType: "#8ab4e9",
+    connection: "#5b8eff", connectionActive: "#8ab8ff", connectionGlow: "rgba(91, 142, 255, 0.25)",
+    statusSuccess: "#22c55e", statusWarning: "#eab308", statusError: "#dc2626", statusPaused: "#facc15"
+};
+
+const LIGHT = Object.assign({}, DARK, {
+    canvas: "#222d44", node: "#2a3858", nodeHeader: "#314168", nodeBorder: "#4a6590", nodeShadow: "rgba(0, 0, 0, 0.35)",
+    text: "#eaf0f8", textWeak: "#d5deea", textMuted: "#a5b4cf",
+    port: "#58739a", portHover: "#6b89b7", portType: "#a9c8f0",
+    connectionGlow: "rgba(91, 142, 255, 0.2)"
+});
+
+const BUILT_IN = [
+    { name: "dark", label: "Dark", mode: "dark", tokens: DARK },
+    { name: "light", label: "Light", mode: "light", tokens: LIGHT },
+    {
+        name: "high-contrast", label: "High contrast", mode: "dark", contrast: "more", tokens: {
+            canvas: "#000000", node: "#000000", nodeHeader: "#1a1a1a", nodeBorder: "#ffffff", nodeShadow: "rgba(0, 0, 0, 0)",
+            text: "#ffffff", textWeak: "#ffffff", textMuted: "#e0e0e0", heading: "#ffffff",
+            accent: "#ffd600", accentAlt: "#00e5ff",
+            port: "#ffffff", portHover: "#ffd600", portType: "#00e5ff",
+            connection: "#ffffff", connectionActive: "#ffd600", connectionGlow: "rgba(255, 214, 0, 0.4)",
+            statusSuccess: "#3dff8b", statusWarning: "#ffd600", statusError: "#ff4d4d", statusPaused: "#ff9e00"
+        }
+    },
+    {
+        // Okabe-Ito palette: states stay apart for protanopia, deuteranopia and tritanopia
+        name: "colorblind-safe", label: "Colorblind safe", mode: "dark", tokens: Object.assign({}, DARK, {
+            accent: "#56b4e9", accentAlt: "#e69f00", portType: "#56b4e9",
+            connection: "#56b4e9", connectionActive: "#a4d8f5", connectionGlow: "rgba(86, 180, 233, 0.25)",
+            statusSuccess: "#009e73", statusWarning: "#f0e442", statusError: "#d55e00", statusPaused: "#cc79a7"
+        })
+    }
+];
+
+const themes = new Map();
+const attached = new Set();
+const media = window.matchMedia ? {
+    dark: window.matchMedia("(prefers-color-scheme: dark)"),
+    contrast: window.matchMedia("(prefers-contrast: more)")
+} : null;
+let hostDefault = null;
+let userDefault = load(DEFAULT_KEY, null);
+let styleEl = null;
+let listening = false;
+
+function load(key, fallback) {
+    try {
+        return JSON.parse(localStorage.getItem(key) || "null") ?? fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+function save(key, value) {
+    try {
+        if (value == null) localStorage.removeItem(key);
+        else localStorage.setItem(key, JSON.stringify(value));
+    } catch { }
+}
+
+// Validate a definition; tokens it leaves out come from the built-in theme of its mode
+function normalize(theme, source) {
+    if (!theme || typeof theme !== "object") throw new Error("A theme must be an object");
+    const name = String(theme.name ?? "");
+    if (!NAME_PATTERN.test(name) || name === SYSTEM) throw new Error("Invalid theme name: " + name);
+    const mode = theme.mode === "light" ? "light" : "dark";
+    const tokens = Object.assign({}, mode === "light" ? LIGHT : DARK);
+    Object.entries(theme.tokens || {}).forEach(([token, value]) => {
+        if (!(token in TOKENS)) throw new Error("Unknown theme token: " + token);
+        // The values end up in a stylesheet: no way out of the declaration
+        if (typeof value !== "string" || !value.trim() || value.length > 100 || /[;{}<>]/.test(value)) {
+            throw new Error("Invalid value for theme token " + token);
+        }
+        tokens[token] = value.trim();
+    });
+    return {
+        name,
+        label: String(theme.label || name),
+        mode,
+        contrast: theme.contrast === "more" ? "more" : "normal",
+        tokens,
+        source
+    };
+}
+
+function define(theme, source) {
+    const existing = themes.get(theme.name);
+    if (existing && existing.source !== source && existing.source !== "user") {
+        throw new Error("Theme " + theme.name + " can't be replaced");
+    }
+    themes.set(theme.name, theme);
+}
+
+// One rule per theme for elements under a themed ancestor, then one for themed elements; the latter come last so
+// a canvas's own theme wins over the page's
+function renderStyles() {
+    if (!styleEl) {
+        styleEl = document.createElement("style");
+        styleEl.id = "bw-themes";
+        (document.head || document.documentElement).appendChild(styleEl);
+    }
+    const all = Array.from(themes.values());
+    const body = t => Object.entries(t.tokens).map(([token, value]) => TOKENS[token] + ": " + value + ";").join(" ");
+    styleEl.textContent = all.map(t => `[data-bw-theme="${t.name}"] .bw-lib { ${body(t)} }`)
+        .concat(all.map(t => `.bw-lib[data-bw-theme="${t.name}"] { ${body(t)} }`))
+        .join("\n");
+}
+
+// The theme shown for `choice`: itself, else the user's default, else the host's, skipping names no longer known.
+// Null when nothing applies (the page's styles stay).
+export function resolve(choice = null) {
+    for (const candidate of [choice, userDefault, hostDefault]) {
+        const name = candidate === SYSTEM ? systemTheme() : candidate;
+        if (name && themes.has(name)) return name;
+    }
+    return null;
+}
+
+function systemTheme() {
+    if (media?.contrast.matches) return "high-contrast";
+    return media && !media.dark.matches ? "light" : "dark";
+}
+
+function apply(entry) {
+    const el = entry.element;
+    const theme = themes.get(resolve(entry.choice));
+    if (theme) {
+        if (!entry.owned) entry.previousMode = el.getAttribute("data-theme");
+        entry.owned = true;
+        el.setAttribute("data-bw-theme", theme.name);
+        el.setAttribute("data-theme", theme.mode);
+        if (theme.contrast === "more") el.setAttribute("data-bw-contrast", "more");
+        else el.removeAttribute("data-bw-contrast");
+    } else {
+        release(entry);
+    }
+    entry.onChange?.(theme?.name ?? null);
+}
+
+// Hand the element back with the attributes it had before
+function release(entry) {
+    if (!entry.owned) return;
+    const el = entry.element;
+    entry.owned = false;
+    el.removeAttribute("data-bw-theme");
+    el.removeAttribute("data-bw-contrast");
+    if (entry.previousMode == null) el.removeAttribute("data-theme");
+    else el.setAttribute("data-theme", entry.previousMode);
+}
+
+function refresh() {
+    attached.forEach(apply);
+}
+
+function listen() {
+    if (listening || !media) return;
+    listening = true;
+    media.dark.addEventListener("change", refresh);
+    media.contrast.addEventListener("change", refresh);
+}
+
+// Theme `element` (and the .bw-lib elements inside it) with `choice`, a theme name or "system"; null follows the
+// default. `onChange(name)` runs whenever the theme shown changes. Returns a handle with set(choice) and dispose().
+export function attach(element, choice = null, onChange = null) {
+    const entry = { element, choice: choice ?? null, onChange, owned: false, previousMode: null };
+    attached.add(entry);
+    listen();
+    apply(entry);
+    return {
+        set: next => {
+            entry.choice = next ?? null;
+            apply(entry);
+            return resolve(entry.choice);
+        },
+        dispose: () => {
+            attached.delete(entry);
+            release(entry);
+        }
+    };
+}
+
+// Host themes and default from .NET ({ defaultTheme, themes: [...] }); a null default leaves the current one
+export function configure(options) {
+    (options?.themes || []).forEach(t => define(normalize(t, "host"), "host"));
+    hostDefault = options?.defaultTheme ?? hostDefault;
+    renderStyles();
+    refresh();
+}
+
+// The user's default, kept in localStorage; null goes back to the host default. Returns the theme now shown.
+export function setDefault(choice) {
+    if (choice != null && choice !== SYSTEM && !themes.has(choice)) throw new Error("Unknown theme: " + choice);
+    userDefault = choice ?? null;
+    save(DEFAULT_KEY, userDefault);
+    refresh();
+    return resolve();
+}
+
+export function getDefault() {
+    return userDefault ?? hostDefault;
+}
+
+function saveUserThemes() {
+    save(STORAGE_KEY, Array.from(themes.values()).filter(t => t.source === "user").map(toJson));
+}
+
+function toJson(t) {
+    return { name: t.name, label: t.label, mode: t.mode, contrast: t.contrast, tokens: Object.assign({}, t.tokens) };
+}
+
+// Add a theme from JSON (a string or an already parsed object) and keep it; returns its name
+export function importTheme(json) {
+    const theme = normalize(typeof json === "string" ? JSON.parse(json) : json, "user");
+    define(theme, "user");
+    saveUserThemes();
+    renderStyles();
+    refresh();
+    return theme.name;
+}
+
+// A theme as JSON with every token filled in, ready to edit and import again
+export function exportTheme(name) {
+    const theme = themes.get(name);
+    if (!theme) throw new Error("Unknown theme: " + name);
+    return JSON.stringify(toJson(theme), null, 2);
+}
+
+// Only imported themes can be removed
+export function removeTheme(name) {
+    if (themes.get(name)?.source !== "user") return false;
+    themes.delete(name);
+    saveUserThemes();
+    renderStyles();
+    refresh();
+    return true;
+}
+
+export function getThemes() {
+    return Array.from(themes.values()).map(t => Object.assign(toJson(t), { source: t.source }));
+}
+
+BUILT_IN.forEach(t => define(normalize(t, "builtIn"), "builtIn"));
+(load(STORAGE_KEY, []) || []).forEach(t => {
+    try {
+        define(normalize(t, "user"), "user");
+    } catch { }
+});
+renderStyles();
+
+/**
+ * Theme the canvas `canvasId` (its .bw-lib wrapper) with `choice`, following the default theme while that is null.
+ * Returns an instance with set(choice), which returns the theme now shown, and dispose().
+ */
+export function createCanvasTheme(canvasId, choice = null) {
+    const host = window.DrawflowBlazor.host(canvasId);
+    const element = host.editor.container;
+    const handle = attach(element.closest(".bw-lib") || element, choice, () => host.redrawMinimap());
+    const stopOnDestroy = host.onDestroy(dispose);
+
+    function dispose() {
+        stopOnDestroy();
+        handle.dispose();
+    }
+
+    return { set: handle.set, dispose };
+}
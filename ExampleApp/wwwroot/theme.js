@@ -1,20 +1,28 @@
 // Theme Management for Blazor Execution Flow
+// The page uses the library's default theme (see the library's js/themes.js), so the app and every workflow canvas
+// change together. "system" follows the OS light/dark and contrast settings, live. WorkflowGraph imports the same
+// module URL, so both share one theme registry.
+import * as themes from "./_content/BlazorWorkflow/js/themes.js";
+
 window.themeManager = {
-    // Get the current theme from localStorage or system preference
+    handle: null,
+
+    // The user's choice: "system", "dark", "light", "high-contrast", "colorblind-safe" or an imported theme
+    getPreference: function () {
+        return themes.getDefault() || 'system';
+    },
+
+    // Mode of the theme shown right now ("dark" or "light")
     getTheme: function () {
-        const stored = localStorage.getItem('theme');
-        if (stored) {
-            return stored;
-        }
-        // Default to system preference
-        return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+        const name = themes.resolve();
+        const theme = themes.getThemes().find(t => t.name === name);
+        return theme ? theme.mode : 'dark';
     },
 
-    // Set theme and persist to localStorage
+    // Set theme; the library keeps it in localStorage
     setTheme: function (theme) {
-        localStorage.setItem('theme', theme);
-        document.documentElement.setAttribute('data-theme', theme);
-        return theme;
+        themes.setDefault(theme);
+        return this.getTheme();
     },
 
     // Toggle between light and dark
@@ -26,11 +34,21 @@ window.themeManager = {
 
     // Initialize theme on page load
     initialize: function () {
-        const theme = this.getTheme();
-        document.documentElement.setAttribute('data-theme', theme);
-        return theme;
+        if (!this.handle) {
+            themes.configure({ defaultTheme: 'system' });
+
+            // Choice saved before themes moved into the library
+            const stored = localStorage.getItem('theme');
+            if (stored) {
+                localStorage.removeItem('theme');
+                if (!localStorage.getItem('blazorworkflow.theme')) themes.setDefault(stored);
+            }
+
+            this.handle = themes.attach(document.documentElement);
+        }
+        return this.getTheme();
     }
 };
 
-// Initialize theme immediately to prevent flash
+// Initialize theme as soon as the module runs, before Blazor starts
 window.themeManager.initialize();
@@ -0,0 +1,50 @@
+using BlazorWorkflow.Models;
+using Xunit;
+
+namespace TestRunner
+{
+    /// <summary>
+    /// Tests for the summary shown when an autosave journal is offered back.
+    /// </summary>
+    public class AutosaveTests
+    {
+        [Fact]
+        public void DescribeListsEachKindOfChange()
+        {
+            var recovery = new AutosaveRecovery
+            {
+                Added = ["Fetch"],
+                Removed = ["Parse", "Log"],
+                ConnectionsAdded = 1,
+                ConnectionsRemoved = 3,
+                FramesOrNotesChanged = true
+            };
+
+            Assert.Equal(
+                new[] { "Added: Fetch", "Removed: Parse and Log", "1 connection added", "3 connections removed", "Frames or notes changed" },
+                recovery.Describe());
+        }
+
+        [Fact]
+        public void DescribeShortensLongLists()
+        {
+            var recovery = new AutosaveRecovery { Moved = ["A", "B", "C", "D", "E"] };
+
+            Assert.Equal("Moved: A, B, C and 2 more", Assert.Single(recovery.Describe()));
+        }
+
+        [Fact]
+        public void DescribeIsEmptyWithoutChanges()
+        {
+            Assert.Empty(new AutosaveRecovery().Describe());
+        }
+
+        [Fact]
+        public void SavedAtIsUnixMilliseconds()
+        {
+            var recovery = new AutosaveRecovery { SavedAt = 1_700_000_000_123 };
+
+            Assert.Equal(new DateTimeOffset(2023, 11, 14, 22, 13, 20, 123, TimeSpan.Zero), recovery.SavedAtTime);
+        }
+    }
+}
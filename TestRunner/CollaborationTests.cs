@@ -0,0 +1,491 @@
+using System.Security.Claims;
+using System.Text.Json.Nodes;
+using BlazorWorkflow.Models;
+using BlazorWorkflow.Services;
+using Microsoft.AspNetCore.Http.Features;
+using Microsoft.AspNetCore.SignalR;
+using Microsoft.Extensions.DependencyInjection;
+using Xunit;
+
+namespace TestRunner
+{
+    /// <summary>
+    /// Tests for collaborative editing: sessions exchanging operations through the in-memory transport,
+    /// and the merge rule that makes concurrent edits converge.
+    /// </summary>
+    public class CollaborationTests
+    {
+        private const string WorkflowId = "wf-1";
+
+        /// <summary>One participant's session with a minimal canvas: node positions, params and connections.</summary>
+        private sealed class Participant
+        {
+            public Participant(InMemoryCollaborationHub hub, string clientId)
+            {
+                Session = new CollaborationSession(new InMemoryCollaborationTransport(hub), WorkflowId, clientId.ToUpperInvariant(), clientId);
+                Session.OperationReceived += op =>
+                {
+                    Received.Add(op);
+                    Apply(op);
+                    return Task.CompletedTask;
+                };
+            }
+
+            public CollaborationSession Session { get; }
+            public List<CollaborationOperation> Received { get; } = [];
+            public Dictionary<string, (double X, double Y)> Positions { get; } = [];
+            public Dictionary<string, string?> Params { get; } = [];
+            public HashSet<string> Connections { get; } = [];
+
+            // A local edit: applied here first, then published
+            public async Task<CollaborationOperation?> EditAsync(CollaborationOperation op)
+            {
+                Apply(op);
+                return await Session.PublishAsync(op);
+            }
+
+            private void Apply(CollaborationOperation op)
+            {
+                switch (op.Kind)
+                {
+                    case CollaborationOperation.NodeAdded:
+                    case CollaborationOperation.NodeMoved:
+                        Positions[op.Node!] = (op.X ?? 0, op.Y ?? 0);
+                        break;
+                    case CollaborationOperation.NodeRemoved:
+                        Positions.Remove(op.Node!);
+                        break;
+                    case CollaborationOperation.ParamChanged:
+                        Params[$"{op.Node}:{op.Path}"] = op.Value?.ToString();
+                        break;
+                    case CollaborationOperation.ConnectionAdded:
+                        Connections.Add(ConnectionKey(op.Connection!));
+                        break;
+                    case CollaborationOperation.ConnectionRemoved:
+                        Connections.Remove(ConnectionKey(op.Connection!));
+                        break;
+                }
+            }
+
+            private static string ConnectionKey(CollaborationConnection c) => $"{c.Output}:{c.OutputClass}->{c.Input}:{c.InputClass}";
+        }
+
+        private static async Task<(InMemoryCollaborationHub Hub, Participant A, Participant B)> StartTwoAsync()
+        {
+            var hub = new InMemoryCollaborationHub();
+            var a = new Participant(hub, "a");
+            var b = new Participant(hub, "b");
+            await a.Session.StartAsync();
+            await b.Session.StartAsync();
+            return (hub, a, b);
+        }
+
+        private static async Task AddNodeToBothAsync(Participant from, string node)
+        {
+            await from.EditAsync(new CollaborationOperation { Kind = CollaborationOperation.NodeAdded, Node = node, X = 0, Y = 0, Definition = "{}" });
+        }
+
+        private static CollaborationOperation Move(string node, double x, double y)
+            => new() { Kind = CollaborationOperation.NodeMoved, Node = node, X = x, Y = y };
+
+        private static CollaborationOperation Connection(string kind)
+            => new()
+            {
+                Kind = kind,
+                Connection = new CollaborationConnection { Output = "n1", OutputClass = "output_1", Input = "n2", InputClass = "input_1" }
+            };
+
+        #region Relaying
+
+        [Fact]
+        public async Task OperationReachesOthersButIsNotEchoed()
+        {
+            var (_, a, b) = await StartTwoAsync();
+
+            await AddNodeToBothAsync(a, "n1");
+            await a.EditAsync(Move("n1", 100, 50));
+
+            Assert.Empty(a.Received);
+            Assert.Equal(2, b.Received.Count);
+            Assert.Equal((100d, 50d), b.Positions["n1"]);
+            Assert.All(b.Received, op => Assert.Equal("a", op.ClientId));
+        }
+
+        [Fact]
+        public async Task OtherWorkflowsDoNotReceiveOperations()
+        {
+            var hub = new InMemoryCollaborationHub();
+            var a = new Participant(hub, "a");
+            await a.Session.StartAsync();
+            var other = new CollaborationSession(new InMemoryCollaborationTransport(hub), "wf-2", clientId: "c");
+            var received = new List<CollaborationOperation>();
+            other.OperationReceived += op => { received.Add(op); return Task.CompletedTask; };
+            await other.StartAsync();
+
+            await AddNodeToBothAsync(a, "n1");
+
+            Assert.Empty(received);
+            Assert.Empty(other.Collaborators);
+        }
+
+        [Fact]
+        public async Task ClockAdvancesPastReceivedOperations()
+        {
+            var (_, a, b) = await StartTwoAsync();
+
+            await AddNodeToBothAsync(a, "n1");
+            await a.EditAsync(Move("n1", 10, 10));
+            await a.EditAsync(Move("n1", 20, 20));
+
+            // b's clock caught up with everything it received, so its first edit is newer than all of them
+            var published = await b.EditAsync(Move("n1", 30, 30));
+
+            Assert.NotNull(published);
+            Assert.Equal(4, published!.Clock);
+            Assert.Equal((30d, 30d), a.Positions["n1"]);
+        }
+
+        #endregion
+
+        #region Merging concurrent edits
+
+        [Fact]
+        public async Task ConcurrentMovesConvergeOnTheSameWinner()
+        {
+            var (hub, a, b) = await StartTwoAsync();
+            await AddNodeToBothAsync(a, "n1");
+
+            hub.HoldDeliveries = true;
+            await a.EditAsync(Move("n1", 100, 100));
+            await b.EditAsync(Move("n1", 200, 200));
+            await hub.DeliverHeldAsync();
+
+            // Same clock: the higher client id wins on both canvases
+            Assert.Equal((200d, 200d), a.Positions["n1"]);
+            Assert.Equal((200d, 200d), b.Positions["n1"]);
+        }
+
+        [Fact]
+        public async Task StaleMoveIsDropped()
+        {
+            var (hub, a, b) = await StartTwoAsync();
+            await AddNodeToBothAsync(a, "n1");
+
+            hub.HoldDeliveries = true;
+            await a.EditAsync(Move("n1", 100, 100));
+            await a.EditAsync(Move("n1", 110, 110));
+            await b.EditAsync(Move("n1", 200, 200));
+            await hub.DeliverHeldAsync();
+
+            // a's second move has the higher clock
+            Assert.Equal((110d, 110d), a.Positions["n1"]);
+            Assert.Equal((110d, 110d), b.Positions["n1"]);
+            Assert.DoesNotContain(a.Received, op => op.Kind == CollaborationOperation.NodeMoved);
+        }
+
+        [Fact]
+        public async Task RemovalWinsOverConcurrentEdits()
+        {
+            var (hub, a, b) = await StartTwoAsync();
+            await AddNodeToBothAsync(a, "n1");
+
+            hub.HoldDeliveries = true;
+            await a.EditAsync(new CollaborationOperation { Kind = CollaborationOperation.NodeRemoved, Node = "n1" });
+            await b.EditAsync(Move("n1", 200, 200));
+            await b.EditAsync(Move("n1", 300, 300));
+            await hub.DeliverHeldAsync();
+
+            Assert.False(a.Positions.ContainsKey("n1"));
+            Assert.False(b.Positions.ContainsKey("n1"));
+
+            // Once the removal is known, edits to the node aren't sent at all
+            Assert.Null(await b.Session.PublishAsync(Move("n1", 400, 400)));
+        }
+
+        [Fact]
+        public async Task ConnectionsToRemovedNodesAreDropped()
+        {
+            var (_, a, b) = await StartTwoAsync();
+            await AddNodeToBothAsync(a, "n1");
+            await AddNodeToBothAsync(a, "n2");
+
+            await a.EditAsync(new CollaborationOperation { Kind = CollaborationOperation.NodeRemoved, Node = "n2" });
+
+            Assert.Null(await b.Session.PublishAsync(Connection(CollaborationOperation.ConnectionAdded)));
+        }
+
+        [Fact]
+        public async Task ConcurrentConnectionAddAndRemoveConverge()
+        {
+            var (hub, a, b) = await StartTwoAsync();
+            await AddNodeToBothAsync(a, "n1");
+            await AddNodeToBothAsync(a, "n2");
+            await a.EditAsync(Connection(CollaborationOperation.ConnectionAdded));
+            Assert.Single(b.Connections);
+
+            hub.HoldDeliveries = true;
+            await b.EditAsync(Connection(CollaborationOperation.ConnectionRemoved));
+            await a.EditAsync(Connection(CollaborationOperation.ConnectionAdded));
+            await hub.DeliverHeldAsync();
+
+            // Same clock again: b's removal wins
+            Assert.Empty(a.Connections);
+            Assert.Empty(b.Connections);
+        }
+
+        [Fact]
+        public async Task ParamEditsOnDifferentPathsBothApply()
+        {
+            var (hub, a, b) = await StartTwoAsync();
+            await AddNodeToBothAsync(a, "n1");
+
+            hub.HoldDeliveries = true;
+            await a.EditAsync(new CollaborationOperation { Kind = CollaborationOperation.ParamChanged, Node = "n1", Path = "params.url", Value = JsonValue.Create("https://a") });
+            await b.EditAsync(new CollaborationOperation { Kind = CollaborationOperation.ParamChanged, Node = "n1", Path = "params.method", Value = JsonValue.Create("POST") });
+            await hub.DeliverHeldAsync();
+
+            Assert.Equal(a.Params, b.Params);
+            Assert.Equal("https://a", a.Params["n1:params.url"]);
+            Assert.Equal("POST", a.Params["n1:params.method"]);
+        }
+
+        [Fact]
+        public async Task DuplicateNodeAddIsIgnored()
+        {
+            var (_, a, b) = await StartTwoAsync();
+            await AddNodeToBothAsync(a, "n1");
+
+            await AddNodeToBothAsync(a, "n1");
+
+            Assert.Single(b.Received);
+        }
+
+        [Theory]
+        [InlineData("__proto__.polluted")]
+        [InlineData("constructor.prototype.polluted")]
+        [InlineData("params[__proto__].polluted")]
+        [InlineData("")]
+        public async Task ParamPathsIntoPrototypesAreDropped(string path)
+        {
+            var (hub, a, b) = await StartTwoAsync();
+            await AddNodeToBothAsync(a, "n1");
+
+            // Sent straight through a transport, as a tampered browser could, rather than through a session
+            var attacker = new InMemoryCollaborationTransport(hub);
+            await attacker.JoinAsync(WorkflowId, "x");
+            await attacker.SendOperationAsync(new CollaborationOperation
+            {
+                Kind = CollaborationOperation.ParamChanged, Node = "n1", Path = path, Value = "yes", ClientId = "x", Clock = 10
+            });
+
+            Assert.DoesNotContain(b.Received, op => op.Kind == CollaborationOperation.ParamChanged);
+            Assert.Null(await a.Session.PublishAsync(new CollaborationOperation { Kind = CollaborationOperation.ParamChanged, Node = "n1", Path = path }));
+        }
+
+        [Fact]
+        public void UnknownKindsAndOversizedDefinitionsAreInvalid()
+        {
+            Assert.False(new CollaborationOperation { Kind = "nodeRenamed", Node = "n1" }.IsValid());
+            Assert.False(new CollaborationOperation
+            {
+                Kind = CollaborationOperation.NodeAdded,
+                Node = "n1",
+                Definition = new string('x', CollaborationOperation.MaxDefinitionLength + 1)
+            }.IsValid());
+            Assert.True(new CollaborationOperation { Kind = CollaborationOperation.ParamChanged, Node = "n1", Path = "params.headers[0].name" }.IsValid());
+        }
+
+        #endregion
+
+        #region Presence
+
+        [Fact]
+        public async Task ParticipantsSeeEachOtherAndTheirCursors()
+        {
+            var (_, a, b) = await StartTwoAsync();
+            CollaboratorPresence? seen = null;
+            a.Session.CollaboratorChanged += p => { seen = p; return Task.CompletedTask; };
+
+            await b.Session.UpdatePresenceAsync(40, 60, ["n1"], "Home");
+
+            Assert.Equal("b", Assert.Single(a.Session.Collaborators).ClientId);
+            Assert.Equal("a", Assert.Single(b.Session.Collaborators).ClientId);
+            Assert.NotNull(seen);
+            Assert.Equal("B", seen!.Name);
+            Assert.Equal(b.Session.Color, seen.Color);
+            Assert.Equal(40, seen.X);
+            Assert.Equal(new[] { "n1" }, seen.Selection);
+        }
+
+        [Fact]
+        public async Task LeavingRemovesTheCollaborator()
+        {
+            var (_, a, b) = await StartTwoAsync();
+            string? left = null;
+            a.Session.CollaboratorLeft += id => { left = id; return Task.CompletedTask; };
+
+            await b.Session.DisposeAsync();
+
+            Assert.Equal("b", left);
+            Assert.Empty(a.Session.Collaborators);
+        }
+
+        [Fact]
+        public async Task InvalidPresenceIsDropped()
+        {
+            var hub = new InMemoryCollaborationHub();
+            var a = new Participant(hub, "a");
+            await a.Session.StartAsync();
+            var raw = new InMemoryCollaborationTransport(hub);
+            await raw.JoinAsync(WorkflowId, "x");
+
+            await raw.SendPresenceAsync(new CollaboratorPresence { ClientId = "x", Name = "X", Color = "red;background:url(https://evil.example)" });
+
+            Assert.Empty(a.Session.Collaborators);
+        }
+
+        [Fact]
+        public void ColorIsStablePerClient()
+        {
+            var hub = new InMemoryCollaborationHub();
+            var first = new CollaborationSession(new InMemoryCollaborationTransport(hub), WorkflowId, clientId: "same");
+            var second = new CollaborationSession(new InMemoryCollaborationTransport(hub), WorkflowId, clientId: "same");
+
+            Assert.Equal(first.Color, second.Color);
+            Assert.StartsWith("Guest ", first.Name);
+        }
+
+        #endregion
+
+        #region Hub authorization
+
+        private sealed class TestCallerContext : HubCallerContext
+        {
+            public TestCallerContext(ClaimsPrincipal user) => User = user;
+
+            public override string ConnectionId { get; } = "connection-1";
+            public override string? UserIdentifier => User?.Identity?.Name;
+            public override ClaimsPrincipal? User { get; }
+            public override IDictionary<object, object?> Items { get; } = new Dictionary<object, object?>();
+            public override IFeatureCollection Features { get; } = new FeatureCollection();
+            public override CancellationToken ConnectionAborted => CancellationToken.None;
+            public override void Abort() { }
+        }
+
+        private sealed class TestGroups : IGroupManager
+        {
+            public List<string> Joined { get; } = [];
+
+            public Task AddToGroupAsync(string connectionId, string groupName, CancellationToken cancellationToken = default)
+            {
+                Joined.Add(groupName);
+                return Task.CompletedTask;
+            }
+
+            public Task RemoveFromGroupAsync(string connectionId, string groupName, CancellationToken cancellationToken = default)
+            {
+                Joined.Remove(groupName);
+                return Task.CompletedTask;
+            }
+        }
+
+        // Only "alice" may edit, and only WorkflowId
+        private static (WorkflowCollaborationHub Hub, TestGroups Groups) CreateHub(string? user, string? joinPolicy = "EditWorkflow")
+        {
+            var services = new ServiceCollection()
+                .AddLogging()
+                .AddAuthorizationCore(auth => auth.AddPolicy("EditWorkflow", policy => policy.RequireAssertion(ctx =>
+                    ctx.User.Identity?.Name == "alice" && ctx.Resource as string == WorkflowId)))
+                .BuildServiceProvider();
+
+            var identity = user is null ? new ClaimsIdentity() : new ClaimsIdentity([new Claim(ClaimTypes.Name, user)], "test");
+            var groups = new TestGroups();
+            var hub = new WorkflowCollaborationHub(new CollaborationOptions { Enabled = true, JoinPolicy = joinPolicy }, services)
+            {
+                Context = new TestCallerContext(new ClaimsPrincipal(identity)),
+                Groups = groups
+            };
+            return (hub, groups);
+        }
+
+        [Fact]
+        public async Task JoinPolicyAdmitsAllowedUser()
+        {
+            var (hub, groups) = CreateHub("alice");
+
+            await hub.Join(WorkflowId, "a");
+
+            Assert.Equal($"workflow:{WorkflowId}", Assert.Single(groups.Joined));
+        }
+
+        [Theory]
+        [InlineData("bob", WorkflowId)]
+        [InlineData(null, WorkflowId)]
+        [InlineData("alice", "wf-2")]
+        public async Task JoinPolicyRefusesOthers(string? user, string workflowId)
+        {
+            var (hub, groups) = CreateHub(user);
+
+            await Assert.ThrowsAsync<HubException>(() => hub.Join(workflowId, "a"));
+            Assert.Empty(groups.Joined);
+        }
+
+        [Fact]
+        public async Task HubRefusesInvalidOperations()
+        {
+            var (hub, groups) = CreateHub("alice");
+            await hub.Join(WorkflowId, "a");
+
+            await Assert.ThrowsAsync<HubException>(() => hub.SendOperation(new CollaborationOperation
+            {
+                Kind = CollaborationOperation.ParamChanged, Node = "n1", Path = "__proto__.polluted", Value = "yes"
+            }));
+            Assert.Single(groups.Joined);
+        }
+
+        [Fact]
+        public async Task JoinBindsTheClientIdToTheUser()
+        {
+            var (hub, _) = CreateHub("alice");
+
+            // Asking for bob's id still speaks as alice
+            Assert.Equal("alice/bob", await hub.Join(WorkflowId, "bob"));
+        }
+
+        [Fact]
+        public async Task AnonymousConnectionsAreKnownByTheirConnectionId()
+        {
+            var (hub, _) = CreateHub(null, joinPolicy: null);
+
+            Assert.Equal("connection-1", await hub.Join(WorkflowId, "alice/a"));
+        }
+
+        [Fact]
+        public async Task HubRefusesInvalidPresence()
+        {
+            var (hub, _) = CreateHub("alice");
+            await hub.Join(WorkflowId, "a");
+
+            await Assert.ThrowsAsync<HubException>(() => hub.SendPresence(new CollaboratorPresence
+            {
+                ClientId = "a", Name = new string('x', CollaboratorPresence.MaxNameLength + 1), Color = "#fff"
+            }));
+            await Assert.ThrowsAsync<HubException>(() => hub.SendPresence(new CollaboratorPresence
+            {
+                ClientId = "a", Name = "Alice", Color = "#fff", X = double.NaN
+            }));
+        }
+
+        [Fact]
+        public async Task WithoutJoinPolicyAnyoneJoins()
+        {
+            var (hub, groups) = CreateHub(null, joinPolicy: null);
+
+            await hub.Join("wf-2", "a");
+
+            Assert.Single(groups.Joined);
+        }
+
+        #endregion
+    }
+}
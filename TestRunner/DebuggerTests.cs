@@ -0,0 +1,224 @@
+using BlazorWorkflow.Flow.BaseNodes;
+using BlazorWorkflow.Helpers;
+using BlazorWorkflow.Models;
+using BlazorWorkflow.Models.NodeV2;
+using BlazorWorkflow.Repositories;
+using BlazorWorkflow.Services;
+using BlazorWorkflow.Testing;
+using Microsoft.Extensions.DependencyInjection;
+using Xunit;
+
+namespace TestRunner
+{
+    /// <summary>
+    /// Tests for breakpoints and step-through execution via WorkflowDebugger.
+    /// </summary>
+    public class DebuggerTests
+    {
+        private static readonly TimeSpan Timeout = TimeSpan.FromSeconds(5);
+
+        private static NodeGraphBuilder BuildAddThenMultiply()
+        {
+            var graph = new NodeGraphBuilder();
+
+            graph.AddNode("first", typeof(BaseNodeCollection), "Add")
+                .MapInput("input1", "5")
+                .MapInput("input2", "3")
+                .AutoMapOutputs();
+
+            graph.AddNode("second", typeof(BaseNodeCollection), "Multiply")
+                .MapInput("input1", "input.result")
+                .MapInput("input2", "4")
+                .AutoMapOutputs();
+
+            graph.Connect("first", "second");
+            return graph;
+        }
+
+        private sealed class InMemoryWorkflowRepository : IWorkflowRepository
+        {
+            private readonly Dictionary<string, WorkflowInfo> _workflows = [];
+
+            public List<WorkflowInfo> GetAll() => _workflows.Values.ToList();
+            public WorkflowInfo? GetById(string id) => _workflows.GetValueOrDefault(id);
+            public void Add(WorkflowInfo workflow) => _workflows[workflow.Id] = workflow;
+            public void Update(WorkflowInfo workflow) => _workflows[workflow.Id] = workflow;
+            public void Delete(string id) => _workflows.Remove(id);
+        }
+
+        // start -> first -> second, saved as workflow "wf" in a WorkflowService. Typed as the interface,
+        // which implements ExecuteWorkflowAsync for every service
+        private static (IWorkflowService Service, NodeGraphBuilder Builder) BuildSavedWorkflow()
+        {
+            var builder = BuildAddThenMultiply();
+            builder.AddNode("start", typeof(CoreNodes), "Start");
+            builder.Connect("start", "first");
+
+            var graph = new Graph();
+            graph.Nodes.Clear();
+            foreach (var node in builder.GetAllNodes())
+            {
+                graph.Nodes[node.DrawflowNodeId] = node;
+            }
+
+            var service = new WorkflowService(new InMemoryWorkflowRepository());
+            service.AddWorkflow(new WorkflowInfo { Id = "wf", Name = "Debugged", FlowGraph = graph });
+            return (service, builder);
+        }
+
+        [Fact]
+        public async Task Breakpoint_PausesBeforeNode_WithItsInput()
+        {
+            var graph = BuildAddThenMultiply();
+            graph.GetNode("second").HasBreakpoint = true;
+
+            var debugger = new WorkflowDebugger();
+            var paused = new TaskCompletionSource<DebuggerPausedEventArgs>(TaskCreationOptions.RunContinuationsAsynchronously);
+            debugger.Paused += (_, e) => paused.TrySetResult(e);
+
+            var run = graph.ExecuteAsync("first", debugger: debugger);
+            var pause = await paused.Task.WaitAsync(Timeout);
+
+            Assert.Same(graph.GetNode("second"), pause.Node);
+            Assert.Equal(8, pause.Input.GetByPath("input.result")!.GetValue<int>());
+            Assert.Null(graph.GetNode("second").Result);
+            Assert.False(run.IsCompleted);
+
+            Assert.True(debugger.Continue());
+            var result = await run.WaitAsync(Timeout);
+
+            Assert.Equal(32, result.GetOutput<int>("second", "result"));
+            Assert.False(debugger.IsPaused);
+        }
+
+        [Fact]
+        public async Task StepOver_PausesBeforeEveryFollowingNode()
+        {
+            var graph = BuildAddThenMultiply();
+            graph.GetNode("first").HasBreakpoint = true;
+
+            var debugger = new WorkflowDebugger();
+            var pausedNodes = new List<Node>();
+            debugger.Paused += (_, e) =>
+            {
+                pausedNodes.Add(e.Node);
+                debugger.StepOver();
+            };
+
+            await graph.ExecuteAsync("first", debugger: debugger).WaitAsync(Timeout);
+
+            Assert.Equal(new[] { graph.GetNode("first"), graph.GetNode("second") }, pausedNodes);
+        }
+
+        [Fact]
+        public async Task Stop_AbortsRunWithoutRecordingNodeErrors()
+        {
+            var graph = BuildAddThenMultiply();
+            graph.GetNode("second").HasBreakpoint = true;
+
+            var debugger = new WorkflowDebugger();
+            debugger.Paused += (_, _) => debugger.Stop();
+
+            await Assert.ThrowsAnyAsync<OperationCanceledException>(
+                () => graph.ExecuteAsync("first", debugger: debugger).WaitAsync(Timeout));
+
+            Assert.True(debugger.IsStopped);
+            Assert.Null(graph.GetNode("second").Result);
+            Assert.False(graph.GetNode("second").HasError);
+        }
+
+        [Fact]
+        public async Task WorkflowService_PausesAtBreakpoint()
+        {
+            var (service, builder) = BuildSavedWorkflow();
+            builder.GetNode("second").HasBreakpoint = true;
+
+            var debugger = new WorkflowDebugger();
+            var paused = new TaskCompletionSource<DebuggerPausedEventArgs>(TaskCreationOptions.RunContinuationsAsynchronously);
+            debugger.Paused += (_, e) => paused.TrySetResult(e);
+
+            var run = service.ExecuteWorkflowAsync("wf", debugger: debugger);
+            var pause = await paused.Task.WaitAsync(Timeout);
+
+            Assert.Same(builder.GetNode("second"), pause.Node);
+            Assert.False(run.IsCompleted);
+
+            Assert.True(debugger.Continue());
+            Assert.NotNull(await run.WaitAsync(Timeout));
+            Assert.Equal(32, builder.GetNode("second").Result!.GetByPath("output.result")!.GetValue<int>());
+        }
+
+        [Fact]
+        public async Task WorkflowService_StopAbortsTheRun()
+        {
+            var (service, builder) = BuildSavedWorkflow();
+            builder.GetNode("first").HasBreakpoint = true;
+
+            var debugger = new WorkflowDebugger();
+            debugger.Paused += (_, _) => debugger.Stop();
+
+            await Assert.ThrowsAnyAsync<OperationCanceledException>(
+                () => service.ExecuteWorkflowAsync("wf", debugger: debugger).WaitAsync(Timeout));
+            Assert.Null(builder.GetNode("second").Result);
+        }
+
+        [Fact]
+        public async Task WorkflowService_UnknownWorkflowReturnsNull()
+        {
+            var (service, _) = BuildSavedWorkflow();
+
+            Assert.Null(await service.ExecuteWorkflowAsync("missing"));
+        }
+
+        [Fact]
+        public async Task CalledWorkflow_PausesAtItsBreakpoint()
+        {
+            var (service, inner) = BuildSavedWorkflow();
+            inner.GetNode("second").HasBreakpoint = true;
+
+            // Workflow nodes look up the workflow they call through NodeServiceProvider
+            NodeServiceProvider.ConfigureServiceProvider(new ServiceCollection()
+                .AddSingleton<IWorkflowService>(service)
+                .BuildServiceProvider());
+            try
+            {
+                var outer = new NodeGraphBuilder();
+                outer.AddNode("caller", typeof(WorkflowHelpers), nameof(WorkflowHelpers.ExecuteWorkflow));
+                outer.GetNode("caller").ParentWorkflowId = "wf";
+
+                var debugger = new WorkflowDebugger();
+                var paused = new TaskCompletionSource<DebuggerPausedEventArgs>(TaskCreationOptions.RunContinuationsAsynchronously);
+                debugger.Paused += (_, e) => paused.TrySetResult(e);
+
+                var run = outer.ExecuteAsync("caller", debugger: debugger);
+                var pause = await paused.Task.WaitAsync(Timeout);
+
+                Assert.Same(inner.GetNode("second"), pause.Node);
+                Assert.False(run.IsCompleted);
+
+                Assert.True(debugger.Continue());
+                await run.WaitAsync(Timeout);
+                Assert.Equal(32, inner.GetNode("second").Result!.GetByPath("output.result")!.GetValue<int>());
+            }
+            finally
+            {
+                NodeServiceProvider.Clear();
+            }
+        }
+
+        [Fact]
+        public async Task NoBreakpoints_RunsWithoutPausing()
+        {
+            var graph = BuildAddThenMultiply();
+
+            var debugger = new WorkflowDebugger();
+            var pauses = 0;
+            debugger.Paused += (_, _) => pauses++;
+
+            var result = await graph.ExecuteAsync("first", debugger: debugger).WaitAsync(Timeout);
+
+            Assert.Equal(32, result.GetOutput<int>("second", "result"));
+            Assert.Equal(0, pauses);
+        }
+    }
+}
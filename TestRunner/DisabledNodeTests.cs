@@ -0,0 +1,71 @@
+using BlazorWorkflow.Flow.BaseNodes;
+using BlazorWorkflow.Models.NodeV2;
+using BlazorWorkflow.Testing;
+using Xunit;
+
+namespace TestRunner
+{
+    /// <summary>
+    /// Tests for nodes disabled from the canvas context menu.
+    /// </summary>
+    public class DisabledNodeTests
+    {
+        private static NodeGraphBuilder BuildAddMultiplyAdd()
+        {
+            var graph = new NodeGraphBuilder();
+
+            graph.AddNode("first", typeof(BaseNodeCollection), "Add")
+                .MapInput("input1", "5")
+                .MapInput("input2", "3")
+                .AutoMapOutputs();
+
+            graph.AddNode("second", typeof(BaseNodeCollection), "Multiply")
+                .MapInput("input1", "input.result")
+                .MapInput("input2", "4")
+                .AutoMapOutputs();
+
+            graph.AddNode("third", typeof(BaseNodeCollection), "Add")
+                .MapInput("input1", "input.result")
+                .MapInput("input2", "1")
+                .AutoMapOutputs();
+
+            graph.Connect("first", "second");
+            graph.Connect("second", "third");
+            return graph;
+        }
+
+        [Fact]
+        public async Task DisabledNode_PassesItsInputThrough()
+        {
+            var graph = BuildAddMultiplyAdd();
+            graph.GetNode("second").IsDisabled = true;
+
+            var result = await graph.ExecuteAsync("first");
+
+            Assert.Equal(8, result.GetOutput<int>("second", "result"));
+            Assert.Equal(9, result.GetOutput<int>("third", "result"));
+            Assert.False(result.HasError("second"));
+        }
+
+        [Fact]
+        public async Task DisabledNode_IsNotPausedByItsBreakpoint()
+        {
+            var graph = BuildAddMultiplyAdd();
+            graph.GetNode("second").IsDisabled = true;
+            graph.GetNode("second").HasBreakpoint = true;
+
+            var debugger = new WorkflowDebugger();
+            var pauses = 0;
+            debugger.Paused += (_, _) =>
+            {
+                pauses++;
+                debugger.Continue();
+            };
+
+            var result = await graph.ExecuteAsync("first", debugger: debugger).WaitAsync(TimeSpan.FromSeconds(5));
+
+            Assert.Equal(9, result.GetOutput<int>("third", "result"));
+            Assert.Equal(0, pauses);
+        }
+    }
+}
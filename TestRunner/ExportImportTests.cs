@@ -3,6 +3,7 @@ using System.Text.Json;
 using System.Text.Json.Nodes;
 using BlazorWorkflow.Flow.BaseNodes;
 using BlazorWorkflow.Helpers;
+using BlazorWorkflow.Models.DTOs;
 using BlazorWorkflow.Models.NodeV2;
 using BlazorWorkflow.Testing;
 using Xunit;
@@ -288,6 +289,119 @@ namespace TestRunner
             Assert.True(restored[0].MergeOutputWithInput);
         }
 
+        [Fact]
+        public void RoundTripPreservesBreakpoint()
+        {
+            var nodes = BuildSimpleGraph();
+            nodes[0].HasBreakpoint = true;
+
+            var json = FlowSerializer.SerializeFlow(nodes, "Breakpoints");
+            var restored = FlowSerializer.DeserializeFlow(json);
+
+            Assert.True(restored[0].HasBreakpoint);
+        }
+
+        [Fact]
+        public void RoundTripPreservesDisabledFlag()
+        {
+            var nodes = BuildSimpleGraph();
+            nodes[0].IsDisabled = true;
+
+            var json = FlowSerializer.SerializeFlow(nodes, "Disabled");
+            var restored = FlowSerializer.DeserializeFlow(json);
+
+            Assert.True(restored[0].IsDisabled);
+        }
+
+        [Fact]
+        public void RoundTripPreservesFrames()
+        {
+            var nodes = BuildConnectedGraph();
+            var frame = new NodeFrame
+            {
+                Title = "Math",
+                Color = "#82b366",
+                PosX = 10,
+                PosY = 20,
+                Width = 400,
+                Height = 240,
+                IsCollapsed = true,
+                NodeIds = [nodes[0].DrawflowNodeId]
+            };
+
+            var json = FlowSerializer.SerializeFlow(nodes, "Framed", frames: [frame]);
+            FlowSerializer.DeserializeFlow(json, out var metadata);
+
+            var restored = Assert.Single(metadata.Frames);
+            Assert.Equal(frame.Id, restored.Id);
+            Assert.Equal("Math", restored.Title);
+            Assert.Equal("#82b366", restored.Color);
+            Assert.Equal(400, restored.Width);
+            Assert.True(restored.IsCollapsed);
+            Assert.Equal(frame.NodeIds, restored.NodeIds);
+        }
+
+        [Fact]
+        public void GraphJsonConverterPreservesFrames()
+        {
+            var graph = new Graph();
+            graph.Nodes.Clear();
+            foreach (var node in BuildSimpleGraph())
+            {
+                graph.Nodes[node.DrawflowNodeId] = node;
+            }
+            var nodeIds = graph.Nodes.Keys.ToList();
+            graph.Frames.Add(new NodeFrame { Title = "Saved", Width = 300, Height = 200, NodeIds = nodeIds });
+
+            var options = new JsonSerializerOptions { Converters = { new GraphJsonConverter() } };
+            var restored = JsonSerializer.Deserialize<Graph>(JsonSerializer.Serialize(graph, options), options);
+
+            var frame = Assert.Single(restored!.Frames);
+            Assert.Equal("Saved", frame.Title);
+            Assert.Equal(nodeIds, frame.NodeIds);
+        }
+
+        [Fact]
+        public void RoundTripPreservesNotes()
+        {
+            var nodes = BuildConnectedGraph();
+            var note = new CanvasNote
+            {
+                Text = "# Totals\n- adds **two** numbers",
+                Color = "#caffbf",
+                PosX = 300,
+                PosY = 40,
+                Width = 260,
+                PinnedNodeId = nodes[0].DrawflowNodeId,
+                OffsetX = 200,
+                OffsetY = -20
+            };
+
+            var json = FlowSerializer.SerializeFlow(nodes, "Annotated", notes: [note]);
+            var restoredNodes = FlowSerializer.DeserializeFlow(json, out var metadata);
+
+            var restored = Assert.Single(metadata.Notes);
+            Assert.Equal(note.Id, restored.Id);
+            Assert.Equal(note.Text, restored.Text);
+            Assert.Equal("#caffbf", restored.Color);
+            Assert.Equal(260, restored.Width);
+            Assert.Equal(note.PinnedNodeId, restored.PinnedNodeId);
+            Assert.Equal(200, restored.OffsetX);
+            Assert.Equal(-20, restored.OffsetY);
+            Assert.Equal(nodes.Count, restoredNodes.Count);
+        }
+
+        [Fact]
+        public void RoundTripWithoutNotesHasNoNotesKey()
+        {
+            var plain = FlowSerializer.SerializeFlow(BuildSimpleGraph(), "Plain");
+            var annotated = FlowSerializer.SerializeFlow(BuildSimpleGraph(), "Annotated", notes: [new CanvasNote { Text = "Hi" }]);
+
+            // No naming policy, so the key is written as the property name
+            Assert.False(JsonDocument.Parse(plain).RootElement.TryGetProperty("Notes", out _));
+            Assert.True(JsonDocument.Parse(annotated).RootElement.TryGetProperty("Notes", out _));
+        }
+
         #endregion
 
         #region Import resiliency
@@ -497,6 +611,88 @@ namespace TestRunner
             Assert.Equal(2, nodeCount);
         }
 
+        [Fact]
+        public void DrawflowExportKeepsFramesInTheModule()
+        {
+            var nodes = BuildConnectedGraph();
+            var frame = new NodeFrame { Title = "Group", PosX = 5, PosY = 5, Width = 500, Height = 300, NodeIds = nodes.Select(n => n.DrawflowNodeId).ToList() };
+
+            var json = DrawflowExporter.ExportToDrawflowJson(nodes, [frame]);
+            var page = DrawflowGraph.Parse(null!, json).Page;
+
+            var restored = Assert.Single(page.Frames);
+            Assert.Equal(frame.Id, restored.Id);
+            Assert.Equal(500, restored.Width);
+            Assert.Equal(frame.NodeIds, restored.NodeIds);
+        }
+
+        [Fact]
+        public void DrawflowExportKeepsNotesInTheModule()
+        {
+            var nodes = BuildSimpleGraph();
+            var note = new CanvasNote { Text = "Check the *inputs*", PosX = 12, PosY = 34, PinnedNodeId = nodes[0].DrawflowNodeId };
+
+            var json = DrawflowExporter.ExportToDrawflowJson(nodes, notes: [note]);
+            var page = DrawflowGraph.Parse(null!, json).Page;
+
+            var restored = Assert.Single(page.Notes);
+            Assert.Equal(note.Id, restored.Id);
+            Assert.Equal("Check the *inputs*", restored.Text);
+            Assert.Equal(note.PinnedNodeId, restored.PinnedNodeId);
+            Assert.Equal(nodes.Count, page.Data.Count);
+        }
+
+        [Fact]
+        public void DrawflowExportListsMappedInputsAsParams()
+        {
+            var json = DrawflowExporter.ExportToDrawflowJson(BuildSimpleGraph());
+
+            var data = JsonDocument.Parse(json).RootElement.GetProperty("drawflow").GetProperty("Home").GetProperty("data")
+                .EnumerateObject().Single().Value.GetProperty("data");
+            var parameters = data.GetProperty("params");
+            Assert.Equal("5", parameters.GetProperty("a").GetString());
+            Assert.Equal("3", parameters.GetProperty("b").GetString());
+        }
+
+        [Fact]
+        public void DrawflowExportWithoutFramesHasNoFramesKey()
+        {
+            var json = DrawflowExporter.ExportToDrawflowJson(BuildSimpleGraph());
+
+            var home = JsonDocument.Parse(json).RootElement.GetProperty("drawflow").GetProperty("Home");
+            Assert.False(home.TryGetProperty("frames", out _));
+        }
+
+        [Fact]
+        public void DrawflowExportEncodesNodeNameInHtml()
+        {
+            var nodes = BuildSimpleGraph();
+            nodes[0].NameOverride = "<img src=x onerror=alert(1)>";
+
+            var json = DrawflowExporter.ExportToDrawflowJson(nodes);
+
+            var html = JsonDocument.Parse(json).RootElement.GetProperty("drawflow").GetProperty("Home").GetProperty("data")
+                .EnumerateObject().Single().Value.GetProperty("html").GetString();
+            Assert.DoesNotContain("<img", html);
+            Assert.Contains("&lt;img src=x onerror=alert(1)&gt;", html);
+        }
+
+        [Fact]
+        public void DrawflowSerializeNodeRoundTripsDefinitionWithoutExecutionState()
+        {
+            var nodes = BuildSimpleGraph();
+            nodes[0].Result = new JsonObject { ["output"] = new JsonObject { ["result"] = 8 } };
+
+            var json = DrawflowExporter.SerializeNode(nodes[0]);
+            var restored = JsonSerializer.Deserialize<Node>(json, new JsonSerializerOptions { PropertyNamingPolicy = JsonNamingPolicy.CamelCase });
+
+            Assert.NotNull(restored);
+            Assert.Equal(nodes[0].BackingMethod.Name, restored!.BackingMethod.Name);
+            Assert.Equal(nodes[0].NodeInputToMethodInputMap.Count, restored.NodeInputToMethodInputMap.Count);
+            Assert.Null(restored.Result);
+            Assert.DoesNotContain("\"result\":8", json);
+        }
+
         #endregion
     }
 }
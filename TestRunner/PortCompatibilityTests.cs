@@ -0,0 +1,116 @@
+using BlazorWorkflow.Flow.BaseNodes;
+using BlazorWorkflow.Helpers;
+using BlazorWorkflow.Models.NodeV2;
+using Xunit;
+
+namespace TestRunner
+{
+    /// <summary>
+    /// Tests for the port type metadata the canvas uses to accept or reject connections.
+    /// </summary>
+    public class PortCompatibilityTests
+    {
+        private static Node NodeFor(Type type, string methodName)
+            => DrawflowHelpers.CreateNodeFromMethod(type.GetMethod(methodName)!);
+
+        private static PortCompatibility Connect(Node source, Node target)
+            => PortTypeHelpers.Check(PortTypeHelpers.GetPortTypes(source), PortTypeHelpers.GetPortTypes(target));
+
+        [Fact]
+        public void StringOutput_IntoIntInput_IsIncompatible()
+        {
+            var source = NodeFor(typeof(BaseNodeCollection), nameof(BaseNodeCollection.ToUpper));
+            var target = NodeFor(typeof(BaseNodeCollection), nameof(BaseNodeCollection.Add));
+
+            Assert.Equal(PortCompatibility.Incompatible, Connect(source, target));
+        }
+
+        [Fact]
+        public void IntOutput_IntoIntInput_IsExact()
+        {
+            var source = NodeFor(typeof(BaseNodeCollection), nameof(BaseNodeCollection.Add));
+            var target = NodeFor(typeof(BaseNodeCollection), nameof(BaseNodeCollection.Multiply));
+
+            Assert.Equal(PortCompatibility.Exact, Connect(source, target));
+        }
+
+        [Fact]
+        public void IntOutput_IntoDoubleOrStringInput_IsConvertible()
+        {
+            var source = NodeFor(typeof(BaseNodeCollection), nameof(BaseNodeCollection.Add));
+
+            Assert.Equal(PortCompatibility.Convertible, Connect(source, NodeFor(typeof(BaseNodeCollection), nameof(BaseNodeCollection.AddD))));
+            Assert.Equal(PortCompatibility.Convertible, Connect(source, NodeFor(typeof(BaseNodeCollection), nameof(BaseNodeCollection.ToUpper))));
+        }
+
+        [Fact]
+        public void AnyOutput_IntoObjectInput_IsAssignable()
+        {
+            var source = NodeFor(typeof(BaseNodeCollection), nameof(BaseNodeCollection.ToUpper));
+            var target = NodeFor(typeof(CoreNodes), nameof(CoreNodes.Equal));
+
+            Assert.Equal(PortCompatibility.Assignable, Connect(source, target));
+        }
+
+        [Fact]
+        public void FlowOnlyOutputs_AreNeverRejected()
+        {
+            var target = NodeFor(typeof(BaseNodeCollection), nameof(BaseNodeCollection.Add));
+
+            Assert.NotEqual(PortCompatibility.Incompatible, Connect(NodeFor(typeof(CoreNodes), nameof(CoreNodes.Start)), target));
+            Assert.NotEqual(PortCompatibility.Incompatible, Connect(NodeFor(typeof(CoreNodes), nameof(CoreNodes.If)), target));
+        }
+
+        [Fact]
+        public void ParametersMappedToLiterals_DoNotConstrainTheInput()
+        {
+            var source = NodeFor(typeof(BaseNodeCollection), nameof(BaseNodeCollection.ToUpper));
+            var target = NodeFor(typeof(BaseNodeCollection), nameof(BaseNodeCollection.Add));
+            target.NodeInputToMethodInputMap =
+            [
+                new PathMapEntry { From = "5", To = "input1" },
+                new PathMapEntry { From = "3", To = "input2" }
+            ];
+
+            Assert.Empty(PortTypeHelpers.GetPortTypes(target).Inputs[PortTypeHelpers.InputPort]);
+            Assert.NotEqual(PortCompatibility.Incompatible, Connect(source, target));
+        }
+
+        [Fact]
+        public void MappingsBeingEdited_ReplaceTheNodesOwn()
+        {
+            var source = NodeFor(typeof(BaseNodeCollection), nameof(BaseNodeCollection.ToUpper));
+            var target = NodeFor(typeof(BaseNodeCollection), nameof(BaseNodeCollection.Add));
+            List<PathMapEntry> literals =
+            [
+                new PathMapEntry { From = "5", To = "input1" },
+                new PathMapEntry { From = "3", To = "input2" }
+            ];
+
+            var edited = PortTypeHelpers.GetPortTypes(target, literals);
+
+            Assert.Empty(edited.Inputs[PortTypeHelpers.InputPort]);
+            Assert.NotEqual(PortCompatibility.Incompatible, PortTypeHelpers.Check(PortTypeHelpers.GetPortTypes(source), edited));
+            Assert.Equal(PortCompatibility.Incompatible, Connect(source, target));
+        }
+
+        [Fact]
+        public void PortsWithoutTypes_AcceptAnything()
+        {
+            var source = NodeFor(typeof(BaseNodeCollection), nameof(BaseNodeCollection.ToUpper));
+            var target = NodeFor(typeof(BaseNodeCollection), nameof(BaseNodeCollection.Add));
+
+            Assert.Equal(PortCompatibility.Convertible,
+                PortTypeHelpers.Check(PortTypeHelpers.GetPortTypes(source), PortTypeHelpers.GetPortTypes(target), "input_2"));
+        }
+
+        [Fact]
+        public void NullableTypes_MatchTheirUnderlyingType()
+        {
+            var output = PortTypeHelpers.Describe(typeof(int?));
+            var input = PortTypeHelpers.Describe(typeof(int));
+
+            Assert.Equal(PortCompatibility.Exact, PortTypeHelpers.Check(output, input));
+        }
+    }
+}
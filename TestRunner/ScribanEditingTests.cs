@@ -0,0 +1,140 @@
+using System.Text.Json.Nodes;
+using BlazorWorkflow.Flow.BaseNodes;
+using BlazorWorkflow.Helpers;
+using BlazorWorkflow.Testing;
+using Xunit;
+
+namespace TestRunner
+{
+    /// <summary>
+    /// Tests for the node editor's Scriban assistance: the completion sources and the diagnostics
+    /// that underline syntax errors and unknown variables.
+    /// </summary>
+    public class ScribanEditingTests
+    {
+        private static readonly string[] Known = ["input.result", "workflow.parameters.city", "environment.apiUrl"];
+
+        #region Diagnostics
+
+        [Fact]
+        public void PlainPathsAndKnownReferencesHaveNoDiagnostics()
+        {
+            Assert.Empty(ScribanHelpers.GetDiagnostics("input.missing", Known));
+            Assert.Empty(ScribanHelpers.GetDiagnostics("Weather in {{ workflow.parameters.city }}: {{ input.result }}", Known));
+        }
+
+        [Fact]
+        public void SyntaxErrorIsReportedAsError()
+        {
+            var text = "Hello {{ input.result + }}";
+
+            var diagnostics = ScribanHelpers.GetDiagnostics(text, Known);
+
+            Assert.NotEmpty(diagnostics);
+            Assert.All(diagnostics, d =>
+            {
+                Assert.Equal("error", d.Severity);
+                Assert.False(string.IsNullOrWhiteSpace(d.Message));
+                Assert.InRange(d.Start, "Hello ".Length, text.Length);
+            });
+        }
+
+        [Fact]
+        public void UnknownVariableIsReportedAtItsReference()
+        {
+            var text = "{{ input.result }} and {{ input.reslt }}";
+
+            var diagnostic = Assert.Single(ScribanHelpers.GetDiagnostics(text, Known));
+
+            Assert.Equal("warning", diagnostic.Severity);
+            Assert.Contains("input.reslt", diagnostic.Message);
+            Assert.Equal("input.reslt", text[diagnostic.Start..diagnostic.End]);
+        }
+
+        [Fact]
+        public void UnknownRootIsReportedByItsFirstSegment()
+        {
+            var diagnostic = Assert.Single(ScribanHelpers.GetDiagnostics("{{ enviroment.apiUrl }}", Known));
+
+            Assert.Contains("'enviroment'", diagnostic.Message);
+        }
+
+        [Fact]
+        public void MembersBelowAKnownLeafAreAllowed()
+        {
+            // input.result may be an object whose shape is only known after a run
+            Assert.Empty(ScribanHelpers.GetDiagnostics("{{ input.result.name }}", Known));
+
+            // workflow.parameters is known to hold only city
+            Assert.Single(ScribanHelpers.GetDiagnostics("{{ workflow.parameters.country }}", Known));
+        }
+
+        [Fact]
+        public void AssignedLoopAndBuiltinNamesAreKnown()
+        {
+            var text = "{{ total = 0 }}{{ for item in input.result }}{{ total = total + item }}{{ end }}{{ total | math.round }}{{ input.result | string.upcase }}";
+
+            Assert.Empty(ScribanHelpers.GetDiagnostics(text, Known));
+        }
+
+        [Fact]
+        public void ComputedIndexesStopTheCheckButTheirOwnReferencesAreChecked()
+        {
+            Assert.Empty(ScribanHelpers.GetDiagnostics("{{ input.result[workflow.parameters.city].name }}", Known));
+
+            var diagnostic = Assert.Single(ScribanHelpers.GetDiagnostics("{{ input.result[missing] }}", Known));
+            Assert.Contains("'missing'", diagnostic.Message);
+        }
+
+        #endregion
+
+        #region Completions
+
+        [Fact]
+        public void BuiltinsIncludeScribanFunctions()
+        {
+            var builtins = ScribanHelpers.GetBuiltinCompletions();
+
+            Assert.Contains(builtins, c => c.Label == "string.upcase" && c.Kind == "builtin");
+            Assert.Contains(builtins, c => c.Label == "math.round");
+        }
+
+        [Fact]
+        public void JsonPathsListParentsBeforeChildrenAndSkipUnreachableKeys()
+        {
+            var payload = JsonNode.Parse("""{ "input": { "user": { "name": "Ada" }, "tags": ["a"], "not valid": 1 } }""");
+
+            var paths = ScribanHelpers.GetJsonPaths(payload).Select(p => p.Path).ToList();
+
+            Assert.Equal(new[] { "input", "input.user", "input.user.name", "input.tags" }, paths);
+        }
+
+        [Fact]
+        public void UpstreamCompletionsOfferInputsAndEveryAncestorById()
+        {
+            var builder = new NodeGraphBuilder();
+            builder.AddNode("add", typeof(BaseNodeCollection), "Add")
+                .MapInput("input1", "5")
+                .MapInput("input2", "3")
+                .AutoMapOutputs();
+            builder.AddNode("multiply", typeof(BaseNodeCollection), "Multiply")
+                .MapInput("input1", "input.result")
+                .MapInput("input2", "2")
+                .AutoMapOutputs();
+            builder.AddNode("increment", typeof(BaseNodeCollection), "Add")
+                .AutoMapOutputs();
+            builder.Connect("add", "multiply");
+            builder.Connect("multiply", "increment");
+
+            var nodes = builder.GetAllNodes();
+            var labels = ScribanHelpers.GetUpstreamCompletions(nodes[2]).Select(c => c.Label).ToList();
+
+            Assert.Contains("input.result", labels);
+            Assert.Contains($"nodes.byId.node_{nodes[1].DrawflowNodeId}.result", labels);
+            Assert.Contains($"nodes.byId.node_{nodes[0].DrawflowNodeId}.result", labels);
+            Assert.DoesNotContain($"nodes.byId.node_{nodes[2].DrawflowNodeId}.result", labels);
+        }
+
+        #endregion
+    }
+}
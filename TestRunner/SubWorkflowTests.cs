@@ -0,0 +1,316 @@
+using System.Text.Json;
+using BlazorWorkflow.Flow.BaseNodes;
+using BlazorWorkflow.Helpers;
+using BlazorWorkflow.Models.DTOs;
+using BlazorWorkflow.Models.NodeV2;
+using BlazorWorkflow.Testing;
+using Xunit;
+
+namespace TestRunner
+{
+    /// <summary>
+    /// Tests for sub-workflows: collapsing a selection into a sub-workflow node whose body lives in its own
+    /// Drawflow module, running it, keeping its ports in step with its output nodes, and saving it.
+    /// </summary>
+    public class SubWorkflowTests
+    {
+        #region Helpers
+
+        // start -> add (5 + 3) -> multiply (x 2) -> increment (+ 1)
+        private static Graph BuildChain()
+        {
+            var builder = new NodeGraphBuilder();
+            builder.AddNode("start", typeof(CoreNodes), "Start");
+
+            builder.AddNode("add", typeof(BaseNodeCollection), "Add")
+                .MapInput("input1", "5")
+                .MapInput("input2", "3")
+                .AutoMapOutputs();
+
+            builder.AddNode("multiply", typeof(BaseNodeCollection), "Multiply")
+                .MapInput("input1", "input.result")
+                .MapInput("input2", "2")
+                .AutoMapOutputs();
+
+            builder.AddNode("increment", typeof(BaseNodeCollection), "Add")
+                .MapInput("input1", "input.result")
+                .MapInput("input2", "1")
+                .AutoMapOutputs();
+
+            builder.Connect("start", "add");
+            builder.Connect("add", "multiply");
+            builder.Connect("multiply", "increment");
+
+            return ToGraph(builder);
+        }
+
+        // Graph.Run starts the Start node and links sub-workflows, like a run from the canvas
+        private static Graph ToGraph(NodeGraphBuilder builder)
+        {
+            var graph = new Graph();
+            graph.Nodes.Clear();
+            foreach (var node in builder.GetAllNodes())
+            {
+                graph.Nodes[node.DrawflowNodeId] = node;
+            }
+            return graph;
+        }
+
+        private static Node NodeAt(Graph graph, string drawflowNodeId) => graph.Nodes[drawflowNodeId];
+
+        private static int ResultOf(Node node) => node.Result!["output"]!["result"]!.GetValue<int>();
+
+        #endregion
+
+        #region Collapse
+
+        [Fact]
+        public async Task CollapsedWorkflowComputesTheSameResult()
+        {
+            var graph = BuildChain();
+
+            var parent = SubWorkflowHelpers.CollapseToSubWorkflow(graph, ["2"]);
+            await graph.Run(new GraphExecutionContext());
+
+            Assert.Equal(8, ResultOf(NodeAt(graph, "1")));
+            Assert.Equal(16, ResultOf(NodeAt(graph, "2")));
+            Assert.Equal(17, ResultOf(NodeAt(graph, "3")));
+            Assert.Equal(16, ResultOf(parent));
+        }
+
+        [Fact]
+        public async Task CollapsingSeveralNodesKeepsTheirInnerConnections()
+        {
+            var graph = BuildChain();
+
+            SubWorkflowHelpers.CollapseToSubWorkflow(graph, ["1", "2"], "Math");
+            await graph.Run(new GraphExecutionContext());
+
+            Assert.Equal(17, ResultOf(NodeAt(graph, "3")));
+            Assert.Contains(NodeAt(graph, "1"), NodeAt(graph, "2").InputNodes);
+        }
+
+        [Fact]
+        public void CollapseMovesTheSelectionIntoANewModule()
+        {
+            var graph = BuildChain();
+
+            var parent = SubWorkflowHelpers.CollapseToSubWorkflow(graph, ["2"], "Double");
+
+            Assert.True(parent.IsSubWorkflowNode);
+            Assert.Equal("Double", parent.SubWorkflowModule);
+            Assert.Equal(SubWorkflowHelpers.HomeModule, parent.Module);
+            Assert.Equal("Double", NodeAt(graph, "2").Module);
+            Assert.Equal(SubWorkflowHelpers.HomeModule, NodeAt(graph, "3").Module);
+            Assert.Equal(new[] { "Home", "Double" }, SubWorkflowHelpers.GetModules(graph));
+
+            // Outside neighbours are now wired to the sub-workflow node
+            Assert.Contains(parent, NodeAt(graph, "1").OutputNodes);
+            Assert.Contains(parent, NodeAt(graph, "3").InputNodes);
+            Assert.DoesNotContain(NodeAt(graph, "2"), NodeAt(graph, "1").OutputNodes);
+        }
+
+        [Fact]
+        public void CollapseAddsAnOutputNodeAndPortPerLeavingPort()
+        {
+            var graph = BuildChain();
+
+            var parent = SubWorkflowHelpers.CollapseToSubWorkflow(graph, ["2"]);
+
+            var body = SubWorkflowHelpers.GetBodyNodeIds(graph, parent).Select(id => graph.Nodes[id]).ToList();
+            Assert.Single(body, n => n.BackingMethod == SubWorkflowHelpers.InputMethod);
+            var output = Assert.Single(body, n => n.BackingMethod == SubWorkflowHelpers.OutputMethod);
+
+            Assert.Equal(new[] { SubWorkflowHelpers.GetPortName(output) }, parent.DeclaredOutputPorts);
+            Assert.Contains(NodeAt(graph, "3"), parent.OutputPorts[parent.DeclaredOutputPorts[0]]);
+        }
+
+        [Fact]
+        public void CollapseKeepsBranchPortsApart()
+        {
+            var builder = new NodeGraphBuilder();
+            builder.AddNode("start", typeof(CoreNodes), "Start");
+            builder.AddNode("if", typeof(CoreNodes), "If")
+                .MapInput("condition", "true")
+                .WithOutputPorts("true", "false");
+            builder.AddNode("yes", typeof(BaseNodeCollection), "Add").MapInput("input1", "1").MapInput("input2", "2").AutoMapOutputs();
+            builder.AddNode("no", typeof(BaseNodeCollection), "Add").MapInput("input1", "3").MapInput("input2", "4").AutoMapOutputs();
+            builder.Connect("start", "if");
+            builder.Connect("if", "yes", "true");
+            builder.Connect("if", "no", "false");
+            var graph = ToGraph(builder);
+
+            var parent = SubWorkflowHelpers.CollapseToSubWorkflow(graph, ["1"]);
+
+            Assert.Equal(new[] { "true", "false" }, parent.DeclaredOutputPorts);
+            Assert.Equal(new[] { NodeAt(graph, "2") }, parent.OutputPorts["true"]);
+            Assert.Equal(new[] { NodeAt(graph, "3") }, parent.OutputPorts["false"]);
+        }
+
+        [Fact]
+        public async Task OnlyTheReachedOutputPortFires()
+        {
+            var builder = new NodeGraphBuilder();
+            builder.AddNode("start", typeof(CoreNodes), "Start");
+            builder.AddNode("if", typeof(CoreNodes), "If")
+                .MapInput("condition", "false")
+                .WithOutputPorts("true", "false");
+            builder.AddNode("yes", typeof(BaseNodeCollection), "Add").MapInput("input1", "1").MapInput("input2", "2").AutoMapOutputs();
+            builder.AddNode("no", typeof(BaseNodeCollection), "Add").MapInput("input1", "3").MapInput("input2", "4").AutoMapOutputs();
+            builder.Connect("start", "if");
+            builder.Connect("if", "yes", "true");
+            builder.Connect("if", "no", "false");
+            var graph = ToGraph(builder);
+
+            SubWorkflowHelpers.CollapseToSubWorkflow(graph, ["1"]);
+            await graph.Run(new GraphExecutionContext());
+
+            Assert.Null(NodeAt(graph, "2").Result);
+            Assert.Equal(7, ResultOf(NodeAt(graph, "3")));
+        }
+
+        [Fact]
+        public void CollapseLeavesStartNodesInHome()
+        {
+            var graph = BuildChain();
+
+            Assert.Throws<ArgumentException>(() => SubWorkflowHelpers.CollapseToSubWorkflow(graph, ["0"]));
+
+            SubWorkflowHelpers.CollapseToSubWorkflow(graph, ["0", "1"]);
+            Assert.Equal(SubWorkflowHelpers.HomeModule, NodeAt(graph, "0").Module);
+        }
+
+        [Fact]
+        public void CollapseGivesEachModuleAUniqueName()
+        {
+            var graph = BuildChain();
+
+            var first = SubWorkflowHelpers.CollapseToSubWorkflow(graph, ["1"], "Step");
+            var second = SubWorkflowHelpers.CollapseToSubWorkflow(graph, ["3"], "Step");
+
+            Assert.Equal("Step", first.SubWorkflowModule);
+            Assert.Equal("Step 2", second.SubWorkflowModule);
+            Assert.NotEqual(first.DrawflowNodeId, second.DrawflowNodeId);
+        }
+
+        [Fact]
+        public void CollapseMovesFramesAndPinnedNotes()
+        {
+            var graph = BuildChain();
+            var inside = new NodeFrame { NodeIds = ["2"] };
+            var across = new NodeFrame { NodeIds = ["2", "3"] };
+            var note = new CanvasNote { PinnedNodeId = "2" };
+            graph.Frames = [inside, across];
+            graph.Notes = [note];
+
+            var parent = SubWorkflowHelpers.CollapseToSubWorkflow(graph, ["2"]);
+
+            Assert.Equal(parent.SubWorkflowModule, inside.Module);
+            Assert.Equal(SubWorkflowHelpers.HomeModule, across.Module);
+            Assert.Equal(new[] { "3" }, across.NodeIds);
+            Assert.Equal(parent.SubWorkflowModule, note.Module);
+        }
+
+        #endregion
+
+        #region Ports
+
+        [Fact]
+        public void SyncPortsFollowsTheOutputNodes()
+        {
+            var graph = BuildChain();
+            var parent = SubWorkflowHelpers.CollapseToSubWorkflow(graph, ["2"]);
+            var output = graph.Nodes.Values.Single(n => n.BackingMethod == SubWorkflowHelpers.OutputMethod);
+
+            Assert.False(SubWorkflowHelpers.SyncPorts(graph));
+
+            output.NameOverride = "Doubled";
+            Assert.True(SubWorkflowHelpers.SyncPorts(graph));
+
+            // The renamed port starts unconnected
+            Assert.Equal(new[] { "Doubled" }, parent.DeclaredOutputPorts);
+            Assert.Empty(parent.OutputNodes);
+            Assert.DoesNotContain(parent, NodeAt(graph, "3").InputNodes);
+        }
+
+        #endregion
+
+        #region Saving
+
+        [Fact]
+        public void DrawflowExportPutsEachModuleOnItsOwnPage()
+        {
+            var graph = BuildChain();
+            var parent = SubWorkflowHelpers.CollapseToSubWorkflow(graph, ["2"], "Double");
+            graph.Frames = [new NodeFrame { NodeIds = ["2"], Module = "Double" }];
+
+            var json = DrawflowExporter.ExportToDrawflowJson(graph);
+            var parsed = DrawflowGraph.Parse(null!, json);
+
+            Assert.Equal(new[] { "Home", "Double" }, parsed.Document.Pages.Keys);
+            Assert.Equal("Double", parsed.GetModule("2"));
+            Assert.Equal("Home", parsed.GetModule(parent.DrawflowNodeId));
+            Assert.False(parsed.Page.Data.ContainsKey("2"));
+            Assert.True(parsed.Nodes.ContainsKey("2"));
+            Assert.Equal("Double", Assert.Single(parsed.Document.Pages["Double"].Frames).Module);
+            Assert.Empty(parsed.Page.Frames);
+
+            var parentDto = parsed.Page.Data[parent.DrawflowNodeId];
+            Assert.Equal("Double", parentDto.Data!["subworkflow"].ToString());
+            Assert.Single(parentDto.Outputs);
+
+            // Drawflow cannot draw connections between modules; each module keeps only its own
+            Assert.All(parsed.Edges, e => Assert.Equal(parsed.GetModule(e.FromNodeId), parsed.GetModule(e.ToNodeId)));
+        }
+
+        [Fact]
+        public void SubWorkflowWithoutOutputNodesHasNoPorts()
+        {
+            var graph = BuildChain();
+            var parent = SubWorkflowHelpers.CollapseToSubWorkflow(graph, ["3"]);
+
+            var json = DrawflowExporter.ExportToDrawflowJson(graph);
+            var parentDto = DrawflowGraph.Parse(null!, json).Page.Data[parent.DrawflowNodeId];
+
+            Assert.Empty(parent.DeclaredOutputPorts);
+            Assert.Empty(parentDto.Outputs);
+        }
+
+        [Fact]
+        public async Task FlowSerializerKeepsModules()
+        {
+            var graph = BuildChain();
+            var parent = SubWorkflowHelpers.CollapseToSubWorkflow(graph, ["2"], "Double");
+
+            var json = FlowSerializer.SerializeFlow(graph.Nodes.Values);
+            var restored = new Graph();
+            restored.Nodes.Clear();
+            foreach (var node in FlowSerializer.DeserializeFlow(json))
+            {
+                restored.Nodes[node.DrawflowNodeId] = node;
+            }
+
+            Assert.Equal("Double", restored.Nodes["2"].Module);
+            Assert.Equal("Double", restored.Nodes[parent.DrawflowNodeId].SubWorkflowModule);
+            Assert.Equal(SubWorkflowHelpers.HomeModule, restored.Nodes["3"].Module);
+
+            await restored.Run(new GraphExecutionContext());
+            Assert.Equal(17, ResultOf(restored.Nodes["3"]));
+        }
+
+        [Fact]
+        public void FlowsWithoutSubWorkflowsSerializeAsBefore()
+        {
+            var json = FlowSerializer.SerializeFlow(BuildChain().Nodes.Values);
+
+            using var doc = JsonDocument.Parse(json);
+            Assert.All(doc.RootElement.GetProperty("Nodes").EnumerateArray(), node =>
+            {
+                Assert.False(node.TryGetProperty("Module", out _));
+                Assert.False(node.TryGetProperty("SubWorkflowModule", out _));
+            });
+        }
+
+        #endregion
+    }
+}
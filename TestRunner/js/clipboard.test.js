@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, createCanvas } = require("./harness");
+
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+function pressModD(window) {
+    const e = new window.KeyboardEvent("keydown", { key: "d", ctrlKey: true, bubbles: true, cancelable: true });
+    window.document.body.dispatchEvent(e);
+    return e;
+}
+
+test("Mod+D without a selection is left to the browser", () => {
+    const window = createPage();
+    const { editor } = createCanvas(window, [0, 300]);
+    window.DrawflowBlazor.enableClipboard("canvas");
+
+    assert.strictEqual(pressModD(window).defaultPrevented, false);
+    assert.strictEqual(Object.keys(editor.drawflow.drawflow.Home.data).length, 2);
+});
+
+test("Mod+D with a selection duplicates it", async () => {
+    const window = createPage();
+    const { editor } = createCanvas(window, [0, 300]);
+    window.DrawflowBlazor.enableClipboard("canvas");
+    window.DrawflowBlazor.selectNodes("canvas", ["1"]);
+
+    assert.strictEqual(pressModD(window).defaultPrevented, true);
+    // The copy is built after .NET has been asked for the node definitions
+    await settle();
+
+    const data = editor.drawflow.drawflow.Home.data;
+    assert.strictEqual(Object.keys(data).length, 3);
+    const original = data["1"];
+    const copy = data["3"];
+    assert.strictEqual(copy.name, original.name);
+    assert.notStrictEqual(copy.data.key, original.data.key);
+    assert.deepStrictEqual({ ...copy.data, key: null }, { ...original.data, key: null });
+    assert.strictEqual(copy.pos_x, original.pos_x + 40);
+    assert.strictEqual(copy.pos_y, original.pos_y + 40);
+});
+
+test("pasted nodes .NET can't restore are removed with their connections", async () => {
+    const window = createPage();
+    const { editor, ref } = createCanvas(window, []);
+    // Like WorkflowGraph: nodes whose definition doesn't deserialize are removed again
+    ref.invokeMethodAsync = (method, name, payload) => {
+        if (method === "OnDrawflowEvent" && name === "nodesPasted") {
+            JSON.parse(payload)[0].nodes
+                .filter(n => JSON.parse(n.node).type !== "Known")
+                .forEach(n => window.DrawflowBlazor.call("canvas", "removeNodeId", ["node-" + n.id]));
+        }
+        return Promise.resolve(null);
+    };
+    const clip = {
+        type: "blazorworkflow/nodes", version: 1,
+        nodes: [
+            { id: "a", name: "known", inputs: 1, outputs: 1, pos_x: 0, pos_y: 0, data: { node: JSON.stringify({ type: "Known" }) }, html: "" },
+            { id: "b", name: "unknown", inputs: 1, outputs: 1, pos_x: 300, pos_y: 0, data: { node: JSON.stringify({ type: "Removed.From.The.Host" }) }, html: "" }
+        ],
+        connections: [{ from: "a", output: "output_1", to: "b", input: "input_1" }]
+    };
+
+    const ids = window.DrawflowBlazor.pasteNodes("canvas", JSON.stringify(clip), 0, 0);
+    await settle();
+
+    const data = editor.drawflow.drawflow.Home.data;
+    assert.deepStrictEqual(Object.keys(data), [ids[0]]);
+    assert.strictEqual(data[ids[0]].outputs.output_1.connections.length, 0);
+    assert.strictEqual(window.document.getElementById("node-" + ids[1]), null);
+    assert.strictEqual(window.document.querySelectorAll("svg.connection").length, 0);
+});
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, loadModule, createCanvas, nextFrame } = require("./harness");
+
+// Node 1 sits in view; nodes 2 and 3 are far outside it, so they and the connection between them are culled
+async function sharedCanvas() {
+    const window = createPage();
+    const canvas = createCanvas(window, [0, 20000, 21000], { features: { virtualization: true } });
+    window.DrawflowBlazor.setVirtualization("canvas", true, { margin: 100 });
+    const collaboration = loadModule(window, "collaboration.js").createCollaboration("canvas", canvas.ref);
+    await nextFrame(window);
+    const apply = (...ops) => collaboration.apply(ops);
+    return { window, ...canvas, apply };
+}
+
+test("a remote removal of an off-screen connection reaches the model", async () => {
+    const { editor, apply } = await sharedCanvas();
+
+    const applied = apply({ kind: "connectionRemoved", output_id: "2", input_id: "3", output_class: "output_1", input_class: "input_1" });
+
+    assert.strictEqual(applied.errors.length, 0);
+    assert.strictEqual(editor.getNodeFromId(2).outputs.output_1.connections.length, 0);
+    assert.strictEqual(editor.getNodeFromId(3).inputs.input_1.connections.length, 0);
+});
+
+test("a remote removal of an off-screen node drops its connections", async () => {
+    const { editor, apply } = await sharedCanvas();
+
+    const applied = apply({ kind: "nodeRemoved", id: "3" });
+
+    assert.strictEqual(applied.errors.length, 0);
+    assert.strictEqual(editor.drawflow.drawflow.Home.data[3], undefined);
+    assert.strictEqual(editor.getNodeFromId(2).outputs.output_1.connections.length, 0);
+});
+
+test("remote removals in a module that isn't open change its data", async () => {
+    const { editor, apply } = await sharedCanvas();
+    editor.addModule("inner");
+    editor.changeModule("inner");
+    editor.addNode("step", 1, 1, 0, 0, "", { key: "k4" }, "");
+    editor.addNode("step", 1, 1, 300, 0, "", { key: "k5" }, "");
+    editor.addNode("step", 1, 1, 600, 0, "", { key: "k6" }, "");
+    editor.addConnection(4, 5, "output_1", "input_1");
+    editor.addConnection(5, 6, "output_1", "input_1");
+    editor.changeModule("Home");
+
+    const applied = apply(
+        { kind: "connectionRemoved", output_id: "4", input_id: "5", output_class: "output_1", input_class: "input_1" },
+        { kind: "nodeRemoved", id: "6" });
+
+    const inner = editor.drawflow.drawflow.inner.data;
+    assert.strictEqual(applied.errors.length, 0);
+    assert.strictEqual(inner[4].outputs.output_1.connections.length, 0);
+    assert.strictEqual(inner[6], undefined);
+    assert.strictEqual(inner[5].outputs.output_1.connections.length, 0);
+});
+
+test("a remote edit the canvas can't take is reported, not dropped", async () => {
+    const { apply } = await sharedCanvas();
+
+    const applied = apply(
+        { kind: "connectionAdded", output_id: "1", input_id: "3", output_class: "output_9", input_class: "input_1" },
+        { kind: "nodeMoved", id: "1", x: 50, y: 50 });
+
+    assert.strictEqual(applied.errors.length, 1);
+    assert.match(applied.errors[0], /^connectionAdded: /);
+    assert.strictEqual(applied.ids.length, 2);
+});
+
+test("a remote param path can't reach Object.prototype", async () => {
+    const { window, editor, apply } = await sharedCanvas();
+
+    const applied = apply(
+        { kind: "paramChanged", id: "1", path: "__proto__.polluted", value: "yes" },
+        { kind: "paramChanged", id: "1", path: "constructor.prototype.polluted", value: "yes" },
+        { kind: "paramChanged", id: "1", path: "params.url", value: "https://example.com" });
+
+    assert.strictEqual(applied.errors.length, 0);
+    assert.strictEqual(window.eval("({}).polluted"), undefined);
+    assert.strictEqual(({}).polluted, undefined);
+    assert.strictEqual(editor.getNodeFromId(1).data.params.url, "https://example.com");
+});
+
+test("local edits reach .NET named by node key", async () => {
+    const { window, editor, ref } = await sharedCanvas();
+
+    window.DrawflowBlazor.paramChanged(window.document.getElementById("node-1"), 1, "params.url", "https://example.com");
+    editor.removeNodeId("node-2");
+    await nextFrame(window);
+
+    const sent = ref.calls.filter(c => c.method === "OnCollaborationOperations").flatMap(c => Array.from(c.args[0]));
+    // The removed node's connections go with it
+    assert.deepStrictEqual(sent.map(op => [op.kind, op.node ?? op.connection.output + ">" + op.connection.input]), [
+        ["paramChanged", "k1"], ["connectionRemoved", "k2>k3"], ["connectionRemoved", "k1>k2"], ["nodeRemoved", "k2"]
+    ]);
+    assert.strictEqual(sent[0].value, "https://example.com");
+});
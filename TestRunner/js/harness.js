@@ -0,0 +1,61 @@
+// Loads Drawflow and the interop layer into a jsdom page, the way the Blazor host does with script tags
+const fs = require("node:fs");
+const path = require("node:path");
+const { JSDOM } = require("jsdom");
+
+const jsDir = path.join(__dirname, "..", "..", "BlazorWorkflow", "wwwroot", "js");
+const interopPath = path.join(jsDir, "drawflowInterop.js");
+const drawflowPath = require.resolve("drawflow/dist/drawflow.min.js");
+
+function createPage() {
+    const dom = new JSDOM(`<!DOCTYPE html><body><div class="bw-lib"><div id="canvas"></div></div></body>`, {
+        runScripts: "outside-only",
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+    window.matchMedia ??= () => ({ matches: false, addEventListener() { }, removeEventListener() { } });
+    window.eval(fs.readFileSync(drawflowPath, "utf8"));
+    window.eval(fs.readFileSync(interopPath, "utf8"));
+    return window;
+}
+
+// One of the ES modules the host imports (collaboration.js, ...), run in the page; returns its exports.
+// jsdom can't import modules, and these import nothing, so their exports are unwrapped by hand.
+function loadModule(window, name) {
+    const exported = [];
+    const body = fs.readFileSync(path.join(jsDir, name), "utf8")
+        .replace(/^export (async function|function|const|let) (\w+)/gm, (_m, kind, id) => {
+            exported.push(id);
+            return `${kind} ${id}`;
+        });
+    return window.eval(`(function () {\n"use strict";\n${body}\nreturn { ${exported.join(", ")} };\n})()`);
+}
+
+// .NET side of the interop: records every call instead of answering it
+function dotNetRef() {
+    const calls = [];
+    return {
+        calls,
+        invokeMethodAsync(method, ...args) {
+            calls.push({ method, args });
+            return Promise.resolve(null);
+        }
+    };
+}
+
+// A canvas with nodes `1`..`n` at the given x positions, each connected to the next
+function createCanvas(window, xs, options = {}) {
+    const ref = dotNetRef();
+    window.DrawflowBlazor.create("canvas", ref, options);
+    const editor = window.DrawflowBlazor.getEditor("canvas");
+    xs.forEach((x, i) => editor.addNode("step", 1, 1, x, 0, "", { key: "k" + (i + 1) }, `<div class="bw-title">Step ${i + 1}</div>`));
+    for (let i = 1; i < xs.length; i++) editor.addConnection(i, i + 1, "output_1", "input_1");
+    return { editor, ref };
+}
+
+// Runs queued animation frames (the culling pass is scheduled on one)
+function nextFrame(window) {
+    return new Promise(resolve => window.requestAnimationFrame(() => resolve()));
+}
+
+module.exports = { createPage, loadModule, createCanvas, nextFrame };
@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, createCanvas } = require("./harness");
+
+test("create() puts a Drawflow editor on the canvas element", () => {
+    const window = createPage();
+    const { editor } = createCanvas(window, [0, 300]);
+
+    assert.strictEqual(window.DrawflowBlazor.getEditor("canvas"), editor);
+    assert.strictEqual(Object.keys(editor.drawflow.drawflow.Home.data).length, 2);
+    assert.strictEqual(editor.getNodeFromId(1).outputs.output_1.connections.length, 1);
+});
+
+test("features left out of the options are not registered", () => {
+    const window = createPage();
+    createCanvas(window, [0, 300], { features: { accessibility: false, search: false, modules: false } });
+    const host = window.document.getElementById("canvas");
+
+    assert.strictEqual(host.getAttribute("role"), null);
+    assert.strictEqual(window.DrawflowBlazor.searchNodes("canvas", "Step").length, 0);
+    assert.strictEqual(host.querySelector(".bw-search"), null);
+    assert.strictEqual(window.DrawflowBlazor.openModule("canvas", "Home"), false);
+    assert.strictEqual(window.DrawflowBlazor.setVirtualization("canvas", true), false);
+});
+
+test("features are on by default, except virtualization", () => {
+    const window = createPage();
+    createCanvas(window, [0, 300]);
+    const host = window.document.getElementById("canvas");
+
+    assert.strictEqual(host.getAttribute("role"), "application");
+    assert.strictEqual(window.DrawflowBlazor.searchNodes("canvas", "Step").length, 2);
+    assert.strictEqual(window.DrawflowBlazor.setVirtualization("canvas", true), false);
+});
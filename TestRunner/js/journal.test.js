@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, loadModule, createCanvas } = require("./harness");
+
+test("a journal entry's view is restored only on the module it was saved on", () => {
+    const window = createPage();
+    const { editor } = createCanvas(window, [0]);
+    const journal = loadModule(window, "journal.js").createJournal("canvas", "wf-1");
+
+    assert.strictEqual(journal.setView({ module: "Other", zoom: 2, x: 10, y: 20 }), false);
+    assert.strictEqual(editor.zoom, 1);
+
+    assert.strictEqual(journal.setView({ module: "Home", zoom: 2, x: 10, y: 20 }), true);
+    assert.deepStrictEqual([editor.zoom, editor.canvas_x, editor.canvas_y], [2, 10, 20]);
+    journal.dispose();
+});
+
+test("without IndexedDB there is nothing to recover and the canvas keeps working", async () => {
+    const window = createPage();
+    const { editor } = createCanvas(window, [0, 300]);
+    const journal = loadModule(window, "journal.js").createJournal("canvas", "wf-1", { delay: 0 });
+    const warn = console.warn;
+    console.warn = () => { };
+    try {
+        assert.strictEqual(await journal.recover(0), null);
+        editor.removeNodeId("node-2");
+        window.DrawflowBlazor.destroy("canvas");
+    } finally {
+        console.warn = warn;
+    }
+    assert.strictEqual(journal.take(), null);
+});
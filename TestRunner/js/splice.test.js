@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage } = require("./harness");
+
+const INT = { type: "System.Int32", name: "int", category: "number", assignableTo: [], convertibleTo: ["number", "string", "json"] };
+const BOOL = { type: "System.Boolean", name: "bool", category: "bool", assignableTo: [], convertibleTo: ["bool", "string", "json"] };
+
+// Node 1 (int output) feeds node 3; node 2 is the unconnected node to splice in, with the given input types
+function createSpliceCanvas(window, inputs) {
+    window.DrawflowBlazor.create("canvas", { invokeMethodAsync: () => Promise.resolve(null) }, {});
+    const editor = window.DrawflowBlazor.getEditor("canvas");
+    editor.addNode("source", 0, 1, 0, 0, "", { portTypes: { outputs: [INT], inputs: {} } }, "");
+    editor.addNode("middle", Object.keys(inputs).length, 1, 300, 200, "", { portTypes: { outputs: [INT], inputs } }, "");
+    editor.addNode("target", 1, 0, 600, 0, "", { portTypes: { outputs: null, inputs: { input_1: [INT] } } }, "");
+    editor.addConnection(1, 3, "output_1", "input_1");
+    return editor;
+}
+
+const CONNECTION = { output_id: "1", input_id: "3", output_class: "output_1", input_class: "input_1" };
+
+test("splicing skips inputs the source can't feed", () => {
+    const window = createPage();
+    const editor = createSpliceCanvas(window, { input_1: [BOOL], input_2: [INT] });
+
+    const splice = window.DrawflowBlazor.spliceConnection("canvas", CONNECTION, 2);
+
+    assert.deepStrictEqual(Array.from(splice.created, c => [c.output_id, c.output_class, c.input_id, c.input_class]), [
+        ["1", "output_1", "2", "input_2"],
+        ["2", "output_1", "3", "input_1"]
+    ]);
+    assert.strictEqual(editor.getNodeFromId(2).inputs.input_2.connections.length, 1);
+    assert.strictEqual(editor.getNodeFromId(2).inputs.input_1.connections.length, 0);
+});
+
+test("splicing is refused when no input fits", () => {
+    const window = createPage();
+    const editor = createSpliceCanvas(window, { input_1: [BOOL], input_2: [BOOL] });
+
+    assert.strictEqual(window.DrawflowBlazor.spliceConnection("canvas", CONNECTION, 2), null);
+    assert.strictEqual(editor.getNodeFromId(3).inputs.input_1.connections.length, 1);
+});
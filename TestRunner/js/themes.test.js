@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, loadModule, createCanvas } = require("./harness");
+
+test("a canvas follows the default theme until it gets its own", () => {
+    const window = createPage();
+    createCanvas(window, [0]);
+    const themes = loadModule(window, "themes.js");
+    const wrapper = window.document.querySelector(".bw-lib");
+
+    themes.configure({ defaultTheme: "light" });
+    const theme = themes.createCanvasTheme("canvas");
+    assert.strictEqual(wrapper.getAttribute("data-bw-theme"), "light");
+
+    assert.strictEqual(theme.set("high-contrast"), "high-contrast");
+    assert.strictEqual(wrapper.getAttribute("data-theme"), "dark");
+    assert.strictEqual(wrapper.getAttribute("data-bw-contrast"), "more");
+
+    assert.strictEqual(theme.set(null), "light");
+    assert.strictEqual(wrapper.getAttribute("data-bw-contrast"), null);
+});
+
+test("destroying the canvas hands its wrapper back", () => {
+    const window = createPage();
+    createCanvas(window, [0]);
+    const themes = loadModule(window, "themes.js");
+    const wrapper = window.document.querySelector(".bw-lib");
+
+    themes.createCanvasTheme("canvas", "dark");
+    assert.strictEqual(wrapper.getAttribute("data-bw-theme"), "dark");
+
+    window.DrawflowBlazor.destroy("canvas");
+    assert.strictEqual(wrapper.getAttribute("data-bw-theme"), null);
+    assert.strictEqual(wrapper.getAttribute("data-theme"), null);
+});
+
+test("theme token values can't leave their declaration", () => {
+    const window = createPage();
+    const themes = loadModule(window, "themes.js");
+
+    assert.throws(() => themes.importTheme({ name: "evil", tokens: { canvas: "red; } body { display: none" } }), /Invalid value/);
+    assert.strictEqual(themes.importTheme({ name: "mine", mode: "light", tokens: { canvas: "#101010" } }), "mine");
+    assert.strictEqual(JSON.parse(themes.exportTheme("mine")).tokens.canvas, "#101010");
+    assert.strictEqual(themes.removeTheme("dark"), false);
+});
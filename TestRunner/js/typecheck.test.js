@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage } = require("./harness");
+
+const INT = { type: "System.Int32", name: "int", category: "number", assignableTo: [], convertibleTo: ["number", "string", "json"] };
+const BOOL = { type: "System.Boolean", name: "bool", category: "bool", assignableTo: [], convertibleTo: ["bool", "string", "json"] };
+
+// Node 1 outputs an int; node 2 has a bool input_1 and an untyped input_2
+function createTypedCanvas(window) {
+    window.DrawflowBlazor.create("canvas", { invokeMethodAsync: () => Promise.resolve(null) }, {});
+    const editor = window.DrawflowBlazor.getEditor("canvas");
+    editor.addNode("source", 0, 1, 0, 0, "", { portTypes: { outputs: [INT], inputs: {} } }, "");
+    editor.addNode("target", 2, 1, 300, 0, "", { portTypes: { outputs: null, inputs: { input_1: [BOOL], input_2: [] } } }, "");
+    return editor;
+}
+
+function connections(editor) {
+    return editor.getNodeFromId(2).inputs;
+}
+
+test("a connection is checked against the port it lands on", () => {
+    const window = createPage();
+    const editor = createTypedCanvas(window);
+
+    editor.addConnection(1, 2, "output_1", "input_1");
+    editor.addConnection(1, 2, "output_1", "input_2");
+
+    assert.strictEqual(connections(editor).input_1.connections.length, 0);
+    assert.strictEqual(connections(editor).input_2.connections.length, 1);
+});
+
+test("updated port types apply to the next connection", () => {
+    const window = createPage();
+    const editor = createTypedCanvas(window);
+
+    assert.strictEqual(window.DrawflowBlazor.setPortTypes("canvas", 2, { outputs: null, inputs: { input_1: [INT] } }), true);
+    editor.addConnection(1, 2, "output_1", "input_1");
+
+    assert.strictEqual(connections(editor).input_1.connections.length, 1);
+    assert.strictEqual(window.DrawflowBlazor.setPortTypes("canvas", 99, { outputs: null, inputs: {} }), false);
+});
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createPage, createCanvas, nextFrame } = require("./harness");
+
+// Node 1 sits in view; nodes 2.. are far outside it, so they and the connections between them are culled
+async function culledCanvas(xs = [0, 20000, 21000]) {
+    const window = createPage();
+    const canvas = createCanvas(window, xs, { features: { virtualization: true } });
+    window.DrawflowBlazor.setVirtualization("canvas", true, { margin: 100 });
+    await nextFrame(window);
+    const rendered = (out, inp) => !!window.document.querySelector(`svg.connection.node_out_node-${out}.node_in_node-${inp}`);
+    return { window, ...canvas, rendered };
+}
+
+test("a connection between off-screen nodes is culled", async () => {
+    const { rendered } = await culledCanvas();
+
+    // 1 -> 2 spans the view, 2 -> 3 does not
+    assert.strictEqual(rendered(1, 2), true);
+    assert.strictEqual(rendered(2, 3), false);
+});
+
+test("deleting an off-screen connection removes it from the model", async () => {
+    const { window, editor, rendered } = await culledCanvas();
+    const removed = [];
+    editor.on("connectionRemoved", c => removed.push(c));
+
+    assert.strictEqual(editor.removeSingleConnection(2, 3, "output_1", "input_1"), true);
+
+    assert.strictEqual(editor.getNodeFromId(2).outputs.output_1.connections.length, 0);
+    assert.strictEqual(editor.getNodeFromId(3).inputs.input_1.connections.length, 0);
+    assert.strictEqual(removed.length, 1);
+    await nextFrame(window);
+    assert.strictEqual(rendered(2, 3), false);
+});
+
+test("removing a node drops its off-screen connections from its neighbours", async () => {
+    const { editor } = await culledCanvas();
+
+    editor.removeNodeId("node-3");
+
+    assert.strictEqual(editor.getNodeFromId(2).outputs.output_1.connections.length, 0);
+    assert.strictEqual(editor.getNodeFromId(1).outputs.output_1.connections.length, 1);
+});
+
+test("connections put back for a removal are culled again", async () => {
+    const { window, editor, rendered } = await culledCanvas([0, 20000, 21000, 22000]);
+
+    editor.removeNodeId("node-2");
+    editor.removeSingleConnection(3, 4, "output_1", "input_1");
+    await nextFrame(window);
+
+    assert.strictEqual(editor.getNodeFromId(1).outputs.output_1.connections.length, 0);
+    assert.strictEqual(window.document.querySelectorAll("svg.connection").length, 0);
+});